@@ -1,9 +1,10 @@
 /**
  * Service Worker for Cost Manager PWA
- * Handles caching of static assets for offline support
+ * Handles caching of static assets for offline support, and serves the app shell
+ * for every page so routed URLs load the app
  */
 
-const CACHE_NAME = 'cost-manager-v1';
+const CACHE_NAME = 'cost-manager-v4';
 const urlsToCache = [
   '/',
   '/index.html',
@@ -84,6 +85,41 @@ self.addEventListener('fetch', function(event) {
     return;
   }
 
+  // Page loads always get the app shell (SPA fallback); the router reads the view from the URL.
+  // The network copy is preferred so a new version is picked up, with the cached one for offline use.
+  // Only the shell's own URLs refresh the cached shell, so opening another page such as
+  // /exchange-rates.json cannot replace it.
+  if (event.request.mode === 'navigate') {
+    const pathname = new URL(event.request.url).pathname;
+    const isShell = pathname === '/' || pathname === '/index.html';
+
+    event.respondWith(
+      fetch(event.request)
+        .then(function(response) {
+          if (response.ok) {
+            if (isShell) {
+              // Keep the offline copy of the shell current
+              const responseToCache = response.clone();
+              caches.open(CACHE_NAME).then(function(cache) {
+                cache.put('/index.html', responseToCache);
+              });
+            }
+            return response;
+          }
+          // A path such as /report is not a file on the server
+          return caches.match('/index.html').then(function(cached) {
+            return cached || response;
+          });
+        })
+        .catch(function() {
+          return caches.match('/index.html').then(function(cached) {
+            return cached || new Response('Offline', { status: 503, statusText: 'Service Unavailable' });
+          });
+        })
+    );
+    return;
+  }
+
   event.respondWith(
     caches.match(event.request)
       .then(function(response) {
@@ -99,10 +135,6 @@ self.addEventListener('fetch', function(event) {
           .then(function(response) {
             // Check if valid response
             if (!response || response.status !== 200) {
-              // For navigation requests, return index.html for SPA routing
-              if (event.request.mode === 'navigate') {
-                return caches.match('/index.html') || response;
-              }
               return response;
             }
 
@@ -120,11 +152,7 @@ self.addEventListener('fetch', function(event) {
             return response;
           })
           .catch(function() {
-            // If fetch fails, try to return cached index.html for navigation requests (SPA)
-            if (event.request.mode === 'navigate') {
-              return caches.match('/index.html');
-            }
-            // For other requests, return a basic error response
+            // Return a basic error response
             return new Response('Offline', { status: 503, statusText: 'Service Unavailable' });
           });
       })
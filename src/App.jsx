@@ -4,22 +4,30 @@
 
 import React, { useState, useEffect } from 'react';
 import { CssBaseline, Alert, Fade } from '@mui/material';
-import { Toaster } from 'react-hot-toast';
+import toast, { Toaster } from 'react-hot-toast';
 import { useTranslation } from 'react-i18next';
+import { HashRouter, Routes, Route, Navigate, useLocation, useNavigate } from 'react-router-dom';
 import './i18n/config';
 import { ThemeProvider } from './contexts/ThemeContext';
 import { NotificationProvider, useNotifications } from './contexts/NotificationContext';
-import { openCostsDB } from './lib/idb-react';
+import { SettingsProvider } from './contexts/SettingsContext';
+import { openCostsDB, DB_VERSION } from './lib/idb-react';
+import { toDateKey } from './lib/dateKeys';
+import { VIEW_PATHS, getViewFromPath } from './lib/routes';
 import Layout from './components/Layout/Layout';
 import AddCostForm from './components/AddCostForm';
 import ReportView from './components/ReportView';
 import PieChartView from './components/PieChartView';
+import TagChartView from './components/TagChartView';
 import BarChartView from './components/BarChartView';
 import Settings from './components/Settings';
 import Dashboard from './components/Dashboard/Dashboard';
 import CategoriesManager from './components/Categories/CategoriesManager';
 import BudgetManager from './components/Budget/BudgetManager';
 import SavingsGoalsManager from './components/SavingsGoals/SavingsGoalsManager';
+import AccountsManager from './components/Accounts/AccountsManager';
+import RecurringManager from './components/Recurring/RecurringManager';
+import ImportWizard from './components/Import/ImportWizard';
 import AdvancedFilters from './components/Filters/AdvancedFilters';
 import NotificationCenter from './components/Notifications/NotificationCenter';
 
@@ -30,16 +38,26 @@ function AppInner() {
   const { t } = useTranslation();
   const [db, setDb] = useState(null);
   const [dbError, setDbError] = useState('');
-  const [currentView, setCurrentView] = useState('dashboard');
-  const { notifications, checkBudgets } = useNotifications();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const currentView = getViewFromPath(location.pathname);
+  const { notifications, checkBudgets, checkGoals } = useNotifications();
 
   /**
-   * Initializes the database connection
+   * Initializes the database connection and creates any due recurring transactions
    */
   useEffect(function() {
     async function initDB() {
       try {
-        const database = await openCostsDB('costsdb', 3);
+        const database = await openCostsDB('costsdb', DB_VERSION);
+        try {
+          const created = await database.generateRecurringCosts(toDateKey(new Date()));
+          if (created > 0) {
+            toast.success(t('recurring.occurrencesCreated', { count: created }));
+          }
+        } catch (error) {
+          console.error('Error creating recurring transactions:', error);
+        }
         setDb(database);
         setDbError('');
       } catch (error) {
@@ -51,49 +69,35 @@ function AppInner() {
   }, [t]);
 
   useEffect(function() {
-    // Check budgets periodically
+    // Check budgets and savings goals periodically
     if (db) {
       checkBudgets(db);
+      checkGoals(db);
       const interval = setInterval(function() {
         checkBudgets(db);
+        checkGoals(db);
       }, 60000); // Check every minute
       
       return function() {
         clearInterval(interval);
       };
     }
-  }, [db, checkBudgets]);
+  }, [db, checkBudgets, checkGoals]);
 
   /**
-   * Renders the current view based on selection
+   * Re-checks budgets and savings goals after transactions are edited or deleted
    */
-  const renderView = function() {
-    switch (currentView) {
-      case 'dashboard':
-        return <Dashboard db={db} />;
-      case 'add-cost':
-        return <AddCostForm db={db} />;
-      case 'report':
-        return <ReportView db={db} />;
-      case 'pie-chart':
-        return <PieChartView db={db} />;
-      case 'bar-chart':
-        return <BarChartView db={db} />;
-      case 'categories':
-        return <CategoriesManager db={db} />;
-      case 'budget':
-        return <BudgetManager db={db} />;
-      case 'savings-goals':
-        return <SavingsGoalsManager db={db} />;
-      case 'filters':
-        return <AdvancedFilters db={db} />;
-      case 'notifications':
-        return <NotificationCenter />;
-      case 'settings':
-        return <Settings />;
-      default:
-        return <Dashboard db={db} />;
-    }
+  const handleCostsChange = function() {
+    checkBudgets(db);
+    checkGoals(db);
+  };
+
+  /**
+   * Opens a view; its parameters start from the defaults
+   * @param {string} view - View ID from VIEW_PATHS
+   */
+  const handleViewChange = function(view) {
+    navigate(VIEW_PATHS[view]);
   };
 
   return (
@@ -110,8 +114,9 @@ function AppInner() {
       />
       <Layout 
         currentView={currentView} 
-        onViewChange={setCurrentView}
+        onViewChange={handleViewChange}
         notificationCount={notifications.filter(n => !n.read).length}
+        db={db}
       >
         {dbError && (
           <Fade in={!!dbError}>
@@ -128,7 +133,24 @@ function AppInner() {
           </Fade>
         )}
         
-        {renderView()}
+        <Routes>
+          <Route path={VIEW_PATHS.dashboard} element={<Dashboard db={db} />} />
+          <Route path={VIEW_PATHS['add-cost']} element={<AddCostForm db={db} />} />
+          <Route path={VIEW_PATHS.report} element={<ReportView db={db} onCostsChange={handleCostsChange} />} />
+          <Route path={VIEW_PATHS['pie-chart']} element={<PieChartView db={db} />} />
+          <Route path={VIEW_PATHS['tag-chart']} element={<TagChartView db={db} />} />
+          <Route path={VIEW_PATHS['bar-chart']} element={<BarChartView db={db} />} />
+          <Route path={VIEW_PATHS.categories} element={<CategoriesManager db={db} />} />
+          <Route path={VIEW_PATHS.budget} element={<BudgetManager db={db} />} />
+          <Route path={VIEW_PATHS['savings-goals']} element={<SavingsGoalsManager db={db} />} />
+          <Route path={VIEW_PATHS.accounts} element={<AccountsManager db={db} onCostsChange={handleCostsChange} />} />
+          <Route path={VIEW_PATHS.recurring} element={<RecurringManager db={db} />} />
+          <Route path={VIEW_PATHS.import} element={<ImportWizard db={db} onCostsChange={handleCostsChange} />} />
+          <Route path={VIEW_PATHS.filters} element={<AdvancedFilters db={db} onCostsChange={handleCostsChange} />} />
+          <Route path={VIEW_PATHS.notifications} element={<NotificationCenter />} />
+          <Route path={VIEW_PATHS.settings} element={<Settings db={db} />} />
+          <Route path="*" element={<Navigate to={VIEW_PATHS.dashboard} replace />} />
+        </Routes>
       </Layout>
     </>
   );
@@ -136,14 +158,19 @@ function AppInner() {
 
 /**
  * Main App component
+ * Views are routed through the URL hash, so they can be bookmarked and reached with the back button
  */
 function App() {
   return (
-    <ThemeProvider>
-      <NotificationProvider>
-        <AppInner />
-      </NotificationProvider>
-    </ThemeProvider>
+    <HashRouter>
+      <ThemeProvider>
+        <SettingsProvider>
+          <NotificationProvider>
+            <AppInner />
+          </NotificationProvider>
+        </SettingsProvider>
+      </ThemeProvider>
+    </HashRouter>
   );
 }
 
@@ -0,0 +1,667 @@
+/**
+ * AccountsManager.jsx - Component for managing accounts, transfers between them and their ledgers
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  Typography,
+  Paper,
+  Card,
+  CardContent,
+  CardActionArea,
+  Grid,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Alert,
+  CircularProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { useTranslation } from 'react-i18next';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import CloseIcon from '@mui/icons-material/Close';
+import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
+import toast from 'react-hot-toast';
+import { ACCOUNT_KINDS, TRANSFER_CATEGORY, getAccountLedgers } from '../../lib/accounts';
+import { getCurrencyChoices, getCurrencyLabel, formatCurrency } from '../../lib/currencies';
+import { useSettings } from '../../contexts/SettingsContext';
+
+const EMPTY_FORM = {
+  name: '',
+  kind: 'checking',
+  currency: 'USD',
+  openingBalance: ''
+};
+
+/**
+ * Returns today's local date as a YYYY-MM-DD string for the date input
+ * @returns {string} Today's date
+ */
+function getTodayString() {
+  const now = new Date();
+  return `${now.getFullYear()}-${(now.getMonth() + 1).toString().padStart(2, '0')}-${now.getDate().toString().padStart(2, '0')}`;
+}
+
+/**
+ * Formats a date key for display
+ * @param {number} key - Date key (YYYYMMDD)
+ * @returns {string} Localized date
+ */
+function formatKey(key) {
+  return new Date(Math.floor(key / 10000), Math.floor(key / 100) % 100 - 1, key % 100).toLocaleDateString();
+}
+
+/**
+ * AccountsManager component
+ * Shows each account with its balance, moves money between accounts with transfers and
+ * lists the transactions of the selected account with the running balance after each one
+ * @param {Object} props - Component props
+ * @param {Object|null} props.db - Database instance
+ * @param {function} [props.onCostsChange] - Called after a transfer is added
+ */
+export default function AccountsManager({ db, onCostsChange }) {
+  const { t, i18n } = useTranslation();
+  const { preferredCurrency } = useSettings();
+  const [accounts, setAccounts] = useState([]);
+  const [ledgers, setLedgers] = useState({});
+  const [selectedId, setSelectedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [openDialog, setOpenDialog] = useState(false);
+  const [editingAccount, setEditingAccount] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
+  const [accountToDelete, setAccountToDelete] = useState(null);
+  const [transferDialogOpen, setTransferDialogOpen] = useState(false);
+  const [transferFrom, setTransferFrom] = useState('');
+  const [transferTo, setTransferTo] = useState('');
+  const [transferAmount, setTransferAmount] = useState('');
+  const [transferCurrency, setTransferCurrency] = useState(preferredCurrency);
+  const [transferDate, setTransferDate] = useState(getTodayString);
+  const [transferDescription, setTransferDescription] = useState('');
+
+  const loadAccounts = async function() {
+    if (!db) return;
+
+    try {
+      setLoading(true);
+      const accountsData = await db.getAccounts();
+      setAccounts(accountsData);
+      setLedgers(await getAccountLedgers(db, accountsData));
+      setSelectedId(function(current) {
+        if (accountsData.some(account => account.id === current)) return current;
+        return accountsData.length > 0 ? accountsData[0].id : null;
+      });
+    } catch (error) {
+      toast.error(t('messages.failedToLoad') + ' accounts: ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(function() {
+    if (db) {
+      loadAccounts();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [db]);
+
+  const handleOpenDialog = function(account) {
+    if (account) {
+      setEditingAccount(account);
+      setForm({
+        name: account.name,
+        kind: account.kind,
+        currency: account.currency,
+        openingBalance: String(account.openingBalance || 0)
+      });
+    } else {
+      setEditingAccount(null);
+      setForm({ ...EMPTY_FORM, currency: preferredCurrency });
+    }
+    setOpenDialog(true);
+  };
+
+  const handleCloseDialog = function() {
+    setOpenDialog(false);
+    setEditingAccount(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const updateForm = function(field, value) {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async function() {
+    if (!db) {
+      toast.error(t('messages.databaseNotInitialized'));
+      return;
+    }
+
+    if (!form.name.trim()) {
+      toast.error(t('accounts.pleaseEnterName'));
+      return;
+    }
+
+    const openingBalance = form.openingBalance === '' ? 0 : parseFloat(form.openingBalance);
+    if (isNaN(openingBalance)) {
+      toast.error(t('messages.pleaseEnterValidAmount'));
+      return;
+    }
+
+    try {
+      const accountData = {
+        name: form.name.trim(),
+        kind: form.kind,
+        currency: form.currency,
+        openingBalance: openingBalance
+      };
+
+      if (editingAccount) {
+        await db.updateAccount(editingAccount.id, accountData);
+        toast.success(t('accounts.accountUpdated'));
+      } else {
+        await db.addAccount(accountData);
+        toast.success(t('accounts.accountAdded'));
+      }
+
+      handleCloseDialog();
+      loadAccounts();
+    } catch (error) {
+      toast.error(t('messages.failedToSave') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  const handleDeleteClick = function(account) {
+    setAccountToDelete(account);
+    setDeleteDialogOpen(true);
+  };
+
+  const handleDeleteConfirm = async function() {
+    if (!db || !accountToDelete) return;
+
+    try {
+      await db.deleteAccount(accountToDelete.id);
+      toast.success(t('accounts.accountDeleted'));
+      setDeleteDialogOpen(false);
+      setAccountToDelete(null);
+      loadAccounts();
+    } catch (error) {
+      toast.error(t('messages.failedToDelete') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  /**
+   * Opens the transfer dialog, starting from an account
+   * @param {Object|null} account - The account to move money out of
+   */
+  const handleOpenTransferDialog = function(account) {
+    const from = account || accounts[0];
+    setTransferFrom(from ? from.id : '');
+    setTransferTo('');
+    setTransferAmount('');
+    setTransferCurrency(from ? from.currency : preferredCurrency);
+    setTransferDate(getTodayString());
+    setTransferDescription('');
+    setTransferDialogOpen(true);
+  };
+
+  const handleTransferFromChange = function(id) {
+    const from = accounts.find(account => account.id === id);
+    setTransferFrom(id);
+    if (from) {
+      setTransferCurrency(from.currency);
+    }
+  };
+
+  const handleTransfer = async function() {
+    if (!transferFrom || !transferTo) {
+      toast.error(t('accounts.pleaseSelectAccounts'));
+      return;
+    }
+
+    if (transferFrom === transferTo) {
+      toast.error(t('accounts.sameAccount'));
+      return;
+    }
+
+    const amountValue = parseFloat(transferAmount);
+    if (isNaN(amountValue) || amountValue <= 0) {
+      toast.error(t('messages.pleaseEnterValidAmount'));
+      return;
+    }
+
+    if (!transferDate) {
+      toast.error(t('messages.pleaseEnterValidDate'));
+      return;
+    }
+
+    const accountName = function(id) {
+      const account = accounts.find(a => a.id === id);
+      return account ? account.name : '';
+    };
+
+    try {
+      await db.addCost({
+        sum: amountValue,
+        currency: transferCurrency,
+        category: TRANSFER_CATEGORY,
+        description: transferDescription.trim() ||
+          t('accounts.transferDescription', { from: accountName(transferFrom), to: accountName(transferTo) }),
+        type: 'transfer',
+        accountId: transferFrom,
+        toAccountId: transferTo,
+        date: transferDate
+      });
+      toast.success(t('accounts.transferAdded'));
+      setTransferDialogOpen(false);
+      loadAccounts();
+      if (onCostsChange) {
+        onCostsChange();
+      }
+    } catch (error) {
+      toast.error(t('messages.failedToSave') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  if (!db) {
+    return (
+      <Alert severity="info">
+        {t('messages.databaseNotInitializedWait')}
+      </Alert>
+    );
+  }
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: 400 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const selectedAccount = accounts.find(account => account.id === selectedId);
+  const selectedEntries = selectedAccount && ledgers[selectedAccount.id]
+    ? ledgers[selectedAccount.id].entries.slice().reverse()
+    : [];
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 4 }}>
+        <Typography variant="h4" sx={{ fontWeight: 700 }}>
+          {t('accounts.title')}
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <Button
+            variant="outlined"
+            startIcon={<SwapHorizIcon />}
+            onClick={() => handleOpenTransferDialog(null)}
+            disabled={accounts.length < 2}
+            sx={{ borderRadius: 2 }}
+          >
+            {t('accounts.transfer')}
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={() => handleOpenDialog(null)}
+            sx={{
+              borderRadius: 2,
+              px: 3,
+              py: 1.5,
+              background: 'linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)',
+              boxShadow: 3,
+              '&:hover': {
+                background: 'linear-gradient(135deg, #4f46e5 0%, #7c3aed 100%)',
+                boxShadow: 4,
+                transform: 'translateY(-2px)',
+              },
+              transition: 'all 0.3s ease',
+            }}
+          >
+            {t('accounts.addAccount')}
+          </Button>
+        </Box>
+      </Box>
+
+      <Grid container spacing={3} sx={{ mb: 4 }}>
+        {accounts.map(function(account) {
+          const balance = ledgers[account.id] ? ledgers[account.id].balance : account.openingBalance || 0;
+          const isSelected = account.id === selectedId;
+
+          return (
+            <Grid item xs={12} md={6} lg={4} key={account.id}>
+              <Card
+                sx={{
+                  height: '100%',
+                  borderRadius: 3,
+                  boxShadow: isSelected ? 4 : 2,
+                  bgcolor: 'background.paper',
+                  border: '2px solid',
+                  borderColor: isSelected ? 'primary.main' : 'transparent',
+                  transition: 'all 0.3s ease',
+                }}
+              >
+                <CardActionArea component="div" onClick={() => setSelectedId(account.id)}>
+                  <CardContent sx={{ p: 3 }}>
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 1 }}>
+                      <Box sx={{ flex: 1, minWidth: 0 }}>
+                        <Typography variant="h6" sx={{ fontWeight: 600 }} noWrap>
+                          {account.name}
+                        </Typography>
+                        <Chip label={t('accounts.kinds.' + account.kind)} size="small" sx={{ height: 20, mt: 0.5 }} />
+                      </Box>
+                      <Box onClick={(e) => e.stopPropagation()}>
+                        <IconButton
+                          size="small"
+                          onClick={() => handleOpenTransferDialog(account)}
+                          title={t('accounts.transfer')}
+                          disabled={accounts.length < 2}
+                          sx={{ mr: 0.5 }}
+                        >
+                          <SwapHorizIcon fontSize="small" />
+                        </IconButton>
+                        <IconButton
+                          size="small"
+                          onClick={() => handleOpenDialog(account)}
+                          sx={{ mr: 0.5 }}
+                        >
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                        <IconButton
+                          size="small"
+                          onClick={() => handleDeleteClick(account)}
+                          color="error"
+                          disabled={accounts.length <= 1}
+                        >
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Box>
+                    </Box>
+                    <Typography variant="caption" color="text.secondary">
+                      {t('accounts.balance')}
+                    </Typography>
+                    <Typography
+                      variant="h5"
+                      sx={{ fontWeight: 700, color: balance < 0 ? 'error.main' : '#6366f1' }}
+                    >
+                      {formatCurrency(balance, account.currency, i18n.language)}
+                    </Typography>
+                  </CardContent>
+                </CardActionArea>
+              </Card>
+            </Grid>
+          );
+        })}
+      </Grid>
+
+      {selectedAccount && (
+        <Box>
+          <Typography variant="h6" sx={{ fontWeight: 600, mb: 2 }}>
+            {t('accounts.ledgerFor', { name: selectedAccount.name })}
+          </Typography>
+          {selectedEntries.length === 0 ? (
+            <Paper
+              elevation={0}
+              sx={{
+                p: 4,
+                textAlign: 'center',
+                bgcolor: 'background.paper',
+                borderRadius: 3,
+                border: '1px dashed',
+                borderColor: 'divider',
+              }}
+            >
+              <Typography color="text.secondary">
+                {t('accounts.noTransactions')}
+              </Typography>
+            </Paper>
+          ) : (
+            <TableContainer
+              component={Paper}
+              elevation={0}
+              sx={{
+                borderRadius: 2,
+                border: '1px solid',
+                borderColor: 'divider',
+                bgcolor: 'background.paper',
+              }}
+            >
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={{ fontWeight: 600 }}>{t('common.date')}</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>{t('common.description')}</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>{t('forms.transactionType')}</TableCell>
+                    <TableCell align="right" sx={{ fontWeight: 600 }}>{t('common.amount')}</TableCell>
+                    <TableCell align="right" sx={{ fontWeight: 600 }}>{t('accounts.runningBalance')}</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {selectedEntries.map((entry) => (
+                    <TableRow key={entry.cost.id} hover>
+                      <TableCell>{formatKey(entry.cost.dateKey)}</TableCell>
+                      <TableCell>{entry.cost.description}</TableCell>
+                      <TableCell>{t('forms.types.' + (entry.cost.type || 'expense'))}</TableCell>
+                      <TableCell
+                        align="right"
+                        sx={{ color: entry.amount < 0 ? 'error.main' : 'success.main', fontWeight: 600 }}
+                      >
+                        {formatCurrency(entry.amount, selectedAccount.currency, i18n.language)}
+                      </TableCell>
+                      <TableCell align="right">
+                        {formatCurrency(entry.balance, selectedAccount.currency, i18n.language)}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </Box>
+      )}
+
+      {/* Add/Edit Dialog */}
+      <Dialog open={openDialog} onClose={handleCloseDialog} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <Typography variant="h6" sx={{ fontWeight: 600 }}>
+              {editingAccount ? t('accounts.editAccount') : t('accounts.addAccount')}
+            </Typography>
+            <IconButton onClick={handleCloseDialog} size="small">
+              <CloseIcon />
+            </IconButton>
+          </Box>
+        </DialogTitle>
+        <DialogContent>
+          <Box sx={{ pt: 2 }}>
+            <TextField
+              label={t('accounts.name')}
+              value={form.name}
+              onChange={(e) => updateForm('name', e.target.value)}
+              fullWidth
+              required
+              margin="normal"
+            />
+
+            <FormControl fullWidth margin="normal">
+              <InputLabel>{t('accounts.kind')}</InputLabel>
+              <Select
+                value={form.kind}
+                label={t('accounts.kind')}
+                onChange={(e) => updateForm('kind', e.target.value)}
+              >
+                {ACCOUNT_KINDS.map((kind) => (
+                  <MenuItem key={kind} value={kind}>{t('accounts.kinds.' + kind)}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
+            <FormControl fullWidth margin="normal">
+              <InputLabel>{t('common.currency')}</InputLabel>
+              <Select
+                value={form.currency}
+                label={t('common.currency')}
+                onChange={(e) => updateForm('currency', e.target.value)}
+              >
+                {getCurrencyChoices(form.currency).map((code) => (
+                  <MenuItem key={code} value={code}>{getCurrencyLabel(code, i18n.language)}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
+            <TextField
+              label={t('accounts.openingBalance')}
+              type="number"
+              value={form.openingBalance}
+              onChange={(e) => updateForm('openingBalance', e.target.value)}
+              fullWidth
+              margin="normal"
+              inputProps={{ step: 0.01 }}
+              helperText={t('accounts.openingBalanceHelper')}
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions sx={{ p: 2.5 }}>
+          <Button onClick={handleCloseDialog} sx={{ borderRadius: 2 }}>
+            {t('common.cancel')}
+          </Button>
+          <Button
+            onClick={handleSave}
+            variant="contained"
+            sx={{
+              borderRadius: 2,
+              background: 'linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)',
+              '&:hover': {
+                background: 'linear-gradient(135deg, #4f46e5 0%, #7c3aed 100%)',
+              },
+            }}
+          >
+            {editingAccount ? t('common.update') : t('common.add')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Transfer Dialog */}
+      <Dialog open={transferDialogOpen} onClose={() => setTransferDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{t('accounts.transfer')}</DialogTitle>
+        <DialogContent>
+          <Box sx={{ pt: 1 }}>
+            <FormControl fullWidth margin="normal">
+              <InputLabel>{t('accounts.from')}</InputLabel>
+              <Select
+                value={transferFrom}
+                label={t('accounts.from')}
+                onChange={(e) => handleTransferFromChange(e.target.value)}
+              >
+                {accounts.map((account) => (
+                  <MenuItem key={account.id} value={account.id}>{account.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
+            <FormControl fullWidth margin="normal">
+              <InputLabel>{t('accounts.to')}</InputLabel>
+              <Select
+                value={transferTo}
+                label={t('accounts.to')}
+                onChange={(e) => setTransferTo(e.target.value)}
+              >
+                {accounts.filter(account => account.id !== transferFrom).map((account) => (
+                  <MenuItem key={account.id} value={account.id}>{account.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                label={t('common.amount')}
+                type="number"
+                value={transferAmount}
+                onChange={(e) => setTransferAmount(e.target.value)}
+                fullWidth
+                required
+                margin="normal"
+                inputProps={{ min: 0, step: 0.01 }}
+              />
+              <FormControl margin="normal" sx={{ minWidth: 120 }}>
+                <InputLabel>{t('common.currency')}</InputLabel>
+                <Select
+                  value={transferCurrency}
+                  label={t('common.currency')}
+                  onChange={(e) => setTransferCurrency(e.target.value)}
+                >
+                  {getCurrencyChoices(transferCurrency).map((code) => (
+                    <MenuItem key={code} value={code}>{code}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Box>
+
+            <TextField
+              label={t('common.date')}
+              type="date"
+              value={transferDate}
+              onChange={(e) => setTransferDate(e.target.value)}
+              fullWidth
+              required
+              margin="normal"
+              InputLabelProps={{
+                shrink: true,
+              }}
+            />
+
+            <TextField
+              label={t('common.description')}
+              value={transferDescription}
+              onChange={(e) => setTransferDescription(e.target.value)}
+              fullWidth
+              margin="normal"
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setTransferDialogOpen(false)}>{t('common.cancel')}</Button>
+          <Button onClick={handleTransfer} variant="contained">
+            {t('accounts.transfer')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Delete Confirmation Dialog */}
+      <Dialog open={deleteDialogOpen} onClose={() => setDeleteDialogOpen(false)}>
+        <DialogTitle>{t('accounts.deleteAccount')}</DialogTitle>
+        <DialogContent>
+          <Typography>
+            {t('accounts.areYouSureDelete', { name: accountToDelete?.name || '' })}
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            {t('accounts.deleteOnlyUnused')}
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleteDialogOpen(false)}>{t('common.cancel')}</Button>
+          <Button onClick={handleDeleteConfirm} color="error" variant="contained">
+            {t('common.delete')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
@@ -2,7 +2,7 @@
  * AddCostForm.jsx - Component for adding new cost items
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   Box,
   Button,
@@ -15,15 +15,45 @@ import {
   Card,
   CardContent,
   Autocomplete,
-  Tooltip
+  Tooltip,
+  FormControlLabel,
+  Switch,
+  Chip
 } from '@mui/material';
 import { useTranslation } from 'react-i18next';
 import toast from 'react-hot-toast';
 import { z } from 'zod';
+import AttachFileIcon from '@mui/icons-material/AttachFile';
+import { isCurrencyCode, getCurrencyChoices, getCurrencyLabel } from '../lib/currencies';
+import { validateSplits } from '../lib/splits';
+import { ATTACHMENT_ACCEPT, validateAttachmentFile, buildAttachment, formatBytes } from '../lib/attachments';
+import { useSettings } from '../contexts/SettingsContext';
+import SplitLinesEditor, { createSplitLines } from './Transactions/SplitLinesEditor';
+import TagsInput from './Transactions/TagsInput';
+
+/**
+ * Returns today's local date as a YYYY-MM-DD string for the date input
+ * @returns {string} Today's date
+ */
+function getTodayString() {
+  const now = new Date();
+  return `${now.getFullYear()}-${(now.getMonth() + 1).toString().padStart(2, '0')}-${now.getDate().toString().padStart(2, '0')}`;
+}
+
+/**
+ * Checks that a YYYY-MM-DD string is a real calendar date
+ * @param {string} value - Date string from the date input
+ * @returns {boolean} Whether the date exists
+ */
+function isValidDateString(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
 
 /**
  * AddCostForm component
- * Allows users to add new cost items with sum, currency, category, and description
+ * Allows users to add new cost items with sum, currency, category, description, and transaction date
  * @param {Object} props - Component props
  * @param {Object|null} props.db - Database instance
  */
@@ -35,15 +65,20 @@ const costFormSchema = z.object({
       const num = parseFloat(val);
       return !isNaN(num) && num > 0;
     }, { message: 'forms.positiveNumber' }),
-  currency: z.enum(['USD', 'ILS', 'GBP', 'EURO'], {
-    errorMap: () => ({ message: 'messages.pleaseEnterAmount' })
-  }),
+  currency: z.string()
+    .refine(isCurrencyCode, { message: 'messages.pleaseSelectCurrency' }),
   category: z.string()
     .min(1, 'messages.pleaseEnterCategory')
     .trim(),
   description: z.string()
     .min(1, 'messages.pleaseEnterDescription')
     .trim(),
+  date: z.string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, 'messages.pleaseEnterValidDate')
+    .refine(isValidDateString, { message: 'messages.pleaseEnterValidDate' }),
+  time: z.string()
+    .regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'messages.pleaseEnterValidTime')
+    .optional(),
   transactionType: z.enum(['expense', 'income', 'savings']),
   savingsAction: z.enum(['deposit', 'withdrawal']).optional()
 }).refine((data) => {
@@ -58,14 +93,27 @@ const costFormSchema = z.object({
 });
 
 export default function AddCostForm({ db }) {
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
+  const { preferredCurrency } = useSettings();
   const [sum, setSum] = useState('');
-  const [currency, setCurrency] = useState('USD');
+  const [currency, setCurrency] = useState(preferredCurrency);
   const [category, setCategory] = useState('');
+  const [splitLines, setSplitLines] = useState(null);
   const [description, setDescription] = useState('');
+  const [tags, setTags] = useState([]);
+  // Files attached once the transaction is saved
+  const [files, setFiles] = useState([]);
+  const fileInputRef = useRef(null);
+  const [date, setDate] = useState(getTodayString);
+  const [time, setTime] = useState('');
   const [transactionType, setTransactionType] = useState('expense');
   const [savingsAction, setSavingsAction] = useState('deposit');
+  const [goalId, setGoalId] = useState('');
+  const [goals, setGoals] = useState([]);
+  const [accountId, setAccountId] = useState('');
+  const [accounts, setAccounts] = useState([]);
   const [availableCategories, setAvailableCategories] = useState([]);
+  const [availableTags, setAvailableTags] = useState([]);
   const [errors, setErrors] = useState({});
 
   /**
@@ -82,7 +130,7 @@ export default function AddCostForm({ db }) {
 
         // Get unique categories from existing costs
         const allCosts = await db.getAllCosts();
-        const costCategories = Array.from(new Set(allCosts.map(c => c.category)));
+        const costCategories = Array.from(new Set(allCosts.filter(c => c.type !== 'transfer').map(c => c.category)));
 
         // Combine and remove duplicates
         const allCategories = Array.from(new Set([...categoryNames, ...costCategories]));
@@ -91,7 +139,7 @@ export default function AddCostForm({ db }) {
         // If error, try to get categories from costs only
         try {
           const allCosts = await db.getAllCosts();
-          const costCategories = Array.from(new Set(allCosts.map(c => c.category)));
+          const costCategories = Array.from(new Set(allCosts.filter(c => c.type !== 'transfer').map(c => c.category)));
           setAvailableCategories(costCategories.sort());
         } catch (err) {
           // Ignore errors, user can still type manually
@@ -103,6 +151,83 @@ export default function AddCostForm({ db }) {
     loadCategories();
   }, [db]);
 
+  /**
+   * Loads the tags already in use as suggestions
+   */
+  useEffect(function() {
+    if (!db) return;
+
+    db.getAllTags()
+      .then(setAvailableTags)
+      .catch(function(error) {
+        console.warn('Failed to load tags:', error);
+      });
+  }, [db]);
+
+  /**
+   * Loads savings goals so savings transactions can be assigned to one
+   */
+  useEffect(function() {
+    if (!db) return;
+
+    db.getSavingsGoals()
+      .then(setGoals)
+      .catch(function(error) {
+        console.warn('Failed to load savings goals:', error);
+      });
+  }, [db]);
+
+  /**
+   * Loads accounts; new transactions go to the first account unless another is chosen
+   */
+  useEffect(function() {
+    if (!db) return;
+
+    db.getAccounts()
+      .then(function(accountsData) {
+        setAccounts(accountsData);
+        if (accountsData.length > 0) {
+          setAccountId(accountsData[0].id);
+        }
+      })
+      .catch(function(error) {
+        console.warn('Failed to load accounts:', error);
+      });
+  }, [db]);
+
+  /**
+   * Adds the chosen files to those attached on save, skipping those of another type or too large
+   * @param {Event} event - The file input change event
+   */
+  const handleFilesChange = function(event) {
+    const chosen = Array.from(event.target.files);
+    // Allow picking the same file again
+    event.target.value = '';
+    const valid = chosen.filter(function(file) {
+      const problem = validateAttachmentFile(file);
+      if (problem) {
+        toast.error(t(problem, { name: file.name }));
+      }
+      return !problem;
+    });
+    setFiles(prev => [...prev, ...valid]);
+  };
+
+  /**
+   * Splits the transaction into category lines, or joins it back under the first line's category
+   * @param {boolean} split - Whether the transaction is split
+   */
+  const handleSplitToggle = function(split) {
+    if (split) {
+      setSplitLines(createSplitLines(category, sum));
+    } else {
+      if (splitLines) {
+        setCategory(splitLines[0].category);
+      }
+      setSplitLines(null);
+    }
+  };
+
   /**
    * Handles form submission
    */
@@ -114,12 +239,14 @@ export default function AddCostForm({ db }) {
       return;
     }
 
-    // Validate inputs using Zod
+    // Validate inputs using Zod; a split transaction is filed under its first line's category
     const formData = {
       sum,
       currency,
-      category,
+      category: splitLines ? splitLines[0].category : category,
       description,
+      date,
+      ...(time && { time }),
       transactionType,
       ...(transactionType === 'savings' && { savingsAction })
     };
@@ -128,14 +255,14 @@ export default function AddCostForm({ db }) {
     
     if (!result.success) {
       const fieldErrors = {};
-      result.error.errors.forEach((error) => {
+      result.error.issues.forEach((error) => {
         const field = error.path[0];
         fieldErrors[field] = t(error.message);
       });
       setErrors(fieldErrors);
       
       // Show first error as toast
-      const firstError = result.error.errors[0];
+      const firstError = result.error.issues[0];
       toast.error(t(firstError.message));
       return;
     }
@@ -145,6 +272,14 @@ export default function AddCostForm({ db }) {
 
     const sumValue = parseFloat(result.data.sum);
 
+    if (splitLines) {
+      const splitError = validateSplits(splitLines, sumValue);
+      if (splitError) {
+        toast.error(t(splitError));
+        return;
+      }
+    }
+
     try {
       // Determine the type based on transaction type and savings action
       let type = result.data.transactionType;
@@ -152,31 +287,52 @@ export default function AddCostForm({ db }) {
         type = result.data.savingsAction === 'deposit' ? 'savings_deposit' : 'savings_withdrawal';
       }
 
-      await db.addCost({
+      const added = await db.addCost({
         sum: sumValue,
         currency: result.data.currency,
         category: result.data.category,
         description: result.data.description,
-        type: type
+        type: type,
+        ...(result.data.transactionType === 'savings' && goalId && { goalId: goalId }),
+        ...(accountId && { accountId: accountId }),
+        ...(splitLines && { splits: splitLines.map(line => ({ category: line.category, sum: parseFloat(line.sum) })) }),
+        ...(tags.length > 0 && { tags: tags }),
+        date: result.data.time ? `${result.data.date}T${result.data.time}` : result.data.date
       });
 
+      // A file that fails to attach doesn't undo the transaction
+      for (const file of files) {
+        try {
+          await db.addAttachment(await buildAttachment(file, added.id));
+        } catch (error) {
+          toast.error(t('attachments.failedToAttach', { name: file.name }) + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+        }
+      }
+
       // Reset form and show success message
       setSum('');
-      setCurrency('USD');
+      setCurrency(preferredCurrency);
       setCategory('');
+      setSplitLines(null);
       setDescription('');
+      setTags([]);
+      setFiles([]);
+      setDate(getTodayString());
+      setTime('');
       setTransactionType('expense');
       setSavingsAction('deposit');
+      setGoalId('');
       setErrors({});
       
       // Reload categories to include the new one
       try {
         const allCosts = await db.getAllCosts();
-        const costCategories = Array.from(new Set(allCosts.map(c => c.category)));
+        const costCategories = Array.from(new Set(allCosts.filter(c => c.type !== 'transfer').map(c => c.category)));
         const categoriesFromStore = await db.getCategories();
         const categoryNames = categoriesFromStore.map(c => c.name);
         const allCategories = Array.from(new Set([...categoryNames, ...costCategories]));
         setAvailableCategories(allCategories.sort());
+        setAvailableTags(await db.getAllTags());
       } catch (error) {
         // Ignore errors
       }
@@ -266,6 +422,59 @@ export default function AddCostForm({ db }) {
             </Tooltip>
           )}
 
+          {transactionType === 'savings' && (
+            <Tooltip title={t('forms.tooltips.savingsGoal')} arrow>
+              <FormControl 
+                fullWidth 
+                margin="normal" 
+                sx={{
+                  '& .MuiOutlinedInput-root': {
+                    borderRadius: 2,
+                  },
+                }}
+              >
+                <InputLabel shrink>{t('forms.savingsGoal')}</InputLabel>
+                <Select
+                  value={goalId}
+                  label={t('forms.savingsGoal')}
+                  onChange={(e) => setGoalId(e.target.value)}
+                  displayEmpty
+                  notched
+                >
+                  <MenuItem value="">{t('savingsGoals.unassigned')}</MenuItem>
+                  {goals.map((goal) => (
+                    <MenuItem key={goal.id} value={goal.id}>{goal.name}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Tooltip>
+          )}
+
+          {accounts.length > 1 && (
+            <Tooltip title={t('forms.tooltips.account')} arrow>
+              <FormControl 
+                fullWidth 
+                margin="normal" 
+                sx={{
+                  '& .MuiOutlinedInput-root': {
+                    borderRadius: 2,
+                  },
+                }}
+              >
+                <InputLabel>{t('forms.account')}</InputLabel>
+                <Select
+                  value={accountId}
+                  label={t('forms.account')}
+                  onChange={(e) => setAccountId(e.target.value)}
+                >
+                  {accounts.map((account) => (
+                    <MenuItem key={account.id} value={account.id}>{account.name}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Tooltip>
+          )}
+
           <Tooltip title={t('forms.tooltips.sum')} arrow>
             <TextField
               label={t('common.sum')}
@@ -318,53 +527,127 @@ export default function AddCostForm({ db }) {
                 }}
                 error={!!errors.currency}
               >
-                <MenuItem value="USD">{t('currency.usd')}</MenuItem>
-                <MenuItem value="ILS">{t('currency.ils')}</MenuItem>
-                <MenuItem value="GBP">{t('currency.gbp')}</MenuItem>
-                <MenuItem value="EURO">{t('currency.euro')}</MenuItem>
+                {getCurrencyChoices(currency).map((code) => (
+                  <MenuItem key={code} value={code}>{getCurrencyLabel(code, i18n.language)}</MenuItem>
+                ))}
               </Select>
             </FormControl>
           </Tooltip>
 
-          <Tooltip title={t('forms.tooltips.category')} arrow>
-            <Autocomplete
-              freeSolo
-              options={availableCategories}
-              value={category}
-              onChange={(event, newValue) => {
-                setCategory(typeof newValue === 'string' ? newValue : newValue || '');
-                if (errors.category) {
-                  setErrors({ ...errors, category: '' });
-                }
-              }}
-              onInputChange={(event, newInputValue) => {
-                setCategory(newInputValue);
-                if (errors.category) {
-                  setErrors({ ...errors, category: '' });
-                }
-              }}
-              renderInput={(params) => (
-                <TextField
-                  {...params}
-                  label={t('common.category')}
-                  required
-                  margin="normal"
-                  placeholder={t('forms.placeholders.category')}
-                  error={!!errors.category}
-                  helperText={errors.category}
-                  sx={{
-                    '& .MuiOutlinedInput-root': {
-                      borderRadius: 2,
-                      '&:hover fieldset': {
-                        borderColor: 'primary.main',
-                      },
-                    },
-                  }}
-                />
-              )}
-            />
+          <Tooltip title={t('forms.tooltips.date')} arrow>
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                label={t('forms.date')}
+                type="date"
+                value={date}
+                onChange={(e) => {
+                  setDate(e.target.value);
+                  if (errors.date) {
+                    setErrors({ ...errors, date: '' });
+                  }
+                }}
+                fullWidth
+                required
+                margin="normal"
+                InputLabelProps={{
+                  shrink: true,
+                }}
+                error={!!errors.date}
+                helperText={errors.date}
+                sx={{
+                  '& .MuiOutlinedInput-root': {
+                    borderRadius: 2,
+                  },
+                }}
+              />
+              <TextField
+                label={t('forms.time')}
+                type="time"
+                value={time}
+                onChange={(e) => {
+                  setTime(e.target.value);
+                  if (errors.time) {
+                    setErrors({ ...errors, time: '' });
+                  }
+                }}
+                margin="normal"
+                InputLabelProps={{
+                  shrink: true,
+                }}
+                error={!!errors.time}
+                helperText={errors.time}
+                sx={{
+                  minWidth: 160,
+                  '& .MuiOutlinedInput-root': {
+                    borderRadius: 2,
+                  },
+                }}
+              />
+            </Box>
           </Tooltip>
 
+          <FormControlLabel
+            control={
+              <Switch
+                checked={!!splitLines}
+                onChange={(e) => handleSplitToggle(e.target.checked)}
+              />
+            }
+            label={t('splits.splitTransaction')}
+            sx={{ mt: 1 }}
+          />
+
+          {splitLines ? (
+            <Box sx={{ mt: 1, mb: 1 }}>
+              <SplitLinesEditor
+                lines={splitLines}
+                onChange={setSplitLines}
+                total={parseFloat(sum) || 0}
+                currency={currency}
+                categories={availableCategories}
+              />
+            </Box>
+          ) : (
+            <Tooltip title={t('forms.tooltips.category')} arrow>
+              <Autocomplete
+                freeSolo
+                options={availableCategories}
+                value={category}
+                onChange={(event, newValue) => {
+                  setCategory(typeof newValue === 'string' ? newValue : newValue || '');
+                  if (errors.category) {
+                    setErrors({ ...errors, category: '' });
+                  }
+                }}
+                onInputChange={(event, newInputValue) => {
+                  setCategory(newInputValue);
+                  if (errors.category) {
+                    setErrors({ ...errors, category: '' });
+                  }
+                }}
+                renderInput={(params) => (
+                  <TextField
+                    {...params}
+                    label={t('common.category')}
+                    required
+                    margin="normal"
+                    placeholder={t('forms.placeholders.category')}
+                    error={!!errors.category}
+                    helperText={errors.category}
+                    sx={{
+                      '& .MuiOutlinedInput-root': {
+                        borderRadius: 2,
+                        '&:hover fieldset': {
+                          borderColor: 'primary.main',
+                        },
+                      },
+                    }}
+                  />
+                )}
+              />
+            </Tooltip>
+          )}
+
           <Tooltip title={t('forms.tooltips.description')} arrow>
             <TextField
               label={t('common.description')}
@@ -394,6 +677,50 @@ export default function AddCostForm({ db }) {
             />
           </Tooltip>
 
+          <Tooltip title={t('forms.tooltips.tags')} arrow placement="top">
+            <Box sx={{ mt: 2, mb: 1 }}>
+              <TagsInput
+                value={tags}
+                onChange={setTags}
+                options={availableTags}
+                sx={{
+                  '& .MuiOutlinedInput-root': {
+                    borderRadius: 2,
+                  },
+                }}
+              />
+            </Box>
+          </Tooltip>
+
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mt: 1 }}>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={ATTACHMENT_ACCEPT}
+              multiple
+              hidden
+              onChange={handleFilesChange}
+            />
+            <Tooltip title={t('forms.tooltips.attachments')} arrow>
+              <Button
+                variant="outlined"
+                startIcon={<AttachFileIcon />}
+                onClick={() => fileInputRef.current.click()}
+                sx={{ borderRadius: 2 }}
+              >
+                {t('attachments.add')}
+              </Button>
+            </Tooltip>
+            {files.map((file, index) => (
+              <Chip
+                key={`${file.name}-${index}`}
+                label={`${file.name} (${formatBytes(file.size, i18n.language)})`}
+                onDelete={() => setFiles(prev => prev.filter((item, i) => i !== index))}
+                size="small"
+              />
+            ))}
+          </Box>
+
           <Button
             type="submit"
             variant="contained"
@@ -0,0 +1,308 @@
+/**
+ * AttachmentsDialog.jsx - Receipts and documents attached to one transaction
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  IconButton,
+  Tooltip,
+  Badge,
+  Paper,
+  CircularProgress
+} from '@mui/material';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import AttachFileIcon from '@mui/icons-material/AttachFile';
+import PictureAsPdfIcon from '@mui/icons-material/PictureAsPdf';
+import DownloadIcon from '@mui/icons-material/Download';
+import DeleteIcon from '@mui/icons-material/Delete';
+import {
+  ATTACHMENT_ACCEPT,
+  isImageAttachment,
+  validateAttachmentFile,
+  buildAttachment,
+  formatBytes
+} from '../../lib/attachments';
+import { downloadBlob } from '../../lib/exportHelpers';
+
+/**
+ * AttachmentsButton component
+ * Paperclip button showing how many files a transaction has
+ * @param {Object} props - Component props
+ * @param {number} [props.count] - Number of attachments
+ * @param {function(): void} props.onClick - Opens the attachments
+ */
+export function AttachmentsButton({ count, onClick }) {
+  const { t } = useTranslation();
+
+  return (
+    <Tooltip title={t('attachments.title')}>
+      <IconButton size="small" onClick={onClick}>
+        <Badge badgeContent={count || 0} color="primary" max={99}>
+          <AttachFileIcon fontSize="small" />
+        </Badge>
+      </IconButton>
+    </Tooltip>
+  );
+}
+
+/**
+ * AttachmentsDialog component
+ * Lists the files of a transaction as thumbnails, shows the chosen one full size,
+ * and attaches or deletes files
+ * @param {Object} props - Component props
+ * @param {Object|null} props.db - Database instance
+ * @param {Object|null} props.cost - The transaction, with id and description; the dialog is open while it is set
+ * @param {function(): void} props.onClose - Called when the dialog is closed
+ * @param {function(number, number): void} [props.onChange] - Called with the cost ID and its new number of attachments
+ */
+export default function AttachmentsDialog({ db, cost, onClose, onChange }) {
+  const { t, i18n } = useTranslation();
+  const fileInputRef = useRef(null);
+  const [attachments, setAttachments] = useState([]);
+  const [thumbnailUrls, setThumbnailUrls] = useState({});
+  const [selectedId, setSelectedId] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const selected = attachments.find(attachment => attachment.id === selectedId) || null;
+
+  /**
+   * Loads the files of the transaction when the dialog opens
+   */
+  useEffect(function() {
+    setAttachments([]);
+    setSelectedId(null);
+    if (!db || !cost) return;
+
+    let cancelled = false;
+    setLoading(true);
+    db.getAttachments(cost.id)
+      .then(function(items) {
+        if (!cancelled) {
+          setAttachments(items);
+          setSelectedId(items.length > 0 ? items[0].id : null);
+        }
+      })
+      .catch(function(error) {
+        toast.error(t('messages.failedToLoad') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+      })
+      .finally(function() {
+        if (!cancelled) setLoading(false);
+      });
+    return function() {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [db, cost]);
+
+  /**
+   * Creates object URLs for the thumbnails and releases them when the list changes
+   */
+  useEffect(function() {
+    const urls = {};
+    attachments.forEach(function(attachment) {
+      if (attachment.thumbnail) {
+        urls[attachment.id] = URL.createObjectURL(attachment.thumbnail);
+      }
+    });
+    setThumbnailUrls(urls);
+    return function() {
+      Object.values(urls).forEach(url => URL.revokeObjectURL(url));
+    };
+  }, [attachments]);
+
+  /**
+   * Creates an object URL for the file shown full size
+   */
+  useEffect(function() {
+    if (!selected) {
+      setPreviewUrl(null);
+      return undefined;
+    }
+    const url = URL.createObjectURL(selected.blob);
+    setPreviewUrl(url);
+    return function() {
+      URL.revokeObjectURL(url);
+    };
+  }, [selected]);
+
+  /**
+   * Attaches the chosen files, skipping those of another type or too large
+   * @param {Event} event - The file input change event
+   */
+  const handleFilesChange = async function(event) {
+    const files = Array.from(event.target.files);
+    // Allow picking the same file again
+    event.target.value = '';
+    if (files.length === 0) return;
+
+    setBusy(true);
+    try {
+      const added = [];
+      for (const file of files) {
+        const problem = validateAttachmentFile(file);
+        if (problem) {
+          toast.error(t(problem, { name: file.name }));
+          continue;
+        }
+        added.push(await db.addAttachment(await buildAttachment(file, cost.id)));
+      }
+      if (added.length > 0) {
+        const updated = [...attachments, ...added];
+        setAttachments(updated);
+        setSelectedId(added[0].id);
+        toast.success(t('attachments.added', { count: added.length }));
+        if (onChange) onChange(cost.id, updated.length);
+      }
+    } catch (error) {
+      toast.error(t('messages.failedToSave') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async function(attachment) {
+    setBusy(true);
+    try {
+      await db.deleteAttachment(attachment.id);
+      const updated = attachments.filter(item => item.id !== attachment.id);
+      setAttachments(updated);
+      if (selectedId === attachment.id) {
+        setSelectedId(updated.length > 0 ? updated[0].id : null);
+      }
+      toast.success(t('attachments.deleted'));
+      if (onChange) onChange(cost.id, updated.length);
+    } catch (error) {
+      toast.error(t('messages.failedToDelete') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Dialog open={!!cost} onClose={onClose} maxWidth="md" fullWidth PaperProps={{ sx: { borderRadius: 3 } }}>
+      <DialogTitle>
+        {t('attachments.title')}
+        {cost && cost.description && (
+          <Typography variant="body2" color="text.secondary">
+            {cost.description}
+          </Typography>
+        )}
+      </DialogTitle>
+      <DialogContent>
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : attachments.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ textAlign: 'center', py: 4 }}>
+            {t('attachments.none')}
+          </Typography>
+        ) : (
+          <>
+            <Box sx={{ display: 'flex', gap: 1.5, flexWrap: 'wrap', mb: 2 }}>
+              {attachments.map((attachment) => (
+                <Paper
+                  key={attachment.id}
+                  variant="outlined"
+                  onClick={() => setSelectedId(attachment.id)}
+                  sx={{
+                    width: 96,
+                    height: 96,
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    overflow: 'hidden',
+                    cursor: 'pointer',
+                    borderRadius: 2,
+                    borderWidth: 2,
+                    borderColor: attachment.id === selectedId ? 'primary.main' : 'divider',
+                  }}
+                >
+                  {thumbnailUrls[attachment.id] ? (
+                    <img
+                      src={thumbnailUrls[attachment.id]}
+                      alt={attachment.name}
+                      style={{ width: '100%', height: '100%', objectFit: 'cover' }}
+                    />
+                  ) : isImageAttachment(attachment) ? (
+                    <AttachFileIcon color="action" fontSize="large" />
+                  ) : (
+                    <PictureAsPdfIcon color="error" fontSize="large" />
+                  )}
+                </Paper>
+              ))}
+            </Box>
+
+            {selected && (
+              <Box>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                  <Typography variant="subtitle2" sx={{ flex: 1, fontWeight: 600, wordBreak: 'break-all' }}>
+                    {selected.name}
+                    <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                      {formatBytes(selected.size, i18n.language)}
+                    </Typography>
+                  </Typography>
+                  <Tooltip title={t('attachments.download')}>
+                    <IconButton size="small" onClick={() => downloadBlob(selected.blob, selected.name)}>
+                      <DownloadIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title={t('common.delete')}>
+                    <span>
+                      <IconButton size="small" color="error" onClick={() => handleDelete(selected)} disabled={busy}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                </Box>
+                {previewUrl && (isImageAttachment(selected) ? (
+                  <Box
+                    component="img"
+                    src={previewUrl}
+                    alt={selected.name}
+                    sx={{ display: 'block', maxWidth: '100%', maxHeight: '60vh', mx: 'auto', borderRadius: 2 }}
+                  />
+                ) : (
+                  <Box
+                    component="iframe"
+                    src={previewUrl}
+                    title={selected.name}
+                    sx={{ width: '100%', height: '60vh', border: '1px solid', borderColor: 'divider', borderRadius: 2 }}
+                  />
+                ))}
+              </Box>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={ATTACHMENT_ACCEPT}
+          multiple
+          hidden
+          onChange={handleFilesChange}
+        />
+        <Button
+          startIcon={<AttachFileIcon />}
+          onClick={() => fileInputRef.current.click()}
+          disabled={!db || !cost || busy}
+        >
+          {t('attachments.add')}
+        </Button>
+        <Button onClick={onClose}>{t('common.close')}</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
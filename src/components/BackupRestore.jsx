@@ -0,0 +1,184 @@
+/**
+ * BackupRestore.jsx - Component for backing up and restoring all app data
+ */
+
+import React, { useState, useRef } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  Paper,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  RadioGroup,
+  Radio,
+  FormControlLabel,
+  Alert,
+  List,
+  ListItem,
+  ListItemText
+} from '@mui/material';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import DownloadIcon from '@mui/icons-material/Download';
+import RestoreIcon from '@mui/icons-material/Restore';
+import { createBackup, downloadBackup, parseBackup, restoreBackup, getBackupSummary } from '../lib/backup';
+
+// Gives the success toast time to show before the app reloads
+const RELOAD_DELAY = 1500;
+
+/**
+ * BackupRestore component
+ * Downloads a JSON backup of every store and the local settings, and restores one
+ * by merging it into the current data or replacing the current data
+ * @param {Object} props - Component props
+ * @param {Object|null} props.db - Database instance
+ */
+export default function BackupRestore({ db }) {
+  const { t } = useTranslation();
+  const fileInputRef = useRef(null);
+  const [busy, setBusy] = useState(false);
+  const [pendingBackup, setPendingBackup] = useState(null);
+  const [mode, setMode] = useState('merge');
+
+  const handleBackup = async function() {
+    setBusy(true);
+    try {
+      const backup = await createBackup(db);
+      downloadBackup(backup);
+      toast.success(t('backup.backupCreated'));
+    } catch (error) {
+      toast.error(t('messages.failedToExport') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Reads and validates the chosen file, then asks how to restore it
+   * @param {Event} event - The file input change event
+   */
+  const handleFileChange = async function(event) {
+    const file = event.target.files[0];
+    // Allow picking the same file again
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const backup = await parseBackup(await file.text());
+      setMode('merge');
+      setPendingBackup(backup);
+    } catch (error) {
+      toast.error(t('backup.invalidBackup') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  const handleRestore = async function() {
+    setBusy(true);
+    try {
+      const counts = await restoreBackup(db, pendingBackup, mode);
+      const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+      setPendingBackup(null);
+      toast.success(t('backup.restored', { count: total }));
+      // Theme, language and notifications are read from localStorage on startup
+      setTimeout(function() {
+        window.location.reload();
+      }, RELOAD_DELAY);
+    } catch (error) {
+      toast.error(t('backup.failedToRestore') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const summary = pendingBackup ? getBackupSummary(pendingBackup) : {};
+
+  return (
+    <Paper
+      elevation={0}
+      sx={{
+        p: 3,
+        mt: 3,
+        bgcolor: 'background.paper',
+        borderRadius: 2,
+        border: '1px solid',
+        borderColor: 'divider',
+      }}
+    >
+      <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+        {t('backup.title')}
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        {t('backup.helper')}
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+        <Button
+          variant="outlined"
+          startIcon={<DownloadIcon />}
+          onClick={handleBackup}
+          disabled={!db || busy}
+          sx={{ borderRadius: 2 }}
+        >
+          {t('backup.download')}
+        </Button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          hidden
+          onChange={handleFileChange}
+        />
+        <Button
+          variant="outlined"
+          startIcon={<RestoreIcon />}
+          onClick={() => fileInputRef.current.click()}
+          disabled={!db || busy}
+          sx={{ borderRadius: 2 }}
+        >
+          {t('backup.restore')}
+        </Button>
+      </Box>
+
+      <Dialog open={!!pendingBackup} onClose={() => setPendingBackup(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{t('backup.restoreTitle')}</DialogTitle>
+        <DialogContent>
+          {pendingBackup && (
+            <>
+              <Typography variant="body2" color="text.secondary">
+                {t('backup.createdAt', { date: new Date(pendingBackup.createdAt).toLocaleString() })}
+              </Typography>
+              <List dense>
+                {Object.keys(summary).filter(name => summary[name] > 0).map((name) => (
+                  <ListItem key={name} disableGutters>
+                    <ListItemText primary={t('backup.stores.' + name)} secondary={summary[name]} />
+                  </ListItem>
+                ))}
+              </List>
+              <RadioGroup value={mode} onChange={(e) => setMode(e.target.value)}>
+                <FormControlLabel value="merge" control={<Radio />} label={t('backup.modes.merge')} />
+                <FormControlLabel value="replace" control={<Radio />} label={t('backup.modes.replace')} />
+              </RadioGroup>
+              <Alert severity={mode === 'replace' ? 'warning' : 'info'} sx={{ mt: 1, borderRadius: 2 }}>
+                {t('backup.modeHelp.' + mode)}
+              </Alert>
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPendingBackup(null)} disabled={busy}>{t('common.cancel')}</Button>
+          <Button
+            variant="contained"
+            color={mode === 'replace' ? 'error' : 'primary'}
+            onClick={handleRestore}
+            disabled={busy}
+          >
+            {t('backup.restore')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+}
@@ -2,7 +2,7 @@
  * BarChartView.jsx - Component for displaying bar chart of monthly costs
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Box,
   Button,
@@ -20,45 +20,73 @@ import {
   Fade
 } from '@mui/material';
 import { useTranslation } from 'react-i18next';
+import { useSearchParams } from 'react-router-dom';
 import { useTheme } from '../contexts/ThemeContext';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { getBarChartData } from '../lib/chartHelpers';
 import { motion } from 'framer-motion';
+import { readDateParam, readChoiceParam, readCurrencyParam, formatDateParam, buildSearchParams, withSearchParam } from '../lib/routes';
+import { getCurrencyChoices, formatCurrency } from '../lib/currencies';
+import { useSettings, useCurrencySwitch } from '../contexts/SettingsContext';
+
+/**
+ * Reads the chart shown in the URL
+ * Without dates in the URL the chart covers the current month.
+ * @param {URLSearchParams} params - URL search parameters
+ * @param {string} defaultCurrency - Currency used when the URL has none
+ * @returns {{start: string, end: string, groupBy: string, currency: string}} Date range as YYYY-MM-DD, grouping and currency of the chart
+ */
+function readChartParams(params, defaultCurrency) {
+  const date = new Date();
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  const firstOfMonth = { year: date.getFullYear(), month: date.getMonth() + 1, day: 1 };
+  return {
+    start: formatDateParam(readDateParam(params, 'start', firstOfMonth)),
+    end: formatDateParam(readDateParam(params, 'end', { ...firstOfMonth, day: lastDay })),
+    groupBy: readChoiceParam(params, 'groupBy', ['months', 'days'], 'months'),
+    currency: readCurrencyParam(params, 'currency', defaultCurrency),
+  };
+}
 
 /**
  * BarChartView component
  * Displays a bar chart showing total costs for each month in a selected year
+ * The date range, grouping and currency are kept in the URL
  * @param {Object} props - Component props
  * @param {Object|null} props.db - Database instance
  */
 export default function BarChartView({ db }) {
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
   const { mode } = useTheme();
-  const currentDate = new Date();
-  const firstDayOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
-  const lastDayOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0);
-  
-  const [startDate, setStartDate] = useState(firstDayOfMonth.toISOString().split('T')[0]);
-  const [endDate, setEndDate] = useState(lastDayOfMonth.toISOString().split('T')[0]);
-  const [groupBy, setGroupBy] = useState('months'); // 'months' or 'days'
-  const [currency, setCurrency] = useState('USD');
-  const [displayedCurrency, setDisplayedCurrency] = useState('USD'); // Currency actually used in the chart
+  const { preferredCurrency } = useSettings();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [startDate, setStartDate] = useState(() => readChartParams(searchParams, preferredCurrency).start);
+  const [endDate, setEndDate] = useState(() => readChartParams(searchParams, preferredCurrency).end);
+  const [groupBy, setGroupBy] = useState(() => readChartParams(searchParams, preferredCurrency).groupBy); // 'months' or 'days'
+  const [currency, setCurrency] = useState(() => readChartParams(searchParams, preferredCurrency).currency);
+  const [displayedCurrency, setDisplayedCurrency] = useState(preferredCurrency); // Currency actually used in the chart
   const [chartData, setChartData] = useState([]);
   const [loading, setLoading] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
 
   /**
-   * Fetches and displays the bar chart
+   * Shows the chart in the currency switched to in the header
    */
-  const handleGetChart = async function() {
-    if (!db) {
-      setErrorMessage(t('messages.databaseNotInitialized'));
-      return;
+  useCurrencySwitch(function(code) {
+    setCurrency(code);
+    if (searchParams.has('start') && searchParams.has('end')) {
+      setSearchParams(withSearchParam(searchParams, 'currency', code), { replace: true });
     }
+  });
 
+  /**
+   * Fetches and displays the bar chart
+   * @param {{start: string, end: string, groupBy: string, currency: string}} params - Date range, grouping and currency of the chart
+   */
+  const loadChart = async function(params) {
     // Validate date range
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    const start = new Date(params.start);
+    const end = new Date(params.end);
     
     if (start > end) {
       setErrorMessage(t('messages.pleaseEnter') + ' valid date range');
@@ -70,9 +98,9 @@ export default function BarChartView({ db }) {
     setChartData([]);
 
     try {
-      const data = await getBarChartData(start, end, currency, db, groupBy);
+      const data = await getBarChartData(start, end, params.currency, db, params.groupBy);
       setChartData(data);
-      setDisplayedCurrency(currency); // Update displayed currency after successful fetch
+      setDisplayedCurrency(params.currency); // Update displayed currency after successful fetch
     } catch (error) {
       setErrorMessage(t('messages.failedToGet') + ' chart data: ' + (error instanceof Error ? error.message : 'Unknown error'));
     } finally {
@@ -80,6 +108,39 @@ export default function BarChartView({ db }) {
     }
   };
 
+  /**
+   * Shows the chart named in the URL, when the view is opened from a link or the browser history
+   */
+  useEffect(function() {
+    if (db && searchParams.has('start') && searchParams.has('end')) {
+      const params = readChartParams(searchParams, preferredCurrency);
+      setStartDate(params.start);
+      setEndDate(params.end);
+      setGroupBy(params.groupBy);
+      setCurrency(params.currency);
+      loadChart(params);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [db, searchParams]);
+
+  /**
+   * Puts the chosen range in the URL, which loads its chart
+   */
+  const handleGetChart = function() {
+    if (!db) {
+      setErrorMessage(t('messages.databaseNotInitialized'));
+      return;
+    }
+
+    const chart = { start: startDate, end: endDate, groupBy: groupBy, currency: currency };
+    const params = buildSearchParams(chart);
+    if (params.toString() === searchParams.toString()) {
+      loadChart(chart);
+    } else {
+      setSearchParams(params);
+    }
+  };
+
   return (
     <Card 
       sx={{ 
@@ -173,10 +234,9 @@ export default function BarChartView({ db }) {
             label={t('common.currency')}
             onChange={(e) => setCurrency(e.target.value)}
           >
-            <MenuItem value="USD">USD</MenuItem>
-            <MenuItem value="ILS">ILS</MenuItem>
-            <MenuItem value="GBP">GBP</MenuItem>
-            <MenuItem value="EURO">EURO</MenuItem>
+            {getCurrencyChoices(currency).map((code) => (
+              <MenuItem key={code} value={code}>{code}</MenuItem>
+            ))}
           </Select>
         </FormControl>
 
@@ -243,7 +303,7 @@ export default function BarChartView({ db }) {
                         axisLine={{ stroke: mode === 'dark' ? '#334155' : '#e0e0e0' }}
                       />
                       <Tooltip 
-                        formatter={(value) => `${value.toFixed(2)} ${displayedCurrency}`}
+                        formatter={(value) => formatCurrency(value, displayedCurrency, i18n.language)}
                         contentStyle={{ 
                           borderRadius: 8,
                           border: `1px solid ${mode === 'dark' ? '#334155' : '#e0e0e0'}`,
@@ -5,18 +5,20 @@
 import React from 'react';
 import { Card, CardContent, Typography, Box, LinearProgress, Chip } from '@mui/material';
 import { useTranslation } from 'react-i18next';
+import { getBudgetStatus } from '../../lib/budgets';
+import { formatCurrency, formatAmount } from '../../lib/currencies';
 
 /**
  * BudgetCard component
  * @param {Object} props - Component props
  * @param {Object} props.budget - Budget object
- * @param {number} props.spent - Amount spent
+ * @param {number} props.spent - Amount spent, from getBudgetSpent (category budgets count only their category)
+ * @param {number} [props.carryover=0] - Amount rolled over from the previous month, negative for a deficit
  */
-export default function BudgetCard({ budget, spent }) {
-  const { t } = useTranslation();
-  const percentage = (spent / budget.amount) * 100;
-  const remaining = budget.amount - spent;
-  const isOverBudget = spent > budget.amount;
+export default function BudgetCard({ budget, spent, carryover = 0 }) {
+  const { t, i18n } = useTranslation();
+  const { available, percentage, remaining, status } = getBudgetStatus(budget, spent, carryover);
+  const isOverBudget = status === 'exceeded';
 
   const getBudgetTypeLabel = function() {
     if (budget.type === 'monthly') {
@@ -36,6 +38,11 @@ export default function BudgetCard({ budget, spent }) {
             <Typography variant="h6" sx={{ fontWeight: 600 }}>
               {getBudgetTypeLabel()}
             </Typography>
+            {budget.type === 'category' && (
+              <Typography variant="body2" color="text.secondary">
+                {budget.month ? `${budget.month}/${budget.year}` : budget.year}
+              </Typography>
+            )}
             <Chip 
               label={budget.type} 
               size="small" 
@@ -43,9 +50,21 @@ export default function BudgetCard({ budget, spent }) {
               color={budget.type === 'monthly' ? 'primary' : budget.type === 'yearly' ? 'secondary' : 'default'}
             />
           </Box>
-          <Typography variant="h5" sx={{ fontWeight: 700, color: 'primary.main' }}>
-            {budget.amount.toFixed(2)} {budget.currency}
-          </Typography>
+          <Box sx={{ textAlign: 'right' }}>
+            <Typography variant="h5" sx={{ fontWeight: 700, color: 'primary.main' }}>
+              {formatCurrency(budget.amount, budget.currency, i18n.language)}
+            </Typography>
+            {budget.rollover && (
+              <Typography
+                variant="caption"
+                sx={{ display: 'block', color: carryover < 0 ? 'error.main' : 'text.secondary' }}
+              >
+                {t('budget.rolledOver')}: {carryover >= 0 ? '+' : '-'}{formatAmount(Math.abs(carryover), budget.currency, i18n.language)}
+                {' · '}
+                {t('budget.available')}: {formatAmount(available, budget.currency, i18n.language)}
+              </Typography>
+            )}
+          </Box>
         </Box>
 
         <Box sx={{ mb: 2 }}>
@@ -57,13 +76,13 @@ export default function BudgetCard({ budget, spent }) {
               variant="body2" 
               sx={{ fontWeight: 600, color: isOverBudget ? 'error.main' : 'text.primary' }}
             >
-              {spent.toFixed(2)} {budget.currency}
+              {formatCurrency(spent, budget.currency, i18n.language)}
             </Typography>
           </Box>
           <LinearProgress 
             variant="determinate" 
             value={Math.min(percentage, 100)} 
-            color={isOverBudget ? 'error' : percentage > 80 ? 'warning' : 'primary'}
+            color={isOverBudget ? 'error' : status === 'warning' ? 'warning' : 'primary'}
             sx={{ height: 8, borderRadius: 4 }}
           />
           <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 1 }}>
@@ -75,7 +94,7 @@ export default function BudgetCard({ budget, spent }) {
               sx={{ fontWeight: 600, color: remaining < 0 ? 'error.main' : 'success.main' }}
             >
               {remaining >= 0 ? t('budget.remaining') + ': ' : t('budget.overBy') + ': '}
-              {Math.abs(remaining).toFixed(2)} {budget.currency}
+              {formatCurrency(Math.abs(remaining), budget.currency, i18n.language)}
             </Typography>
           </Box>
         </Box>
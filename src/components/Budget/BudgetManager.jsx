@@ -19,21 +19,35 @@ import {
   Select,
   MenuItem,
   Alert,
-  CircularProgress
+  CircularProgress,
+  FormControlLabel,
+  Switch,
+  Tabs,
+  Tab
 } from '@mui/material';
 import { useTranslation } from 'react-i18next';
 import AddIcon from '@mui/icons-material/Add';
 import AccountBalanceIcon from '@mui/icons-material/AccountBalance';
 import BudgetCard from './BudgetCard';
+import EnvelopeView from './EnvelopeView';
 import toast from 'react-hot-toast';
+import { getBudgetsProgress, isMonthlyBudget, MONTH_KEYS } from '../../lib/budgets';
+import { getCurrencyChoices } from '../../lib/currencies';
+import { formatCategoryPath } from '../../lib/categoryTree';
+import { useSettings } from '../../contexts/SettingsContext';
 
 /**
  * BudgetManager component
+ * Category budgets track only the expenses in their category and the categories below it,
+ * for one month or a whole year.
+ * Monthly budgets can roll their leftover or deficit into the next month's budget of the same scope,
+ * and the envelope tab splits a month's income into category budgets.
  * @param {Object} props - Component props
  * @param {Object|null} props.db - Database instance
  */
 export default function BudgetManager({ db }) {
   const { t } = useTranslation();
+  const { preferredCurrency } = useSettings();
   const [budgets, setBudgets] = useState([]);
   const [loading, setLoading] = useState(true);
   const [openDialog, setOpenDialog] = useState(false);
@@ -41,10 +55,14 @@ export default function BudgetManager({ db }) {
   const [year, setYear] = useState(new Date().getFullYear());
   const [month, setMonth] = useState(new Date().getMonth() + 1);
   const [amount, setAmount] = useState('');
-  const [currency, setCurrency] = useState('USD');
+  const [currency, setCurrency] = useState(preferredCurrency);
   const [category, setCategory] = useState('');
   const [categories, setCategories] = useState([]);
-  const [spentAmounts, setSpentAmounts] = useState({});
+  // Stored categories, for showing where a category is in the tree
+  const [storedCategories, setStoredCategories] = useState([]);
+  const [rollover, setRollover] = useState(false);
+  const [progress, setProgress] = useState({});
+  const [tab, setTab] = useState('budgets');
 
   useEffect(function() {
     if (db) {
@@ -56,7 +74,7 @@ export default function BudgetManager({ db }) {
 
   useEffect(function() {
     if (db && budgets.length > 0) {
-      loadSpentAmounts();
+      loadProgress();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [db, budgets]);
@@ -76,55 +94,44 @@ export default function BudgetManager({ db }) {
     }
   };
 
+  /**
+   * Reloads budgets without the loading spinner, after envelope changes
+   */
+  const refreshBudgets = async function() {
+    try {
+      setBudgets(await db.getAllBudgets());
+    } catch (error) {
+      // Ignore
+    }
+  };
+
   const loadCategories = async function() {
     if (!db) return;
     
     try {
       const allCosts = await db.getAllCosts();
-      const uniqueCategories = Array.from(new Set(allCosts.map(c => c.category)));
+      const stored = await db.getCategories();
+      // Parent categories may have no transactions of their own, so stored categories are offered too
+      const uniqueCategories = Array.from(new Set([
+        ...stored.map(c => c.name),
+        ...allCosts.filter(c => c.type !== 'transfer').map(c => c.category)
+      ]));
+      uniqueCategories.sort((a, b) => formatCategoryPath(stored, a).localeCompare(formatCategoryPath(stored, b)));
+      setStoredCategories(stored);
       setCategories(uniqueCategories);
     } catch (error) {
       // Ignore
     }
   };
 
-  const loadSpentAmounts = async function() {
+  const loadProgress = async function() {
     if (!db) return;
     
-    const amounts = {};
-    
-    for (const budget of budgets) {
-      try {
-        let spent = 0;
-        
-        if (budget.type === 'monthly' && budget.month) {
-          const report = await db.getReport(budget.year, budget.month, budget.currency);
-          spent = report.total.total;
-        } else if (budget.type === 'yearly') {
-          let total = 0;
-          for (let m = 1; m <= 12; m++) {
-            const report = await db.getReport(budget.year, m, budget.currency);
-            total += report.total.total;
-          }
-          spent = total;
-        } else if (budget.type === 'category' && budget.category) {
-          const costs = await db.getCostsByCategory(budget.category);
-          // Convert to budget currency
-          const exchangeRateUrl = localStorage.getItem('exchangeRateUrl') || './exchange-rates.json';
-          const rates = await fetch(exchangeRateUrl).then(r => r.json());
-          spent = costs.reduce((sum, cost) => {
-            const amountInUSD = cost.sum / rates[cost.currency];
-            return sum + (amountInUSD * rates[budget.currency]);
-          }, 0);
-        }
-        
-        amounts[budget.id] = spent;
-      } catch (error) {
-        amounts[budget.id] = 0;
-      }
+    try {
+      setProgress(await getBudgetsProgress(db, budgets));
+    } catch (error) {
+      setProgress({});
     }
-    
-    setSpentAmounts(amounts);
   };
 
   const handleOpenDialog = function() {
@@ -133,8 +140,9 @@ export default function BudgetManager({ db }) {
     setYear(new Date().getFullYear());
     setMonth(new Date().getMonth() + 1);
     setAmount('');
-    setCurrency('USD');
+    setCurrency(preferredCurrency);
     setCategory('');
+    setRollover(false);
   };
 
   const handleCloseDialog = function() {
@@ -153,6 +161,11 @@ export default function BudgetManager({ db }) {
       return;
     }
 
+    if (budgetType === 'category' && !category) {
+      toast.error(t('messages.pleaseEnterCategory'));
+      return;
+    }
+
     try {
       const budgetData = {
         year,
@@ -161,6 +174,9 @@ export default function BudgetManager({ db }) {
         type: budgetType,
         ...(budgetType === 'monthly' && { month }),
         ...(budgetType === 'category' && category && { category }),
+        // A category budget without a month covers the whole year
+        ...(budgetType === 'category' && month && { month }),
+        rollover: rollover && isMonthlyBudget({ type: budgetType, month }),
       };
 
       await db.setBudget(budgetData);
@@ -209,7 +225,20 @@ export default function BudgetManager({ db }) {
         </Button>
       </Box>
 
-      {budgets.length === 0 ? (
+      <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ mb: 3 }}>
+        <Tab value="budgets" label={t('budget.tabs.budgets')} />
+        <Tab value="envelopes" label={t('budget.tabs.envelopes')} />
+      </Tabs>
+
+      {tab === 'envelopes' ? (
+        <EnvelopeView
+          db={db}
+          budgets={budgets}
+          progress={progress}
+          categories={categories}
+          onChange={refreshBudgets}
+        />
+      ) : budgets.length === 0 ? (
         <Paper sx={{ p: 4, textAlign: 'center', borderRadius: 3, bgcolor: 'background.paper' }}>
           <AccountBalanceIcon sx={{ fontSize: 64, color: 'text.secondary', mb: 2 }} />
           <Typography variant="h6" gutterBottom>
@@ -228,7 +257,8 @@ export default function BudgetManager({ db }) {
             <Grid item xs={12} md={6} lg={4} key={budget.id}>
               <BudgetCard 
                 budget={budget} 
-                spent={spentAmounts[budget.id] || 0}
+                spent={progress[budget.id] ? progress[budget.id].spent : 0}
+                carryover={progress[budget.id] ? progress[budget.id].carryover : 0}
               />
             </Grid>
           ))}
@@ -286,19 +316,44 @@ export default function BudgetManager({ db }) {
             )}
 
             {budgetType === 'category' && (
-              <FormControl fullWidth margin="normal">
-                <InputLabel>{t('common.category')}</InputLabel>
-                <Select
-                  value={category}
-                  onChange={(e) => setCategory(e.target.value)}
-                >
-                  {categories.map((cat) => (
-                    <MenuItem key={cat} value={cat}>
-                      {cat}
-                    </MenuItem>
-                  ))}
-                </Select>
-              </FormControl>
+              <>
+                <FormControl fullWidth margin="normal">
+                  <InputLabel>{t('common.category')}</InputLabel>
+                  <Select
+                    value={category}
+                    onChange={(e) => setCategory(e.target.value)}
+                  >
+                    {categories.map((cat) => (
+                      <MenuItem key={cat} value={cat}>
+                        {formatCategoryPath(storedCategories, cat)}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                <TextField
+                  label={t('common.year')}
+                  type="number"
+                  value={year}
+                  onChange={(e) => setYear(parseInt(e.target.value) || new Date().getFullYear())}
+                  fullWidth
+                  margin="normal"
+                />
+                <FormControl fullWidth margin="normal">
+                  <InputLabel>{t('budget.period')}</InputLabel>
+                  <Select
+                    value={month}
+                    label={t('budget.period')}
+                    onChange={(e) => setMonth(e.target.value)}
+                  >
+                    <MenuItem value={0}>{t('budget.wholeYear')}</MenuItem>
+                    {MONTH_KEYS.map((key, index) => (
+                      <MenuItem key={key} value={index + 1}>
+                        {t('months.' + key)}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </>
             )}
 
             <TextField
@@ -315,12 +370,19 @@ export default function BudgetManager({ db }) {
             <FormControl fullWidth margin="normal">
               <InputLabel>{t('common.currency')}</InputLabel>
               <Select value={currency} onChange={(e) => setCurrency(e.target.value)}>
-                <MenuItem value="USD">USD</MenuItem>
-                <MenuItem value="ILS">ILS</MenuItem>
-                <MenuItem value="GBP">GBP</MenuItem>
-                <MenuItem value="EURO">EURO</MenuItem>
+                {getCurrencyChoices(currency).map((code) => (
+                  <MenuItem key={code} value={code}>{code}</MenuItem>
+                ))}
               </Select>
             </FormControl>
+
+            {isMonthlyBudget({ type: budgetType, month }) && (
+              <FormControlLabel
+                control={<Switch checked={rollover} onChange={(e) => setRollover(e.target.checked)} />}
+                label={t('budget.rollover')}
+                sx={{ mt: 1 }}
+              />
+            )}
           </Box>
         </DialogContent>
         <DialogActions>
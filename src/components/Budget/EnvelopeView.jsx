@@ -0,0 +1,357 @@
+/**
+ * EnvelopeView.jsx - Envelope-style allocation of a month's income across categories
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  Typography,
+  Paper,
+  Grid,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  IconButton,
+  Tooltip,
+  LinearProgress,
+  Autocomplete,
+  Alert,
+  FormControlLabel,
+  Switch
+} from '@mui/material';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import ChevronLeftIcon from '@mui/icons-material/ChevronLeft';
+import ChevronRightIcon from '@mui/icons-material/ChevronRight';
+import DeleteIcon from '@mui/icons-material/Delete';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import { findPreviousBudget, getBudgetStatus, MONTH_KEYS } from '../../lib/budgets';
+import { getCurrencyChoices, formatCurrency, formatAmount } from '../../lib/currencies';
+import { useSettings, useCurrencySwitch } from '../../contexts/SettingsContext';
+
+/**
+ * EnvelopeView component
+ * Each envelope is a category budget for the selected month, so envelopes share spending,
+ * rollover and notifications with the budgets tab. Unassigned is the month's income
+ * (getReport().totals.incomes) minus everything allocated.
+ * @param {Object} props - Component props
+ * @param {Object} props.db - Database instance
+ * @param {Object[]} props.budgets - All budgets
+ * @param {Object.<number, {spent: number, carryover: number}>} props.progress - Progress by budget ID, from getBudgetsProgress
+ * @param {string[]} props.categories - Category suggestions
+ * @param {function(): void} props.onChange - Called after envelopes change so budgets and progress reload
+ */
+export default function EnvelopeView({ db, budgets, progress, categories, onChange }) {
+  const { t, i18n } = useTranslation();
+  const { preferredCurrency } = useSettings();
+  const now = new Date();
+  const [year, setYear] = useState(now.getFullYear());
+  const [month, setMonth] = useState(now.getMonth() + 1);
+  const [currency, setCurrency] = useState(preferredCurrency);
+  const [income, setIncome] = useState(0);
+  const [drafts, setDrafts] = useState({});
+  const [newCategory, setNewCategory] = useState('');
+  const [newAmount, setNewAmount] = useState('');
+
+  useCurrencySwitch(function(code) {
+    setCurrency(code);
+    setDrafts({});
+  });
+
+  useEffect(function() {
+    let cancelled = false;
+    db.getReport(year, month, currency).then(function(report) {
+      if (!cancelled) {
+        setIncome(report.totals.incomes);
+      }
+    }).catch(function(error) {
+      console.error('Error loading income:', error);
+    });
+    return function() {
+      cancelled = true;
+    };
+  }, [db, year, month, currency]);
+
+  const envelopes = budgets.filter(function(budget) {
+    return (
+      budget.type === 'category' &&
+      budget.year === year &&
+      budget.month === month &&
+      budget.currency === currency
+    );
+  });
+  const allocated = envelopes.reduce((sum, budget) => sum + budget.amount, 0);
+  const unassigned = income - allocated;
+
+  const handleMonthChange = function(delta) {
+    const date = new Date(year, month - 1 + delta, 1);
+    setYear(date.getFullYear());
+    setMonth(date.getMonth() + 1);
+    setDrafts({});
+  };
+
+  /**
+   * Creates an envelope, keeping rollover on when last month's envelope had it
+   * @param {string} category - Category name
+   * @param {number} amount - Amount allocated
+   */
+  const createEnvelope = function(category, amount) {
+    const envelope = { type: 'category', category: category, year: year, month: month, amount: amount, currency: currency };
+    const previous = findPreviousBudget(budgets, envelope);
+    return db.setBudget({ ...envelope, rollover: !!(previous && previous.rollover) });
+  };
+
+  const handleAdd = async function() {
+    const amountValue = parseFloat(newAmount);
+    if (!newCategory.trim()) {
+      toast.error(t('messages.pleaseEnterCategory'));
+      return;
+    }
+    if (isNaN(amountValue) || amountValue < 0) {
+      toast.error(t('messages.pleaseEnterValidAmount'));
+      return;
+    }
+    if (envelopes.some(budget => budget.category === newCategory.trim())) {
+      toast.error(t('budget.envelopeExists'));
+      return;
+    }
+
+    try {
+      await createEnvelope(newCategory.trim(), amountValue);
+      setNewCategory('');
+      setNewAmount('');
+      onChange();
+    } catch (error) {
+      toast.error(t('messages.failedToSave') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  /**
+   * Saves an edited allocation when the field loses focus
+   * @param {Object} budget - The envelope's budget
+   */
+  const handleAllocationBlur = async function(budget) {
+    const draft = drafts[budget.id];
+    if (draft === undefined) return;
+
+    const amountValue = parseFloat(draft);
+    setDrafts(function(prev) {
+      const next = { ...prev };
+      delete next[budget.id];
+      return next;
+    });
+    if (isNaN(amountValue) || amountValue < 0) {
+      toast.error(t('messages.pleaseEnterValidAmount'));
+      return;
+    }
+    if (amountValue === budget.amount) return;
+
+    try {
+      await db.updateBudget(budget.id, { amount: amountValue });
+      onChange();
+    } catch (error) {
+      toast.error(t('messages.failedToSave') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  const handleRolloverChange = async function(budget, checked) {
+    try {
+      await db.updateBudget(budget.id, { rollover: checked });
+      onChange();
+    } catch (error) {
+      toast.error(t('messages.failedToSave') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  const handleDelete = async function(budget) {
+    try {
+      await db.deleteBudget(budget.id);
+      onChange();
+    } catch (error) {
+      toast.error(t('messages.failedToDelete') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  /**
+   * Copies last month's envelopes that don't exist yet this month
+   */
+  const handleCopyPrevious = async function() {
+    const previousYear = month === 1 ? year - 1 : year;
+    const previousMonth = month === 1 ? 12 : month - 1;
+    const existing = new Set(envelopes.map(budget => budget.category));
+    const toCopy = budgets.filter(function(budget) {
+      return (
+        budget.type === 'category' &&
+        budget.year === previousYear &&
+        budget.month === previousMonth &&
+        budget.currency === currency &&
+        !existing.has(budget.category)
+      );
+    });
+
+    if (toCopy.length === 0) {
+      toast(t('budget.nothingToCopy'));
+      return;
+    }
+
+    try {
+      for (const budget of toCopy) {
+        await createEnvelope(budget.category, budget.amount);
+      }
+      toast.success(t('budget.envelopesCopied', { count: toCopy.length }));
+      onChange();
+    } catch (error) {
+      toast.error(t('messages.failedToSave') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 2, mb: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <IconButton onClick={() => handleMonthChange(-1)}>
+            <ChevronLeftIcon />
+          </IconButton>
+          <Typography variant="h6" sx={{ fontWeight: 600, minWidth: 160, textAlign: 'center' }}>
+            {t('months.' + MONTH_KEYS[month - 1])} {year}
+          </Typography>
+          <IconButton onClick={() => handleMonthChange(1)}>
+            <ChevronRightIcon />
+          </IconButton>
+        </Box>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          <FormControl size="small" sx={{ minWidth: 110 }}>
+            <InputLabel>{t('common.currency')}</InputLabel>
+            <Select value={currency} label={t('common.currency')} onChange={(e) => setCurrency(e.target.value)}>
+              {getCurrencyChoices(currency).map((code) => (
+                <MenuItem key={code} value={code}>{code}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Button variant="outlined" size="small" startIcon={<ContentCopyIcon />} onClick={handleCopyPrevious}>
+            {t('budget.copyPrevious')}
+          </Button>
+        </Box>
+      </Box>
+
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        {[
+          { label: t('budget.income'), value: income, color: 'success.main' },
+          { label: t('budget.allocated'), value: allocated, color: 'primary.main' },
+          { label: t('budget.unassigned'), value: unassigned, color: unassigned < 0 ? 'error.main' : 'text.primary' },
+        ].map((item) => (
+          <Grid item xs={12} sm={4} key={item.label}>
+            <Paper sx={{ p: 2, borderRadius: 3, boxShadow: 2, bgcolor: 'background.paper' }}>
+              <Typography variant="body2" color="text.secondary">
+                {item.label}
+              </Typography>
+              <Typography variant="h5" sx={{ fontWeight: 700, color: item.color }}>
+                {formatCurrency(item.value, currency, i18n.language)}
+              </Typography>
+            </Paper>
+          </Grid>
+        ))}
+      </Grid>
+
+      {unassigned < 0 && (
+        <Alert severity="warning" sx={{ mb: 3, borderRadius: 2 }}>
+          {t('budget.overAllocated', { amount: formatAmount(Math.abs(unassigned), currency, i18n.language), currency: currency })}
+        </Alert>
+      )}
+
+      <Paper sx={{ p: 3, borderRadius: 3, boxShadow: 2, bgcolor: 'background.paper' }}>
+        {envelopes.length === 0 && (
+          <Typography color="text.secondary" sx={{ mb: 2 }}>
+            {t('budget.noEnvelopes')}
+          </Typography>
+        )}
+
+        {envelopes.map((budget) => {
+          const { spent, carryover } = progress[budget.id] || { spent: 0, carryover: 0 };
+          const { available, percentage, remaining, status } = getBudgetStatus(budget, spent, carryover);
+          return (
+            <Box key={budget.id} sx={{ mb: 3 }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+                <Typography sx={{ fontWeight: 600, flex: 1 }}>
+                  {budget.category}
+                </Typography>
+                <TextField
+                  type="number"
+                  size="small"
+                  label={t('budget.allocated')}
+                  value={drafts[budget.id] !== undefined ? drafts[budget.id] : budget.amount.toString()}
+                  onChange={(e) => setDrafts({ ...drafts, [budget.id]: e.target.value })}
+                  onBlur={() => handleAllocationBlur(budget)}
+                  inputProps={{ min: 0, step: 0.01 }}
+                  sx={{ width: 140 }}
+                />
+                <FormControlLabel
+                  control={
+                    <Switch
+                      size="small"
+                      checked={!!budget.rollover}
+                      onChange={(e) => handleRolloverChange(budget, e.target.checked)}
+                    />
+                  }
+                  label={t('budget.rolloverShort')}
+                />
+                <Tooltip title={t('common.delete')}>
+                  <IconButton size="small" color="error" onClick={() => handleDelete(budget)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              </Box>
+              <LinearProgress
+                variant="determinate"
+                value={Math.min(percentage, 100)}
+                color={status === 'exceeded' ? 'error' : status === 'warning' ? 'warning' : 'primary'}
+                sx={{ height: 8, borderRadius: 4 }}
+              />
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 0.5 }}>
+                <Typography variant="caption" color="text.secondary">
+                  {t('budget.spent')}: {formatAmount(spent, currency, i18n.language)} / {formatAmount(available, currency, i18n.language)}
+                  {budget.rollover && ` (${t('budget.rolledOver')}: ${carryover >= 0 ? '+' : '-'}${formatAmount(Math.abs(carryover), currency, i18n.language)})`}
+                </Typography>
+                <Typography
+                  variant="caption"
+                  sx={{ fontWeight: 600, color: remaining < 0 ? 'error.main' : 'success.main' }}
+                >
+                  {remaining >= 0 ? t('budget.remaining') + ': ' : t('budget.overBy') + ': '}
+                  {formatCurrency(Math.abs(remaining), currency, i18n.language)}
+                </Typography>
+              </Box>
+            </Box>
+          );
+        })}
+
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+          <Autocomplete
+            freeSolo
+            options={categories.filter(category => !envelopes.some(budget => budget.category === category))}
+            value={newCategory}
+            onInputChange={(event, newInputValue) => setNewCategory(newInputValue)}
+            renderInput={(params) => (
+              <TextField {...params} label={t('common.category')} size="small" />
+            )}
+            sx={{ width: 200 }}
+          />
+          <TextField
+            type="number"
+            size="small"
+            label={t('common.amount')}
+            value={newAmount}
+            onChange={(e) => setNewAmount(e.target.value)}
+            inputProps={{ min: 0, step: 0.01 }}
+            sx={{ width: 140 }}
+          />
+          <Button variant="contained" onClick={handleAdd}>
+            {t('budget.addEnvelope')}
+          </Button>
+        </Box>
+      </Paper>
+    </Box>
+  );
+}
@@ -1,5 +1,5 @@
 /**
- * CategoriesManager.jsx - Component for managing categories
+ * CategoriesManager.jsx - Component for managing categories and arranging them in a tree
  */
 
 import React, { useState, useEffect } from 'react';
@@ -9,10 +9,9 @@ import {
   TextField,
   Typography,
   Paper,
-  Card,
-  CardContent,
   Grid,
   IconButton,
+  MenuItem,
   Dialog,
   DialogTitle,
   DialogContent,
@@ -33,39 +32,72 @@ import AddIcon from '@mui/icons-material/Add';
 import EditIcon from '@mui/icons-material/Edit';
 import DeleteIcon from '@mui/icons-material/Delete';
 import CloseIcon from '@mui/icons-material/Close';
+import DragIndicatorIcon from '@mui/icons-material/DragIndicator';
 import toast from 'react-hot-toast';
+import { formatAmount, formatCurrency } from '../../lib/currencies';
+import { getCategoryLines, getCategoryAmount, isSplit, formatCategories } from '../../lib/splits';
+import {
+  buildCategoryTree,
+  getCategoryPath,
+  formatCategoryPath,
+  getDescendantNames,
+  canReparent,
+  rollUpTotals,
+  sumExpensesByCategory
+} from '../../lib/categoryTree';
+import { useSettings } from '../../contexts/SettingsContext';
+import AttachmentsDialog, { AttachmentsButton } from '../Attachments/AttachmentsDialog';
+
+/**
+ * Lists the categories of a tree depth first, so they can be shown as indented rows
+ * @param {Object[]} nodes - Categories of one level, from buildCategoryTree
+ * @returns {Object[]} The categories with their depth
+ */
+function flattenTree(nodes) {
+  return nodes.flatMap(node => [node, ...flattenTree(node.children)]);
+}
 
 /**
  * CategoriesManager component
+ * Shows the categories as a tree with what was spent in each, including the categories below it.
+ * Dragging a category onto another one moves it under that category.
  * @param {Object} props - Component props
  * @param {Object|null} props.db - Database instance
  */
 export default function CategoriesManager({ db }) {
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
+  const { preferredCurrency } = useSettings();
   const [categories, setCategories] = useState([]);
+  // Expenses by category name in the preferred currency
+  const [spentByCategory, setSpentByCategory] = useState({});
   const [loading, setLoading] = useState(true);
   const [openDialog, setOpenDialog] = useState(false);
   const [editingCategory, setEditingCategory] = useState(null);
   const [categoryName, setCategoryName] = useState('');
   const [categoryColor, setCategoryColor] = useState('#6366f1');
+  const [categoryParent, setCategoryParent] = useState('');
+  // Category being dragged, and the category it would be dropped on
+  const [draggedName, setDraggedName] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [categoryToDelete, setCategoryToDelete] = useState(null);
   const [categoryDetailsOpen, setCategoryDetailsOpen] = useState(false);
   const [selectedCategory, setSelectedCategory] = useState('');
+  // The selected category and the categories below it
+  const [selectedNames, setSelectedNames] = useState([]);
   const [categoryCosts, setCategoryCosts] = useState([]);
-  const [categoryTotal, setCategoryTotal] = useState({
-    USD: 0,
-    ILS: 0,
-    GBP: 0,
-    EURO: 0
-  });
+  // Totals of the selected category keyed by currency code
+  const [categoryTotal, setCategoryTotal] = useState({});
+  // Number of attachments by cost ID, and the transaction whose attachments are open
+  const [attachmentCounts, setAttachmentCounts] = useState({});
+  const [attachmentsCost, setAttachmentsCost] = useState(null);
 
   useEffect(function() {
     if (db) {
       loadCategories();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [db]);
+  }, [db, preferredCurrency]);
 
   const loadCategories = async function() {
     if (!db) return;
@@ -76,9 +108,9 @@ export default function CategoriesManager({ db }) {
       // Get categories from categories store
       const categoriesFromStore = await db.getCategories();
       
-      // Get all unique categories from existing costs
-      const allCosts = await db.getAllCosts();
-      const costCategories = Array.from(new Set(allCosts.map(c => c.category)));
+      // Get all unique categories from existing costs; transfers have no spending category
+      const allCosts = (await db.getAllCosts()).filter(cost => cost.type !== 'transfer');
+      const costCategories = Array.from(new Set(allCosts.flatMap(c => getCategoryLines(c).map(line => line.category))));
       
       // Create a map to combine categories from both sources
       const categoryMap = new Map();
@@ -105,7 +137,7 @@ export default function CategoriesManager({ db }) {
       for (let i = 0; i < allCategories.length; i++) {
         const category = allCategories[i];
         const categoryTransactions = allCosts.filter(function(cost) {
-          return cost.category === category.name;
+          return getCategoryLines(cost).some(line => line.category === category.name);
         });
         
         if (categoryTransactions.length > 0) {
@@ -162,6 +194,7 @@ export default function CategoriesManager({ db }) {
         return a.name.localeCompare(b.name);
       });
       
+      setSpentByCategory(await sumExpensesByCategory(db, allCosts, preferredCurrency));
       setCategories(allCategories);
     } catch (error) {
       console.error('Failed to load categories:', error);
@@ -176,10 +209,13 @@ export default function CategoriesManager({ db }) {
       setEditingCategory(category);
       setCategoryName(category.name);
       setCategoryColor(category.color || '#6366f1');
+      const path = getCategoryPath(categories, category.name);
+      setCategoryParent(path.length > 1 ? path[path.length - 2] : '');
     } else {
       setEditingCategory(null);
       setCategoryName('');
       setCategoryColor('#6366f1');
+      setCategoryParent('');
     }
     setOpenDialog(true);
   };
@@ -189,6 +225,83 @@ export default function CategoriesManager({ db }) {
     setEditingCategory(null);
     setCategoryName('');
     setCategoryColor('#6366f1');
+    setCategoryParent('');
+  };
+
+  /**
+   * Gets the ID of a category, first adding it to the store when it is only used by transactions
+   * @param {string} name - Category name
+   * @returns {Promise<number>} The category ID
+   */
+  const getStoredCategoryId = async function(name) {
+    const category = categories.find(c => c.name === name);
+    if (category && category.id) {
+      return category.id;
+    }
+    const added = await db.addCategory({ name: name, color: category ? category.color : '#6366f1' });
+    return added.id;
+  };
+
+  /**
+   * Moves a category under another one, or to the top level
+   * @param {string} name - Name of the category to move
+   * @param {string|null} parentName - Name of the new parent, null for the top level
+   */
+  const handleReparent = async function(name, parentName) {
+    setDraggedName(null);
+    setDropTarget(null);
+    if (!canReparent(categories, name, parentName)) {
+      toast.error(t('categories.cannotMoveUnderItself'));
+      return;
+    }
+
+    try {
+      const parentId = parentName === null ? null : await getStoredCategoryId(parentName);
+      const category = categories.find(c => c.name === name);
+      if (category.id) {
+        await db.updateCategory(category.id, { parentId: parentId });
+      } else {
+        await db.addCategory({ name: name, color: category.color, parentId: parentId });
+      }
+      toast.success(t('categories.moved', { category: name, parent: parentName || t('categories.topLevel') }));
+      loadCategories();
+    } catch (error) {
+      toast.error(t('messages.failedToSave') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  const handleDragStart = function(event, category) {
+    event.dataTransfer.setData('text/plain', category.name);
+    event.dataTransfer.effectAllowed = 'move';
+    setDraggedName(category.name);
+  };
+
+  const handleDragEnd = function() {
+    setDraggedName(null);
+    setDropTarget(null);
+  };
+
+  /**
+   * Allows a drop on a category that is not the dragged one, below it or already its parent
+   * @param {DragEvent} event - The dragover event
+   * @param {string|null} parentName - Category under the pointer, null for the top level
+   */
+  const handleDragOver = function(event, parentName) {
+    if (!draggedName) return;
+    const path = getCategoryPath(categories, draggedName);
+    const currentParent = path.length > 1 ? path[path.length - 2] : null;
+    if (parentName === currentParent || !canReparent(categories, draggedName, parentName)) return;
+
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    setDropTarget(parentName === null ? '' : parentName);
+  };
+
+  const handleDrop = function(event, parentName) {
+    event.preventDefault();
+    if (draggedName) {
+      handleReparent(draggedName, parentName);
+    }
   };
 
   const handleSave = async function() {
@@ -198,14 +311,15 @@ export default function CategoriesManager({ db }) {
     }
 
     try {
+      const parentId = categoryParent ? await getStoredCategoryId(categoryParent) : null;
       if (editingCategory) {
         // Check if this category exists in the store (has an id)
         if (editingCategory.id) {
-          await db.updateCategory(editingCategory.id, { name: categoryName.trim(), color: categoryColor });
+          await db.updateCategory(editingCategory.id, { name: categoryName.trim(), color: categoryColor, parentId: parentId });
           toast.success(t('messages.categoryUpdated'));
         } else {
           // Category from costs, add it to store
-          await db.addCategory({ name: categoryName.trim(), color: categoryColor });
+          await db.addCategory({ name: categoryName.trim(), color: categoryColor, parentId: parentId });
           toast.success(t('messages.categoryAdded'));
         }
       } else {
@@ -215,11 +329,11 @@ export default function CategoriesManager({ db }) {
         
         if (existing) {
           // Update existing category
-          await db.updateCategory(existing.id, { name: categoryName.trim(), color: categoryColor });
+          await db.updateCategory(existing.id, { name: categoryName.trim(), color: categoryColor, parentId: parentId });
           toast.success(t('messages.categoryUpdated'));
         } else {
           // Add new category
-          await db.addCategory({ name: categoryName.trim(), color: categoryColor });
+          await db.addCategory({ name: categoryName.trim(), color: categoryColor, parentId: parentId });
           toast.success(t('messages.categoryAdded'));
         }
       }
@@ -265,23 +379,25 @@ export default function CategoriesManager({ db }) {
     }
 
     try {
+      const names = getDescendantNames(categories, categoryName);
       setSelectedCategory(categoryName);
+      setSelectedNames(names);
       setCategoryDetailsOpen(true);
       
-      // Load costs for this category
-      const costs = await db.getCostsByCategory(categoryName);
+      // Load costs for this category and the categories below it; a split cost is listed once
+      const found = new Map();
+      for (const name of names) {
+        (await db.getCostsByCategory(name)).forEach(cost => found.set(cost.id, cost));
+      }
+      const costs = Array.from(found.values()).sort((a, b) => a.id - b.id);
       setCategoryCosts(costs);
+      setAttachmentCounts(await db.getAttachmentCounts());
 
-      // Calculate totals by currency
-      const totals = {
-        USD: 0,
-        ILS: 0,
-        GBP: 0,
-        EURO: 0
-      };
+      // Calculate totals by currency; split costs count only their lines in these categories
+      const totals = {};
 
       costs.forEach(function(cost) {
-        totals[cost.currency] += cost.sum;
+        totals[cost.currency] = (totals[cost.currency] || 0) + getAmountInCategories(cost, names);
       });
 
       setCategoryTotal(totals);
@@ -291,16 +407,22 @@ export default function CategoriesManager({ db }) {
     }
   };
 
+  /**
+   * Gets the part of a cost in a set of categories
+   * @param {Object} cost - Cost item
+   * @param {string[]} names - Category names
+   * @returns {number} Sum of the cost's lines in the categories
+   */
+  const getAmountInCategories = function(cost, names) {
+    return names.reduce((sum, name) => sum + getCategoryAmount(cost, name), 0);
+  };
+
   const handleCloseCategoryDetails = function() {
     setCategoryDetailsOpen(false);
     setSelectedCategory('');
+    setSelectedNames([]);
     setCategoryCosts([]);
-    setCategoryTotal({
-      USD: 0,
-      ILS: 0,
-      GBP: 0,
-      EURO: 0
-    });
+    setCategoryTotal({});
   };
 
   if (!db) {
@@ -319,6 +441,12 @@ export default function CategoriesManager({ db }) {
     );
   }
 
+  const rows = flattenTree(buildCategoryTree(categories));
+  const rolledUp = rollUpTotals(categories, spentByCategory);
+  const draggedPath = draggedName ? getCategoryPath(categories, draggedName) : [];
+  // Categories the edited one can be moved under: not itself nor a category below it
+  const parentChoices = rows.filter(row => !editingCategory || canReparent(categories, editingCategory.name, row.name));
+
   return (
     <Box>
       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 4 }}>
@@ -340,6 +468,12 @@ export default function CategoriesManager({ db }) {
         </Button>
       </Box>
 
+      {categories.length > 0 && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {t('categories.dragHint', { currency: preferredCurrency })}
+        </Typography>
+      )}
+
       {categories.length === 0 ? (
         <Paper sx={{ p: 4, textAlign: 'center', borderRadius: 3, bgcolor: 'background.paper' }}>
           <Typography variant="body1" color="text.secondary">
@@ -347,60 +481,104 @@ export default function CategoriesManager({ db }) {
           </Typography>
         </Paper>
       ) : (
-        <Grid container spacing={3}>
-          {categories.map((category) => (
-            <Grid item xs={12} sm={6} md={4} key={category.id || category.name}>
-              <Card 
-                sx={{ 
-                  borderRadius: 3, 
-                  boxShadow: 2, 
-                  bgcolor: 'background.paper',
-                  cursor: 'pointer',
-                  transition: 'all 0.3s ease',
-                  '&:hover': {
-                    transform: 'translateY(-4px)',
-                    boxShadow: 4,
-                  },
+        <Paper sx={{ borderRadius: 3, bgcolor: 'background.paper', overflow: 'hidden' }}>
+          {draggedPath.length > 1 && (
+            <Box
+              onDragOver={(e) => handleDragOver(e, null)}
+              onDragLeave={() => setDropTarget(null)}
+              onDrop={(e) => handleDrop(e, null)}
+              sx={{
+                p: 2,
+                m: 1,
+                textAlign: 'center',
+                border: '2px dashed',
+                borderColor: dropTarget === '' ? 'primary.main' : 'divider',
+                borderRadius: 2,
+                color: 'text.secondary',
+              }}
+            >
+              {t('categories.dropForTopLevel')}
+            </Box>
+          )}
+          {rows.map((category) => (
+            <Box
+              key={category.id || category.name}
+              draggable
+              onDragStart={(e) => handleDragStart(e, category)}
+              onDragEnd={handleDragEnd}
+              onDragOver={(e) => handleDragOver(e, category.name)}
+              onDragLeave={() => setDropTarget(null)}
+              onDrop={(e) => handleDrop(e, category.name)}
+              onClick={() => handleCategoryClick(category.name)}
+              sx={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: 2,
+                py: 1.5,
+                pr: 2,
+                pl: 2 + category.depth * 4,
+                cursor: 'pointer',
+                borderBottom: '1px solid',
+                borderColor: 'divider',
+                opacity: draggedName === category.name ? 0.5 : 1,
+                bgcolor: dropTarget === category.name ? 'action.selected' : 'transparent',
+                transition: 'background-color 0.2s ease',
+                '&:hover': {
+                  bgcolor: dropTarget === category.name ? 'action.selected' : 'action.hover',
+                },
+              }}
+            >
+              <DragIndicatorIcon color="action" sx={{ cursor: 'grab' }} />
+              <Box
+                sx={{
+                  width: 32,
+                  height: 32,
+                  flexShrink: 0,
+                  borderRadius: 2,
+                  bgcolor: category.typeColor || category.color || '#6366f1',
                 }}
-                onClick={() => handleCategoryClick(category.name)}
-              >
-                <CardContent>
-                  <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flex: 1 }}>
-                      <Box
-                        sx={{
-                          width: 40,
-                          height: 40,
-                          borderRadius: 2,
-                          bgcolor: category.typeColor || category.color || '#6366f1',
-                        }}
-                      />
-                      <Typography variant="h6" sx={{ fontWeight: 600 }}>
-                        {category.name}
-                      </Typography>
-                    </Box>
-                    <Box onClick={(e) => e.stopPropagation()}>
-                      <IconButton
-                        size="small"
-                        onClick={() => handleOpenDialog(category)}
-                        color="primary"
-                      >
-                        <EditIcon />
-                      </IconButton>
-                      <IconButton
-                        size="small"
-                        onClick={() => handleDeleteClick(category)}
-                        color="error"
-                      >
-                        <DeleteIcon />
-                      </IconButton>
-                    </Box>
-                  </Box>
-                </CardContent>
-              </Card>
-            </Grid>
+              />
+              <Box sx={{ flex: 1, minWidth: 0 }}>
+                <Typography variant="subtitle1" sx={{ fontWeight: 600 }} noWrap>
+                  {category.name}
+                </Typography>
+                {category.children.length > 0 && (
+                  <Typography variant="caption" color="text.secondary">
+                    {t('categories.subcategories', { count: category.children.length })}
+                  </Typography>
+                )}
+              </Box>
+              <Box sx={{ textAlign: 'right' }}>
+                <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+                  {formatCurrency(rolledUp[category.name] || 0, preferredCurrency, i18n.language)}
+                </Typography>
+                {category.children.length > 0 && spentByCategory[category.name] > 0 && (
+                  <Typography variant="caption" color="text.secondary">
+                    {t('categories.spentDirectly', {
+                      amount: formatCurrency(spentByCategory[category.name], preferredCurrency, i18n.language),
+                    })}
+                  </Typography>
+                )}
+              </Box>
+              <Box onClick={(e) => e.stopPropagation()}>
+                <IconButton
+                  size="small"
+                  onClick={() => handleOpenDialog(category)}
+                  color="primary"
+                >
+                  <EditIcon />
+                </IconButton>
+                <IconButton
+                  size="small"
+                  onClick={() => handleDeleteClick(category)}
+                  color="error"
+                >
+                  <DeleteIcon />
+                </IconButton>
+              </Box>
+            </Box>
           ))}
-        </Grid>
+        </Paper>
       )}
 
       {/* Add/Edit Dialog */}
@@ -427,6 +605,21 @@ export default function CategoriesManager({ db }) {
               margin="normal"
               InputLabelProps={{ shrink: true }}
             />
+            <TextField
+              select
+              label={t('categories.parent')}
+              value={categoryParent}
+              onChange={(e) => setCategoryParent(e.target.value)}
+              fullWidth
+              margin="normal"
+            >
+              <MenuItem value="">{t('categories.topLevel')}</MenuItem>
+              {parentChoices.map((category) => (
+                <MenuItem key={category.name} value={category.name}>
+                  {formatCategoryPath(categories, category.name)}
+                </MenuItem>
+              ))}
+            </TextField>
           </Box>
         </DialogContent>
         <DialogActions>
@@ -444,6 +637,11 @@ export default function CategoriesManager({ db }) {
           <Typography>
             {t('messages.areYouSure', { name: categoryToDelete?.name })}
           </Typography>
+          {categoryToDelete && getDescendantNames(categories, categoryToDelete.name).length > 1 && (
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              {t('categories.subcategoriesMoveUp')}
+            </Typography>
+          )}
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setDeleteDialogOpen(false)}>{t('common.cancel')}</Button>
@@ -508,7 +706,7 @@ export default function CategoriesManager({ db }) {
                               {currency}
                             </Typography>
                             <Typography variant="h6" sx={{ fontWeight: 700 }}>
-                              {total.toFixed(2)}
+                              {formatAmount(total, currency, i18n.language)}
                             </Typography>
                           </Paper>
                         </Grid>
@@ -530,9 +728,13 @@ export default function CategoriesManager({ db }) {
                   <TableHead>
                     <TableRow>
                       <TableCell sx={{ fontWeight: 600 }}>{t('common.date')}</TableCell>
+                      {selectedNames.length > 1 && (
+                        <TableCell sx={{ fontWeight: 600 }}>{t('common.category')}</TableCell>
+                      )}
                       <TableCell sx={{ fontWeight: 600 }}>{t('common.description')}</TableCell>
                       <TableCell align="right" sx={{ fontWeight: 600 }}>{t('common.amount')}</TableCell>
                       <TableCell sx={{ fontWeight: 600 }}>{t('common.currency')}</TableCell>
+                      <TableCell />
                     </TableRow>
                   </TableHead>
                   <TableBody>
@@ -541,13 +743,24 @@ export default function CategoriesManager({ db }) {
                         <TableCell>
                           {cost.date.year}-{cost.date.month.toString().padStart(2, '0')}-{cost.date.day.toString().padStart(2, '0')}
                         </TableCell>
+                        {selectedNames.length > 1 && (
+                          <TableCell>{formatCategories(cost)}</TableCell>
+                        )}
                         <TableCell>{cost.description}</TableCell>
                         <TableCell align="right" sx={{ fontWeight: 600 }}>
-                          {cost.sum.toFixed(2)}
+                          {formatAmount(getAmountInCategories(cost, selectedNames), cost.currency, i18n.language)}
+                          {isSplit(cost) && (
+                            <Typography variant="caption" color="text.secondary" component="div">
+                              {t('splits.ofTotal', { amount: formatAmount(cost.sum, cost.currency, i18n.language) })}
+                            </Typography>
+                          )}
                         </TableCell>
                         <TableCell>
                           <Chip label={cost.currency} size="small" color="primary" variant="outlined" />
                         </TableCell>
+                        <TableCell align="right">
+                          <AttachmentsButton count={attachmentCounts[cost.id]} onClick={() => setAttachmentsCost(cost)} />
+                        </TableCell>
                       </TableRow>
                     ))}
                   </TableBody>
@@ -560,6 +773,13 @@ export default function CategoriesManager({ db }) {
           <Button onClick={handleCloseCategoryDetails}>{t('common.close')}</Button>
         </DialogActions>
       </Dialog>
+
+      <AttachmentsDialog
+        db={db}
+        cost={attachmentsCost}
+        onClose={() => setAttachmentsCost(null)}
+        onChange={(costId, count) => setAttachmentCounts(prev => ({ ...prev, [costId]: count }))}
+      />
     </Box>
   );
 }
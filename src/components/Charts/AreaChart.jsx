@@ -5,6 +5,7 @@
 import React from 'react';
 import { Paper, Typography, Box } from '@mui/material';
 import { useTranslation } from 'react-i18next';
+import { formatCurrency } from '../../lib/currencies';
 import { AreaChart as RechartsAreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 
 /**
@@ -15,7 +16,7 @@ import { AreaChart as RechartsAreaChart, Area, XAxis, YAxis, CartesianGrid, Tool
  * @param {string} [props.title='Monthly Overview'] - Chart title
  */
 export default function AreaChart({ data, currency, title }) {
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
   const chartTitle = title || t('charts.monthlyOverview');
   
   return (
@@ -45,7 +46,7 @@ export default function AreaChart({ data, currency, title }) {
               axisLine={{ stroke: '#e0e0e0' }}
             />
             <Tooltip 
-              formatter={(value) => `${value.toFixed(2)} ${currency}`}
+              formatter={(value) => formatCurrency(value, currency, i18n.language)}
               contentStyle={{ 
                 borderRadius: 8,
                 border: '1px solid #e0e0e0',
@@ -5,6 +5,7 @@
 import React from 'react';
 import { Paper, Typography, Box } from '@mui/material';
 import { useTranslation } from 'react-i18next';
+import { formatCurrency } from '../../lib/currencies';
 import { LineChart as RechartsLineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 
 /**
@@ -12,11 +13,14 @@ import { LineChart as RechartsLineChart, Line, XAxis, YAxis, CartesianGrid, Tool
  * @param {Object} props - Component props
  * @param {Array} props.data - Chart data array
  * @param {string} props.currency - Currency code
- * @param {string} [props.title='Monthly Trends'] - Chart title
+ * @param {string|null} [props.title='Monthly Trends'] - Chart title, null for none
+ * @param {Array<{dataKey: string, name: string, color: string, dashed: boolean}>} [props.lines] - Lines to draw, defaults to the `total` key
+ * @param {number} [props.height=400] - Chart height in pixels
  */
-export default function LineChart({ data, currency, title }) {
-  const { t } = useTranslation();
-  const chartTitle = title || t('charts.monthlyTrends');
+export default function LineChart({ data, currency, title, lines, height = 400 }) {
+  const { t, i18n } = useTranslation();
+  const chartTitle = title === undefined ? t('charts.monthlyTrends') : title;
+  const chartLines = lines || [{ dataKey: 'total', name: `Total (${currency})`, color: '#6366f1' }];
   
   return (
     <Paper sx={{ p: 4, borderRadius: 3, boxShadow: 2, bgcolor: 'background.paper' }}>
@@ -25,7 +29,7 @@ export default function LineChart({ data, currency, title }) {
           {chartTitle}
         </Typography>
       )}
-      <Box sx={{ width: '100%', height: 400 }}>
+      <Box sx={{ width: '100%', height: height }}>
         <ResponsiveContainer>
           <RechartsLineChart data={data}>
             <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
@@ -39,22 +43,26 @@ export default function LineChart({ data, currency, title }) {
               axisLine={{ stroke: '#e0e0e0' }}
             />
             <Tooltip 
-              formatter={(value) => `${value.toFixed(2)} ${currency}`}
+              formatter={(value) => typeof value === 'number' ? formatCurrency(value, currency, i18n.language) : value}
               contentStyle={{ 
                 borderRadius: 8,
                 border: '1px solid #e0e0e0',
               }}
             />
             <Legend />
-            <Line 
-              type="monotone" 
-              dataKey="total" 
-              stroke="#6366f1" 
-              strokeWidth={3}
-              dot={{ fill: '#6366f1', r: 4 }}
-              activeDot={{ r: 6 }}
-              name={`Total (${currency})`}
-            />
+            {chartLines.map((line) => (
+              <Line 
+                key={line.dataKey}
+                type="monotone" 
+                dataKey={line.dataKey} 
+                stroke={line.color} 
+                strokeWidth={3}
+                strokeDasharray={line.dashed ? '6 4' : undefined}
+                dot={{ fill: line.color, r: 4 }}
+                activeDot={{ r: 6 }}
+                name={line.name}
+              />
+            ))}
           </RechartsLineChart>
         </ResponsiveContainer>
       </Box>
@@ -13,27 +13,31 @@ import {
 } from '@mui/material';
 import { useTranslation } from 'react-i18next';
 import StatCard from './StatCard';
+import PinnedFilters from './PinnedFilters';
 import toast from 'react-hot-toast';
 import AttachMoneyIcon from '@mui/icons-material/AttachMoney';
 import TrendingUpIcon from '@mui/icons-material/TrendingUp';
 import CalendarTodayIcon from '@mui/icons-material/CalendarToday';
 import CategoryIcon from '@mui/icons-material/Category';
 import { PieChart, Pie, Cell, ResponsiveContainer, Legend, Tooltip } from 'recharts';
+import { formatCurrency } from '../../lib/currencies';
+import { useSettings } from '../../contexts/SettingsContext';
 
 // Neutral colors for expenses (avoiding green for income and blue for savings)
 const COLORS = ['#FF8042', '#FFBB28', '#FF7C7C', '#FFC658', '#FF6B9D', '#FF8C42', '#FFA500', '#FF6347', '#FF69B4', '#FF8C00'];
 
 /**
  * Dashboard component
+ * Statistics are shown in the preferred currency chosen in the header.
  * @param {Object} props - Component props
  * @param {Object|null} props.db - Database instance
  */
 export default function Dashboard({ db }) {
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [stats, setStats] = useState(null);
-  const [currency] = useState('USD');
+  const { preferredCurrency: currency } = useSettings();
   const currentDate = new Date();
   const currentYear = currentDate.getFullYear();
   const currentMonth = currentDate.getMonth() + 1;
@@ -124,7 +128,7 @@ export default function Dashboard({ db }) {
         <Grid item xs={12} sm={6} md={3}>
           <StatCard
             title={t('dashboard.totalThisMonth')}
-            value={`${stats.totalThisMonth.toFixed(2)} ${stats.currency}`}
+            value={formatCurrency(stats.totalThisMonth, stats.currency, i18n.language)}
             change={stats.changePercentage}
             icon={<AttachMoneyIcon sx={{ fontSize: 32 }} />}
             color="#ef4444"
@@ -134,7 +138,7 @@ export default function Dashboard({ db }) {
         <Grid item xs={12} sm={6} md={3}>
           <StatCard
             title={t('dashboard.totalIncomes')}
-            value={`${stats.totalIncomes.toFixed(2)} ${stats.currency}`}
+            value={formatCurrency(stats.totalIncomes, stats.currency, i18n.language)}
             icon={<TrendingUpIcon sx={{ fontSize: 32 }} />}
             color="#10b981"
           />
@@ -143,7 +147,7 @@ export default function Dashboard({ db }) {
         <Grid item xs={12} sm={6} md={3}>
           <StatCard
             title={t('dashboard.totalSavings')}
-            value={`${stats.totalSavings.toFixed(2)} ${stats.currency}`}
+            value={formatCurrency(stats.totalSavings, stats.currency, i18n.language)}
             icon={<CategoryIcon sx={{ fontSize: 32 }} />}
             color="#3b82f6"
           />
@@ -152,7 +156,7 @@ export default function Dashboard({ db }) {
         <Grid item xs={12} sm={6} md={3}>
           <StatCard
             title={t('dashboard.balance')}
-            value={`${stats.balance.toFixed(2)} ${stats.currency}`}
+            value={formatCurrency(stats.balance, stats.currency, i18n.language)}
             icon={<AttachMoneyIcon sx={{ fontSize: 32 }} />}
             color={stats.balance >= 0 ? "#10b981" : "#ef4444"}
           />
@@ -161,7 +165,7 @@ export default function Dashboard({ db }) {
         <Grid item xs={12} sm={6} md={3}>
           <StatCard
             title={t('dashboard.averageDaily')}
-            value={`${stats.averageDaily.toFixed(2)} ${stats.currency}`}
+            value={formatCurrency(stats.averageDaily, stats.currency, i18n.language)}
             icon={<CalendarTodayIcon sx={{ fontSize: 32 }} />}
             color="#f59e0b"
           />
@@ -170,7 +174,7 @@ export default function Dashboard({ db }) {
         <Grid item xs={12} sm={6} md={3}>
           <StatCard
             title={t('dashboard.lastMonthTotal')}
-            value={`${stats.totalLastMonth.toFixed(2)} ${stats.currency}`}
+            value={formatCurrency(stats.totalLastMonth, stats.currency, i18n.language)}
             icon={<TrendingUpIcon sx={{ fontSize: 32 }} />}
             color="#8b5cf6"
           />
@@ -186,6 +190,8 @@ export default function Dashboard({ db }) {
         </Grid>
       </Grid>
 
+      <PinnedFilters db={db} />
+
       {pieData.length > 0 && (
         <Paper 
           sx={{ 
@@ -218,7 +224,7 @@ export default function Dashboard({ db }) {
                     />
                   ))}
                 </Pie>
-                <Tooltip formatter={(value) => `${value.toFixed(2)} ${currency}`} />
+                <Tooltip formatter={(value) => formatCurrency(value, currency, i18n.language)} />
                 <Legend />
               </PieChart>
             </ResponsiveContainer>
@@ -0,0 +1,119 @@
+/**
+ * PinnedFilters.jsx - Dashboard cards for the filter presets pinned in Advanced Filters
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Grid,
+  Typography,
+  Card,
+  CardContent,
+  CardActions,
+  Button
+} from '@mui/material';
+import { useTranslation } from 'react-i18next';
+import { useNavigate } from 'react-router-dom';
+import PushPinIcon from '@mui/icons-material/PushPin';
+import { VIEW_PATHS } from '../../lib/routes';
+import { normalizeFilters, buildFilterParams, applyFilters } from '../../lib/filters';
+import { formatCurrency } from '../../lib/currencies';
+
+/**
+ * PinnedFilters component
+ * Runs every pinned preset and shows how many transactions it finds and their total.
+ * Renders nothing while no preset is pinned.
+ * @param {Object} props - Component props
+ * @param {Object|null} props.db - Database instance
+ */
+export default function PinnedFilters({ db }) {
+  const { t, i18n } = useTranslation();
+  const navigate = useNavigate();
+  const [pinned, setPinned] = useState([]);
+
+  useEffect(function() {
+    if (!db) return;
+
+    let cancelled = false;
+
+    async function loadPinned() {
+      try {
+        const presets = (await db.getFilterPresets()).filter(preset => preset.pinned);
+        const results = await Promise.all(presets.map(async function(preset) {
+          const filters = normalizeFilters(preset.filters);
+          try {
+            const costs = await applyFilters(db, filters);
+            return {
+              preset: preset,
+              filters: filters,
+              count: costs.length,
+              total: costs.reduce((sum, cost) => sum + cost.convertedSum, 0),
+            };
+          } catch (error) {
+            return { preset: preset, filters: filters, error: error instanceof Error ? error.message : 'Unknown error' };
+          }
+        }));
+        if (!cancelled) {
+          setPinned(results.sort((a, b) => a.preset.name.localeCompare(b.preset.name)));
+        }
+      } catch (error) {
+        console.error('Failed to load pinned filters:', error);
+      }
+    }
+
+    loadPinned();
+    return function() {
+      cancelled = true;
+    };
+  }, [db]);
+
+  if (pinned.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box sx={{ mb: 4 }}>
+      <Typography variant="h6" sx={{ fontWeight: 600, mb: 2 }}>
+        {t('dashboard.pinnedFilters')}
+      </Typography>
+      <Grid container spacing={3}>
+        {pinned.map((item) => (
+          <Grid item xs={12} sm={6} md={3} key={item.preset.id}>
+            <Card sx={{ height: '100%', borderRadius: 3, boxShadow: 2, bgcolor: 'background.paper', display: 'flex', flexDirection: 'column' }}>
+              <CardContent sx={{ flexGrow: 1 }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                  <PushPinIcon fontSize="small" color="primary" />
+                  <Typography variant="subtitle1" sx={{ fontWeight: 600 }} noWrap>
+                    {item.preset.name}
+                  </Typography>
+                </Box>
+                <Typography variant="body2" color="text.secondary" gutterBottom>
+                  {t(`filters.periods.${item.filters.period}`)}
+                </Typography>
+                {item.error ? (
+                  <Typography variant="body2" color="error">
+                    {t('messages.failedToApply') + ': ' + item.error}
+                  </Typography>
+                ) : (
+                  <>
+                    <Typography variant="h5" sx={{ fontWeight: 700, color: '#6366f1' }}>
+                      {formatCurrency(item.total, item.filters.currency, i18n.language)}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {t('dashboard.pinnedFilterCount', { count: item.count })}
+                    </Typography>
+                  </>
+                )}
+              </CardContent>
+              <CardActions>
+                <Button size="small" onClick={() => navigate(`${VIEW_PATHS.filters}?${buildFilterParams(item.filters)}`)}>
+                  {t('dashboard.openFilter')}
+                </Button>
+              </CardActions>
+            </Card>
+          </Grid>
+        ))}
+      </Grid>
+    </Box>
+  );
+}
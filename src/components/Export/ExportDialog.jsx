@@ -17,14 +17,31 @@ import {
   Radio,
   Checkbox,
   FormGroup,
-  FormControl
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem
 } from '@mui/material';
 import { useTranslation } from 'react-i18next';
-import { exportToCSV, exportToPDF } from '../../lib/exportHelpers';
+import {
+  exportToCSV,
+  exportToPDF,
+  exportToXLSX,
+  exportToJSON,
+  getWorkbookData,
+  downloadBlob,
+  DEFAULT_EXPORT_COLUMNS
+} from '../../lib/exportHelpers';
+import { getRatesLookup } from '../../lib/exchangeRates';
+import { toDateKey } from '../../lib/dateKeys';
 import toast from 'react-hot-toast';
+import { getCurrencyChoices } from '../../lib/currencies';
 
 /**
  * ExportDialog component
+ * Exports the chosen columns of the transactions in a date range, optionally with every
+ * amount also converted into one currency at the rates of its date. The XLSX and JSON
+ * formats also include the categories, budgets and savings goals.
  * @param {Object} props - Component props
  * @param {boolean} props.open - Whether dialog is open
  * @param {function} props.onClose - Function to close dialog
@@ -41,17 +58,27 @@ export default function ExportDialog({ open, onClose, db }) {
     const date = new Date();
     return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
   });
-  const [selectedColumns, setSelectedColumns] = useState(['date', 'category', 'description', 'amount', 'currency']);
+  const [selectedColumns, setSelectedColumns] = useState(DEFAULT_EXPORT_COLUMNS);
+  const [convertCurrency, setConvertCurrency] = useState('');
   const [loading, setLoading] = useState(false);
 
   const columns = [
+    { id: 'id', label: t('export.columns.id') },
     { id: 'date', label: t('common.date') },
+    { id: 'type', label: t('export.columns.type') },
     { id: 'category', label: t('common.category') },
     { id: 'description', label: t('common.description') },
     { id: 'amount', label: t('common.amount') },
     { id: 'currency', label: t('common.currency') },
+    { id: 'convertedAmount', label: t('export.columns.convertedAmount'), needsCurrency: true },
   ];
 
+  // Sheet names and headers of the categories, budgets and savings goals sheets
+  const workbookLabels = Object.fromEntries([
+    'categories', 'budgets', 'savingsGoals', 'name', 'color', 'transactions', 'budgetType', 'year', 'month',
+    'rollover', 'spent', 'available', 'remaining', 'status', 'targetAmount', 'targetDate', 'saved', 'progress',
+  ].map(key => [key, t(`export.workbook.${key}`)]));
+
   const handleColumnToggle = function(columnId) {
     setSelectedColumns(function(prev) {
       if (prev.includes(columnId)) {
@@ -68,15 +95,22 @@ export default function ExportDialog({ open, onClose, db }) {
       return;
     }
 
-    if (selectedColumns.length === 0) {
+    // The converted amount can only be exported with a currency to convert into
+    const exportColumns = selectedColumns.filter(id => id !== 'convertedAmount' || convertCurrency);
+    if (exportColumns.length === 0) {
       toast.error(t('messages.pleaseSelectColumn'));
       return;
     }
 
     setLoading(true);
     try {
-      const costs = await db.getCostsByDateRange(startDate, endDate);
-      
+      // Only the workbook formats need the other stores
+      const isWorkbook = exportFormat === 'xlsx' || exportFormat === 'json';
+      const data = isWorkbook
+        ? await getWorkbookData(db, startDate, endDate)
+        : { costs: await db.getCostsByDateRange(startDate, endDate) };
+      const costs = data.costs;
+
       if (costs.length === 0) {
         toast.error(t('messages.noDataFound'));
         setLoading(false);
@@ -84,18 +118,55 @@ export default function ExportDialog({ open, onClose, db }) {
       }
 
       const filename = `costs-export-${startDate.year}-${startDate.month}-${startDate.day}_to_${endDate.year}-${endDate.month}-${endDate.day}`;
+      const options = {
+        columns: exportColumns,
+        labels: {
+          ...Object.fromEntries(columns.map(column => [column.id, column.label])),
+          expense: t('export.subtotals.expense'),
+          income: t('export.subtotals.income'),
+          savings: t('export.subtotals.savings'),
+          ...workbookLabels,
+        },
+        typeLabels: {
+          expense: t('forms.types.expense'),
+          income: t('forms.types.income'),
+          savings_deposit: t('forms.types.savings_deposit'),
+          savings_withdrawal: t('forms.types.savings_withdrawal'),
+          transfer: t('forms.types.transfer'),
+        },
+        budgetTypeLabels: {
+          monthly: t('export.workbook.budgetTypes.monthly'),
+          yearly: t('export.workbook.budgetTypes.yearly'),
+          category: t('export.workbook.budgetTypes.category'),
+        },
+        statusLabels: {
+          ok: t('statement.budgetStatus.ok'),
+          warning: t('statement.budgetStatus.warning'),
+          exceeded: t('statement.budgetStatus.exceeded'),
+        },
+        ...(convertCurrency && {
+          currency: convertCurrency,
+          ratesForDate: await getRatesLookup(db, toDateKey(startDate), toDateKey(endDate)),
+        }),
+      };
 
       if (exportFormat === 'csv') {
-        exportToCSV(costs, `${filename}.csv`);
+        downloadBlob(exportToCSV(costs, options), `${filename}.csv`);
         toast.success(t('messages.dataExportedCSV'));
+      } else if (exportFormat === 'xlsx') {
+        downloadBlob(await exportToXLSX(data, options), `${filename}.xlsx`);
+        toast.success(t('messages.dataExportedXLSX'));
+      } else if (exportFormat === 'json') {
+        downloadBlob(exportToJSON(data, options), `${filename}.json`);
+        toast.success(t('messages.dataExportedJSON'));
       } else {
-        exportToPDF(costs, t('common.costManager'), `${filename}.pdf`);
+        downloadBlob(exportToPDF(costs, { ...options, title: t('common.costManager') }), `${filename}.pdf`);
         toast.success(t('messages.dataExportedPDF'));
       }
 
       onClose();
     } catch (error) {
-      toast.error(t('messages.failedToExport'));
+      toast.error(t('messages.failedToExport') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
     } finally {
       setLoading(false);
     }
@@ -116,6 +187,8 @@ export default function ExportDialog({ open, onClose, db }) {
             >
               <FormControlLabel value="csv" control={<Radio />} label="CSV" />
               <FormControlLabel value="pdf" control={<Radio />} label="PDF" />
+              <FormControlLabel value="xlsx" control={<Radio />} label={t('export.formats.xlsx')} />
+              <FormControlLabel value="json" control={<Radio />} label={t('export.formats.json')} />
             </RadioGroup>
           </FormControl>
 
@@ -174,6 +247,22 @@ export default function ExportDialog({ open, onClose, db }) {
             />
           </Box>
 
+          <FormControl fullWidth size="small" sx={{ mb: 3 }}>
+            <InputLabel shrink>{t('export.convertTo')}</InputLabel>
+            <Select
+              value={convertCurrency}
+              label={t('export.convertTo')}
+              onChange={(e) => setConvertCurrency(e.target.value)}
+              displayEmpty
+              notched
+            >
+              <MenuItem value="">{t('export.noConversion')}</MenuItem>
+              {getCurrencyChoices(convertCurrency).map((code) => (
+                <MenuItem key={code} value={code}>{code}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
           <Typography variant="subtitle2" sx={{ mb: 1, fontWeight: 600 }}>
             {t('common.selectColumns')}
           </Typography>
@@ -183,8 +272,9 @@ export default function ExportDialog({ open, onClose, db }) {
                 key={column.id}
                 control={
                   <Checkbox
-                    checked={selectedColumns.includes(column.id)}
+                    checked={selectedColumns.includes(column.id) && (!column.needsCurrency || !!convertCurrency)}
                     onChange={() => handleColumnToggle(column.id)}
+                    disabled={column.needsCurrency && !convertCurrency}
                   />
                 }
                 label={column.label}
@@ -2,7 +2,7 @@
  * AdvancedFilters.jsx - Component for advanced filtering
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   Box,
   Button,
@@ -22,111 +22,364 @@ import {
   TableCell,
   TableContainer,
   TableHead,
-  TableRow
+  TableRow,
+  TableSortLabel,
+  TablePagination,
+  Checkbox,
+  IconButton,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText
 } from '@mui/material';
 import { useTranslation } from 'react-i18next';
+import { useSearchParams } from 'react-router-dom';
+import { useSettings, useCurrencySwitch } from '../../contexts/SettingsContext';
 import FilterListIcon from '@mui/icons-material/FilterList';
 import ClearIcon from '@mui/icons-material/Clear';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import BookmarkAddIcon from '@mui/icons-material/BookmarkAdd';
+import PushPinIcon from '@mui/icons-material/PushPin';
+import PushPinOutlinedIcon from '@mui/icons-material/PushPinOutlined';
 import toast from 'react-hot-toast';
+import CostEditRow from '../Transactions/CostEditRow';
+import BulkActionsBar from '../Transactions/BulkActionsBar';
+import useCostActions from '../Transactions/useCostActions';
+import { TagChips } from '../Transactions/TagsInput';
+import {
+  TRANSACTION_TYPES,
+  FILTER_PERIODS,
+  getDefaultFilters,
+  normalizeFilters,
+  hasFilterParams,
+  readFilterParams,
+  buildFilterParams,
+  sortCosts,
+  applyFilters
+} from '../../lib/filters';
+import { getCurrencyChoices, formatCurrency, formatAmount } from '../../lib/currencies';
+import { withSearchParam } from '../../lib/routes';
+import { formatCategories } from '../../lib/splits';
+
+const ROWS_PER_PAGE_OPTIONS = [10, 25, 50, 100];
+
+/**
+ * Builds a key of the criteria that decide which transactions match, leaving out the sort
+ * @param {Object} filters - Filter criteria
+ * @returns {string} The key
+ */
+function getCriteriaKey(filters) {
+  return buildFilterParams({ ...filters, sortBy: 'date', sortDirection: 'desc' }).toString();
+}
 
 /**
  * AdvancedFilters component
+ * Amounts are converted into the chosen currency, so limits and totals cover every currency.
+ * Results can be sorted, paged, edited inline, deleted with undo, or selected for bulk changes.
+ * Applied criteria are kept in the URL, so a filtered list can be bookmarked, and can be saved
+ * as named presets that are re-run from here or pinned to the dashboard.
  * @param {Object} props - Component props
  * @param {Object|null} props.db - Database instance
+ * @param {function} [props.onCostsChange] - Called after transactions are edited or deleted
  */
-export default function AdvancedFilters({ db }) {
-  const { t } = useTranslation();
-  const [startDate, setStartDate] = useState(function() {
-    const date = new Date();
-    return { year: date.getFullYear(), month: date.getMonth() + 1, day: 1 };
-  });
-  const [endDate, setEndDate] = useState(function() {
-    const date = new Date();
-    return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
-  });
-  const [selectedCategories, setSelectedCategories] = useState([]);
-  const [minAmount, setMinAmount] = useState('');
-  const [maxAmount, setMaxAmount] = useState('');
-  const [currency, setCurrency] = useState('USD');
+export default function AdvancedFilters({ db, onCostsChange }) {
+  const { t, i18n } = useTranslation();
+  const { preferredCurrency } = useSettings();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [filters, setFilters] = useState(() => readFilterParams(searchParams, preferredCurrency));
+  const [appliedFilters, setAppliedFilters] = useState(null);
   const [filteredCosts, setFilteredCosts] = useState([]);
   const [categories, setCategories] = useState([]);
+  const [tags, setTags] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [presets, setPresets] = useState([]);
+  const [presetDialogOpen, setPresetDialogOpen] = useState(false);
+  const [presetName, setPresetName] = useState('');
+  // Criteria of the results shown, so a change of sort alone does not reload them
+  const loadedKeyRef = useRef(null);
 
   useEffect(function() {
     if (db) {
       loadCategories();
+      loadPresets();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [db]);
 
   const loadCategories = async function() {
     if (!db) return;
-    
+
     try {
       const allCosts = await db.getAllCosts();
       const uniqueCategories = Array.from(new Set(allCosts.map(c => c.category)));
       setCategories(uniqueCategories);
+      setTags(await db.getAllTags());
     } catch (error) {
       toast.error(t('messages.failedToLoad') + ' categories');
     }
   };
 
-  const handleApplyFilters = async function() {
-    if (!db) {
-      toast.error(t('messages.databaseNotInitialized'));
-      return;
+  const loadPresets = async function() {
+    if (!db) return;
+
+    try {
+      const savedPresets = await db.getFilterPresets();
+      setPresets(savedPresets.sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (error) {
+      toast.error(t('messages.failedToLoad') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
     }
+  };
 
+  /**
+   * Changes one criterion in the form
+   * @param {string} name - Criterion name, as in getDefaultFilters
+   * @param {*} value - New value
+   */
+  const updateFilter = function(name, value) {
+    setFilters(function(prev) {
+      return { ...prev, [name]: value };
+    });
+  };
+
+  /**
+   * Reloads the results after a change and lets the app refresh budgets and notifications
+   */
+  const handleCostsChange = async function() {
+    if (appliedFilters) {
+      try {
+        setFilteredCosts(await applyFilters(db, appliedFilters));
+        loadCategories();
+      } catch (error) {
+        toast.error(t('messages.failedToApply') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+      }
+    }
+    if (onCostsChange) {
+      onCostsChange();
+    }
+  };
+
+  const actions = useCostActions(db, handleCostsChange);
+
+  /**
+   * Converts the results into the currency switched to in the header
+   */
+  useCurrencySwitch(function(code) {
+    updateFilter('currency', code);
+    if (hasFilterParams(searchParams)) {
+      setSearchParams(withSearchParam(searchParams, 'currency', code), { replace: true });
+    }
+  });
+
+  /**
+   * Shows the results of a set of filters
+   * @param {Object} criteria - Filter criteria, as from readFilterParams
+   */
+  const loadResults = async function(criteria) {
     setLoading(true);
+    actions.clearSelection();
+    actions.cancelEdit();
     try {
-      const costs = await db.getCostsByDateRange(startDate, endDate);
-      
-      let filtered = costs;
-      
-      // Filter by categories
-      if (selectedCategories.length > 0) {
-        filtered = filtered.filter(c => selectedCategories.includes(c.category));
-      }
-      
-      // Filter by amount range
-      if (minAmount) {
-        const min = parseFloat(minAmount);
-        if (!isNaN(min)) {
-          filtered = filtered.filter(c => c.sum >= min);
-        }
-      }
-      
-      if (maxAmount) {
-        const max = parseFloat(maxAmount);
-        if (!isNaN(max)) {
-          filtered = filtered.filter(c => c.sum <= max);
-        }
-      }
-      
-      // Filter by currency
-      filtered = filtered.filter(c => c.currency === currency);
-      
+      const filtered = await applyFilters(db, criteria);
+      loadedKeyRef.current = getCriteriaKey(criteria);
+      setAppliedFilters(criteria);
       setFilteredCosts(filtered);
+      setPage(0);
       toast.success(t('messages.foundResults', { count: filtered.length }));
     } catch (error) {
-      toast.error(t('messages.failedToApply'));
+      toast.error(t('messages.failedToApply') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
     } finally {
       setLoading(false);
     }
   };
 
+  /**
+   * Applies the filters in the URL, when the view is opened from a link, a preset or the browser history
+   * When only the sort changed, the loaded results are sorted again instead of reloaded.
+   */
+  useEffect(function() {
+    if (db && hasFilterParams(searchParams)) {
+      const criteria = readFilterParams(searchParams, preferredCurrency);
+      setFilters(criteria);
+      if (getCriteriaKey(criteria) === loadedKeyRef.current) {
+        setAppliedFilters(criteria);
+        setFilteredCosts(prev => sortCosts(prev, criteria.sortBy, criteria.sortDirection));
+      } else {
+        loadResults(criteria);
+      }
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [db, searchParams]);
+
+  /**
+   * Puts criteria in the URL, which loads their results; reloads when the URL already holds them
+   * @param {Object} criteria - Filter criteria
+   */
+  const showFilters = function(criteria) {
+    if (!db) {
+      toast.error(t('messages.databaseNotInitialized'));
+      return;
+    }
+
+    const params = buildFilterParams(criteria);
+    if (params.toString() === searchParams.toString()) {
+      loadResults(criteria);
+    } else {
+      setSearchParams(params);
+    }
+  };
+
+  const handleApplyFilters = function() {
+    showFilters(filters);
+  };
+
   const handleReset = function() {
-    const date = new Date();
-    setStartDate({ year: date.getFullYear(), month: date.getMonth() + 1, day: 1 });
-    setEndDate({ year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() });
-    setSelectedCategories([]);
-    setMinAmount('');
-    setMaxAmount('');
-    setCurrency('USD');
+    setFilters(getDefaultFilters(new Date(), preferredCurrency));
+    setAppliedFilters(null);
     setFilteredCosts([]);
+    loadedKeyRef.current = null;
+    setSearchParams({});
+    actions.clearSelection();
+    actions.cancelEdit();
+  };
+
+  /**
+   * Sorts the results by a column, toggling the direction when it is already the sort column
+   * @param {string} field - One of SORT_FIELDS
+   */
+  const handleSort = function(field) {
+    let direction = field === 'date' || field === 'amount' ? 'desc' : 'asc';
+    if (appliedFilters.sortBy === field) {
+      direction = appliedFilters.sortDirection === 'asc' ? 'desc' : 'asc';
+    }
+    setSearchParams(buildFilterParams({ ...appliedFilters, sortBy: field, sortDirection: direction }), { replace: true });
+  };
+
+  const handleOpenPresetDialog = function() {
+    setPresetName('');
+    setPresetDialogOpen(true);
+  };
+
+  /**
+   * Saves the criteria in the form as a preset, replacing the criteria of a preset with the same name
+   */
+  const handleSavePreset = async function() {
+    const name = presetName.trim();
+    if (!name) {
+      toast.error(t('filters.presets.pleaseEnterName'));
+      return;
+    }
+
+    try {
+      const existing = presets.find(preset => preset.name.toLowerCase() === name.toLowerCase());
+      if (existing) {
+        await db.updateFilterPreset(existing.id, { filters: filters });
+        toast.success(t('filters.presets.presetUpdated'));
+      } else {
+        await db.addFilterPreset({ name: name, filters: filters, pinned: false });
+        toast.success(t('filters.presets.presetSaved'));
+      }
+      setPresetDialogOpen(false);
+      loadPresets();
+    } catch (error) {
+      toast.error(t('messages.failedToSave') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  const handleTogglePinned = async function(preset) {
+    try {
+      await db.updateFilterPreset(preset.id, { pinned: !preset.pinned });
+      toast.success(preset.pinned ? t('filters.presets.unpinned') : t('filters.presets.pinned'));
+      loadPresets();
+    } catch (error) {
+      toast.error(t('messages.failedToSave') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
   };
 
-  const totalAmount = filteredCosts.reduce((sum, cost) => sum + cost.sum, 0);
+  const handleDeletePreset = async function(preset) {
+    try {
+      await db.deleteFilterPreset(preset.id);
+      toast.success(t('filters.presets.presetDeleted'));
+      loadPresets();
+    } catch (error) {
+      toast.error(t('messages.failedToDelete') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  /**
+   * Renders the year, month and day inputs of a date criterion
+   * @param {string} name - 'startDate' or 'endDate'
+   * @returns {React.ReactNode} The inputs
+   */
+  const renderDateInputs = function(name) {
+    const date = filters[name];
+    const disabled = filters.period !== 'custom';
+    return (
+      <Box sx={{ display: 'flex', gap: 1 }}>
+        <TextField
+          label={t('common.year')}
+          type="number"
+          value={date.year}
+          onChange={(e) => updateFilter(name, { ...date, year: parseInt(e.target.value) || 2024 })}
+          size="small"
+          disabled={disabled}
+        />
+        <TextField
+          label={t('common.month')}
+          type="number"
+          value={date.month}
+          onChange={(e) => updateFilter(name, { ...date, month: parseInt(e.target.value) || 1 })}
+          size="small"
+          inputProps={{ min: 1, max: 12 }}
+          disabled={disabled}
+        />
+        <TextField
+          label={t('common.day')}
+          type="number"
+          value={date.day}
+          onChange={(e) => updateFilter(name, { ...date, day: parseInt(e.target.value) || 1 })}
+          size="small"
+          inputProps={{ min: 1, max: 31 }}
+          disabled={disabled}
+        />
+      </Box>
+    );
+  };
+
+  /**
+   * Renders a sortable column header
+   * @param {string} field - One of SORT_FIELDS
+   * @param {string} label - Column title
+   * @param {string} [align] - Cell alignment
+   * @returns {React.ReactNode} The header cell
+   */
+  const renderSortableHeader = function(field, label, align) {
+    const active = appliedFilters.sortBy === field;
+    return (
+      <TableCell align={align} sortDirection={active ? appliedFilters.sortDirection : false}>
+        <TableSortLabel
+          active={active}
+          direction={active ? appliedFilters.sortDirection : 'asc'}
+          onClick={() => handleSort(field)}
+        >
+          {label}
+        </TableSortLabel>
+      </TableCell>
+    );
+  };
+
+  const resultCurrency = appliedFilters ? appliedFilters.currency : filters.currency;
+  const totalAmount = filteredCosts.reduce((sum, cost) => sum + cost.convertedSum, 0);
+  const pageCosts = filteredCosts.slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage);
+  const pageIds = pageCosts.map(cost => cost.id);
+  const selectedInPage = pageIds.filter(id => actions.isSelected(id)).length;
 
   return (
     <Box>
@@ -136,66 +389,35 @@ export default function AdvancedFilters({ db }) {
 
       <Paper sx={{ p: 3, mb: 4, borderRadius: 3, boxShadow: 2, bgcolor: 'background.paper' }}>
         <Grid container spacing={3}>
-          <Grid item xs={12} md={6}>
+          <Grid item xs={12} md={4}>
+            <FormControl fullWidth size="small">
+              <InputLabel>{t('filters.period')}</InputLabel>
+              <Select
+                value={filters.period}
+                label={t('filters.period')}
+                onChange={(e) => updateFilter('period', e.target.value)}
+              >
+                {FILTER_PERIODS.map((period) => (
+                  <MenuItem key={period} value={period}>
+                    {t(`filters.periods.${period}`)}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+
+          <Grid item xs={12} md={4}>
             <Typography variant="subtitle2" sx={{ mb: 1, fontWeight: 600 }}>
               {t('common.startDate')}
             </Typography>
-            <Box sx={{ display: 'flex', gap: 1 }}>
-              <TextField
-                label={t('common.year')}
-                type="number"
-                value={startDate.year}
-                onChange={(e) => setStartDate({ ...startDate, year: parseInt(e.target.value) || 2024 })}
-                size="small"
-              />
-              <TextField
-                label={t('common.month')}
-                type="number"
-                value={startDate.month}
-                onChange={(e) => setStartDate({ ...startDate, month: parseInt(e.target.value) || 1 })}
-                size="small"
-                inputProps={{ min: 1, max: 12 }}
-              />
-              <TextField
-                label={t('common.day')}
-                type="number"
-                value={startDate.day}
-                onChange={(e) => setStartDate({ ...startDate, day: parseInt(e.target.value) || 1 })}
-                size="small"
-                inputProps={{ min: 1, max: 31 }}
-              />
-            </Box>
+            {renderDateInputs('startDate')}
           </Grid>
 
-          <Grid item xs={12} md={6}>
+          <Grid item xs={12} md={4}>
             <Typography variant="subtitle2" sx={{ mb: 1, fontWeight: 600 }}>
               {t('common.endDate')}
             </Typography>
-            <Box sx={{ display: 'flex', gap: 1 }}>
-              <TextField
-                label={t('common.year')}
-                type="number"
-                value={endDate.year}
-                onChange={(e) => setEndDate({ ...endDate, year: parseInt(e.target.value) || 2024 })}
-                size="small"
-              />
-              <TextField
-                label={t('common.month')}
-                type="number"
-                value={endDate.month}
-                onChange={(e) => setEndDate({ ...endDate, month: parseInt(e.target.value) || 1 })}
-                size="small"
-                inputProps={{ min: 1, max: 12 }}
-              />
-              <TextField
-                label={t('common.day')}
-                type="number"
-                value={endDate.day}
-                onChange={(e) => setEndDate({ ...endDate, day: parseInt(e.target.value) || 1 })}
-                size="small"
-                inputProps={{ min: 1, max: 31 }}
-              />
-            </Box>
+            {renderDateInputs('endDate')}
           </Grid>
 
           <Grid item xs={12} md={6}>
@@ -203,8 +425,9 @@ export default function AdvancedFilters({ db }) {
               <InputLabel>{t('common.category')}</InputLabel>
               <Select
                 multiple
-                value={selectedCategories}
-                onChange={(e) => setSelectedCategories(e.target.value)}
+                value={filters.categories}
+                label={t('common.category')}
+                onChange={(e) => updateFilter('categories', e.target.value)}
                 renderValue={(selected) => (
                   <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
                     {selected.map((value) => (
@@ -222,12 +445,72 @@ export default function AdvancedFilters({ db }) {
             </FormControl>
           </Grid>
 
+          <Grid item xs={12} md={6}>
+            <FormControl fullWidth size="small">
+              <InputLabel>{t('filters.types')}</InputLabel>
+              <Select
+                multiple
+                value={filters.types}
+                label={t('filters.types')}
+                onChange={(e) => updateFilter('types', e.target.value)}
+                renderValue={(selected) => (
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                    {selected.map((value) => (
+                      <Chip key={value} label={t(`forms.types.${value}`)} size="small" />
+                    ))}
+                  </Box>
+                )}
+              >
+                {TRANSACTION_TYPES.map((type) => (
+                  <MenuItem key={type} value={type}>
+                    {t(`forms.types.${type}`)}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+
+          <Grid item xs={12} md={6}>
+            <FormControl fullWidth size="small">
+              <InputLabel>{t('filters.tags')}</InputLabel>
+              <Select
+                multiple
+                value={filters.tags}
+                label={t('filters.tags')}
+                onChange={(e) => updateFilter('tags', e.target.value)}
+                renderValue={(selected) => (
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                    {selected.map((value) => (
+                      <Chip key={value} label={value} size="small" />
+                    ))}
+                  </Box>
+                )}
+              >
+                {Array.from(new Set([...tags, ...filters.tags])).map((tag) => (
+                  <MenuItem key={tag} value={tag}>
+                    {tag}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+
+          <Grid item xs={12} md={6}>
+            <TextField
+              label={t('filters.descriptionContains')}
+              value={filters.text}
+              onChange={(e) => updateFilter('text', e.target.value)}
+              fullWidth
+              size="small"
+            />
+          </Grid>
+
           <Grid item xs={12} md={3}>
             <TextField
               label={t('common.minAmount')}
               type="number"
-              value={minAmount}
-              onChange={(e) => setMinAmount(e.target.value)}
+              value={filters.minAmount}
+              onChange={(e) => updateFilter('minAmount', e.target.value)}
               fullWidth
               size="small"
             />
@@ -237,8 +520,8 @@ export default function AdvancedFilters({ db }) {
             <TextField
               label={t('common.maxAmount')}
               type="number"
-              value={maxAmount}
-              onChange={(e) => setMaxAmount(e.target.value)}
+              value={filters.maxAmount}
+              onChange={(e) => updateFilter('maxAmount', e.target.value)}
               fullWidth
               size="small"
             />
@@ -246,18 +529,48 @@ export default function AdvancedFilters({ db }) {
 
           <Grid item xs={12} md={6}>
             <FormControl fullWidth size="small">
-              <InputLabel>{t('common.currency')}</InputLabel>
-              <Select value={currency} onChange={(e) => setCurrency(e.target.value)}>
-                <MenuItem value="USD">USD</MenuItem>
-                <MenuItem value="ILS">ILS</MenuItem>
-                <MenuItem value="GBP">GBP</MenuItem>
-                <MenuItem value="EURO">EURO</MenuItem>
+              <InputLabel>{t('filters.transactionCurrencies')}</InputLabel>
+              <Select
+                multiple
+                value={filters.currencies}
+                label={t('filters.transactionCurrencies')}
+                onChange={(e) => updateFilter('currencies', e.target.value)}
+                renderValue={(selected) => (
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                    {selected.map((value) => (
+                      <Chip key={value} label={value} size="small" />
+                    ))}
+                  </Box>
+                )}
+              >
+                {getCurrencyChoices(filters.currencies).map((code) => (
+                  <MenuItem key={code} value={code}>
+                    {code}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+
+          <Grid item xs={12} md={6}>
+            <FormControl fullWidth size="small">
+              <InputLabel>{t('filters.showAmountsIn')}</InputLabel>
+              <Select
+                value={filters.currency}
+                label={t('filters.showAmountsIn')}
+                onChange={(e) => updateFilter('currency', e.target.value)}
+              >
+                {getCurrencyChoices(filters.currency).map((code) => (
+                  <MenuItem key={code} value={code}>
+                    {code}
+                  </MenuItem>
+                ))}
               </Select>
             </FormControl>
           </Grid>
 
           <Grid item xs={12}>
-            <Box sx={{ display: 'flex', gap: 2 }}>
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
               <Button
                 variant="contained"
                 startIcon={<FilterListIcon />}
@@ -269,6 +582,14 @@ export default function AdvancedFilters({ db }) {
               >
                 {t('filters.applyFilters')}
               </Button>
+              <Button
+                variant="outlined"
+                startIcon={<BookmarkAddIcon />}
+                onClick={handleOpenPresetDialog}
+                disabled={!db}
+              >
+                {t('filters.presets.save')}
+              </Button>
               <Button
                 variant="outlined"
                 startIcon={<ClearIcon />}
@@ -281,7 +602,44 @@ export default function AdvancedFilters({ db }) {
         </Grid>
       </Paper>
 
-      {filteredCosts.length > 0 && (
+      {presets.length > 0 && (
+        <Paper sx={{ p: 3, mb: 4, borderRadius: 3, boxShadow: 2, bgcolor: 'background.paper' }}>
+          <Typography variant="h6" sx={{ fontWeight: 600, mb: 1 }}>
+            {t('filters.presets.title')}
+          </Typography>
+          <List dense disablePadding>
+            {presets.map((preset) => (
+              <ListItem
+                key={preset.id}
+                disablePadding
+                secondaryAction={
+                  <Box sx={{ display: 'flex', gap: 0.5 }}>
+                    <Tooltip title={preset.pinned ? t('filters.presets.unpin') : t('filters.presets.pin')}>
+                      <IconButton size="small" color={preset.pinned ? 'primary' : 'default'} onClick={() => handleTogglePinned(preset)}>
+                        {preset.pinned ? <PushPinIcon fontSize="small" /> : <PushPinOutlinedIcon fontSize="small" />}
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title={t('common.delete')}>
+                      <IconButton size="small" color="error" onClick={() => handleDeletePreset(preset)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </Box>
+                }
+              >
+                <ListItemButton onClick={() => showFilters(normalizeFilters(preset.filters))} sx={{ borderRadius: 2, pr: 12 }}>
+                  <ListItemText
+                    primary={preset.name}
+                    secondary={t(`filters.periods.${normalizeFilters(preset.filters).period}`)}
+                  />
+                </ListItemButton>
+              </ListItem>
+            ))}
+          </List>
+        </Paper>
+      )}
+
+      {appliedFilters && filteredCosts.length > 0 && (
         <Card sx={{ borderRadius: 3, boxShadow: 2, bgcolor: 'background.paper' }}>
           <CardContent>
             <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
@@ -289,40 +647,134 @@ export default function AdvancedFilters({ db }) {
                 {t('filters.filteredResults', { count: filteredCosts.length })}
               </Typography>
               <Typography variant="h6" sx={{ fontWeight: 700, color: 'primary.main' }}>
-                {t('filters.total', { amount: totalAmount.toFixed(2), currency: currency })}
+                {t('filters.total', { amount: formatAmount(totalAmount, resultCurrency, i18n.language), currency: resultCurrency })}
               </Typography>
             </Box>
-            
+
+            <BulkActionsBar
+              selectedCount={actions.selectedIds.length}
+              categories={categories}
+              onDelete={actions.deleteSelected}
+              onRecategorize={actions.recategorizeSelected}
+              onChangeCurrency={actions.changeCurrencySelected}
+              onClear={actions.clearSelection}
+            />
+
             <TableContainer>
               <Table>
                 <TableHead>
                   <TableRow>
-                    <TableCell>{t('common.date')}</TableCell>
-                    <TableCell>{t('common.category')}</TableCell>
-                    <TableCell>{t('common.description')}</TableCell>
+                    <TableCell padding="checkbox">
+                      <Checkbox
+                        size="small"
+                        checked={pageIds.length > 0 && selectedInPage === pageIds.length}
+                        indeterminate={selectedInPage > 0 && selectedInPage < pageIds.length}
+                        onChange={(e) => actions.setGroupSelected(pageIds, e.target.checked)}
+                      />
+                    </TableCell>
+                    {renderSortableHeader('date', t('common.date'))}
+                    {renderSortableHeader('category', t('common.category'))}
+                    {renderSortableHeader('description', t('common.description'))}
+                    <TableCell>{t('filters.type')}</TableCell>
                     <TableCell align="right">{t('common.amount')}</TableCell>
-                    <TableCell>{t('common.currency')}</TableCell>
+                    {renderSortableHeader('amount', t('filters.convertedAmount', { currency: resultCurrency }), 'right')}
+                    <TableCell />
                   </TableRow>
                 </TableHead>
                 <TableBody>
-                  {filteredCosts.map((cost) => (
-                    <TableRow key={cost.id}>
+                  {pageCosts.map((cost) => actions.editingCost && actions.editingCost.id === cost.id ? (
+                    <CostEditRow
+                      key={cost.id}
+                      db={db}
+                      cost={actions.editingCost}
+                      colSpan={8}
+                      categories={categories}
+                      onSaved={actions.handleSaved}
+                      onCancel={actions.cancelEdit}
+                    />
+                  ) : (
+                    <TableRow key={cost.id} selected={actions.isSelected(cost.id)}>
+                      <TableCell padding="checkbox">
+                        <Checkbox size="small" checked={actions.isSelected(cost.id)} onChange={() => actions.toggleSelected(cost.id)} />
+                      </TableCell>
                       <TableCell>
                         {cost.date.year}-{cost.date.month}-{cost.date.day}
                       </TableCell>
-                      <TableCell>{cost.category}</TableCell>
-                      <TableCell>{cost.description}</TableCell>
-                      <TableCell align="right">{cost.sum.toFixed(2)}</TableCell>
-                      <TableCell>{cost.currency}</TableCell>
+                      <TableCell>{formatCategories(cost)}</TableCell>
+                      <TableCell>
+                        {cost.description}
+                        <TagChips tags={cost.tags} />
+                      </TableCell>
+                      <TableCell>{t(`forms.types.${cost.type || 'expense'}`)}</TableCell>
+                      <TableCell align="right">{formatCurrency(cost.sum, cost.currency, i18n.language)}</TableCell>
+                      <TableCell align="right" sx={{ fontWeight: 600 }}>{formatAmount(cost.convertedSum, resultCurrency, i18n.language)}</TableCell>
+                      <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                        <Tooltip title={t('common.edit')}>
+                          <IconButton size="small" onClick={() => actions.startEdit(cost.id)}>
+                            <EditIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title={t('common.delete')}>
+                          <IconButton size="small" color="error" onClick={() => actions.deleteWithUndo([cost.id])}>
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      </TableCell>
                     </TableRow>
                   ))}
                 </TableBody>
               </Table>
             </TableContainer>
+
+            <TablePagination
+              component="div"
+              count={filteredCosts.length}
+              page={Math.min(page, Math.max(0, Math.ceil(filteredCosts.length / rowsPerPage) - 1))}
+              onPageChange={(e, newPage) => setPage(newPage)}
+              rowsPerPage={rowsPerPage}
+              onRowsPerPageChange={(e) => {
+                setRowsPerPage(parseInt(e.target.value, 10));
+                setPage(0);
+              }}
+              rowsPerPageOptions={ROWS_PER_PAGE_OPTIONS}
+              labelRowsPerPage={t('filters.rowsPerPage')}
+              labelDisplayedRows={({ from, to, count }) => t('filters.displayedRows', { from: from, to: to, count: count })}
+            />
           </CardContent>
         </Card>
       )}
+
+      <Dialog open={presetDialogOpen} onClose={() => setPresetDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>{t('filters.presets.save')}</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            label={t('filters.presets.name')}
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleSavePreset();
+            }}
+            helperText={t('filters.presets.nameHelper')}
+            fullWidth
+            margin="normal"
+          />
+        </DialogContent>
+        <DialogActions sx={{ p: 2.5 }}>
+          <Button onClick={() => setPresetDialogOpen(false)}>
+            {t('common.cancel')}
+          </Button>
+          <Button
+            variant="contained"
+            onClick={handleSavePreset}
+            sx={{
+              background: 'linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)',
+            }}
+          >
+            {t('common.save')}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 }
-
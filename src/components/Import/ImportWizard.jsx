@@ -0,0 +1,651 @@
+/**
+ * ImportWizard.jsx - Component for importing bank statements (CSV, OFX, QIF)
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  Typography,
+  Paper,
+  Card,
+  CardContent,
+  Grid,
+  Stepper,
+  Step,
+  StepLabel,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Switch,
+  Checkbox,
+  Chip,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  List,
+  ListItem,
+  ListItemText
+} from '@mui/material';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import UndoIcon from '@mui/icons-material/Undo';
+import {
+  DATE_FORMATS,
+  detectFormat,
+  parseCsv,
+  guessCsvMapping,
+  applyCsvMapping,
+  parseOfx,
+  parseQif,
+  findDuplicates
+} from '../../lib/statementImport';
+import { normalizeCurrencyCode, isCurrencyCode, getCurrencyChoices, formatCurrency } from '../../lib/currencies';
+import { useSettings } from '../../contexts/SettingsContext';
+
+// Settings store key of the remembered CSV column mappings
+const PROFILES_KEY = 'importProfiles';
+
+// Mapped fields shown in the column mapping step
+const MAPPING_FIELDS = ['date', 'amount', 'debit', 'credit', 'description', 'category', 'currency'];
+
+/**
+ * Maps a currency code from a statement to an ISO currency code
+ * @param {string} code - Currency code from the file
+ * @param {string} fallback - Currency used when the code is missing or not a currency code
+ * @returns {string} ISO currency code
+ */
+function normalizeCurrency(code, fallback) {
+  const iso = normalizeCurrencyCode(code);
+  return isCurrencyCode(iso) ? iso : fallback;
+}
+
+/**
+ * ImportWizard component
+ * Reads a statement file, maps CSV columns (remembering the mapping per header layout),
+ * previews rows with likely duplicates unchecked, and imports the selection as one undoable batch
+ * @param {Object} props - Component props
+ * @param {Object|null} props.db - Database instance
+ * @param {function} [props.onCostsChange] - Called after an import or undo
+ */
+export default function ImportWizard({ db, onCostsChange }) {
+  const { t, i18n } = useTranslation();
+  const { preferredCurrency } = useSettings();
+  const fileInputRef = useRef(null);
+  const [activeStep, setActiveStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [csv, setCsv] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [qifDateFormat, setQifDateFormat] = useState('MM/DD/YYYY');
+  const [invertSign, setInvertSign] = useState(false);
+  const [profiles, setProfiles] = useState([]);
+  const [profileName, setProfileName] = useState('');
+  const [defaultCurrency, setDefaultCurrency] = useState(preferredCurrency);
+  const [defaultCategory, setDefaultCategory] = useState('');
+  const [accounts, setAccounts] = useState([]);
+  const [accountId, setAccountId] = useState('');
+  const [preview, setPreview] = useState([]);
+  const [importing, setImporting] = useState(false);
+  const [lastBatch, setLastBatch] = useState(null);
+  const [batches, setBatches] = useState([]);
+
+  const steps = [t('import.steps.file'), t('import.steps.options'), t('import.steps.preview'), t('import.steps.done')];
+
+  const loadBatches = async function() {
+    try {
+      setBatches(await db.getImportBatches());
+    } catch (error) {
+      console.warn('Failed to load import batches:', error);
+    }
+  };
+
+  useEffect(function() {
+    if (db) {
+      loadBatches();
+      db.getAccounts().then(function(accountsData) {
+        setAccounts(accountsData);
+        if (accountsData.length > 0) {
+          setAccountId(accountsData[0].id);
+        }
+      }).catch(function(error) {
+        console.warn('Failed to load accounts:', error);
+      });
+      db.getSetting(PROFILES_KEY).then(function(saved) {
+        setProfiles(Array.isArray(saved) ? saved : []);
+      }).catch(function(error) {
+        console.warn('Failed to load import profiles:', error);
+      });
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [db]);
+
+  /**
+   * Reads the chosen file and picks the matching profile for CSV files
+   * @param {Event} event - The file input change event
+   */
+  const handleFileChange = async function(event) {
+    const chosen = event.target.files[0];
+    event.target.value = '';
+    if (!chosen) return;
+
+    try {
+      const text = await chosen.text();
+      const format = detectFormat(chosen.name, text);
+      setFile({ name: chosen.name, format: format, text: text });
+      setInvertSign(false);
+
+      if (format === 'csv') {
+        const parsed = parseCsv(text);
+        if (parsed.headers.length === 0 || parsed.rows.length === 0) {
+          toast.error(t('import.emptyFile'));
+          return;
+        }
+        setCsv(parsed);
+        const signature = parsed.headers.join('|');
+        const profile = profiles.find(p => p.headers.join('|') === signature);
+        if (profile) {
+          setMapping(profile.mapping);
+          setInvertSign(!!profile.invertSign);
+          setProfileName(profile.name);
+          toast.success(t('import.profileApplied', { name: profile.name }));
+        } else {
+          setMapping(guessCsvMapping(parsed.headers));
+          setProfileName('');
+        }
+      } else {
+        setCsv(null);
+        setMapping(null);
+      }
+      setActiveStep(1);
+    } catch (error) {
+      toast.error(t('import.failedToRead') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  /**
+   * Parses the file with the chosen options and flags likely duplicates
+   */
+  const handleBuildPreview = async function() {
+    if (file.format === 'csv' && (mapping.date < 0 || (mapping.amount < 0 && mapping.debit < 0 && mapping.credit < 0))) {
+      toast.error(t('import.mappingRequired'));
+      return;
+    }
+
+    let rows;
+    if (file.format === 'csv') {
+      rows = applyCsvMapping(csv.rows, mapping);
+    } else if (file.format === 'ofx') {
+      rows = parseOfx(file.text);
+    } else {
+      rows = parseQif(file.text, qifDateFormat);
+    }
+
+    const items = rows.map(function(row) {
+      const amount = invertSign ? -row.amount : row.amount;
+      return {
+        date: row.date,
+        sum: Math.abs(amount),
+        currency: normalizeCurrency(row.currency, defaultCurrency),
+        category: row.category,
+        description: row.description,
+        type: amount < 0 ? 'expense' : 'income',
+        error: row.error || (amount === 0 ? 'amount' : null),
+      };
+    });
+
+    try {
+      const valid = items.filter(item => !item.error);
+      let existing = [];
+      if (valid.length > 0) {
+        const dates = valid.map(item => item.date).sort();
+        const toStructure = function(value) {
+          const [year, month, day] = value.split('-').map(Number);
+          return { year: year, month: month, day: day };
+        };
+        existing = await db.getCostsByDateRange(toStructure(dates[0]), toStructure(dates[dates.length - 1]));
+      }
+      const duplicates = findDuplicates(valid, existing);
+
+      let validIndex = 0;
+      setPreview(items.map(function(item) {
+        if (item.error) {
+          return { ...item, duplicate: false, include: false };
+        }
+        const duplicate = duplicates[validIndex++];
+        return { ...item, duplicate: duplicate, include: !duplicate };
+      }));
+      setActiveStep(2);
+    } catch (error) {
+      toast.error(t('messages.failedToLoad') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  /**
+   * Saves the current column mapping as a profile for files with the same headers
+   */
+  const handleSaveProfile = async function() {
+    if (!profileName.trim()) {
+      toast.error(t('import.profileNameRequired'));
+      return;
+    }
+    const signature = csv.headers.join('|');
+    const updated = profiles
+      .filter(p => p.headers.join('|') !== signature && p.name !== profileName.trim())
+      .concat([{ name: profileName.trim(), headers: csv.headers, mapping: mapping, invertSign: invertSign }]);
+
+    try {
+      await db.setSetting(PROFILES_KEY, updated);
+      setProfiles(updated);
+      toast.success(t('import.profileSaved'));
+    } catch (error) {
+      toast.error(t('messages.failedToSave') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  const handleToggleRow = function(index) {
+    setPreview(preview.map(function(item, i) {
+      return i === index ? { ...item, include: !item.include } : item;
+    }));
+  };
+
+  const handleImport = async function() {
+    const selected = preview.filter(item => item.include);
+    if (selected.length === 0) {
+      toast.error(t('import.nothingSelected'));
+      return;
+    }
+
+    setImporting(true);
+    try {
+      const batch = await db.importCosts(
+        selected.map(function(item) {
+          return {
+            sum: item.sum,
+            currency: item.currency,
+            category: item.category || defaultCategory.trim() || t('import.uncategorized'),
+            description: item.description,
+            type: item.type,
+            date: item.date,
+            ...(accountId && { accountId: accountId }),
+          };
+        }),
+        { id: `import-${Date.now()}`, fileName: file.name, format: file.format }
+      );
+      setLastBatch(batch);
+      setActiveStep(3);
+      toast.success(t('import.imported', { count: batch.count }));
+      loadBatches();
+      if (onCostsChange) {
+        onCostsChange();
+      }
+    } catch (error) {
+      toast.error(t('messages.failedToSave') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  /**
+   * Removes every transaction added by an import
+   * @param {Object} batch - The import batch
+   */
+  const handleUndo = async function(batch) {
+    try {
+      const removed = await db.undoImport(batch.id);
+      toast.success(t('import.undone', { count: removed }));
+      if (lastBatch && lastBatch.id === batch.id) {
+        setLastBatch(null);
+      }
+      loadBatches();
+      if (onCostsChange) {
+        onCostsChange();
+      }
+    } catch (error) {
+      toast.error(t('messages.failedToDelete') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  const handleReset = function() {
+    setActiveStep(0);
+    setFile(null);
+    setCsv(null);
+    setMapping(null);
+    setPreview([]);
+    setLastBatch(null);
+  };
+
+  if (!db) {
+    return (
+      <Alert severity="info">
+        {t('messages.databaseNotInitializedWait')}
+      </Alert>
+    );
+  }
+
+  const gradientButtonSx = {
+    borderRadius: 2,
+    background: 'linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)',
+    '&:hover': {
+      background: 'linear-gradient(135deg, #4f46e5 0%, #7c3aed 100%)',
+    },
+  };
+
+  const includedCount = preview.filter(item => item.include).length;
+  const duplicateCount = preview.filter(item => item.duplicate).length;
+  const errorCount = preview.filter(item => item.error).length;
+
+  return (
+    <Box>
+      <Typography variant="h4" sx={{ fontWeight: 700, mb: 4 }}>
+        {t('import.title')}
+      </Typography>
+
+      <Card sx={{ borderRadius: 3, boxShadow: 2, bgcolor: 'background.paper', mb: 4 }}>
+        <CardContent sx={{ p: 4 }}>
+          <Stepper activeStep={activeStep} alternativeLabel sx={{ mb: 4 }}>
+            {steps.map((label) => (
+              <Step key={label}>
+                <StepLabel>{label}</StepLabel>
+              </Step>
+            ))}
+          </Stepper>
+
+          {activeStep === 0 && (
+            <Box sx={{ textAlign: 'center', py: 4 }}>
+              <Typography color="text.secondary" sx={{ mb: 3 }}>
+                {t('import.chooseFileHelper')}
+              </Typography>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,.txt,.ofx,.qfx,.qif"
+                hidden
+                onChange={handleFileChange}
+              />
+              <Button
+                variant="contained"
+                size="large"
+                startIcon={<UploadFileIcon />}
+                onClick={() => fileInputRef.current.click()}
+                sx={gradientButtonSx}
+              >
+                {t('import.chooseFile')}
+              </Button>
+            </Box>
+          )}
+
+          {activeStep === 1 && file && (
+            <Box>
+              <Alert severity="info" sx={{ mb: 3, borderRadius: 2 }}>
+                {t('import.fileInfo', { name: file.name, format: file.format.toUpperCase() })}
+              </Alert>
+
+              {file.format === 'csv' && mapping && (
+                <>
+                  <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>
+                    {t('import.columnMapping')}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                    {t('import.columnMappingHelper')}
+                  </Typography>
+                  <Grid container spacing={2}>
+                    {MAPPING_FIELDS.map((field) => (
+                      <Grid item xs={12} sm={6} md={3} key={field}>
+                        <FormControl fullWidth size="small">
+                          <InputLabel>{t('import.fields.' + field)}</InputLabel>
+                          <Select
+                            value={mapping[field]}
+                            label={t('import.fields.' + field)}
+                            onChange={(e) => setMapping({ ...mapping, [field]: e.target.value })}
+                          >
+                            <MenuItem value={-1}>{t('import.notMapped')}</MenuItem>
+                            {csv.headers.map((header, index) => (
+                              <MenuItem key={index} value={index}>{header || `#${index + 1}`}</MenuItem>
+                            ))}
+                          </Select>
+                        </FormControl>
+                      </Grid>
+                    ))}
+                    <Grid item xs={12} sm={6} md={3}>
+                      <FormControl fullWidth size="small">
+                        <InputLabel>{t('import.dateFormat')}</InputLabel>
+                        <Select
+                          value={mapping.dateFormat}
+                          label={t('import.dateFormat')}
+                          onChange={(e) => setMapping({ ...mapping, dateFormat: e.target.value })}
+                        >
+                          {DATE_FORMATS.map((format) => (
+                            <MenuItem key={format} value={format}>{format}</MenuItem>
+                          ))}
+                        </Select>
+                      </FormControl>
+                    </Grid>
+                    <Grid item xs={12} sm={6} md={3}>
+                      <FormControl fullWidth size="small">
+                        <InputLabel>{t('import.decimalSeparator')}</InputLabel>
+                        <Select
+                          value={mapping.decimalSeparator}
+                          label={t('import.decimalSeparator')}
+                          onChange={(e) => setMapping({ ...mapping, decimalSeparator: e.target.value })}
+                        >
+                          <MenuItem value=".">1,234.56</MenuItem>
+                          <MenuItem value=",">1.234,56</MenuItem>
+                        </Select>
+                      </FormControl>
+                    </Grid>
+                  </Grid>
+
+                  <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', mt: 3 }}>
+                    <TextField
+                      label={t('import.profileName')}
+                      value={profileName}
+                      onChange={(e) => setProfileName(e.target.value)}
+                      size="small"
+                    />
+                    <Button variant="outlined" onClick={handleSaveProfile}>
+                      {t('import.saveProfile')}
+                    </Button>
+                  </Box>
+                </>
+              )}
+
+              {file.format === 'qif' && (
+                <FormControl size="small" sx={{ minWidth: 200 }}>
+                  <InputLabel>{t('import.dateFormat')}</InputLabel>
+                  <Select
+                    value={qifDateFormat}
+                    label={t('import.dateFormat')}
+                    onChange={(e) => setQifDateFormat(e.target.value)}
+                  >
+                    {DATE_FORMATS.map((format) => (
+                      <MenuItem key={format} value={format}>{format}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              )}
+
+              <Grid container spacing={2} sx={{ mt: 1 }}>
+                <Grid item xs={12} sm={3}>
+                  <FormControl fullWidth size="small">
+                    <InputLabel>{t('import.defaultCurrency')}</InputLabel>
+                    <Select
+                      value={defaultCurrency}
+                      label={t('import.defaultCurrency')}
+                      onChange={(e) => setDefaultCurrency(e.target.value)}
+                    >
+                      {getCurrencyChoices(defaultCurrency).map((code) => (
+                        <MenuItem key={code} value={code}>{code}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={12} sm={3}>
+                  <TextField
+                    label={t('import.defaultCategory')}
+                    value={defaultCategory}
+                    onChange={(e) => setDefaultCategory(e.target.value)}
+                    fullWidth
+                    size="small"
+                  />
+                </Grid>
+                <Grid item xs={12} sm={3}>
+                  <FormControl fullWidth size="small">
+                    <InputLabel>{t('forms.account')}</InputLabel>
+                    <Select
+                      value={accountId}
+                      label={t('forms.account')}
+                      onChange={(e) => setAccountId(e.target.value)}
+                    >
+                      {accounts.map((account) => (
+                        <MenuItem key={account.id} value={account.id}>{account.name}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={12} sm={3}>
+                  <FormControlLabel
+                    control={<Switch checked={invertSign} onChange={(e) => setInvertSign(e.target.checked)} />}
+                    label={t('import.invertSign')}
+                  />
+                </Grid>
+              </Grid>
+
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 4 }}>
+                <Button onClick={handleReset}>{t('common.cancel')}</Button>
+                <Button variant="contained" onClick={handleBuildPreview} sx={gradientButtonSx}>
+                  {t('import.preview')}
+                </Button>
+              </Box>
+            </Box>
+          )}
+
+          {activeStep === 2 && (
+            <Box>
+              <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+                <Chip label={t('import.rowsSelected', { count: includedCount, total: preview.length })} color="primary" />
+                {duplicateCount > 0 && (
+                  <Chip label={t('import.duplicatesFound', { count: duplicateCount })} color="warning" />
+                )}
+                {errorCount > 0 && (
+                  <Chip label={t('import.invalidRows', { count: errorCount })} color="error" />
+                )}
+              </Box>
+
+              <TableContainer sx={{ maxHeight: 480 }}>
+                <Table stickyHeader size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell padding="checkbox" />
+                      <TableCell>{t('common.date')}</TableCell>
+                      <TableCell>{t('common.description')}</TableCell>
+                      <TableCell>{t('common.category')}</TableCell>
+                      <TableCell align="right">{t('common.amount')}</TableCell>
+                      <TableCell>{t('forms.transactionType')}</TableCell>
+                      <TableCell />
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {preview.map((item, index) => (
+                      <TableRow key={index} sx={{ opacity: item.include ? 1 : 0.6 }}>
+                        <TableCell padding="checkbox">
+                          <Checkbox
+                            size="small"
+                            checked={item.include}
+                            disabled={!!item.error}
+                            onChange={() => handleToggleRow(index)}
+                          />
+                        </TableCell>
+                        <TableCell>{item.date || '—'}</TableCell>
+                        <TableCell>{item.description}</TableCell>
+                        <TableCell>{item.category || defaultCategory || t('import.uncategorized')}</TableCell>
+                        <TableCell align="right">
+                          {isNaN(item.sum) ? '—' : formatCurrency(item.sum, item.currency, i18n.language)}
+                        </TableCell>
+                        <TableCell>{t('forms.types.' + item.type)}</TableCell>
+                        <TableCell>
+                          {item.error && (
+                            <Chip label={t('import.errors.' + item.error)} size="small" color="error" />
+                          )}
+                          {item.duplicate && (
+                            <Chip label={t('import.possibleDuplicate')} size="small" color="warning" />
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 3 }}>
+                <Button onClick={() => setActiveStep(1)}>{t('import.back')}</Button>
+                <Button
+                  variant="contained"
+                  onClick={handleImport}
+                  disabled={importing || includedCount === 0}
+                  sx={gradientButtonSx}
+                >
+                  {t('import.importCount', { count: includedCount })}
+                </Button>
+              </Box>
+            </Box>
+          )}
+
+          {activeStep === 3 && (
+            <Box sx={{ textAlign: 'center', py: 4 }}>
+              <Typography variant="h6" sx={{ mb: 2 }}>
+                {lastBatch ? t('import.imported', { count: lastBatch.count }) : t('import.undone', { count: 0 })}
+              </Typography>
+              <Box sx={{ display: 'flex', gap: 2, justifyContent: 'center' }}>
+                {lastBatch && (
+                  <Button variant="outlined" color="error" startIcon={<UndoIcon />} onClick={() => handleUndo(lastBatch)}>
+                    {t('import.undoImport')}
+                  </Button>
+                )}
+                <Button variant="contained" onClick={handleReset} sx={gradientButtonSx}>
+                  {t('import.importAnother')}
+                </Button>
+              </Box>
+            </Box>
+          )}
+        </CardContent>
+      </Card>
+
+      {batches.length > 0 && (
+        <Paper sx={{ p: 3, borderRadius: 3, boxShadow: 2, bgcolor: 'background.paper' }}>
+          <Typography variant="h6" sx={{ fontWeight: 600, mb: 1 }}>
+            {t('import.recentImports')}
+          </Typography>
+          <List dense>
+            {batches.map((batch) => (
+              <ListItem
+                key={batch.id}
+                disableGutters
+                secondaryAction={
+                  <Button size="small" color="error" startIcon={<UndoIcon />} onClick={() => handleUndo(batch)}>
+                    {t('import.undoImport')}
+                  </Button>
+                }
+              >
+                <ListItemText
+                  primary={batch.fileName}
+                  secondary={t('import.batchInfo', {
+                    count: batch.count,
+                    date: new Date(batch.importedAt).toLocaleString(),
+                  })}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </Paper>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,188 @@
+/**
+ * GlobalSearch.jsx - Search box in the header that finds any transaction
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Autocomplete,
+  Box,
+  Chip,
+  InputAdornment,
+  TextField,
+  Typography
+} from '@mui/material';
+import { useTranslation } from 'react-i18next';
+import { useNavigate } from 'react-router-dom';
+import SearchIcon from '@mui/icons-material/Search';
+import { VIEW_PATHS, buildSearchParams } from '../../lib/routes';
+import { formatCurrency } from '../../lib/currencies';
+import { formatCategories } from '../../lib/splits';
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DELAY_MS = 200;
+
+// Number of results listed
+const MAX_RESULTS = 20;
+
+/**
+ * Formats a cost's date for the results list
+ * @param {Object} date - Date structure
+ * @returns {string} The date as DD/MM/YYYY
+ */
+function formatResultDate(date) {
+  return `${String(date.day).padStart(2, '0')}/${String(date.month).padStart(2, '0')}/${date.year}`;
+}
+
+/**
+ * GlobalSearch component
+ * Searches description, category, amount and date of every transaction as the user types.
+ * The arrow keys move through the results and Enter opens the chosen transaction in its
+ * month's report; Ctrl+K (or Cmd+K) focuses the box from anywhere.
+ * @param {Object} props - Component props
+ * @param {Object|null} props.db - Database instance
+ */
+export default function GlobalSearch({ db }) {
+  const { t, i18n } = useTranslation();
+  const navigate = useNavigate();
+  const inputRef = useRef(null);
+  const [inputValue, setInputValue] = useState('');
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  /**
+   * Searches once typing pauses; a newer query cancels the pending one
+   */
+  useEffect(function() {
+    if (!db || !inputValue.trim()) {
+      setResults([]);
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    const timer = setTimeout(function() {
+      db.searchCosts(inputValue, MAX_RESULTS)
+        .then(function(found) {
+          if (!cancelled) setResults(found);
+        })
+        .catch(function(error) {
+          console.error('Search failed:', error);
+          if (!cancelled) setResults([]);
+        })
+        .finally(function() {
+          if (!cancelled) setLoading(false);
+        });
+    }, SEARCH_DELAY_MS);
+
+    return function() {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [db, inputValue]);
+
+  /**
+   * Focuses the search box on Ctrl+K / Cmd+K
+   */
+  useEffect(function() {
+    const handleKeyDown = function(event) {
+      if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+        event.preventDefault();
+        if (inputRef.current) {
+          inputRef.current.focus();
+          inputRef.current.select();
+        }
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return function() {
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, []);
+
+  /**
+   * Opens the report of the chosen transaction's month with the transaction highlighted
+   * @param {Object} event - Change event
+   * @param {Object|string|null} cost - The chosen cost item
+   */
+  const handleSelect = function(event, cost) {
+    if (!cost || typeof cost === 'string') return;
+
+    const params = buildSearchParams({
+      year: cost.date.year,
+      month: cost.date.month,
+      currency: cost.currency,
+      highlight: cost.id,
+    });
+    navigate(`${VIEW_PATHS.report}?${params}`);
+    setInputValue('');
+    setResults([]);
+    if (inputRef.current) {
+      inputRef.current.blur();
+    }
+  };
+
+  return (
+    <Autocomplete
+      freeSolo
+      value={null}
+      options={results}
+      loading={loading}
+      inputValue={inputValue}
+      onInputChange={(e, value, reason) => {
+        if (reason !== 'reset') setInputValue(value);
+      }}
+      onChange={handleSelect}
+      // Results are already filtered and ranked by the search index
+      filterOptions={(options) => options}
+      getOptionLabel={(option) => (typeof option === 'string' ? option : option.description)}
+      isOptionEqualToValue={(option, value) => option.id === value.id}
+      autoHighlight
+      clearOnBlur={false}
+      loadingText={t('header.search.searching')}
+      noOptionsText={t('header.search.noResults')}
+      sx={{ width: { xs: 160, sm: 260, md: 340 } }}
+      renderOption={(props, option) => (
+        <Box component="li" {...props} key={option.id} sx={{ display: 'flex', gap: 1.5, alignItems: 'center' }}>
+          <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+            <Typography variant="body2" noWrap sx={{ fontWeight: 600 }}>
+              {option.description}
+            </Typography>
+            <Typography variant="caption" color="text.secondary" noWrap component="div">
+              {formatCategories(option)} · {formatResultDate(option.date)} · {t(`forms.types.${option.type || 'expense'}`)}
+            </Typography>
+          </Box>
+          <Chip label={formatCurrency(option.sum, option.currency, i18n.language)} size="small" variant="outlined" />
+        </Box>
+      )}
+      renderInput={(params) => (
+        <TextField
+          {...params}
+          inputRef={inputRef}
+          size="small"
+          placeholder={t('header.search.placeholder')}
+          inputProps={{ ...params.inputProps, 'aria-label': t('header.search.label') }}
+          InputProps={{
+            ...params.InputProps,
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon sx={{ color: 'inherit' }} />
+              </InputAdornment>
+            ),
+          }}
+          sx={{
+            '& .MuiOutlinedInput-root': {
+              color: 'inherit',
+              bgcolor: 'rgba(255, 255, 255, 0.15)',
+              borderRadius: 2,
+              '& fieldset': { border: 'none' },
+              '&:hover': { bgcolor: 'rgba(255, 255, 255, 0.25)' },
+            },
+            '& input::placeholder': { color: 'inherit', opacity: 0.8 },
+          }}
+        />
+      )}
+    />
+  );
+}
@@ -22,6 +22,8 @@ import {
 import { useTranslation } from 'react-i18next';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useNotifications } from '../../contexts/NotificationContext';
+import { useSettings } from '../../contexts/SettingsContext';
+import { getCurrencyChoices, getCurrencyLabel } from '../../lib/currencies';
 import AccountBalanceWalletIcon from '@mui/icons-material/AccountBalanceWallet';
 import DarkModeIcon from '@mui/icons-material/DarkMode';
 import LightModeIcon from '@mui/icons-material/LightMode';
@@ -34,18 +36,22 @@ import { format } from 'date-fns';
 import US from 'country-flag-icons/react/3x2/US';
 import IL from 'country-flag-icons/react/3x2/IL';
 import ES from 'country-flag-icons/react/3x2/ES';
+import GlobalSearch from './GlobalSearch';
 
 /**
  * Header component
  * @param {Object} props - Component props
  * @param {function} props.onMenuClick - Function to handle menu click
  * @param {number} [props.notificationCount=0] - Number of notifications
+ * @param {Object|null} [props.db] - Database instance, used by the search box
  */
-export default function Header({ onMenuClick, notificationCount = 0 }) {
+export default function Header({ onMenuClick, notificationCount = 0, db = null }) {
   const { mode, toggleMode } = useTheme();
   const { t, i18n } = useTranslation();
   const { notifications, markAsRead, markAllAsRead, clearNotification } = useNotifications();
+  const { preferredCurrency, setPreferredCurrency, enabledCurrencies } = useSettings();
   const [languageMenuAnchor, setLanguageMenuAnchor] = React.useState(null);
+  const [currencyMenuAnchor, setCurrencyMenuAnchor] = React.useState(null);
   const [notificationsMenuAnchor, setNotificationsMenuAnchor] = React.useState(null);
   const [deferredPrompt, setDeferredPrompt] = React.useState(null);
   const [isInstalled, setIsInstalled] = React.useState(false);
@@ -63,6 +69,19 @@ export default function Header({ onMenuClick, notificationCount = 0 }) {
     handleLanguageMenuClose();
   };
 
+  const handleCurrencyMenuOpen = function(event) {
+    setCurrencyMenuAnchor(event.currentTarget);
+  };
+
+  const handleCurrencyMenuClose = function() {
+    setCurrencyMenuAnchor(null);
+  };
+
+  const handleCurrencyChange = function(code) {
+    setPreferredCurrency(code);
+    handleCurrencyMenuClose();
+  };
+
   const handleNotificationsMenuOpen = function(event) {
     setNotificationsMenuAnchor(event.currentTarget);
   };
@@ -212,6 +231,8 @@ export default function Header({ onMenuClick, notificationCount = 0 }) {
         </Typography>
 
         <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <GlobalSearch db={db} />
+
           {/* PWA Install Button - Only show if app is not installed */}
           {!isInstalled && (
             <Tooltip title={t('header.installApp')}>
@@ -360,6 +381,47 @@ export default function Header({ onMenuClick, notificationCount = 0 }) {
             )}
           </Menu>
 
+          <Tooltip title={t('header.changeCurrency')}>
+            <Button
+              onClick={handleCurrencyMenuOpen}
+              color="inherit"
+              aria-label={t('header.changeCurrency')}
+              sx={{
+                minWidth: 0,
+                px: 1.5,
+                '&:hover': {
+                  bgcolor: 'rgba(255, 255, 255, 0.1)',
+                },
+              }}
+            >
+              {preferredCurrency}
+            </Button>
+          </Tooltip>
+          <Menu
+            anchorEl={currencyMenuAnchor}
+            open={Boolean(currencyMenuAnchor)}
+            onClose={handleCurrencyMenuClose}
+            anchorOrigin={{
+              vertical: 'bottom',
+              horizontal: 'right',
+            }}
+            transformOrigin={{
+              vertical: 'top',
+              horizontal: 'right',
+            }}
+          >
+            {getCurrencyChoices(enabledCurrencies, preferredCurrency).map((code) => (
+              <MenuItem
+                key={code}
+                onClick={() => handleCurrencyChange(code)}
+                selected={code === preferredCurrency}
+                sx={{ fontWeight: code === preferredCurrency ? 600 : 400 }}
+              >
+                {getCurrencyLabel(code, i18n.language)}
+              </MenuItem>
+            ))}
+          </Menu>
+
           <Tooltip title={t('header.switchTo', { mode: mode === 'light' ? 'dark' : 'light' })}>
             <IconButton 
               onClick={toggleMode} 
@@ -15,12 +15,14 @@ import Sidebar, { drawerWidth } from './Sidebar';
  * @param {string} props.currentView - Current active view
  * @param {function} props.onViewChange - Function to change view
  * @param {number} [props.notificationCount=0] - Number of notifications
+ * @param {Object|null} [props.db] - Database instance, used by the header search
  */
 export default function Layout({ 
   children, 
   currentView, 
   onViewChange,
-  notificationCount = 0 
+  notificationCount = 0,
+  db = null
 }) {
   const { i18n } = useTranslation();
   const theme = useTheme();
@@ -43,6 +45,7 @@ export default function Layout({
       <Header 
         onMenuClick={handleMenuClick} 
         notificationCount={notificationCount}
+        db={db}
       />
       
       {/* Sidebar - will be positioned based on anchor prop */}
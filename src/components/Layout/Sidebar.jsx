@@ -21,6 +21,7 @@ import DashboardIcon from '@mui/icons-material/Dashboard';
 import AddCircleOutlineIcon from '@mui/icons-material/AddCircleOutline';
 import AssessmentIcon from '@mui/icons-material/Assessment';
 import PieChartIcon from '@mui/icons-material/PieChart';
+import LocalOfferIcon from '@mui/icons-material/LocalOffer';
 import BarChartIcon from '@mui/icons-material/BarChart';
 import CategoryIcon from '@mui/icons-material/Category';
 import AccountBalanceIcon from '@mui/icons-material/AccountBalance';
@@ -28,6 +29,9 @@ import FilterListIcon from '@mui/icons-material/FilterList';
 import NotificationsIcon from '@mui/icons-material/Notifications';
 import SettingsIcon from '@mui/icons-material/Settings';
 import SavingsIcon from '@mui/icons-material/Savings';
+import AccountBalanceWalletIcon from '@mui/icons-material/AccountBalanceWallet';
+import EventRepeatIcon from '@mui/icons-material/EventRepeat';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
 
 const drawerWidth = 280;
 
@@ -54,10 +58,14 @@ export default function Sidebar({ open, onClose, currentView, onViewChange }) {
     { id: 'add-cost', label: t('navigation.addCost'), icon: <AddCircleOutlineIcon /> },
     { id: 'report', label: t('navigation.report'), icon: <AssessmentIcon /> },
     { id: 'pie-chart', label: t('navigation.pieChart'), icon: <PieChartIcon /> },
+    { id: 'tag-chart', label: t('navigation.tagChart'), icon: <LocalOfferIcon /> },
     { id: 'bar-chart', label: t('navigation.barChart'), icon: <BarChartIcon /> },
     { id: 'categories', label: t('navigation.categories'), icon: <CategoryIcon /> },
     { id: 'budget', label: t('navigation.budget'), icon: <AccountBalanceIcon /> },
     { id: 'savings-goals', label: t('navigation.savingsGoals'), icon: <SavingsIcon /> },
+    { id: 'accounts', label: t('navigation.accounts'), icon: <AccountBalanceWalletIcon /> },
+    { id: 'recurring', label: t('navigation.recurring'), icon: <EventRepeatIcon /> },
+    { id: 'import', label: t('navigation.import'), icon: <UploadFileIcon /> },
     { id: 'filters', label: t('navigation.filters'), icon: <FilterListIcon /> },
     { id: 'notifications', label: t('navigation.notifications'), icon: <NotificationsIcon /> },
     { id: 'settings', label: t('navigation.settings'), icon: <SettingsIcon /> },
@@ -1,8 +1,8 @@
 /**
- * PieChartView.jsx - Component for displaying pie chart of costs by category
+ * PieChartView.jsx - Component for displaying pie chart of costs by category, drilling down into subcategories
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Box,
   Button,
@@ -17,25 +17,53 @@ import {
   CircularProgress,
   Card,
   CardContent,
-  Fade
+  Fade,
+  Breadcrumbs,
+  Link
 } from '@mui/material';
 import { useTranslation } from 'react-i18next';
+import { useSearchParams } from 'react-router-dom';
 import { PieChart, Pie, Cell, ResponsiveContainer, Legend, Tooltip } from 'recharts';
 import { getPieChartData } from '../lib/chartHelpers';
+import { getCategoryPath } from '../lib/categoryTree';
 import { motion } from 'framer-motion';
+import { readIntParam, readCurrencyParam, buildSearchParams, withSearchParam } from '../lib/routes';
+import { getCurrencyChoices, formatCurrency } from '../lib/currencies';
+import { useSettings, useCurrencySwitch } from '../contexts/SettingsContext';
+
+/**
+ * Reads the chart shown in the URL
+ * @param {URLSearchParams} params - URL search parameters
+ * @param {string} defaultCurrency - Currency used when the URL has none
+ * @returns {{year: number, month: number, currency: string, category: (string|null)}} Year, month and currency
+ * of the chart, and the category drilled into
+ */
+function readChartParams(params, defaultCurrency) {
+  const date = new Date();
+  return {
+    year: readIntParam(params, 'year', date.getFullYear(), 2000, 2100),
+    month: readIntParam(params, 'month', date.getMonth() + 1, 1, 12),
+    currency: readCurrencyParam(params, 'currency', defaultCurrency),
+    category: params.get('category') || null,
+  };
+}
 
 /**
  * PieChartView component
  * Displays a pie chart showing total costs by category for a specific month and year
+ * Clicking a category with subcategories shows them; the month, currency and category are kept in the URL
  * @param {Object} props - Component props
  * @param {Object|null} props.db - Database instance
  */
 export default function PieChartView({ db }) {
-  const { t } = useTranslation();
-  const [year, setYear] = useState(new Date().getFullYear());
-  const [month, setMonth] = useState(new Date().getMonth() + 1);
-  const [currency, setCurrency] = useState('USD');
+  const { t, i18n } = useTranslation();
+  const { preferredCurrency } = useSettings();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [year, setYear] = useState(() => readChartParams(searchParams, preferredCurrency).year);
+  const [month, setMonth] = useState(() => readChartParams(searchParams, preferredCurrency).month);
+  const [currency, setCurrency] = useState(() => readChartParams(searchParams, preferredCurrency).currency);
   const [chartData, setChartData] = useState([]);
+  const [categoryPath, setCategoryPath] = useState([]);
   const [loading, setLoading] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
 
@@ -45,21 +73,29 @@ export default function PieChartView({ db }) {
   const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8', '#82CA9D', '#FFC658', '#FF7C7C'];
 
   /**
-   * Fetches and displays the pie chart
+   * Shows the chart in the currency switched to in the header
    */
-  const handleGetChart = async function() {
-    if (!db) {
-      setErrorMessage(t('messages.databaseNotInitialized'));
-      return;
+  useCurrencySwitch(function(code) {
+    setCurrency(code);
+    if (searchParams.has('year') && searchParams.has('month')) {
+      setSearchParams(withSearchParam(searchParams, 'currency', code), { replace: true });
     }
+  });
 
+  /**
+   * Fetches and displays the pie chart
+   * @param {{year: number, month: number, currency: string, category: (string|null)}} params - Year, month
+   * and currency of the chart, and the category drilled into
+   */
+  const loadChart = async function(params) {
     setLoading(true);
     setErrorMessage('');
     setChartData([]);
 
     try {
-      const data = await getPieChartData(year, month, currency, db);
+      const data = await getPieChartData(params.year, params.month, params.currency, db, params.category);
       setChartData(data);
+      setCategoryPath(params.category ? getCategoryPath(await db.getCategories(), params.category) : []);
     } catch (error) {
       setErrorMessage(t('messages.failedToGet') + ' chart data: ' + (error instanceof Error ? error.message : 'Unknown error'));
     } finally {
@@ -67,6 +103,57 @@ export default function PieChartView({ db }) {
     }
   };
 
+  /**
+   * Shows the chart named in the URL, when the view is opened from a link or the browser history
+   */
+  useEffect(function() {
+    if (db && searchParams.has('year') && searchParams.has('month')) {
+      const params = readChartParams(searchParams, preferredCurrency);
+      setYear(params.year);
+      setMonth(params.month);
+      setCurrency(params.currency);
+      loadChart(params);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [db, searchParams]);
+
+  /**
+   * Puts the chosen month in the URL, which loads its chart
+   */
+  const handleGetChart = function() {
+    if (!db) {
+      setErrorMessage(t('messages.databaseNotInitialized'));
+      return;
+    }
+
+    const category = searchParams.get('category') || null;
+    const params = buildSearchParams({ year: year, month: month, currency: currency, category: category });
+    if (params.toString() === searchParams.toString()) {
+      loadChart({ year: year, month: month, currency: currency, category: category });
+    } else {
+      setSearchParams(params);
+    }
+  };
+
+  /**
+   * Shows a category's subcategories, or goes back up to a category on the path
+   * @param {string|null} category - Category to show, null for the top-level categories
+   */
+  const handleDrill = function(category) {
+    const shown = readChartParams(searchParams, preferredCurrency);
+    setSearchParams(buildSearchParams({
+      year: shown.year,
+      month: shown.month,
+      currency: shown.currency,
+      category: category,
+    }));
+  };
+
+  const pieData = chartData.map(item => ({
+    ...item,
+    label: item.own ? t('charts.ownCategory', { category: item.name }) : item.name,
+  }));
+
   const monthNames = [
     t('months.january'), t('months.february'), t('months.march'), t('months.april'), 
     t('months.may'), t('months.june'), t('months.july'), t('months.august'), 
@@ -147,10 +234,9 @@ export default function PieChartView({ db }) {
             label={t('common.currency')}
             onChange={(e) => setCurrency(e.target.value)}
           >
-            <MenuItem value="USD">USD</MenuItem>
-            <MenuItem value="ILS">ILS</MenuItem>
-            <MenuItem value="GBP">GBP</MenuItem>
-            <MenuItem value="EURO">EURO</MenuItem>
+            {getCurrencyChoices(currency).map((code) => (
+              <MenuItem key={code} value={code}>{code}</MenuItem>
+            ))}
           </Select>
         </FormControl>
 
@@ -183,6 +269,23 @@ export default function PieChartView({ db }) {
           </Box>
         )}
 
+        {!loading && categoryPath.length > 0 && (
+          <Breadcrumbs sx={{ mb: 2 }}>
+            <Link component="button" variant="body1" onClick={() => handleDrill(null)}>
+              {t('charts.allCategories')}
+            </Link>
+            {categoryPath.map((name, index) => index === categoryPath.length - 1 ? (
+              <Typography key={name} color="text.primary" sx={{ fontWeight: 600 }}>
+                {name}
+              </Typography>
+            ) : (
+              <Link key={name} component="button" variant="body1" onClick={() => handleDrill(name)}>
+                {name}
+              </Link>
+            ))}
+          </Breadcrumbs>
+        )}
+
         {!loading && chartData.length > 0 && (
           <Fade in={!loading && chartData.length > 0} timeout={500}>
             <motion.div
@@ -204,7 +307,7 @@ export default function PieChartView({ db }) {
                   <ResponsiveContainer>
                     <PieChart>
                       <Pie
-                        data={chartData}
+                        data={pieData}
                         cx="50%"
                         cy="50%"
                         labelLine={false}
@@ -212,15 +315,21 @@ export default function PieChartView({ db }) {
                         outerRadius={140}
                         fill="#8884d8"
                         dataKey="value"
+                        nameKey="label"
                         animationBegin={0}
                         animationDuration={800}
+                        onClick={(entry, index) => pieData[index].drillable && handleDrill(pieData[index].name)}
                       >
-                        {chartData.map((entry, index) => (
-                          <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                        {pieData.map((entry, index) => (
+                          <Cell
+                            key={`cell-${index}`}
+                            fill={COLORS[index % COLORS.length]}
+                            style={{ cursor: entry.drillable ? 'pointer' : 'default' }}
+                          />
                         ))}
                       </Pie>
                       <Tooltip 
-                        formatter={(value) => `${value.toFixed(2)} ${currency}`}
+                        formatter={(value) => formatCurrency(value, currency, i18n.language)}
                         contentStyle={{ borderRadius: 8 }}
                       />
                       <Legend 
@@ -230,6 +339,11 @@ export default function PieChartView({ db }) {
                     </PieChart>
                   </ResponsiveContainer>
                 </Box>
+                {chartData.some(item => item.drillable) && (
+                  <Typography variant="body2" color="text.secondary" sx={{ textAlign: 'center', mt: 1 }}>
+                    {t('charts.drillDownHint')}
+                  </Typography>
+                )}
               </Paper>
             </motion.div>
           </Fade>
@@ -0,0 +1,862 @@
+/**
+ * RecurringManager.jsx - Component for managing recurring transactions
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  Typography,
+  Paper,
+  Card,
+  CardContent,
+  Grid,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Alert,
+  CircularProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Chip,
+  Divider,
+  Autocomplete,
+  List,
+  ListItem,
+  ListItemText,
+  Tooltip
+} from '@mui/material';
+import { useTranslation } from 'react-i18next';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import CloseIcon from '@mui/icons-material/Close';
+import PauseIcon from '@mui/icons-material/Pause';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import SkipNextIcon from '@mui/icons-material/SkipNext';
+import UndoIcon from '@mui/icons-material/Undo';
+import EventRepeatIcon from '@mui/icons-material/EventRepeat';
+import toast from 'react-hot-toast';
+import { getCurrencyChoices, getCurrencyLabel, formatCurrency } from '../../lib/currencies';
+import {
+  RECURRING_FREQUENCIES,
+  getUpcomingOccurrences,
+  isSkippedOccurrence,
+  buildOccurrenceCost,
+  dateStringToKey,
+  keyToDateString
+} from '../../lib/recurrence';
+import { toDateKey } from '../../lib/dateKeys';
+import { useSettings } from '../../contexts/SettingsContext';
+
+// Number of upcoming occurrences listed per rule
+const UPCOMING_COUNT = 5;
+
+const TRANSACTION_TYPES = ['expense', 'income', 'savings_deposit', 'savings_withdrawal'];
+
+const EMPTY_FORM = {
+  description: '',
+  sum: '',
+  currency: 'USD',
+  category: '',
+  type: 'expense',
+  accountId: '',
+  frequency: 'monthly',
+  interval: '1',
+  dayOfMonth: '',
+  startDate: '',
+  endType: 'never',
+  endCount: '',
+  endDate: ''
+};
+
+/**
+ * Formats a date key for display
+ * @param {number} key - Date key (YYYYMMDD)
+ * @returns {string} Localized date
+ */
+function formatKey(key) {
+  return new Date(Math.floor(key / 10000), Math.floor(key / 100) % 100 - 1, key % 100).toLocaleDateString();
+}
+
+/**
+ * RecurringManager component
+ * Lists recurring rules with their upcoming occurrences and lets users pause a rule
+ * or skip and edit a single occurrence before it is created
+ * @param {Object} props - Component props
+ * @param {Object|null} props.db - Database instance
+ */
+export default function RecurringManager({ db }) {
+  const { t, i18n } = useTranslation();
+  const { preferredCurrency } = useSettings();
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [availableCategories, setAvailableCategories] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [openDialog, setOpenDialog] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
+  const [ruleToDelete, setRuleToDelete] = useState(null);
+  const [editingOccurrence, setEditingOccurrence] = useState(null);
+
+  const loadRules = async function() {
+    if (!db) return;
+
+    try {
+      setLoading(true);
+      const rulesData = await db.getRecurringRules();
+      setRules(rulesData);
+
+      const categoriesFromStore = await db.getCategories();
+      setAvailableCategories(categoriesFromStore.map(c => c.name));
+      setAccounts(await db.getAccounts());
+    } catch (error) {
+      toast.error(t('messages.failedToLoad') + ' recurring transactions: ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(function() {
+    if (db) {
+      loadRules();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [db]);
+
+  /**
+   * Creates occurrences that became due after a rule was added or changed
+   */
+  const generateDue = async function() {
+    const created = await db.generateRecurringCosts(toDateKey(new Date()));
+    if (created > 0) {
+      toast.success(t('recurring.occurrencesCreated', { count: created }));
+    }
+  };
+
+  const handleOpenDialog = function(rule) {
+    if (rule) {
+      setEditingRule(rule);
+      setForm({
+        description: rule.description,
+        sum: rule.sum.toString(),
+        currency: rule.currency,
+        category: rule.category,
+        type: rule.type,
+        accountId: rule.accountId || (accounts.length > 0 ? accounts[0].id : ''),
+        frequency: rule.frequency,
+        interval: (rule.interval || 1).toString(),
+        dayOfMonth: rule.dayOfMonth ? rule.dayOfMonth.toString() : '',
+        startDate: rule.startDate,
+        endType: rule.end ? rule.end.type : 'never',
+        endCount: rule.end && rule.end.count ? rule.end.count.toString() : '',
+        endDate: rule.end && rule.end.date ? rule.end.date : ''
+      });
+    } else {
+      setEditingRule(null);
+      setForm({
+        ...EMPTY_FORM,
+        currency: preferredCurrency,
+        accountId: accounts.length > 0 ? accounts[0].id : '',
+        startDate: keyToDateString(toDateKey(new Date()))
+      });
+    }
+    setOpenDialog(true);
+  };
+
+  const handleCloseDialog = function() {
+    setOpenDialog(false);
+    setEditingRule(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSave = async function() {
+    if (!db) {
+      toast.error(t('messages.databaseNotInitialized'));
+      return;
+    }
+
+    if (!form.sum || parseFloat(form.sum) <= 0) {
+      toast.error(t('messages.pleaseEnterValidAmount'));
+      return;
+    }
+
+    if (!form.category.trim()) {
+      toast.error(t('messages.pleaseEnterCategory'));
+      return;
+    }
+
+    const interval = parseInt(form.interval, 10);
+    if (!interval || interval < 1) {
+      toast.error(t('recurring.invalidInterval'));
+      return;
+    }
+
+    if (!dateStringToKey(form.startDate)) {
+      toast.error(t('messages.pleaseEnterValidDate'));
+      return;
+    }
+
+    let end = { type: 'never' };
+    if (form.endType === 'count') {
+      const count = parseInt(form.endCount, 10);
+      if (!count || count < 1) {
+        toast.error(t('recurring.invalidEndCount'));
+        return;
+      }
+      end = { type: 'count', count: count };
+    } else if (form.endType === 'date') {
+      if (!dateStringToKey(form.endDate) || form.endDate < form.startDate) {
+        toast.error(t('recurring.invalidEndDate'));
+        return;
+      }
+      end = { type: 'date', date: form.endDate };
+    }
+
+    const dayOfMonth = parseInt(form.dayOfMonth, 10);
+    const ruleData = {
+      description: form.description.trim(),
+      sum: parseFloat(form.sum),
+      currency: form.currency,
+      category: form.category.trim(),
+      type: form.type,
+      ...(form.accountId && { accountId: form.accountId }),
+      frequency: form.frequency,
+      interval: interval,
+      dayOfMonth: form.frequency === 'monthly' && dayOfMonth >= 1 && dayOfMonth <= 31 ? dayOfMonth : null,
+      startDate: form.startDate,
+      end: end
+    };
+
+    try {
+      if (editingRule) {
+        await db.updateRecurringRule(editingRule.id, ruleData);
+        toast.success(t('recurring.ruleUpdated'));
+      } else {
+        await db.addRecurringRule(ruleData);
+        toast.success(t('recurring.ruleAdded'));
+      }
+
+      handleCloseDialog();
+      await generateDue();
+      loadRules();
+    } catch (error) {
+      toast.error(t('messages.failedToSave') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  /**
+   * Pauses or resumes a rule
+   * Occurrences that fell due while a rule was paused are not created when it resumes
+   * @param {Object} rule - The rule
+   */
+  const handleTogglePause = async function(rule) {
+    try {
+      if (rule.paused) {
+        const yesterday = new Date();
+        yesterday.setDate(yesterday.getDate() - 1);
+        await db.updateRecurringRule(rule.id, {
+          paused: false,
+          lastGeneratedKey: Math.max(rule.lastGeneratedKey || 0, toDateKey(yesterday))
+        });
+        toast.success(t('recurring.ruleResumed'));
+        await generateDue();
+      } else {
+        await db.updateRecurringRule(rule.id, { paused: true });
+        toast.success(t('recurring.rulePaused'));
+      }
+      loadRules();
+    } catch (error) {
+      toast.error(t('messages.failedToSave') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  /**
+   * Skips a single occurrence, or restores it when it was already skipped
+   * @param {Object} rule - The rule
+   * @param {number} key - Date key of the occurrence
+   */
+  const handleToggleSkip = async function(rule, key) {
+    const exceptions = { ...(rule.exceptions || {}) };
+    if (isSkippedOccurrence(rule, key)) {
+      delete exceptions[key];
+    } else {
+      exceptions[key] = { skipped: true };
+    }
+
+    try {
+      await db.updateRecurringRule(rule.id, { exceptions: exceptions });
+      loadRules();
+    } catch (error) {
+      toast.error(t('messages.failedToSave') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  const handleEditOccurrence = function(rule, key) {
+    const cost = buildOccurrenceCost(rule, key);
+    setEditingOccurrence({
+      rule: rule,
+      key: key,
+      sum: cost.sum.toString(),
+      category: cost.category,
+      description: cost.description
+    });
+  };
+
+  const handleSaveOccurrence = async function() {
+    const { rule, key } = editingOccurrence;
+    const sum = parseFloat(editingOccurrence.sum);
+    if (!sum || sum <= 0) {
+      toast.error(t('messages.pleaseEnterValidAmount'));
+      return;
+    }
+
+    try {
+      await db.updateRecurringRule(rule.id, {
+        exceptions: {
+          ...(rule.exceptions || {}),
+          [key]: {
+            sum: sum,
+            category: editingOccurrence.category.trim() || rule.category,
+            description: editingOccurrence.description.trim()
+          }
+        }
+      });
+      toast.success(t('recurring.occurrenceUpdated'));
+      setEditingOccurrence(null);
+      loadRules();
+    } catch (error) {
+      toast.error(t('messages.failedToSave') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  const handleDeleteClick = function(rule) {
+    setRuleToDelete(rule);
+    setDeleteDialogOpen(true);
+  };
+
+  const handleDeleteConfirm = async function() {
+    if (!db || !ruleToDelete) return;
+
+    try {
+      await db.deleteRecurringRule(ruleToDelete.id);
+      toast.success(t('recurring.ruleDeleted'));
+      setDeleteDialogOpen(false);
+      setRuleToDelete(null);
+      loadRules();
+    } catch (error) {
+      toast.error(t('messages.failedToDelete') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  /**
+   * Describes a rule's schedule, e.g. "Every 2 weeks" or "Monthly on day 1"
+   * @param {Object} rule - The rule
+   * @returns {string} The schedule text
+   */
+  const describeSchedule = function(rule) {
+    const interval = rule.interval || 1;
+    let text = interval === 1
+      ? t('recurring.frequencies.' + rule.frequency)
+      : t('recurring.everyN', { interval: interval, unit: t('recurring.units.' + rule.frequency) });
+    if (rule.frequency === 'monthly' && rule.dayOfMonth) {
+      text += ' ' + t('recurring.onDay', { day: rule.dayOfMonth });
+    }
+    if (rule.end && rule.end.type === 'count') {
+      text += ' · ' + t('recurring.endsAfter', { count: rule.end.count });
+    } else if (rule.end && rule.end.type === 'date') {
+      text += ' · ' + t('recurring.endsOn', { date: formatKey(dateStringToKey(rule.end.date)) });
+    }
+    return text;
+  };
+
+  const setField = function(field, value) {
+    setForm({ ...form, [field]: value });
+  };
+
+  if (!db) {
+    return (
+      <Alert severity="info">
+        {t('messages.databaseNotInitializedWait')}
+      </Alert>
+    );
+  }
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: 400 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const fieldSx = {
+    '& .MuiOutlinedInput-root': {
+      borderRadius: 2,
+    },
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 4 }}>
+        <Typography variant="h4" sx={{ fontWeight: 700 }}>
+          {t('recurring.title')}
+        </Typography>
+        <Button
+          variant="contained"
+          startIcon={<AddIcon />}
+          onClick={() => handleOpenDialog(null)}
+          sx={{
+            borderRadius: 2,
+            px: 3,
+            py: 1.5,
+            background: 'linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)',
+            boxShadow: 3,
+            '&:hover': {
+              background: 'linear-gradient(135deg, #4f46e5 0%, #7c3aed 100%)',
+              boxShadow: 4,
+              transform: 'translateY(-2px)',
+            },
+            transition: 'all 0.3s ease',
+          }}
+        >
+          {t('recurring.addRule')}
+        </Button>
+      </Box>
+
+      {rules.length === 0 ? (
+        <Paper
+          elevation={0}
+          sx={{
+            p: 6,
+            textAlign: 'center',
+            bgcolor: 'background.paper',
+            borderRadius: 3,
+            border: '1px dashed',
+            borderColor: 'divider',
+          }}
+        >
+          <EventRepeatIcon sx={{ fontSize: 64, color: 'text.secondary', mb: 2 }} />
+          <Typography variant="h6" color="text.secondary" sx={{ mb: 1 }}>
+            {t('recurring.noRulesYet')}
+          </Typography>
+          <Button
+            variant="outlined"
+            startIcon={<AddIcon />}
+            onClick={() => handleOpenDialog(null)}
+            sx={{ mt: 2 }}
+          >
+            {t('recurring.addRule')}
+          </Button>
+        </Paper>
+      ) : (
+        <Grid container spacing={3}>
+          {rules.map(function(rule) {
+            const upcoming = getUpcomingOccurrences(rule, UPCOMING_COUNT);
+
+            return (
+              <Grid item xs={12} md={6} key={rule.id}>
+                <Card
+                  sx={{
+                    height: '100%',
+                    borderRadius: 3,
+                    boxShadow: 2,
+                    bgcolor: 'background.paper',
+                    opacity: rule.paused ? 0.7 : 1,
+                    '&:hover': {
+                      boxShadow: 4,
+                    },
+                    transition: 'all 0.3s ease',
+                  }}
+                >
+                  <CardContent sx={{ p: 3 }}>
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 1 }}>
+                      <Box sx={{ flex: 1 }}>
+                        <Typography variant="h6" sx={{ fontWeight: 600 }}>
+                          {rule.description || rule.category}
+                        </Typography>
+                        <Typography variant="body2" color="text.secondary">
+                          {formatCurrency(rule.sum, rule.currency, i18n.language)} · {rule.category}
+                        </Typography>
+                      </Box>
+                      <Box>
+                        <Tooltip title={rule.paused ? t('recurring.resume') : t('recurring.pause')}>
+                          <IconButton size="small" onClick={() => handleTogglePause(rule)} sx={{ mr: 0.5 }}>
+                            {rule.paused ? <PlayArrowIcon fontSize="small" /> : <PauseIcon fontSize="small" />}
+                          </IconButton>
+                        </Tooltip>
+                        <IconButton size="small" onClick={() => handleOpenDialog(rule)} sx={{ mr: 0.5 }}>
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                        <IconButton size="small" onClick={() => handleDeleteClick(rule)} color="error">
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Box>
+                    </Box>
+
+                    <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center' }}>
+                      <Chip label={t('forms.types.' + rule.type)} size="small" />
+                      <Typography variant="caption" color="text.secondary">
+                        {describeSchedule(rule)}
+                      </Typography>
+                      {rule.paused && (
+                        <Chip label={t('recurring.paused')} size="small" color="warning" />
+                      )}
+                    </Box>
+
+                    <Divider sx={{ my: 2 }} />
+
+                    <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+                      {t('recurring.upcoming')}
+                    </Typography>
+                    {upcoming.length === 0 ? (
+                      <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                        {t('recurring.noUpcoming')}
+                      </Typography>
+                    ) : (
+                      <List dense disablePadding>
+                        {upcoming.map(function(key) {
+                          const skipped = isSkippedOccurrence(rule, key);
+                          const cost = buildOccurrenceCost(rule, key);
+                          const edited = !skipped && !!(rule.exceptions || {})[key];
+
+                          return (
+                            <ListItem
+                              key={key}
+                              disableGutters
+                              secondaryAction={
+                                <Box>
+                                  {!skipped && (
+                                    <Tooltip title={t('recurring.editOccurrence')}>
+                                      <IconButton size="small" onClick={() => handleEditOccurrence(rule, key)}>
+                                        <EditIcon fontSize="small" />
+                                      </IconButton>
+                                    </Tooltip>
+                                  )}
+                                  <Tooltip title={skipped ? t('recurring.unskip') : t('recurring.skip')}>
+                                    <IconButton size="small" onClick={() => handleToggleSkip(rule, key)}>
+                                      {skipped ? <UndoIcon fontSize="small" /> : <SkipNextIcon fontSize="small" />}
+                                    </IconButton>
+                                  </Tooltip>
+                                </Box>
+                              }
+                            >
+                              <ListItemText
+                                primary={formatKey(key)}
+                                secondary={
+                                  skipped
+                                    ? t('recurring.skipped')
+                                    : `${formatCurrency(cost.sum, cost.currency, i18n.language)}${edited ? ' · ' + t('recurring.edited') : ''}`
+                                }
+                                primaryTypographyProps={{
+                                  sx: { textDecoration: skipped ? 'line-through' : 'none' },
+                                }}
+                              />
+                            </ListItem>
+                          );
+                        })}
+                      </List>
+                    )}
+                  </CardContent>
+                </Card>
+              </Grid>
+            );
+          })}
+        </Grid>
+      )}
+
+      {/* Add/Edit Rule Dialog */}
+      <Dialog open={openDialog} onClose={handleCloseDialog} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <Typography variant="h6" sx={{ fontWeight: 600 }}>
+              {editingRule ? t('recurring.editRule') : t('recurring.addNewRule')}
+            </Typography>
+            <IconButton onClick={handleCloseDialog} size="small">
+              <CloseIcon />
+            </IconButton>
+          </Box>
+        </DialogTitle>
+        <DialogContent>
+          <Box sx={{ pt: 2 }}>
+            <TextField
+              label={t('common.description')}
+              value={form.description}
+              onChange={(e) => setField('description', e.target.value)}
+              fullWidth
+              margin="normal"
+              sx={fieldSx}
+            />
+
+            <Grid container spacing={2}>
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  label={t('common.sum')}
+                  type="number"
+                  value={form.sum}
+                  onChange={(e) => setField('sum', e.target.value)}
+                  fullWidth
+                  required
+                  margin="normal"
+                  inputProps={{ min: 0, step: 0.01 }}
+                  sx={fieldSx}
+                />
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <FormControl fullWidth margin="normal" required sx={fieldSx}>
+                  <InputLabel>{t('common.currency')}</InputLabel>
+                  <Select
+                    value={form.currency}
+                    label={t('common.currency')}
+                    onChange={(e) => setField('currency', e.target.value)}
+                  >
+                    {getCurrencyChoices(form.currency).map((code) => (
+                      <MenuItem key={code} value={code}>{getCurrencyLabel(code, i18n.language)}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+            </Grid>
+
+            <FormControl fullWidth margin="normal" sx={fieldSx}>
+              <InputLabel>{t('forms.transactionType')}</InputLabel>
+              <Select
+                value={form.type}
+                label={t('forms.transactionType')}
+                onChange={(e) => setField('type', e.target.value)}
+              >
+                {TRANSACTION_TYPES.map((type) => (
+                  <MenuItem key={type} value={type}>{t('forms.types.' + type)}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
+            {accounts.length > 1 && (
+              <FormControl fullWidth margin="normal" sx={fieldSx}>
+                <InputLabel>{t('forms.account')}</InputLabel>
+                <Select
+                  value={form.accountId}
+                  label={t('forms.account')}
+                  onChange={(e) => setField('accountId', e.target.value)}
+                >
+                  {accounts.map((account) => (
+                    <MenuItem key={account.id} value={account.id}>{account.name}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+
+            <Autocomplete
+              freeSolo
+              options={availableCategories}
+              value={form.category}
+              onChange={(event, newValue) => setField('category', typeof newValue === 'string' ? newValue : newValue || '')}
+              onInputChange={(event, newInputValue) => setField('category', newInputValue)}
+              renderInput={(params) => (
+                <TextField
+                  {...params}
+                  label={t('common.category')}
+                  required
+                  margin="normal"
+                  sx={fieldSx}
+                />
+              )}
+            />
+
+            <Grid container spacing={2}>
+              <Grid item xs={12} sm={6}>
+                <FormControl fullWidth margin="normal" sx={fieldSx}>
+                  <InputLabel>{t('recurring.frequency')}</InputLabel>
+                  <Select
+                    value={form.frequency}
+                    label={t('recurring.frequency')}
+                    onChange={(e) => setField('frequency', e.target.value)}
+                  >
+                    {RECURRING_FREQUENCIES.map((frequency) => (
+                      <MenuItem key={frequency} value={frequency}>{t('recurring.frequencies.' + frequency)}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={6} sm={3}>
+                <TextField
+                  label={t('recurring.interval')}
+                  type="number"
+                  value={form.interval}
+                  onChange={(e) => setField('interval', e.target.value)}
+                  fullWidth
+                  margin="normal"
+                  inputProps={{ min: 1, step: 1 }}
+                  sx={fieldSx}
+                />
+              </Grid>
+              {form.frequency === 'monthly' && (
+                <Grid item xs={6} sm={3}>
+                  <TextField
+                    label={t('recurring.dayOfMonth')}
+                    type="number"
+                    value={form.dayOfMonth}
+                    onChange={(e) => setField('dayOfMonth', e.target.value)}
+                    fullWidth
+                    margin="normal"
+                    inputProps={{ min: 1, max: 31, step: 1 }}
+                    sx={fieldSx}
+                  />
+                </Grid>
+              )}
+            </Grid>
+
+            <TextField
+              label={t('common.startDate')}
+              type="date"
+              value={form.startDate}
+              onChange={(e) => setField('startDate', e.target.value)}
+              fullWidth
+              required
+              margin="normal"
+              InputLabelProps={{
+                shrink: true,
+              }}
+              sx={fieldSx}
+            />
+
+            <Grid container spacing={2}>
+              <Grid item xs={12} sm={6}>
+                <FormControl fullWidth margin="normal" sx={fieldSx}>
+                  <InputLabel>{t('recurring.ends')}</InputLabel>
+                  <Select
+                    value={form.endType}
+                    label={t('recurring.ends')}
+                    onChange={(e) => setField('endType', e.target.value)}
+                  >
+                    <MenuItem value="never">{t('recurring.endTypes.never')}</MenuItem>
+                    <MenuItem value="count">{t('recurring.endTypes.count')}</MenuItem>
+                    <MenuItem value="date">{t('recurring.endTypes.date')}</MenuItem>
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                {form.endType === 'count' && (
+                  <TextField
+                    label={t('recurring.occurrences')}
+                    type="number"
+                    value={form.endCount}
+                    onChange={(e) => setField('endCount', e.target.value)}
+                    fullWidth
+                    margin="normal"
+                    inputProps={{ min: 1, step: 1 }}
+                    sx={fieldSx}
+                  />
+                )}
+                {form.endType === 'date' && (
+                  <TextField
+                    label={t('common.endDate')}
+                    type="date"
+                    value={form.endDate}
+                    onChange={(e) => setField('endDate', e.target.value)}
+                    fullWidth
+                    margin="normal"
+                    InputLabelProps={{
+                      shrink: true,
+                    }}
+                    sx={fieldSx}
+                  />
+                )}
+              </Grid>
+            </Grid>
+          </Box>
+        </DialogContent>
+        <DialogActions sx={{ p: 2.5 }}>
+          <Button onClick={handleCloseDialog} sx={{ borderRadius: 2 }}>
+            {t('common.cancel')}
+          </Button>
+          <Button
+            onClick={handleSave}
+            variant="contained"
+            sx={{
+              borderRadius: 2,
+              background: 'linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)',
+              '&:hover': {
+                background: 'linear-gradient(135deg, #4f46e5 0%, #7c3aed 100%)',
+              },
+            }}
+          >
+            {editingRule ? t('common.update') : t('common.add')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Edit Single Occurrence Dialog */}
+      <Dialog open={!!editingOccurrence} onClose={() => setEditingOccurrence(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>
+          {t('recurring.editOccurrence')}
+          {editingOccurrence && (
+            <Typography variant="body2" color="text.secondary">
+              {formatKey(editingOccurrence.key)}
+            </Typography>
+          )}
+        </DialogTitle>
+        <DialogContent>
+          {editingOccurrence && (
+            <Box>
+              <TextField
+                label={t('common.sum')}
+                type="number"
+                value={editingOccurrence.sum}
+                onChange={(e) => setEditingOccurrence({ ...editingOccurrence, sum: e.target.value })}
+                fullWidth
+                margin="normal"
+                inputProps={{ min: 0, step: 0.01 }}
+                sx={fieldSx}
+              />
+              <TextField
+                label={t('common.category')}
+                value={editingOccurrence.category}
+                onChange={(e) => setEditingOccurrence({ ...editingOccurrence, category: e.target.value })}
+                fullWidth
+                margin="normal"
+                sx={fieldSx}
+              />
+              <TextField
+                label={t('common.description')}
+                value={editingOccurrence.description}
+                onChange={(e) => setEditingOccurrence({ ...editingOccurrence, description: e.target.value })}
+                fullWidth
+                margin="normal"
+                sx={fieldSx}
+              />
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditingOccurrence(null)}>{t('common.cancel')}</Button>
+          <Button onClick={handleSaveOccurrence} variant="contained">
+            {t('common.save')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Delete Confirmation Dialog */}
+      <Dialog open={deleteDialogOpen} onClose={() => setDeleteDialogOpen(false)}>
+        <DialogTitle>{t('recurring.deleteRule')}</DialogTitle>
+        <DialogContent>
+          <Typography>
+            {t('recurring.areYouSureDelete', { name: ruleToDelete ? (ruleToDelete.description || ruleToDelete.category) : '' })}
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleteDialogOpen(false)}>{t('common.cancel')}</Button>
+          <Button onClick={handleDeleteConfirm} color="error" variant="contained">
+            {t('common.delete')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
@@ -2,7 +2,7 @@
  * ReportView.jsx - Component for displaying detailed monthly reports
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Box,
   Button,
@@ -22,43 +22,148 @@ import {
   Card,
   CardContent,
   Chip,
-  Fade
+  Fade,
+  Checkbox,
+  IconButton,
+  Tooltip
 } from '@mui/material';
 import { useTranslation } from 'react-i18next';
+import { useSearchParams } from 'react-router-dom';
 import ExportDialog from './Export/ExportDialog';
 import toast from 'react-hot-toast';
 import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import PictureAsPdfIcon from '@mui/icons-material/PictureAsPdf';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import CostEditRow from './Transactions/CostEditRow';
+import BulkActionsBar from './Transactions/BulkActionsBar';
+import useCostActions from './Transactions/useCostActions';
+import { TagChips } from './Transactions/TagsInput';
+import AttachmentsDialog, { AttachmentsButton } from './Attachments/AttachmentsDialog';
+import { getStatementData, createStatementPDF } from '../lib/statement';
+import { loadPdfFonts } from '../lib/pdfFonts';
+import { downloadBlob } from '../lib/exportHelpers';
+import { readIntParam, readCurrencyParam, buildSearchParams, withSearchParam } from '../lib/routes';
+import { getCurrencyChoices, formatCurrency, formatAmount } from '../lib/currencies';
+import { formatCategories } from '../lib/splits';
+import { useSettings, useCurrencySwitch } from '../contexts/SettingsContext';
+
+/**
+ * Reads the report shown in the URL
+ * @param {URLSearchParams} params - URL search parameters
+ * @param {string} defaultCurrency - Currency used when the URL has none
+ * @returns {{year: number, month: number, currency: string}} Year, month and currency of the report
+ */
+function readReportParams(params, defaultCurrency) {
+  const date = new Date();
+  return {
+    year: readIntParam(params, 'year', date.getFullYear(), 2000, 2100),
+    month: readIntParam(params, 'month', date.getMonth() + 1, 1, 12),
+    currency: readCurrencyParam(params, 'currency', defaultCurrency),
+  };
+}
 
 /**
  * ReportView component
  * Displays a detailed report for a specific month and year in a selected currency
+ * Rows can be edited inline, deleted with undo, or selected for bulk changes, and receipts can be attached to them
+ * The year, month and currency are kept in the URL, so a report can be bookmarked; a highlight
+ * parameter outlines one transaction, as opened from the global search
  * @param {Object} props - Component props
  * @param {Object|null} props.db - Database instance
+ * @param {function} [props.onCostsChange] - Called after transactions are edited or deleted
  */
-export default function ReportView({ db }) {
-  const { t } = useTranslation();
-  const [year, setYear] = useState(new Date().getFullYear());
-  const [month, setMonth] = useState(new Date().getMonth() + 1);
-  const [currency, setCurrency] = useState('USD');
+export default function ReportView({ db, onCostsChange }) {
+  const { t, i18n } = useTranslation();
+  const { preferredCurrency } = useSettings();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [year, setYear] = useState(() => readReportParams(searchParams, preferredCurrency).year);
+  const [month, setMonth] = useState(() => readReportParams(searchParams, preferredCurrency).month);
+  const [currency, setCurrency] = useState(() => readReportParams(searchParams, preferredCurrency).currency);
+  // Transaction opened from the global search
+  const highlightId = readIntParam(searchParams, 'highlight', null, 1);
   const [report, setReport] = useState(null);
   const [loading, setLoading] = useState(false);
   const [exportDialogOpen, setExportDialogOpen] = useState(false);
+  const [categories, setCategories] = useState([]);
+  const [creatingStatement, setCreatingStatement] = useState(false);
+  // Number of attachments by cost ID, and the transaction whose attachments are open
+  const [attachmentCounts, setAttachmentCounts] = useState({});
+  const [attachmentsCost, setAttachmentsCost] = useState(null);
 
   /**
-   * Fetches and displays the report
+   * Reloads the displayed report after a change and lets the app refresh budgets and notifications
    */
-  const handleGetReport = async function() {
-    if (!db) {
-      toast.error(t('messages.databaseNotInitialized'));
-      return;
+  const handleCostsChange = async function() {
+    try {
+      const result = await db.getReport(report.year, report.month, report.totals.currency);
+      setReport(result);
+      setAttachmentCounts(await db.getAttachmentCounts());
+    } catch (error) {
+      toast.error(t('messages.failedToGet') + ' report: ' + (error instanceof Error ? error.message : 'Unknown error'));
     }
+    if (onCostsChange) {
+      onCostsChange();
+    }
+  };
+
+  const actions = useCostActions(db, handleCostsChange);
+
+  /**
+   * Shows the report in the currency switched to in the header
+   */
+  useCurrencySwitch(function(code) {
+    setCurrency(code);
+    if (searchParams.has('year') && searchParams.has('month')) {
+      setSearchParams(withSearchParam(searchParams, 'currency', code), { replace: true });
+    }
+  });
 
+  /**
+   * Downloads the PDF statement for the displayed month, in the displayed currency
+   */
+  const handleStatement = async function() {
+    setCreatingStatement(true);
+    try {
+      const fonts = await loadPdfFonts();
+      const data = await getStatementData(db, report.year, report.month, report.totals.currency);
+      const blob = createStatementPDF(data, { t: t, language: i18n.language, fonts: fonts });
+      downloadBlob(blob, `statement-${report.year}-${String(report.month).padStart(2, '0')}.pdf`);
+      toast.success(t('statement.created'));
+    } catch (error) {
+      toast.error(t('messages.failedToExport') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setCreatingStatement(false);
+    }
+  };
+
+  /**
+   * Loads category suggestions for editing
+   */
+  useEffect(function() {
+    if (db) {
+      db.getCategories().then(function(result) {
+        setCategories(result.map(c => c.name));
+      }).catch(function(error) {
+        console.warn('Failed to load categories:', error);
+      });
+    }
+  }, [db]);
+
+  /**
+   * Fetches and displays a report
+   * @param {{year: number, month: number, currency: string}} params - Year, month and currency of the report
+   */
+  const loadReport = async function(params) {
     setLoading(true);
     setReport(null);
+    actions.clearSelection();
+    actions.cancelEdit();
 
     try {
-      const result = await db.getReport(year, month, currency);
+      const result = await db.getReport(params.year, params.month, params.currency);
       setReport(result);
+      setAttachmentCounts(await db.getAttachmentCounts());
       toast.success(t('messages.reportGenerated'));
     } catch (error) {
       toast.error(t('messages.failedToGet') + ' report: ' + (error instanceof Error ? error.message : 'Unknown error'));
@@ -67,6 +172,144 @@ export default function ReportView({ db }) {
     }
   };
 
+  /**
+   * Shows the report named in the URL, when the view is opened from a link or the browser history
+   */
+  useEffect(function() {
+    if (db && searchParams.has('year') && searchParams.has('month')) {
+      const params = readReportParams(searchParams, preferredCurrency);
+      setYear(params.year);
+      setMonth(params.month);
+      setCurrency(params.currency);
+      loadReport(params);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [db, searchParams]);
+
+  /**
+   * Scrolls to the transaction opened from the search once its report is shown
+   */
+  useEffect(function() {
+    if (report && highlightId) {
+      const row = document.getElementById(`cost-${highlightId}`);
+      if (row) {
+        row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      }
+    }
+  }, [report, highlightId]);
+
+  /**
+   * Puts the chosen report in the URL, which loads it
+   */
+  const handleGetReport = function() {
+    if (!db) {
+      toast.error(t('messages.databaseNotInitialized'));
+      return;
+    }
+
+    const params = buildSearchParams({ year: year, month: month, currency: currency });
+    if (params.toString() === searchParams.toString()) {
+      // The URL does not change, so the report is reloaded directly
+      loadReport({ year: year, month: month, currency: currency });
+    } else {
+      setSearchParams(params);
+    }
+  };
+
+  /**
+   * Styles a report row, outlining the transaction opened from the search
+   * @param {Object} item - Report item
+   * @returns {Object} Row styles
+   */
+  const getRowSx = function(item) {
+    return {
+      '&:nth-of-type(odd)': { bgcolor: 'action.hover' },
+      '&:hover': { bgcolor: 'action.selected' },
+      ...(item.id === highlightId && {
+        outline: '2px solid',
+        outlineColor: 'warning.main',
+        outlineOffset: '-2px',
+      }),
+    };
+  };
+
+  /**
+   * Renders the select-all checkbox for one table
+   * @param {Array} items - Report items in the table
+   */
+  const renderSelectAllCell = function(items) {
+    const ids = items.map(item => item.id);
+    const selectedCount = ids.filter(id => actions.isSelected(id)).length;
+    return (
+      <TableCell padding="checkbox">
+        <Checkbox
+          size="small"
+          sx={{ color: 'white', '&.Mui-checked, &.MuiCheckbox-indeterminate': { color: 'white' } }}
+          checked={ids.length > 0 && selectedCount === ids.length}
+          indeterminate={selectedCount > 0 && selectedCount < ids.length}
+          onChange={(e) => actions.setGroupSelected(ids, e.target.checked)}
+        />
+      </TableCell>
+    );
+  };
+
+  /**
+   * Renders the row checkbox
+   * @param {Object} item - Report item
+   */
+  const renderSelectCell = function(item) {
+    return (
+      <TableCell padding="checkbox">
+        <Checkbox size="small" checked={actions.isSelected(item.id)} onChange={() => actions.toggleSelected(item.id)} />
+      </TableCell>
+    );
+  };
+
+  /**
+   * Renders the attachments, edit and delete buttons of a row
+   * @param {Object} item - Report item
+   */
+  const renderActionsCell = function(item) {
+    return (
+      <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+        <AttachmentsButton count={attachmentCounts[item.id]} onClick={() => setAttachmentsCost(item)} />
+        <Tooltip title={t('common.edit')}>
+          <IconButton size="small" onClick={() => actions.startEdit(item.id)}>
+            <EditIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+        <Tooltip title={t('common.delete')}>
+          <IconButton size="small" color="error" onClick={() => actions.deleteWithUndo([item.id])}>
+            <DeleteIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+      </TableCell>
+    );
+  };
+
+  /**
+   * Renders the inline editor in place of a row that is being edited
+   * @param {Object} item - Report item
+   * @param {number} colSpan - Number of columns in the table
+   * @returns {React.ReactNode|null} The editor row or null when the row isn't being edited
+   */
+  const renderEditRow = function(item, colSpan) {
+    if (!actions.editingCost || actions.editingCost.id !== item.id) {
+      return null;
+    }
+    return (
+      <CostEditRow
+        key={`edit-${item.id}`}
+        db={db}
+        cost={actions.editingCost}
+        colSpan={colSpan}
+        categories={categories}
+        onSaved={actions.handleSaved}
+        onCancel={actions.cancelEdit}
+      />
+    );
+  };
+
   const monthNames = [
     t('months.january'), t('months.february'), t('months.march'), t('months.april'), 
     t('months.may'), t('months.june'), t('months.july'), t('months.august'), 
@@ -132,10 +375,9 @@ export default function ReportView({ db }) {
             label={t('common.currency')}
             onChange={(e) => setCurrency(e.target.value)}
           >
-            <MenuItem value="USD">USD</MenuItem>
-            <MenuItem value="ILS">ILS</MenuItem>
-            <MenuItem value="GBP">GBP</MenuItem>
-            <MenuItem value="EURO">EURO</MenuItem>
+            {getCurrencyChoices(currency).map((code) => (
+              <MenuItem key={code} value={code}>{code}</MenuItem>
+            ))}
           </Select>
         </FormControl>
 
@@ -183,6 +425,15 @@ export default function ReportView({ db }) {
                   >
                     {t('common.export')}
                   </Button>
+                  <Button
+                    variant="outlined"
+                    startIcon={<PictureAsPdfIcon />}
+                    onClick={handleStatement}
+                    disabled={creatingStatement}
+                    size="small"
+                  >
+                    {creatingStatement ? t('statement.generating') : t('statement.download')}
+                  </Button>
                 </Box>
               </Box>
 
@@ -203,7 +454,7 @@ export default function ReportView({ db }) {
                     {t('report.totalExpenses')}
                   </Typography>
                   <Typography variant="h5" sx={{ color: 'error.contrastText', fontWeight: 700 }}>
-                    {report.totals.expenses.toFixed(2)} {report.totals.currency}
+                    {formatCurrency(report.totals.expenses, report.totals.currency, i18n.language)}
                   </Typography>
                 </Paper>
 
@@ -222,7 +473,7 @@ export default function ReportView({ db }) {
                     {t('report.totalIncomes')}
                   </Typography>
                   <Typography variant="h5" sx={{ color: 'success.contrastText', fontWeight: 700 }}>
-                    {report.totals.incomes.toFixed(2)} {report.totals.currency}
+                    {formatCurrency(report.totals.incomes, report.totals.currency, i18n.language)}
                   </Typography>
                 </Paper>
 
@@ -241,7 +492,7 @@ export default function ReportView({ db }) {
                     {t('report.totalSavings')}
                   </Typography>
                   <Typography variant="h5" sx={{ color: 'info.contrastText', fontWeight: 700 }}>
-                    {report.totals.savings.toFixed(2)} {report.totals.currency}
+                    {formatCurrency(report.totals.savings, report.totals.currency, i18n.language)}
                   </Typography>
                 </Paper>
 
@@ -260,7 +511,7 @@ export default function ReportView({ db }) {
                     {t('report.balance')}
                   </Typography>
                   <Typography variant="h5" sx={{ color: 'white', fontWeight: 700 }}>
-                    {report.totals.balance.toFixed(2)} {report.totals.currency}
+                    {formatCurrency(report.totals.balance, report.totals.currency, i18n.language)}
                   </Typography>
                 </Paper>
               </Box>
@@ -283,6 +534,15 @@ export default function ReportView({ db }) {
                 </Paper>
               ) : (
                 <>
+                  <BulkActionsBar
+                    selectedCount={actions.selectedIds.length}
+                    categories={categories}
+                    onDelete={actions.deleteSelected}
+                    onRecategorize={actions.recategorizeSelected}
+                    onChangeCurrency={actions.changeCurrencySelected}
+                    onClear={actions.clearSelection}
+                  />
+
                   {/* Expenses Table */}
                   {report.expenses.length > 0 && (
                     <Box sx={{ mb: 3 }}>
@@ -302,33 +562,39 @@ export default function ReportView({ db }) {
                         <Table>
                           <TableHead>
                             <TableRow sx={{ bgcolor: 'error.main' }}>
+                              {renderSelectAllCell(report.expenses)}
                               <TableCell sx={{ color: 'white', fontWeight: 600 }}>{t('common.day')}</TableCell>
                               <TableCell sx={{ color: 'white', fontWeight: 600 }}>{t('common.sum')}</TableCell>
                               <TableCell sx={{ color: 'white', fontWeight: 600 }}>{t('common.currency')}</TableCell>
                               <TableCell sx={{ color: 'white', fontWeight: 600 }}>{t('common.category')}</TableCell>
                               <TableCell sx={{ color: 'white', fontWeight: 600 }}>{t('common.description')}</TableCell>
+                              <TableCell />
                             </TableRow>
                           </TableHead>
                           <TableBody>
-                            {report.expenses.map((cost, index) => (
+                            {report.expenses.map((cost) => renderEditRow(cost, 7) || (
                               <TableRow 
-                                key={index}
-                                sx={{ 
-                                  '&:nth-of-type(odd)': { bgcolor: 'action.hover' },
-                                  '&:hover': { bgcolor: 'action.selected' },
-                                }}
+                                key={cost.id}
+                                id={`cost-${cost.id}`}
+                                selected={actions.isSelected(cost.id)}
+                                sx={getRowSx(cost)}
                               >
+                                {renderSelectCell(cost)}
                                 <TableCell>
                                   <Chip label={cost.Date.day} size="small" color="error" variant="outlined" />
                                 </TableCell>
                                 <TableCell sx={{ fontWeight: 600, color: 'error.main' }}>
-                                  {cost.sum.toFixed(2)}
+                                  {formatAmount(cost.sum, cost.currency, i18n.language)}
                                 </TableCell>
                                 <TableCell>
                                   <Chip label={cost.currency} size="small" />
                                 </TableCell>
-                                <TableCell>{cost.category}</TableCell>
-                                <TableCell>{cost.description}</TableCell>
+                                <TableCell>{formatCategories(cost)}</TableCell>
+                                <TableCell>
+                                  {cost.description}
+                                  <TagChips tags={cost.tags} />
+                                </TableCell>
+                                {renderActionsCell(cost)}
                               </TableRow>
                             ))}
                           </TableBody>
@@ -356,33 +622,39 @@ export default function ReportView({ db }) {
                         <Table>
                           <TableHead>
                             <TableRow sx={{ bgcolor: 'success.main' }}>
+                              {renderSelectAllCell(report.incomes)}
                               <TableCell sx={{ color: 'white', fontWeight: 600 }}>{t('common.day')}</TableCell>
                               <TableCell sx={{ color: 'white', fontWeight: 600 }}>{t('common.sum')}</TableCell>
                               <TableCell sx={{ color: 'white', fontWeight: 600 }}>{t('common.currency')}</TableCell>
                               <TableCell sx={{ color: 'white', fontWeight: 600 }}>{t('common.category')}</TableCell>
                               <TableCell sx={{ color: 'white', fontWeight: 600 }}>{t('common.description')}</TableCell>
+                              <TableCell />
                             </TableRow>
                           </TableHead>
                           <TableBody>
-                            {report.incomes.map((income, index) => (
+                            {report.incomes.map((income) => renderEditRow(income, 7) || (
                               <TableRow 
-                                key={index}
-                                sx={{ 
-                                  '&:nth-of-type(odd)': { bgcolor: 'action.hover' },
-                                  '&:hover': { bgcolor: 'action.selected' },
-                                }}
+                                key={income.id}
+                                id={`cost-${income.id}`}
+                                selected={actions.isSelected(income.id)}
+                                sx={getRowSx(income)}
                               >
+                                {renderSelectCell(income)}
                                 <TableCell>
                                   <Chip label={income.Date.day} size="small" color="success" variant="outlined" />
                                 </TableCell>
                                 <TableCell sx={{ fontWeight: 600, color: 'success.main' }}>
-                                  {income.sum.toFixed(2)}
+                                  {formatAmount(income.sum, income.currency, i18n.language)}
                                 </TableCell>
                                 <TableCell>
                                   <Chip label={income.currency} size="small" />
                                 </TableCell>
-                                <TableCell>{income.category}</TableCell>
-                                <TableCell>{income.description}</TableCell>
+                                <TableCell>{formatCategories(income)}</TableCell>
+                                <TableCell>
+                                  {income.description}
+                                  <TagChips tags={income.tags} />
+                                </TableCell>
+                                {renderActionsCell(income)}
                               </TableRow>
                             ))}
                           </TableBody>
@@ -410,61 +682,71 @@ export default function ReportView({ db }) {
                         <Table>
                           <TableHead>
                             <TableRow sx={{ bgcolor: 'info.main' }}>
+                              {renderSelectAllCell(report.savings.deposits.concat(report.savings.withdrawals))}
                               <TableCell sx={{ color: 'white', fontWeight: 600 }}>{t('common.day')}</TableCell>
                               <TableCell sx={{ color: 'white', fontWeight: 600 }}>{t('common.sum')}</TableCell>
                               <TableCell sx={{ color: 'white', fontWeight: 600 }}>{t('common.currency')}</TableCell>
                               <TableCell sx={{ color: 'white', fontWeight: 600 }}>{t('common.category')}</TableCell>
                               <TableCell sx={{ color: 'white', fontWeight: 600 }}>{t('common.description')}</TableCell>
-                              <TableCell sx={{ color: 'white', fontWeight: 600 }}>Type</TableCell>
+                              <TableCell sx={{ color: 'white', fontWeight: 600 }}>{t('forms.transactionType')}</TableCell>
+                              <TableCell />
                             </TableRow>
                           </TableHead>
                           <TableBody>
-                            {report.savings.deposits.map((deposit, index) => (
+                            {report.savings.deposits.map((deposit) => renderEditRow(deposit, 8) || (
                               <TableRow 
-                                key={`deposit-${index}`}
-                                sx={{ 
-                                  '&:nth-of-type(odd)': { bgcolor: 'action.hover' },
-                                  '&:hover': { bgcolor: 'action.selected' },
-                                }}
+                                key={deposit.id}
+                                id={`cost-${deposit.id}`}
+                                selected={actions.isSelected(deposit.id)}
+                                sx={getRowSx(deposit)}
                               >
+                                {renderSelectCell(deposit)}
                                 <TableCell>
                                   <Chip label={deposit.Date.day} size="small" color="info" variant="outlined" />
                                 </TableCell>
                                 <TableCell sx={{ fontWeight: 600, color: 'info.main' }}>
-                                  {deposit.sum.toFixed(2)}
+                                  {formatAmount(deposit.sum, deposit.currency, i18n.language)}
                                 </TableCell>
                                 <TableCell>
                                   <Chip label={deposit.currency} size="small" />
                                 </TableCell>
-                                <TableCell>{deposit.category}</TableCell>
-                                <TableCell>{deposit.description}</TableCell>
+                                <TableCell>{formatCategories(deposit)}</TableCell>
+                                <TableCell>
+                                  {deposit.description}
+                                  <TagChips tags={deposit.tags} />
+                                </TableCell>
                                 <TableCell>
                                   <Chip label={t('forms.deposit')} size="small" color="success" />
                                 </TableCell>
+                                {renderActionsCell(deposit)}
                               </TableRow>
                             ))}
-                            {report.savings.withdrawals.map((withdrawal, index) => (
+                            {report.savings.withdrawals.map((withdrawal) => renderEditRow(withdrawal, 8) || (
                               <TableRow 
-                                key={`withdrawal-${index}`}
-                                sx={{ 
-                                  '&:nth-of-type(odd)': { bgcolor: 'action.hover' },
-                                  '&:hover': { bgcolor: 'action.selected' },
-                                }}
+                                key={withdrawal.id}
+                                id={`cost-${withdrawal.id}`}
+                                selected={actions.isSelected(withdrawal.id)}
+                                sx={getRowSx(withdrawal)}
                               >
+                                {renderSelectCell(withdrawal)}
                                 <TableCell>
                                   <Chip label={withdrawal.Date.day} size="small" color="info" variant="outlined" />
                                 </TableCell>
                                 <TableCell sx={{ fontWeight: 600, color: 'error.main' }}>
-                                  -{withdrawal.sum.toFixed(2)}
+                                  -{formatAmount(withdrawal.sum, withdrawal.currency, i18n.language)}
                                 </TableCell>
                                 <TableCell>
                                   <Chip label={withdrawal.currency} size="small" />
                                 </TableCell>
-                                <TableCell>{withdrawal.category}</TableCell>
-                                <TableCell>{withdrawal.description}</TableCell>
+                                <TableCell>{formatCategories(withdrawal)}</TableCell>
+                                <TableCell>
+                                  {withdrawal.description}
+                                  <TagChips tags={withdrawal.tags} />
+                                </TableCell>
                                 <TableCell>
                                   <Chip label={t('forms.withdrawal')} size="small" color="error" />
                                 </TableCell>
+                                {renderActionsCell(withdrawal)}
                               </TableRow>
                             ))}
                           </TableBody>
@@ -484,6 +766,13 @@ export default function ReportView({ db }) {
         onClose={() => setExportDialogOpen(false)}
         db={db}
       />
+
+      <AttachmentsDialog
+        db={db}
+        cost={attachmentsCost}
+        onClose={() => setAttachmentsCost(null)}
+        onChange={(costId, count) => setAttachmentCounts(prev => ({ ...prev, [costId]: count }))}
+      />
     </Card>
   );
 }
@@ -33,15 +33,35 @@ import EditIcon from '@mui/icons-material/Edit';
 import DeleteIcon from '@mui/icons-material/Delete';
 import CloseIcon from '@mui/icons-material/Close';
 import SavingsIcon from '@mui/icons-material/Savings';
+import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
+import ShowChartIcon from '@mui/icons-material/ShowChart';
 import toast from 'react-hot-toast';
+import LineChart from '../Charts/LineChart';
+import { getSavingsBalances, getGoalsForecasts } from '../../lib/savings';
+import { MONTH_KEYS } from '../../lib/budgets';
+import { getCurrencyChoices, getCurrencyLabel, formatCurrency, formatAmount } from '../../lib/currencies';
+import { useNotifications } from '../../contexts/NotificationContext';
+import { useSettings } from '../../contexts/SettingsContext';
+
+// Chip colour for each forecast status
+const STATUS_COLORS = {
+  completed: 'success',
+  on_track: 'primary',
+  behind: 'warning',
+};
 
 /**
  * SavingsGoalsManager component
+ * Each goal counts only the savings transactions assigned to it; savings without a goal
+ * are shown as the unassigned pool, and money can be moved between goals and the pool.
+ * Each goal is projected from its recent contributions to show when it will be reached.
  * @param {Object} props - Component props
  * @param {Object|null} props.db - Database instance
  */
 export default function SavingsGoalsManager({ db }) {
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
+  const { checkGoals } = useNotifications();
+  const { preferredCurrency } = useSettings();
   const [goals, setGoals] = useState([]);
   const [loading, setLoading] = useState(true);
   const [openDialog, setOpenDialog] = useState(false);
@@ -49,9 +69,17 @@ export default function SavingsGoalsManager({ db }) {
   const [goalName, setGoalName] = useState('');
   const [targetAmount, setTargetAmount] = useState('');
   const [targetDate, setTargetDate] = useState('');
-  const [currency, setCurrency] = useState('USD');
+  const [currency, setCurrency] = useState(preferredCurrency);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [goalToDelete, setGoalToDelete] = useState(null);
+  const [unassigned, setUnassigned] = useState({});
+  const [moveDialogOpen, setMoveDialogOpen] = useState(false);
+  const [moveFrom, setMoveFrom] = useState('');
+  const [moveTo, setMoveTo] = useState('');
+  const [moveAmount, setMoveAmount] = useState('');
+  const [moveCurrency, setMoveCurrency] = useState(preferredCurrency);
+  const [forecasts, setForecasts] = useState({});
+  const [forecastGoal, setForecastGoal] = useState(null);
 
   const loadGoals = async function() {
     if (!db) return;
@@ -59,55 +87,20 @@ export default function SavingsGoalsManager({ db }) {
     try {
       setLoading(true);
       const goalsData = await db.getSavingsGoals();
-      
-      // Calculate progress for each goal
-      const goalsWithProgress = await Promise.all(
-        goalsData.map(async function(goal) {
-          const allSavings = await db.getAllCosts();
-          const savingsForGoal = allSavings.filter(function(item) {
-            return item.type === 'savings_deposit' || item.type === 'savings_withdrawal';
-          });
-          
-          // Calculate total savings in goal currency
-          const exchangeRateUrl =
-            localStorage.getItem("exchangeRateUrl") ||
-            process.env.REACT_APP_EXCHANGE_RATE_URL ||
-            "https://gist.githubusercontent.com/Pafestivo/e4e1c962472306b578983a6a0c40828e/raw/exchange-rates.json";
-          
-          try {
-            const ratesResponse = await fetch(exchangeRateUrl);
-            const rates = await ratesResponse.json();
-            
-            let totalSavings = 0;
-            savingsForGoal.forEach(function(item) {
-              const amountInUSD = item.sum / rates[item.currency];
-              const convertedAmount = amountInUSD * rates[goal.currency];
-              if (item.type === 'savings_deposit') {
-                totalSavings += convertedAmount;
-              } else {
-                totalSavings -= convertedAmount;
-              }
-            });
-            
-            const progress = Math.min((totalSavings / goal.targetAmount) * 100, 100);
-            
-            return {
-              ...goal,
-              currentAmount: totalSavings,
-              progress: progress
-            };
-          } catch (error) {
-            console.warn('Failed to calculate progress:', error);
-            return {
-              ...goal,
-              currentAmount: 0,
-              progress: 0
-            };
-          }
-        })
-      );
-      
+      const balances = await getSavingsBalances(db, goalsData);
+
+      const goalsWithProgress = goalsData.map(function(goal) {
+        const totalSavings = balances.goals[goal.id];
+        return {
+          ...goal,
+          currentAmount: totalSavings,
+          progress: Math.min((totalSavings / goal.targetAmount) * 100, 100)
+        };
+      });
+
       setGoals(goalsWithProgress);
+      setUnassigned(balances.unassigned);
+      setForecasts(await getGoalsForecasts(db, goalsData));
     } catch (error) {
       toast.error(t('messages.failedToLoad') + ' savings goals: ' + (error instanceof Error ? error.message : 'Unknown error'));
     } finally {
@@ -135,7 +128,7 @@ export default function SavingsGoalsManager({ db }) {
       setGoalName('');
       setTargetAmount('');
       setTargetDate('');
-      setCurrency('USD');
+      setCurrency(preferredCurrency);
     }
     setOpenDialog(true);
   };
@@ -146,7 +139,7 @@ export default function SavingsGoalsManager({ db }) {
     setGoalName('');
     setTargetAmount('');
     setTargetDate('');
-    setCurrency('USD');
+    setCurrency(preferredCurrency);
   };
 
   const handleSave = async function() {
@@ -193,6 +186,7 @@ export default function SavingsGoalsManager({ db }) {
 
       handleCloseDialog();
       loadGoals();
+      checkGoals(db);
     } catch (error) {
       toast.error(t('messages.failedToSave') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
     }
@@ -212,11 +206,68 @@ export default function SavingsGoalsManager({ db }) {
       setDeleteDialogOpen(false);
       setGoalToDelete(null);
       loadGoals();
+      checkGoals(db);
     } catch (error) {
       toast.error(t('messages.failedToDelete') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
     }
   };
 
+  /**
+   * Opens the move dialog, starting from a goal or from the unassigned pool
+   * @param {Object|null} goal - The goal to move money out of, null for unassigned savings
+   */
+  const handleOpenMoveDialog = function(goal) {
+    setMoveFrom(goal ? goal.id : '');
+    setMoveTo('');
+    setMoveAmount('');
+    setMoveCurrency(goal ? goal.currency : preferredCurrency);
+    setMoveDialogOpen(true);
+  };
+
+  const handleMove = async function() {
+    if (moveFrom === moveTo) {
+      toast.error(t('savingsGoals.sameGoal'));
+      return;
+    }
+
+    const amountValue = parseFloat(moveAmount);
+    if (isNaN(amountValue) || amountValue <= 0) {
+      toast.error(t('messages.pleaseEnterValidAmount'));
+      return;
+    }
+
+    const goalName = function(id) {
+      const goal = goals.find(g => g.id === id);
+      return goal ? goal.name : t('savingsGoals.unassigned');
+    };
+
+    try {
+      await db.moveSavings({
+        fromGoalId: moveFrom || null,
+        toGoalId: moveTo || null,
+        sum: amountValue,
+        currency: moveCurrency,
+        category: t('forms.savings'),
+        description: t('savingsGoals.moveDescription', { from: goalName(moveFrom), to: goalName(moveTo) })
+      });
+      toast.success(t('savingsGoals.moneyMoved'));
+      setMoveDialogOpen(false);
+      loadGoals();
+      checkGoals(db);
+    } catch (error) {
+      toast.error(t('messages.failedToSave') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  /**
+   * Formats a year and month as a localized month name and year
+   * @param {{year: number, month: number}} value - Year and month (1-12)
+   * @returns {string} e.g. "March 2026"
+   */
+  const formatMonth = function(value) {
+    return t('months.' + MONTH_KEYS[value.month - 1]) + ' ' + value.year;
+  };
+
   if (!db) {
     return (
       <Alert severity="info">
@@ -239,28 +290,75 @@ export default function SavingsGoalsManager({ db }) {
         <Typography variant="h4" sx={{ fontWeight: 700 }}>
           {t('savingsGoals.title')}
         </Typography>
-        <Button
-          variant="contained"
-          startIcon={<AddIcon />}
-          onClick={() => handleOpenDialog(null)}
-          sx={{
-            borderRadius: 2,
-            px: 3,
-            py: 1.5,
-            background: 'linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)',
-            boxShadow: 3,
-            '&:hover': {
-              background: 'linear-gradient(135deg, #4f46e5 0%, #7c3aed 100%)',
-              boxShadow: 4,
-              transform: 'translateY(-2px)',
-            },
-            transition: 'all 0.3s ease',
-          }}
-        >
-          {t('savingsGoals.addGoal')}
-        </Button>
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <Button
+            variant="outlined"
+            startIcon={<SwapHorizIcon />}
+            onClick={() => handleOpenMoveDialog(null)}
+            disabled={goals.length === 0}
+            sx={{ borderRadius: 2 }}
+          >
+            {t('savingsGoals.moveMoney')}
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={() => handleOpenDialog(null)}
+            sx={{
+              borderRadius: 2,
+              px: 3,
+              py: 1.5,
+              background: 'linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)',
+              boxShadow: 3,
+              '&:hover': {
+                background: 'linear-gradient(135deg, #4f46e5 0%, #7c3aed 100%)',
+                boxShadow: 4,
+                transform: 'translateY(-2px)',
+              },
+              transition: 'all 0.3s ease',
+            }}
+          >
+            {t('savingsGoals.addGoal')}
+          </Button>
+        </Box>
       </Box>
 
+      <Paper
+        elevation={0}
+        sx={{
+          p: 2.5,
+          mb: 3,
+          display: 'flex',
+          alignItems: 'center',
+          gap: 2,
+          flexWrap: 'wrap',
+          bgcolor: 'background.paper',
+          borderRadius: 3,
+          border: '1px solid',
+          borderColor: 'divider',
+        }}
+      >
+        <Box sx={{ flex: 1, minWidth: 200 }}>
+          <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+            {t('savingsGoals.unassignedSavings')}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {t('savingsGoals.unassignedHelp')}
+          </Typography>
+        </Box>
+        {Object.keys(unassigned).length === 0 ? (
+          <Chip label={formatAmount(0, preferredCurrency, i18n.language)} />
+        ) : (
+          Object.keys(unassigned).map((code) => (
+            <Chip
+              key={code}
+              label={formatCurrency(unassigned[code], code, i18n.language)}
+              color={unassigned[code] < 0 ? 'error' : 'default'}
+            />
+          ))
+        )}
+      </Paper>
+
       {goals.length === 0 ? (
         <Paper
           elevation={0}
@@ -291,6 +389,7 @@ export default function SavingsGoalsManager({ db }) {
           {goals.map(function(goal) {
             const progressPercentage = Math.min((goal.currentAmount / goal.targetAmount) * 100, 100);
             const isCompleted = goal.currentAmount >= goal.targetAmount;
+            const forecast = forecasts[goal.id];
             
             return (
               <Grid item xs={12} md={6} lg={4} key={goal.id}>
@@ -314,6 +413,22 @@ export default function SavingsGoalsManager({ db }) {
                         {goal.name}
                       </Typography>
                       <Box>
+                        <IconButton
+                          size="small"
+                          onClick={() => setForecastGoal(goal)}
+                          title={t('savingsGoals.forecast.title')}
+                          sx={{ mr: 0.5 }}
+                        >
+                          <ShowChartIcon fontSize="small" />
+                        </IconButton>
+                        <IconButton
+                          size="small"
+                          onClick={() => handleOpenMoveDialog(goal)}
+                          title={t('savingsGoals.moveMoney')}
+                          sx={{ mr: 0.5 }}
+                        >
+                          <SwapHorizIcon fontSize="small" />
+                        </IconButton>
                         <IconButton
                           size="small"
                           onClick={() => handleOpenDialog(goal)}
@@ -340,8 +455,8 @@ export default function SavingsGoalsManager({ db }) {
                         </Typography>
                         <Typography variant="body2" sx={{ fontWeight: 600 }}>
                           {t('savingsGoals.progress', {
-                            current: goal.currentAmount.toFixed(2),
-                            target: goal.targetAmount.toFixed(2),
+                            current: formatAmount(goal.currentAmount, goal.currency, i18n.language),
+                            target: formatAmount(goal.targetAmount, goal.currency, i18n.language),
                             currency: goal.currency
                           })}
                         </Typography>
@@ -379,6 +494,25 @@ export default function SavingsGoalsManager({ db }) {
                         {t('forms.targetDate')}: {new Date(goal.targetDate.year, goal.targetDate.month - 1, goal.targetDate.day).toLocaleDateString()}
                       </Typography>
                     </Box>
+
+                    {forecast && forecast.status !== 'completed' && (
+                      <Box sx={{ mt: 1.5, display: 'flex', flexDirection: 'column', gap: 0.5 }}>
+                        <Box>
+                          <Chip
+                            label={t('savingsGoals.forecast.status.' + forecast.status)}
+                            size="small"
+                            color={STATUS_COLORS[forecast.status]}
+                            sx={{ height: 20 }}
+                          />
+                        </Box>
+                        <Typography variant="caption" color="text.secondary">
+                          {t('savingsGoals.forecast.requiredMonthly')}: {formatCurrency(forecast.requiredMonthly, goal.currency, i18n.language)}
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          {t('savingsGoals.forecast.projectedCompletion')}: {forecast.projectedCompletion ? formatMonth(forecast.projectedCompletion) : t('savingsGoals.forecast.never')}
+                        </Typography>
+                      </Box>
+                    )}
                   </CardContent>
                 </Card>
               </Grid>
@@ -447,10 +581,9 @@ export default function SavingsGoalsManager({ db }) {
                 label={t('common.currency')}
                 onChange={(e) => setCurrency(e.target.value)}
               >
-                <MenuItem value="USD">{t('currency.usd')}</MenuItem>
-                <MenuItem value="ILS">{t('currency.ils')}</MenuItem>
-                <MenuItem value="GBP">{t('currency.gbp')}</MenuItem>
-                <MenuItem value="EURO">{t('currency.euro')}</MenuItem>
+                {getCurrencyChoices(currency).map((code) => (
+                  <MenuItem key={code} value={code}>{getCurrencyLabel(code, i18n.language)}</MenuItem>
+                ))}
               </Select>
             </FormControl>
 
@@ -493,6 +626,131 @@ export default function SavingsGoalsManager({ db }) {
         </DialogActions>
       </Dialog>
 
+      {/* Forecast Dialog */}
+      <Dialog open={!!forecastGoal} onClose={() => setForecastGoal(null)} maxWidth="md" fullWidth>
+        <DialogTitle>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <Typography variant="h6" sx={{ fontWeight: 600 }}>
+              {t('savingsGoals.forecast.titleFor', { name: forecastGoal?.name || '' })}
+            </Typography>
+            <IconButton onClick={() => setForecastGoal(null)} size="small">
+              <CloseIcon />
+            </IconButton>
+          </Box>
+        </DialogTitle>
+        <DialogContent>
+          {forecastGoal && forecasts[forecastGoal.id] && (
+            <>
+              <Grid container spacing={2} sx={{ mb: 2 }}>
+                {[
+                  { label: t('savingsGoals.forecast.averageMonthly'), value: formatCurrency(forecasts[forecastGoal.id].averageMonthly, forecastGoal.currency, i18n.language) },
+                  { label: t('savingsGoals.forecast.requiredMonthly'), value: formatCurrency(forecasts[forecastGoal.id].requiredMonthly, forecastGoal.currency, i18n.language) },
+                  {
+                    label: t('savingsGoals.forecast.projectedCompletion'),
+                    value: forecasts[forecastGoal.id].projectedCompletion
+                      ? formatMonth(forecasts[forecastGoal.id].projectedCompletion)
+                      : t('savingsGoals.forecast.never')
+                  },
+                ].map((item) => (
+                  <Grid item xs={12} sm={4} key={item.label}>
+                    <Typography variant="caption" color="text.secondary">{item.label}</Typography>
+                    <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>{item.value}</Typography>
+                  </Grid>
+                ))}
+              </Grid>
+              <Chip
+                label={t('savingsGoals.forecast.status.' + forecasts[forecastGoal.id].status)}
+                color={STATUS_COLORS[forecasts[forecastGoal.id].status]}
+                size="small"
+                sx={{ mb: 2 }}
+              />
+              <LineChart
+                data={forecasts[forecastGoal.id].chartData}
+                currency={forecastGoal.currency}
+                title={null}
+                height={320}
+                lines={[
+                  { dataKey: 'saved', name: t('savingsGoals.forecast.saved'), color: '#6366f1' },
+                  { dataKey: 'projected', name: t('savingsGoals.forecast.projected'), color: '#10b981', dashed: true },
+                  { dataKey: 'required', name: t('savingsGoals.forecast.required'), color: '#f59e0b', dashed: true },
+                ]}
+              />
+            </>
+          )}
+        </DialogContent>
+      </Dialog>
+
+      {/* Move Money Dialog */}
+      <Dialog open={moveDialogOpen} onClose={() => setMoveDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{t('savingsGoals.moveMoney')}</DialogTitle>
+        <DialogContent>
+          <Box sx={{ pt: 1 }}>
+            <FormControl fullWidth margin="normal">
+              <InputLabel shrink>{t('savingsGoals.moveFrom')}</InputLabel>
+              <Select
+                value={moveFrom}
+                label={t('savingsGoals.moveFrom')}
+                onChange={(e) => setMoveFrom(e.target.value)}
+                displayEmpty
+                notched
+              >
+                <MenuItem value="">{t('savingsGoals.unassigned')}</MenuItem>
+                {goals.map((goal) => (
+                  <MenuItem key={goal.id} value={goal.id}>{goal.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
+            <FormControl fullWidth margin="normal">
+              <InputLabel shrink>{t('savingsGoals.moveTo')}</InputLabel>
+              <Select
+                value={moveTo}
+                label={t('savingsGoals.moveTo')}
+                onChange={(e) => setMoveTo(e.target.value)}
+                displayEmpty
+                notched
+              >
+                <MenuItem value="">{t('savingsGoals.unassigned')}</MenuItem>
+                {goals.map((goal) => (
+                  <MenuItem key={goal.id} value={goal.id}>{goal.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                label={t('common.amount')}
+                type="number"
+                value={moveAmount}
+                onChange={(e) => setMoveAmount(e.target.value)}
+                fullWidth
+                required
+                margin="normal"
+                inputProps={{ min: 0, step: 0.01 }}
+              />
+              <FormControl margin="normal" sx={{ minWidth: 120 }}>
+                <InputLabel>{t('common.currency')}</InputLabel>
+                <Select
+                  value={moveCurrency}
+                  label={t('common.currency')}
+                  onChange={(e) => setMoveCurrency(e.target.value)}
+                >
+                  {getCurrencyChoices(moveCurrency).map((code) => (
+                    <MenuItem key={code} value={code}>{code}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Box>
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setMoveDialogOpen(false)}>{t('common.cancel')}</Button>
+          <Button onClick={handleMove} variant="contained">
+            {t('savingsGoals.move')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Delete Confirmation Dialog */}
       <Dialog open={deleteDialogOpen} onClose={() => setDeleteDialogOpen(false)}>
         <DialogTitle>{t('savingsGoals.deleteGoal')}</DialogTitle>
@@ -500,6 +758,9 @@ export default function SavingsGoalsManager({ db }) {
           <Typography>
             {t('savingsGoals.areYouSureDelete', { name: goalToDelete?.name || '' })}
           </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            {t('savingsGoals.deleteKeepsSavings')}
+          </Typography>
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setDeleteDialogOpen(false)}>{t('common.cancel')}</Button>
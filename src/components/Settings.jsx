@@ -2,7 +2,7 @@
  * Settings.jsx - Component for application settings
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   Box,
   Button,
@@ -10,39 +10,192 @@ import {
   Typography,
   Paper,
   Card,
-  CardContent
+  CardContent,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+  Grid,
+  Autocomplete,
+  Chip
 } from '@mui/material';
 import { useTranslation } from 'react-i18next';
 import toast from 'react-hot-toast';
+import { formatDistanceToNow } from 'date-fns';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import {
+  getExchangeRateUrl,
+  getExchangeRateProvider,
+  getManualExchangeRates,
+  getExchangeRates,
+  getCachedExchangeRates,
+  clearExchangeRatesMemo,
+  isValidRates,
+  parseRatesHistory
+} from '../lib/exchangeRates';
+import {
+  CURRENCY_REGISTRY,
+  getCurrencyLabel
+} from '../lib/currencies';
+import { useSettings } from '../contexts/SettingsContext';
+import BackupRestore from './BackupRestore';
+import StorageUsage from './StorageUsage';
+
+/**
+ * Gets the currencies that need a manual rate: USD, which rates are relative to, and every enabled one
+ * @param {string[]} enabled - Enabled currency codes
+ * @returns {string[]} ISO codes
+ */
+function getRateCurrencies(enabled) {
+  return ['USD'].concat(enabled.filter(code => code !== 'USD'));
+}
 
 /**
  * Settings component
- * Allows users to configure the exchange rate URL
+ * Allows users to choose the currencies offered across the app and where exchange rates come from,
+ * shows how old the cached rates are
+ * and imports historical rates used to convert older transactions, shows how much storage the data
+ * and attachments take, and backs up or restores all data
+ * @param {Object} props - Component props
+ * @param {Object|null} props.db - Database instance
  */
-export default function Settings() {
-  const { t } = useTranslation();
-  const [exchangeRateUrl, setExchangeRateUrl] = useState(process.env.REACT_APP_EXCHANGE_RATE_URL || 'https://gist.githubusercontent.com/Pafestivo/e4e1c962472306b578983a6a0c40828e/raw/exchange-rates.json');
+export default function Settings({ db }) {
+  const { t, i18n } = useTranslation();
+  const settings = useSettings();
+  const [enabledCurrencies, setEnabledCurrencies] = useState(settings.enabledCurrencies);
+  // Codes the rate source provides, which are the currencies that can be enabled
+  const [availableCurrencies, setAvailableCurrencies] = useState(() => Object.keys(CURRENCY_REGISTRY));
+  const [exchangeRateUrl, setExchangeRateUrl] = useState(getExchangeRateUrl);
+  const [provider, setProvider] = useState(getExchangeRateProvider);
+  const [manualRates, setManualRates] = useState(function() {
+    const saved = getManualExchangeRates() || { USD: 1 };
+    const values = {};
+    getRateCurrencies(settings.enabledCurrencies).forEach(function(code) {
+      values[code] = saved[code] !== undefined ? saved[code].toString() : '';
+    });
+    return values;
+  });
+  const [cachedRates, setCachedRates] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+  const [snapshotCount, setSnapshotCount] = useState(0);
+  const [importing, setImporting] = useState(false);
+  const historyInputRef = useRef(null);
 
   /**
-   * Loads the current exchange rate URL from localStorage on mount
+   * Loads the cached rates info and the size of the rates history from the database
    */
   useEffect(function() {
-    const savedUrl = localStorage.getItem('exchangeRateUrl');
-    if (savedUrl) {
-      setExchangeRateUrl(savedUrl);
-    } else {
-      setExchangeRateUrl(process.env.REACT_APP_EXCHANGE_RATE_URL || 'https://gist.githubusercontent.com/Pafestivo/e4e1c962472306b578983a6a0c40828e/raw/exchange-rates.json');
+    let cancelled = false;
+    getCachedExchangeRates(db).then(function(cached) {
+      if (!cancelled) {
+        setCachedRates(cached);
+      }
+    });
+    if (db) {
+      db.getRatesHistory().then(function(snapshots) {
+        if (!cancelled) {
+          setSnapshotCount(snapshots.length);
+        }
+      }).catch(function(error) {
+        console.error('Error loading rates history:', error);
+      });
     }
-  }, []);
+    getExchangeRates(db).then(function(rates) {
+      if (!cancelled) {
+        setAvailableCurrencies(Object.keys(rates).sort());
+      }
+    }).catch(function(error) {
+      // Keep offering the registry currencies
+      console.error('Error loading exchange rates:', error);
+    });
+    return function() {
+      cancelled = true;
+    };
+  }, [db]);
+
+  /**
+   * Builds the manual rates object from the form values
+   * @returns {Object|null} Rates object or null if any value is invalid
+   */
+  const buildManualRates = function() {
+    const rates = {};
+    getRateCurrencies(enabledCurrencies).forEach(function(code) {
+      rates[code] = parseFloat(manualRates[code]);
+    });
+    return isValidRates(rates) ? rates : null;
+  };
 
   /**
-   * Handles saving the exchange rate URL
+   * Handles saving the exchange rate settings
    */
   const handleSave = function() {
+    if (enabledCurrencies.length === 0) {
+      toast.error(t('settings.noCurrenciesEnabled'));
+      return;
+    }
+
+    if (provider === 'manual') {
+      const rates = buildManualRates();
+      if (!rates) {
+        toast.error(t('settings.invalidManualRates'));
+        return;
+      }
+      localStorage.setItem('manualExchangeRates', JSON.stringify(rates));
+    }
+
+    settings.updateEnabledCurrencies(enabledCurrencies);
     localStorage.setItem('exchangeRateUrl', exchangeRateUrl);
+    localStorage.setItem('exchangeRateProvider', provider);
+    clearExchangeRatesMemo();
     toast.success(t('messages.settingsSaved'));
   };
 
+  /**
+   * Loads fresh rates from the saved provider and updates the cache info
+   */
+  const handleRefreshRates = async function() {
+    setRefreshing(true);
+    try {
+      await getExchangeRates(db, { force: true });
+      const cached = await getCachedExchangeRates(db);
+      setCachedRates(cached);
+      const snapshots = await db.getRatesHistory();
+      setSnapshotCount(snapshots.length);
+      toast.success(t('settings.ratesRefreshed'));
+    } catch (error) {
+      toast.error(t('messages.failedToLoad') + ' exchange rates: ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  /**
+   * Imports a JSON or CSV file of dated rates into the rates history
+   * @param {Event} event - The file input change event
+   */
+  const handleImportHistory = async function(event) {
+    const file = event.target.files[0];
+    // Allow picking the same file again
+    event.target.value = '';
+    if (!file || !db) return;
+
+    setImporting(true);
+    try {
+      const text = await file.text();
+      const snapshots = parseRatesHistory(text);
+      const count = await db.putRateSnapshots(snapshots);
+      const history = await db.getRatesHistory();
+      setSnapshotCount(history.length);
+      toast.success(t('settings.ratesHistoryImported', { count: count }));
+    } catch (error) {
+      toast.error(t('settings.invalidRatesHistory') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setImporting(false);
+    }
+  };
+
   return (
     <Card 
       sx={{ 
@@ -70,23 +223,131 @@ export default function Settings() {
             borderColor: 'divider',
           }}
         >
-          <TextField
-            label={t('settings.exchangeRateUrl')}
-            value={exchangeRateUrl}
-            onChange={(e) => setExchangeRateUrl(e.target.value)}
-            fullWidth
-            margin="normal"
-            helperText={t('settings.exchangeRateUrlHelper')}
-            sx={{
-              '& .MuiOutlinedInput-root': {
-                borderRadius: 2,
-                '&:hover fieldset': {
-                  borderColor: 'primary.main',
-                },
-              },
-            }}
+          <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+            {t('settings.currencies')}
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1.5 }}>
+            {t('settings.currenciesHelper')}
+          </Typography>
+          <Autocomplete
+            multiple
+            options={Array.from(new Set(availableCurrencies.concat(enabledCurrencies)))}
+            value={enabledCurrencies}
+            onChange={(e, value) => setEnabledCurrencies(value)}
+            getOptionLabel={(code) => getCurrencyLabel(code, i18n.language)}
+            filterSelectedOptions
+            renderTags={(value, getTagProps) => value.map((code, index) => (
+              <Chip {...getTagProps({ index })} key={code} label={code} size="small" />
+            ))}
+            renderInput={(params) => (
+              <TextField {...params} label={t('settings.enabledCurrencies')} />
+            )}
           />
 
+          <FormControl fullWidth margin="normal" sx={{ mt: 3 }}>
+            <InputLabel>{t('settings.rateProvider')}</InputLabel>
+            <Select
+              value={provider}
+              label={t('settings.rateProvider')}
+              onChange={(e) => setProvider(e.target.value)}
+              sx={{ borderRadius: 2 }}
+            >
+              <MenuItem value="remote">{t('settings.providers.remote')}</MenuItem>
+              <MenuItem value="bundled">{t('settings.providers.bundled')}</MenuItem>
+              <MenuItem value="manual">{t('settings.providers.manual')}</MenuItem>
+            </Select>
+          </FormControl>
+
+          {provider === 'remote' && (
+            <TextField
+              label={t('settings.exchangeRateUrl')}
+              value={exchangeRateUrl}
+              onChange={(e) => setExchangeRateUrl(e.target.value)}
+              fullWidth
+              margin="normal"
+              helperText={t('settings.exchangeRateUrlHelper')}
+              sx={{
+                '& .MuiOutlinedInput-root': {
+                  borderRadius: 2,
+                  '&:hover fieldset': {
+                    borderColor: 'primary.main',
+                  },
+                },
+              }}
+            />
+          )}
+
+          {provider === 'manual' && (
+            <Box sx={{ mt: 2 }}>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                {t('settings.manualRatesHelper')}
+              </Typography>
+              <Grid container spacing={2}>
+                {getRateCurrencies(enabledCurrencies).map((code) => (
+                  <Grid item xs={6} sm={3} key={code}>
+                    <TextField
+                      label={code}
+                      type="number"
+                      value={manualRates[code] || ''}
+                      onChange={(e) => setManualRates({ ...manualRates, [code]: e.target.value })}
+                      fullWidth
+                      size="small"
+                      inputProps={{ min: 0, step: 0.0001 }}
+                    />
+                  </Grid>
+                ))}
+              </Grid>
+            </Box>
+          )}
+
+          <Alert
+            severity={cachedRates ? 'info' : 'warning'}
+            sx={{ mt: 3, borderRadius: 2, alignItems: 'center' }}
+            action={
+              <Button
+                color="inherit"
+                size="small"
+                startIcon={<RefreshIcon />}
+                onClick={handleRefreshRates}
+                disabled={refreshing}
+              >
+                {t('settings.refreshRates')}
+              </Button>
+            }
+          >
+            {cachedRates
+              ? t('settings.ratesUpdated', {
+                  age: formatDistanceToNow(new Date(cachedRates.fetchedAt), { addSuffix: true }),
+                  source: t('settings.providers.' + cachedRates.source),
+                })
+              : t('settings.noCachedRates')}
+          </Alert>
+
+          <Box sx={{ mt: 3 }}>
+            <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+              {t('settings.ratesHistory')}
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1.5 }}>
+              {t('settings.ratesHistoryHelper', { count: snapshotCount })}
+            </Typography>
+            <input
+              ref={historyInputRef}
+              type="file"
+              accept=".json,.csv,application/json,text/csv"
+              hidden
+              onChange={handleImportHistory}
+            />
+            <Button
+              variant="outlined"
+              startIcon={<UploadFileIcon />}
+              onClick={() => historyInputRef.current.click()}
+              disabled={!db || importing}
+              sx={{ borderRadius: 2 }}
+            >
+              {t('settings.importRatesHistory')}
+            </Button>
+          </Box>
+
           <Button
             variant="contained"
             color="primary"
@@ -112,6 +373,10 @@ export default function Settings() {
             {t('settings.saveSettings')}
           </Button>
         </Paper>
+
+        <StorageUsage db={db} />
+
+        <BackupRestore db={db} />
       </CardContent>
     </Card>
   );
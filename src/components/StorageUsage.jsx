@@ -0,0 +1,90 @@
+/**
+ * StorageUsage.jsx - Component showing how much space attachments and the app's data take
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Box, Typography, Paper, LinearProgress } from '@mui/material';
+import { useTranslation } from 'react-i18next';
+import { getStorageUsage, formatBytes } from '../lib/attachments';
+
+/**
+ * StorageUsage component
+ * Shows the number and size of attached files, and the browser's estimate of the space
+ * the app uses out of the space it may use
+ * @param {Object} props - Component props
+ * @param {Object|null} props.db - Database instance
+ */
+export default function StorageUsage({ db }) {
+  const { t, i18n } = useTranslation();
+  const [usage, setUsage] = useState(null);
+
+  useEffect(function() {
+    if (!db) return undefined;
+
+    let cancelled = false;
+    getStorageUsage(db).then(function(result) {
+      if (!cancelled) {
+        setUsage(result);
+      }
+    }).catch(function(error) {
+      console.error('Error loading storage usage:', error);
+    });
+    return function() {
+      cancelled = true;
+    };
+  }, [db]);
+
+  const percent = usage && usage.usage !== null && usage.quota ? (usage.usage / usage.quota) * 100 : null;
+
+  return (
+    <Paper
+      elevation={0}
+      sx={{
+        p: 3,
+        mt: 3,
+        bgcolor: 'background.paper',
+        borderRadius: 2,
+        border: '1px solid',
+        borderColor: 'divider',
+      }}
+    >
+      <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+        {t('storage.title')}
+      </Typography>
+      {!usage ? (
+        <Typography variant="body2" color="text.secondary">
+          {t('common.loading')}
+        </Typography>
+      ) : (
+        <Box>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1.5 }}>
+            {t('storage.attachments', {
+              count: usage.attachments.count,
+              size: formatBytes(usage.attachments.bytes, i18n.language),
+            })}
+          </Typography>
+          {percent === null ? (
+            <Typography variant="body2" color="text.secondary">
+              {t('storage.notReported')}
+            </Typography>
+          ) : (
+            <>
+              <LinearProgress
+                variant="determinate"
+                value={Math.min(100, percent)}
+                color={percent > 80 ? 'warning' : 'primary'}
+                sx={{ height: 8, borderRadius: 4, mb: 1 }}
+              />
+              <Typography variant="body2" color="text.secondary">
+                {t('storage.used', {
+                  usage: formatBytes(usage.usage, i18n.language),
+                  quota: formatBytes(usage.quota, i18n.language),
+                })}
+              </Typography>
+            </>
+          )}
+        </Box>
+      )}
+    </Paper>
+  );
+}
@@ -0,0 +1,329 @@
+/**
+ * TagChartView.jsx - Component for displaying a bar chart of costs by tag
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  MenuItem,
+  Select,
+  FormControl,
+  InputLabel,
+  Typography,
+  Paper,
+  Alert,
+  CircularProgress,
+  Card,
+  CardContent,
+  Fade
+} from '@mui/material';
+import { useTranslation } from 'react-i18next';
+import { useSearchParams } from 'react-router-dom';
+import { useTheme } from '../contexts/ThemeContext';
+import { BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, ResponsiveContainer, Tooltip } from 'recharts';
+import { getTagChartData } from '../lib/chartHelpers';
+import { motion } from 'framer-motion';
+import { readIntParam, readCurrencyParam, buildSearchParams, withSearchParam } from '../lib/routes';
+import { getCurrencyChoices, formatCurrency } from '../lib/currencies';
+import { useSettings, useCurrencySwitch } from '../contexts/SettingsContext';
+
+/**
+ * Reads the chart shown in the URL
+ * @param {URLSearchParams} params - URL search parameters
+ * @param {string} defaultCurrency - Currency used when the URL has none
+ * @returns {{year: number, month: number, currency: string}} Year, month and currency of the chart
+ */
+function readChartParams(params, defaultCurrency) {
+  const date = new Date();
+  return {
+    year: readIntParam(params, 'year', date.getFullYear(), 2000, 2100),
+    month: readIntParam(params, 'month', date.getMonth() + 1, 1, 12),
+    currency: readCurrencyParam(params, 'currency', defaultCurrency),
+  };
+}
+
+/**
+ * TagChartView component
+ * Displays a bar chart showing total costs by tag for a specific month and year
+ * A cost with several tags counts under each of them, so the bars can add up to more than the month's costs.
+ * The month and currency are kept in the URL
+ * @param {Object} props - Component props
+ * @param {Object|null} props.db - Database instance
+ */
+export default function TagChartView({ db }) {
+  const { t, i18n } = useTranslation();
+  const { mode } = useTheme();
+  const { preferredCurrency } = useSettings();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [year, setYear] = useState(() => readChartParams(searchParams, preferredCurrency).year);
+  const [month, setMonth] = useState(() => readChartParams(searchParams, preferredCurrency).month);
+  const [currency, setCurrency] = useState(() => readChartParams(searchParams, preferredCurrency).currency);
+  const [chartData, setChartData] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  /**
+   * Colors for the tag bars
+   */
+  const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8', '#82CA9D', '#FFC658', '#FF7C7C'];
+
+  /**
+   * Shows the chart in the currency switched to in the header
+   */
+  useCurrencySwitch(function(code) {
+    setCurrency(code);
+    if (searchParams.has('year') && searchParams.has('month')) {
+      setSearchParams(withSearchParam(searchParams, 'currency', code), { replace: true });
+    }
+  });
+
+  /**
+   * Fetches and displays the tag chart
+   * @param {{year: number, month: number, currency: string}} params - Year, month and currency of the chart
+   */
+  const loadChart = async function(params) {
+    setLoading(true);
+    setErrorMessage('');
+    setChartData([]);
+
+    try {
+      const data = await getTagChartData(params.year, params.month, params.currency, db);
+      setChartData(data);
+    } catch (error) {
+      setErrorMessage(t('messages.failedToGet') + ' chart data: ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Shows the chart named in the URL, when the view is opened from a link or the browser history
+   */
+  useEffect(function() {
+    if (db && searchParams.has('year') && searchParams.has('month')) {
+      const params = readChartParams(searchParams, preferredCurrency);
+      setYear(params.year);
+      setMonth(params.month);
+      setCurrency(params.currency);
+      loadChart(params);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [db, searchParams]);
+
+  /**
+   * Puts the chosen month in the URL, which loads its chart
+   */
+  const handleGetChart = function() {
+    if (!db) {
+      setErrorMessage(t('messages.databaseNotInitialized'));
+      return;
+    }
+
+    const params = buildSearchParams({ year: year, month: month, currency: currency });
+    if (params.toString() === searchParams.toString()) {
+      loadChart({ year: year, month: month, currency: currency });
+    } else {
+      setSearchParams(params);
+    }
+  };
+
+  const monthNames = [
+    t('months.january'), t('months.february'), t('months.march'), t('months.april'), 
+    t('months.may'), t('months.june'), t('months.july'), t('months.august'), 
+    t('months.september'), t('months.october'), t('months.november'), t('months.december')
+  ];
+
+  return (
+    <Card 
+      sx={{ 
+        maxWidth: 1200, 
+        mx: 'auto', 
+        borderRadius: 3,
+        boxShadow: 4,
+        bgcolor: 'background.paper',
+      }}
+    >
+      <CardContent sx={{ p: 4 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 3 }}>
+          <Typography variant="h4" component="h2" sx={{ fontWeight: 700, color: 'text.primary' }}>
+            {t('charts.costsByTag')}
+          </Typography>
+        </Box>
+
+        {errorMessage && (
+          <Fade in={!!errorMessage}>
+            <Alert 
+              severity="error" 
+              sx={{ 
+                mb: 3,
+                borderRadius: 2,
+                boxShadow: 1,
+              }}
+            >
+              {errorMessage}
+            </Alert>
+          </Fade>
+        )}
+
+        <Paper 
+          elevation={0}
+          sx={{ 
+            p: 3, 
+            mb: 3, 
+            bgcolor: 'background.paper',
+            borderRadius: 2,
+            border: '1px solid',
+            borderColor: 'divider',
+          }}
+        >
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+        <TextField
+          label={t('common.year')}
+          type="number"
+          value={year}
+          onChange={(e) => setYear(parseInt(e.target.value) || new Date().getFullYear())}
+          inputProps={{ min: 2000, max: 2100 }}
+        />
+
+        <FormControl sx={{ minWidth: 150 }}>
+          <InputLabel>{t('common.month')}</InputLabel>
+          <Select
+            value={month}
+            label={t('common.month')}
+            onChange={(e) => setMonth(e.target.value)}
+          >
+            {monthNames.map((name, index) => (
+              <MenuItem key={index + 1} value={index + 1}>
+                {name}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl sx={{ minWidth: 120 }}>
+          <InputLabel>{t('common.currency')}</InputLabel>
+          <Select
+            value={currency}
+            label={t('common.currency')}
+            onChange={(e) => setCurrency(e.target.value)}
+          >
+            {getCurrencyChoices(currency).map((code) => (
+              <MenuItem key={code} value={code}>{code}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+            <Button
+              variant="contained"
+              onClick={handleGetChart}
+              disabled={!db || loading}
+              sx={{
+                borderRadius: 2,
+                px: 3,
+                py: 1.5,
+                background: 'linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%)',
+                boxShadow: 3,
+                '&:hover': {
+                  background: 'linear-gradient(135deg, #4f46e5 0%, #7c3aed 100%)',
+                  boxShadow: 4,
+                  transform: 'translateY(-2px)',
+                },
+                transition: 'all 0.3s ease',
+              }}
+            >
+              {loading ? t('common.loading') : t('charts.getChart')}
+            </Button>
+          </Box>
+        </Paper>
+
+        {loading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 6 }}>
+            <CircularProgress size={60} thickness={4} />
+          </Box>
+        )}
+
+        {!loading && chartData.length > 0 && (
+          <Fade in={!loading && chartData.length > 0} timeout={500}>
+            <motion.div
+              initial={{ opacity: 0, scale: 0.9 }}
+              animate={{ opacity: 1, scale: 1 }}
+              transition={{ duration: 0.5 }}
+            >
+              <Paper
+                elevation={0}
+                sx={{ 
+                  p: 4,
+                  bgcolor: 'background.paper',
+                  borderRadius: 2,
+                  border: '1px solid',
+                  borderColor: 'divider',
+                }}
+              >
+                <Box sx={{ width: '100%', height: Math.max(300, chartData.length * 48) }}>
+                  <ResponsiveContainer>
+                    <BarChart data={chartData} layout="vertical" margin={{ left: 24, right: 24 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke={mode === 'dark' ? '#334155' : '#e0e0e0'} />
+                      <XAxis
+                        type="number"
+                        tick={{ fill: mode === 'dark' ? '#cbd5e1' : '#64748b', fontWeight: 600 }}
+                        axisLine={{ stroke: mode === 'dark' ? '#334155' : '#e0e0e0' }}
+                      />
+                      <YAxis
+                        type="category"
+                        dataKey="name"
+                        width={120}
+                        tick={{ fill: mode === 'dark' ? '#cbd5e1' : '#64748b', fontWeight: 600 }}
+                        axisLine={{ stroke: mode === 'dark' ? '#334155' : '#e0e0e0' }}
+                      />
+                      <Tooltip
+                        formatter={(value) => formatCurrency(value, currency, i18n.language)}
+                        contentStyle={{
+                          borderRadius: 8,
+                          border: `1px solid ${mode === 'dark' ? '#334155' : '#e0e0e0'}`,
+                          backgroundColor: mode === 'dark' ? '#1e293b' : '#ffffff',
+                          color: mode === 'dark' ? '#f1f5f9' : '#1e293b',
+                        }}
+                      />
+                      <Bar
+                        dataKey="value"
+                        name={t('common.total')}
+                        radius={[0, 8, 8, 0]}
+                        animationBegin={0}
+                        animationDuration={800}
+                      >
+                        {chartData.map((entry, index) => (
+                          <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                        ))}
+                      </Bar>
+                    </BarChart>
+                  </ResponsiveContainer>
+                </Box>
+              </Paper>
+            </motion.div>
+          </Fade>
+        )}
+
+        {!loading && chartData.length === 0 && !errorMessage && (
+          <Paper 
+            elevation={0}
+            sx={{ 
+              p: 4, 
+              textAlign: 'center',
+              bgcolor: 'background.paper',
+              borderRadius: 2,
+              border: '1px dashed',
+              borderColor: 'divider',
+            }}
+          >
+            <Typography variant="body1" color="text.secondary">
+              {t('charts.clickGetTagChart')}
+            </Typography>
+          </Paper>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
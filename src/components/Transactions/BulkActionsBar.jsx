@@ -0,0 +1,114 @@
+/**
+ * BulkActionsBar.jsx - Toolbar for actions on selected transactions
+ */
+
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  Typography,
+  Paper,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Autocomplete
+} from '@mui/material';
+import { useTranslation } from 'react-i18next';
+import DeleteIcon from '@mui/icons-material/Delete';
+import CategoryIcon from '@mui/icons-material/Category';
+import CurrencyExchangeIcon from '@mui/icons-material/CurrencyExchange';
+import { getCurrencyChoices } from '../../lib/currencies';
+
+/**
+ * BulkActionsBar component
+ * @param {Object} props - Component props
+ * @param {number} props.selectedCount - Number of selected transactions
+ * @param {string[]} props.categories - Category suggestions for re-categorizing
+ * @param {function(): void} props.onDelete - Deletes the selection
+ * @param {function(string): void} props.onRecategorize - Moves the selection to a category
+ * @param {function(string): void} props.onChangeCurrency - Changes the currency of the selection (amounts are kept)
+ * @param {function(): void} props.onClear - Clears the selection
+ */
+export default function BulkActionsBar({ selectedCount, categories, onDelete, onRecategorize, onChangeCurrency, onClear }) {
+  const { t } = useTranslation();
+  const [category, setCategory] = useState('');
+  const [currency, setCurrency] = useState('');
+
+  if (selectedCount === 0) {
+    return null;
+  }
+
+  return (
+    <Paper
+      elevation={0}
+      sx={{
+        p: 2,
+        mb: 2,
+        display: 'flex',
+        gap: 2,
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        borderRadius: 2,
+        border: '1px solid',
+        borderColor: 'primary.main',
+        bgcolor: 'action.hover',
+      }}
+    >
+      <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+        {t('transactions.selected', { count: selectedCount })}
+      </Typography>
+
+      <Button color="error" variant="outlined" size="small" startIcon={<DeleteIcon />} onClick={onDelete}>
+        {t('common.delete')}
+      </Button>
+
+      <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+        <Autocomplete
+          freeSolo
+          options={categories}
+          value={category}
+          onInputChange={(event, newInputValue) => setCategory(newInputValue)}
+          renderInput={(params) => (
+            <TextField {...params} label={t('common.category')} size="small" />
+          )}
+          sx={{ width: 180 }}
+        />
+        <Button
+          size="small"
+          variant="outlined"
+          startIcon={<CategoryIcon />}
+          disabled={!category.trim()}
+          onClick={() => onRecategorize(category.trim())}
+        >
+          {t('transactions.recategorize')}
+        </Button>
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+        <FormControl size="small" sx={{ minWidth: 110 }}>
+          <InputLabel>{t('common.currency')}</InputLabel>
+          <Select value={currency} label={t('common.currency')} onChange={(e) => setCurrency(e.target.value)}>
+            {getCurrencyChoices(currency).map((code) => (
+              <MenuItem key={code} value={code}>{code}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button
+          size="small"
+          variant="outlined"
+          startIcon={<CurrencyExchangeIcon />}
+          disabled={!currency}
+          onClick={() => onChangeCurrency(currency)}
+        >
+          {t('transactions.changeCurrency')}
+        </Button>
+      </Box>
+
+      <Button size="small" onClick={onClear} sx={{ ml: 'auto' }}>
+        {t('transactions.clearSelection')}
+      </Button>
+    </Paper>
+  );
+}
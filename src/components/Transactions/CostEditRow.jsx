@@ -0,0 +1,218 @@
+/**
+ * CostEditRow.jsx - Inline table row for editing a single transaction
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  TextField,
+  TableRow,
+  TableCell,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Autocomplete,
+  IconButton,
+  Tooltip
+} from '@mui/material';
+import { useTranslation } from 'react-i18next';
+import CheckIcon from '@mui/icons-material/Check';
+import CloseIcon from '@mui/icons-material/Close';
+import CallSplitIcon from '@mui/icons-material/CallSplit';
+import toast from 'react-hot-toast';
+import { validateSplits } from '../../lib/splits';
+import SplitLinesEditor, { createSplitLines } from './SplitLinesEditor';
+import TagsInput from './TagsInput';
+
+const TRANSACTION_TYPES = ['expense', 'income', 'savings_deposit', 'savings_withdrawal'];
+
+/**
+ * CostEditRow component
+ * Replaces a table row with inputs for the amount, category (or split lines), description, tags, type and date
+ * @param {Object} props - Component props
+ * @param {Object} props.db - Database instance
+ * @param {Object} props.cost - The stored cost item (not a converted report item)
+ * @param {number} props.colSpan - Number of columns in the table
+ * @param {string[]} props.categories - Category suggestions
+ * @param {function(Object): void} props.onSaved - Called with the updated cost item
+ * @param {function(): void} props.onCancel - Called when editing is cancelled
+ */
+export default function CostEditRow({ db, cost, colSpan, categories, onSaved, onCancel }) {
+  const { t } = useTranslation();
+  const [sum, setSum] = useState(cost.sum.toString());
+  const [category, setCategory] = useState(cost.category);
+  const [splitLines, setSplitLines] = useState(
+    cost.splits ? cost.splits.map(line => ({ category: line.category, sum: line.sum.toString() })) : null
+  );
+  const [description, setDescription] = useState(cost.description || '');
+  const [tags, setTags] = useState(cost.tags || []);
+  const [availableTags, setAvailableTags] = useState([]);
+  const [type, setType] = useState(cost.type || 'expense');
+  const [date, setDate] = useState(
+    `${cost.date.year}-${cost.date.month.toString().padStart(2, '0')}-${cost.date.day.toString().padStart(2, '0')}`
+  );
+  const [saving, setSaving] = useState(false);
+
+  useEffect(function() {
+    db.getAllTags()
+      .then(setAvailableTags)
+      .catch(function(error) {
+        console.warn('Failed to load tags:', error);
+      });
+  }, [db]);
+
+  const handleSave = async function() {
+    const parsedSum = parseFloat(sum);
+    if (!parsedSum || parsedSum <= 0) {
+      toast.error(t('messages.pleaseEnterValidAmount'));
+      return;
+    }
+
+    if (splitLines) {
+      const splitError = validateSplits(splitLines, parsedSum);
+      if (splitError) {
+        toast.error(t(splitError));
+        return;
+      }
+    } else if (!category.trim()) {
+      toast.error(t('messages.pleaseEnterCategory'));
+      return;
+    }
+
+    setSaving(true);
+    try {
+      // Keep the original time of day when only the date changes
+      const [year, month, day] = date.split('-').map(Number);
+      const updated = await db.updateCost(cost.id, {
+        sum: parsedSum,
+        category: splitLines ? splitLines[0].category.trim() : category.trim(),
+        splits: splitLines ? splitLines.map(line => ({ category: line.category, sum: parseFloat(line.sum) })) : null,
+        description: description.trim(),
+        tags: tags,
+        type: type,
+        date: { year: year, month: month, day: day, hour: cost.date.hour, minute: cost.date.minute }
+      });
+      toast.success(t('transactions.transactionUpdated'));
+      onSaved(updated);
+    } catch (error) {
+      toast.error(t('messages.failedToSave') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Splits the transaction into category lines, or joins it back under the first line's category
+   */
+  const handleSplitToggle = function() {
+    if (splitLines) {
+      setCategory(splitLines[0].category);
+      setSplitLines(null);
+    } else {
+      setSplitLines(createSplitLines(category, sum));
+    }
+  };
+
+  /**
+   * Saves on Enter and cancels on Escape
+   * An Enter that an input already used, such as one adding a tag, does not save.
+   * @param {KeyboardEvent} event - The keyboard event
+   */
+  const handleKeyDown = function(event) {
+    if (event.key === 'Enter' && !event.defaultPrevented) {
+      handleSave();
+    } else if (event.key === 'Escape') {
+      onCancel();
+    }
+  };
+
+  return (
+    <TableRow sx={{ bgcolor: 'action.selected' }}>
+      <TableCell colSpan={colSpan}>
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center' }} onKeyDown={handleKeyDown}>
+          <TextField
+            label={t('common.date')}
+            type="date"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            size="small"
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            label={`${t('common.sum')} (${cost.currency})`}
+            type="number"
+            value={sum}
+            onChange={(e) => setSum(e.target.value)}
+            size="small"
+            inputProps={{ min: 0, step: 0.01 }}
+            sx={{ width: 140 }}
+            autoFocus
+          />
+          {!splitLines && (
+            <Autocomplete
+              freeSolo
+              options={categories}
+              value={category}
+              onInputChange={(event, newInputValue) => setCategory(newInputValue)}
+              renderInput={(params) => (
+                <TextField {...params} label={t('common.category')} size="small" />
+              )}
+              sx={{ width: 180 }}
+            />
+          )}
+          <TextField
+            label={t('common.description')}
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            size="small"
+            sx={{ flex: 1, minWidth: 160 }}
+          />
+          <TagsInput value={tags} onChange={setTags} options={availableTags} size="small" sx={{ minWidth: 200 }} />
+          <FormControl size="small" sx={{ minWidth: 170 }}>
+            <InputLabel>{t('forms.transactionType')}</InputLabel>
+            <Select
+              value={type}
+              label={t('forms.transactionType')}
+              onChange={(e) => setType(e.target.value)}
+              disabled={type === 'transfer'}
+            >
+              {(type === 'transfer' ? ['transfer'] : TRANSACTION_TYPES).map((value) => (
+                <MenuItem key={value} value={value}>{t('forms.types.' + value)}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          {type !== 'transfer' && (
+            <Tooltip title={splitLines ? t('splits.unsplit') : t('splits.splitTransaction')}>
+              <IconButton color={splitLines ? 'primary' : 'default'} onClick={handleSplitToggle} disabled={saving}>
+                <CallSplitIcon />
+              </IconButton>
+            </Tooltip>
+          )}
+          <Tooltip title={t('common.save')}>
+            <span>
+              <IconButton color="primary" onClick={handleSave} disabled={saving}>
+                <CheckIcon />
+              </IconButton>
+            </span>
+          </Tooltip>
+          <Tooltip title={t('common.cancel')}>
+            <IconButton onClick={onCancel} disabled={saving}>
+              <CloseIcon />
+            </IconButton>
+          </Tooltip>
+          {splitLines && (
+            <SplitLinesEditor
+              lines={splitLines}
+              onChange={setSplitLines}
+              total={parseFloat(sum) || 0}
+              currency={cost.currency}
+              categories={categories}
+              size="small"
+            />
+          )}
+        </Box>
+      </TableCell>
+    </TableRow>
+  );
+}
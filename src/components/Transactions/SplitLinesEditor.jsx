@@ -0,0 +1,104 @@
+/**
+ * SplitLinesEditor.jsx - Category lines of a transaction split across several categories
+ */
+
+import React from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  Autocomplete,
+  IconButton,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import { useTranslation } from 'react-i18next';
+import AddIcon from '@mui/icons-material/Add';
+import RemoveCircleOutlineIcon from '@mui/icons-material/RemoveCircleOutline';
+import { getSplitsRemainder } from '../../lib/splits';
+import { formatCurrency } from '../../lib/currencies';
+
+/**
+ * Creates the lines a transaction starts with when it is split
+ * The first line keeps the whole amount in the current category, the second starts empty.
+ * @param {string} category - Current category
+ * @param {string} sum - Current amount as entered
+ * @returns {Array<{category: string, sum: string}>} Two lines
+ */
+export function createSplitLines(category, sum) {
+  return [
+    { category: category || '', sum: sum || '' },
+    { category: '', sum: '' }
+  ];
+}
+
+/**
+ * SplitLinesEditor component
+ * Edits one category and amount per line and shows how much of the total is left to assign
+ * @param {Object} props - Component props
+ * @param {Array<{category: string, sum: string}>} props.lines - Lines as entered
+ * @param {function(Array): void} props.onChange - Receives the changed lines
+ * @param {number} props.total - The transaction total the lines must add up to
+ * @param {string} props.currency - Currency of the transaction
+ * @param {string[]} props.categories - Category suggestions
+ * @param {('small'|'medium')} [props.size] - Size of the inputs
+ */
+export default function SplitLinesEditor({ lines, onChange, total, currency, categories, size = 'medium' }) {
+  const { t, i18n } = useTranslation();
+  const remainder = getSplitsRemainder(lines, total || 0);
+
+  const updateLine = function(index, field, value) {
+    onChange(lines.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  const handleAddLine = function() {
+    onChange([...lines, { category: '', sum: remainder > 0 ? remainder.toString() : '' }]);
+  };
+
+  const handleRemoveLine = function(index) {
+    onChange(lines.filter((line, i) => i !== index));
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5, width: '100%' }}>
+      {lines.map((line, index) => (
+        <Box key={index} sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+          <Autocomplete
+            freeSolo
+            options={categories}
+            value={line.category}
+            onInputChange={(event, newInputValue) => updateLine(index, 'category', newInputValue)}
+            renderInput={(params) => (
+              <TextField {...params} label={t('common.category')} size={size} />
+            )}
+            sx={{ flex: 1, minWidth: 160 }}
+          />
+          <TextField
+            label={t('common.sum')}
+            type="number"
+            value={line.sum}
+            onChange={(e) => updateLine(index, 'sum', e.target.value)}
+            size={size}
+            inputProps={{ min: 0, step: 0.01 }}
+            sx={{ width: 140 }}
+          />
+          <Tooltip title={t('splits.removeLine')}>
+            <span>
+              <IconButton onClick={() => handleRemoveLine(index)} disabled={lines.length <= 2} size={size}>
+                <RemoveCircleOutlineIcon />
+              </IconButton>
+            </span>
+          </Tooltip>
+        </Box>
+      ))}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 1 }}>
+        <Button startIcon={<AddIcon />} onClick={handleAddLine} size="small">
+          {t('splits.addLine')}
+        </Button>
+        <Typography variant="body2" color={remainder === 0 ? 'success.main' : 'error.main'} sx={{ fontWeight: 600 }}>
+          {t('splits.remaining', { amount: formatCurrency(remainder, currency, i18n.language) })}
+        </Typography>
+      </Box>
+    </Box>
+  );
+}
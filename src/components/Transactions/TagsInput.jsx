@@ -0,0 +1,61 @@
+/**
+ * TagsInput.jsx - Free-form tags of a transaction, typed or picked from the tags already in use
+ */
+
+import React from 'react';
+import { Box, Chip, TextField, Autocomplete } from '@mui/material';
+import { useTranslation } from 'react-i18next';
+import LocalOfferIcon from '@mui/icons-material/LocalOffer';
+import { normalizeTags } from '../../lib/tags';
+
+/**
+ * TagChips component
+ * Shows the tags of a transaction as small chips
+ * @param {Object} props - Component props
+ * @param {string[]} [props.tags] - Tags of the transaction
+ */
+export function TagChips({ tags }) {
+  if (!tags || tags.length === 0) return null;
+
+  return (
+    <Box component="span" sx={{ display: 'inline-flex', flexWrap: 'wrap', gap: 0.5, ml: 1, verticalAlign: 'middle' }}>
+      {tags.map((tag) => (
+        <Chip key={tag} icon={<LocalOfferIcon />} label={tag} size="small" variant="outlined" />
+      ))}
+    </Box>
+  );
+}
+
+/**
+ * TagsInput component
+ * A typed tag is added on Enter and stored in its normalized form
+ * @param {Object} props - Component props
+ * @param {string[]} props.value - Current tags
+ * @param {function(string[]): void} props.onChange - Receives the changed tags
+ * @param {string[]} props.options - Tags already in use, offered as suggestions
+ * @param {('small'|'medium')} [props.size] - Size of the input
+ * @param {Object} [props.sx] - Styles of the input
+ */
+export default function TagsInput({ value, onChange, options, size = 'medium', sx }) {
+  const { t } = useTranslation();
+
+  return (
+    <Autocomplete
+      multiple
+      freeSolo
+      options={options}
+      value={value}
+      onChange={(event, newValue) => onChange(normalizeTags(newValue))}
+      filterSelectedOptions
+      renderTags={(tags, getTagProps) =>
+        tags.map((tag, index) => (
+          <Chip {...getTagProps({ index })} key={tag} label={tag} size="small" />
+        ))
+      }
+      renderInput={(params) => (
+        <TextField {...params} label={t('forms.tags')} placeholder={t('forms.placeholders.tags')} size={size} />
+      )}
+      sx={sx}
+    />
+  );
+}
@@ -0,0 +1,147 @@
+/**
+ * useCostActions.jsx - Shared selection, edit and delete logic for transaction tables
+ */
+
+import React, { useState } from 'react';
+import { Box, Button } from '@mui/material';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+
+// How long the undo button stays available after a delete
+const UNDO_DURATION = 6000;
+
+/**
+ * Hook used by ReportView and AdvancedFilters to edit and delete transactions
+ * @param {Object|null} db - Database instance
+ * @param {function(): void} onChange - Called after any change so the table, budgets and notifications reload
+ * @returns {Object} Selection state and action handlers
+ */
+export default function useCostActions(db, onChange) {
+  const { t } = useTranslation();
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [editingCost, setEditingCost] = useState(null);
+
+  const isSelected = function(id) {
+    return selectedIds.includes(id);
+  };
+
+  const toggleSelected = function(id) {
+    setSelectedIds(function(prev) {
+      return prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id];
+    });
+  };
+
+  /**
+   * Selects or unselects a group of rows, e.g. from a table header checkbox
+   * @param {number[]} ids - IDs of the rows in the group
+   * @param {boolean} selected - Whether to select them
+   */
+  const setGroupSelected = function(ids, selected) {
+    setSelectedIds(function(prev) {
+      const others = prev.filter(id => !ids.includes(id));
+      return selected ? [...others, ...ids] : others;
+    });
+  };
+
+  const clearSelection = function() {
+    setSelectedIds([]);
+  };
+
+  /**
+   * Loads the stored item so the inline editor shows the original amount and currency
+   * @param {number} id - The cost item ID
+   */
+  const startEdit = async function(id) {
+    try {
+      const cost = await db.getCost(id);
+      if (cost) {
+        setEditingCost(cost);
+      }
+    } catch (error) {
+      toast.error(t('messages.failedToLoad') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  const cancelEdit = function() {
+    setEditingCost(null);
+  };
+
+  const handleSaved = function() {
+    setEditingCost(null);
+    onChange();
+  };
+
+  /**
+   * Deletes transactions and offers to restore them from the toast
+   * @param {number[]} ids - IDs to delete
+   */
+  const deleteWithUndo = async function(ids) {
+    try {
+      const deleted = await db.deleteCosts(ids);
+      setSelectedIds(prev => prev.filter(id => !ids.includes(id)));
+      onChange();
+
+      toast(function(toastItem) {
+        return (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <span>{t('transactions.deleted', { count: deleted.length })}</span>
+            <Button
+              size="small"
+              onClick={async function() {
+                toast.dismiss(toastItem.id);
+                try {
+                  await db.restoreCosts(deleted);
+                  toast.success(t('transactions.restored', { count: deleted.length }));
+                  onChange();
+                } catch (error) {
+                  toast.error(t('messages.failedToSave') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+                }
+              }}
+            >
+              {t('transactions.undo')}
+            </Button>
+          </Box>
+        );
+      }, { duration: UNDO_DURATION });
+    } catch (error) {
+      toast.error(t('messages.failedToDelete') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  /**
+   * Applies the same change to every selected transaction
+   * @param {Object} changes - Fields to update
+   */
+  const updateSelected = async function(changes) {
+    try {
+      const count = await db.updateCosts(selectedIds, changes);
+      toast.success(t('transactions.updated', { count: count }));
+      setSelectedIds([]);
+      onChange();
+    } catch (error) {
+      toast.error(t('messages.failedToSave') + ': ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  return {
+    selectedIds,
+    isSelected,
+    toggleSelected,
+    setGroupSelected,
+    clearSelection,
+    editingCost,
+    startEdit,
+    cancelEdit,
+    handleSaved,
+    deleteWithUndo,
+    deleteSelected: function() {
+      return deleteWithUndo(selectedIds);
+    },
+    recategorizeSelected: function(category) {
+      return updateSelected({ category: category });
+    },
+    changeCurrencySelected: function(currency) {
+      return updateSelected({ currency: currency });
+    },
+  };
+}
@@ -2,8 +2,11 @@
  * NotificationContext.jsx - Context for managing notifications
  */
 
-import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
 import i18n from '../i18n/config';
+import { getBudgetsProgress, getBudgetStatus } from '../lib/budgets';
+import { getGoalsForecasts } from '../lib/savings';
+import { formatAmount } from '../lib/currencies';
 
 const NotificationContext = createContext(undefined);
 
@@ -102,48 +105,48 @@ export function NotificationProvider({ children }) {
     });
   };
 
-  const checkBudgets = async function(db) {
+  /**
+   * Raises a notification for each budget near or over its limit
+   * Memoized, and reads dismissed IDs from a ref, so effects that depend on it do not re-run
+   * every time a notification is added
+   * @param {Object} db - Database instance
+   */
+  const checkBudgets = useCallback(async function(db) {
     if (!db) return;
 
     try {
       const budgets = await db.getAllBudgets();
+      const progress = await getBudgetsProgress(db, budgets);
       const newNotifications = [];
 
       for (const budget of budgets) {
-        let spent = 0;
-
         try {
-          if (budget.type === 'monthly' && budget.month) {
-            const report = await db.getReport(budget.year, budget.month, budget.currency);
-            spent = report.total.total;
-          } else if (budget.type === 'yearly') {
-            let total = 0;
-            for (let m = 1; m <= 12; m++) {
-              const report = await db.getReport(budget.year, m, budget.currency);
-              total += report.total.total;
-            }
-            spent = total;
-          }
-
-          const percentage = (spent / budget.amount) * 100;
+          const { spent, carryover } = progress[budget.id];
+          const { available, percentage, status } = getBudgetStatus(budget, spent, carryover);
+          // Category budgets name their category so several can be told apart
+          const keyPrefix = budget.type === 'category' ? 'notifications.categoryBudget' : 'notifications.budget';
 
-          if (spent > budget.amount) {
+          if (status === 'exceeded') {
             newNotifications.push({
               id: `budget-exceeded-${budget.id}`,
               type: 'budget_exceeded',
-              message: i18n.t('notifications.budgetExceeded', { 
-                spent: spent.toFixed(2), 
+              message: i18n.t(keyPrefix + 'Exceeded', { 
+                spent: formatAmount(spent, budget.currency, i18n.language), 
                 currency: budget.currency, 
-                amount: budget.amount.toFixed(2) 
+                amount: formatAmount(available, budget.currency, i18n.language),
+                category: budget.category,
               }),
               timestamp: new Date(),
               read: false,
             });
-          } else if (percentage >= 80) {
+          } else if (status === 'warning') {
             newNotifications.push({
               id: `budget-warning-${budget.id}`,
               type: 'budget_warning',
-              message: i18n.t('notifications.budgetWarning', { percentage: percentage.toFixed(1) }),
+              message: i18n.t(keyPrefix + 'Warning', {
+                percentage: percentage.toFixed(1),
+                category: budget.category,
+              }),
               timestamp: new Date(),
               read: false,
             });
@@ -155,14 +158,62 @@ export function NotificationProvider({ children }) {
 
       // Add new notifications (avoid duplicates and dismissed ones)
       setNotifications(function(prev) {
-        const existingIds = new Set(prev.map(n => n.id));
+        // Drop unread budget alerts that no longer apply, e.g. after an expense was edited or deleted
+        const currentIds = new Set(newNotifications.map(n => n.id));
+        const kept = prev.filter(function(n) {
+          const isBudgetAlert = n.type === 'budget_exceeded' || n.type === 'budget_warning';
+          return !isBudgetAlert || n.read || currentIds.has(n.id);
+        });
+        const existingIds = new Set(kept.map(n => n.id));
         const toAdd = newNotifications.filter(n => !existingIds.has(n.id) && !dismissedNotificationsRef.current.has(n.id));
-        return [...prev, ...toAdd];
+        return [...kept, ...toAdd];
       });
     } catch (error) {
       // Ignore
     }
-  };
+  }, []);
+
+  /**
+   * Raises a notification for each savings goal whose projection misses its target date
+   * Memoized like checkBudgets
+   * @param {Object} db - Database instance
+   */
+  const checkGoals = useCallback(async function(db) {
+    if (!db) return;
+
+    try {
+      const goals = await db.getSavingsGoals();
+      const forecasts = await getGoalsForecasts(db, goals);
+      const newNotifications = goals
+        .filter(goal => forecasts[goal.id].status === 'behind')
+        .map(function(goal) {
+          return {
+            id: `goal-behind-${goal.id}`,
+            type: 'goal_behind',
+            message: i18n.t('notifications.goalBehind', {
+              name: goal.name,
+              amount: formatAmount(forecasts[goal.id].requiredMonthly, goal.currency, i18n.language),
+              currency: goal.currency,
+            }),
+            timestamp: new Date(),
+            read: false,
+          };
+        });
+
+      setNotifications(function(prev) {
+        // Drop unread goal alerts for goals that are back on track
+        const currentIds = new Set(newNotifications.map(n => n.id));
+        const kept = prev.filter(function(n) {
+          return n.type !== 'goal_behind' || n.read || currentIds.has(n.id);
+        });
+        const existingIds = new Set(kept.map(n => n.id));
+        const toAdd = newNotifications.filter(n => !existingIds.has(n.id) && !dismissedNotificationsRef.current.has(n.id));
+        return [...kept, ...toAdd];
+      });
+    } catch (error) {
+      // Ignore
+    }
+  }, []);
 
   return (
     <NotificationContext.Provider
@@ -174,6 +225,7 @@ export function NotificationProvider({ children }) {
         clearNotification,
         clearAll,
         checkBudgets,
+        checkGoals,
       }}
     >
       {children}
@@ -0,0 +1,97 @@
+/**
+ * SettingsContext.jsx - Context for the preferred display currency and the enabled currencies
+ */
+
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import {
+  getEnabledCurrencies,
+  setEnabledCurrencies,
+  normalizeCurrencyCode,
+  isCurrencyCode
+} from '../lib/currencies';
+
+// localStorage key of the preferred display currency
+const PREFERRED_CURRENCY_KEY = 'preferredCurrency';
+
+const SettingsContext = createContext(undefined);
+
+/**
+ * Reads the saved preferred currency
+ * @returns {string} ISO code, USD when none was saved
+ */
+function readPreferredCurrency() {
+  const saved = normalizeCurrencyCode(localStorage.getItem(PREFERRED_CURRENCY_KEY));
+  return isCurrencyCode(saved) ? saved : 'USD';
+}
+
+/**
+ * SettingsProvider component
+ * Keeps the currency that totals are shown in across the dashboard, reports, charts, budgets
+ * and goals, and the currencies offered in currency menus
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ */
+export function SettingsProvider({ children }) {
+  const [preferredCurrency, setPreferredCurrencyState] = useState(readPreferredCurrency);
+  const [enabledCurrencies, setEnabledCurrenciesState] = useState(getEnabledCurrencies);
+
+  useEffect(function() {
+    localStorage.setItem(PREFERRED_CURRENCY_KEY, preferredCurrency);
+  }, [preferredCurrency]);
+
+  /**
+   * Changes the preferred currency
+   * @param {string} code - ISO currency code
+   */
+  const setPreferredCurrency = function(code) {
+    const iso = normalizeCurrencyCode(code);
+    if (isCurrencyCode(iso)) {
+      setPreferredCurrencyState(iso);
+    }
+  };
+
+  /**
+   * Saves the enabled currencies
+   * @param {string[]} codes - ISO codes; at least one is required
+   */
+  const updateEnabledCurrencies = function(codes) {
+    setEnabledCurrenciesState(setEnabledCurrencies(codes));
+  };
+
+  return (
+    <SettingsContext.Provider value={{ preferredCurrency, setPreferredCurrency, enabledCurrencies, updateEnabledCurrencies }}>
+      {children}
+    </SettingsContext.Provider>
+  );
+}
+
+/**
+ * Hook to use settings context
+ * @returns {Object} Settings context value with preferredCurrency, setPreferredCurrency,
+ * enabledCurrencies and updateEnabledCurrencies
+ */
+export function useSettings() {
+  const context = useContext(SettingsContext);
+  if (context === undefined) {
+    throw new Error('useSettings must be used within a SettingsProvider');
+  }
+  return context;
+}
+
+/**
+ * Calls back when the preferred currency is switched while a view is open
+ * The first render is skipped, so a currency read from the URL is kept until the user switches.
+ * @param {function(string): void} onSwitch - Receives the new ISO code
+ */
+export function useCurrencySwitch(onSwitch) {
+  const { preferredCurrency } = useSettings();
+  const previousRef = useRef(preferredCurrency);
+
+  useEffect(function() {
+    if (previousRef.current !== preferredCurrency) {
+      previousRef.current = preferredCurrency;
+      onSwitch(preferredCurrency);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [preferredCurrency]);
+}
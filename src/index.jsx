@@ -5,6 +5,10 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { redirectPathToHash } from './lib/routes';
+
+// Links such as /report are moved into the hash before the router reads the URL
+redirectPathToHash();
 
 const root = ReactDOM.createRoot(
   document.getElementById('root')
@@ -0,0 +1,98 @@
+/**
+ * accounts.js - Accounts that transactions are paid from or into, and their running balances
+ * Every cost belongs to one account through its accountId. A transfer is a cost of type
+ * "transfer" that leaves accountId and arrives in toAccountId; it is not income or expense,
+ * so reports leave it out, but it moves both balances.
+ */
+
+import { getRatesLookup, convertAmount } from './exchangeRates';
+
+export const ACCOUNT_KINDS = ['checking', 'savings', 'credit_card', 'cash'];
+
+// Category stored on transfers, which have no spending category of their own
+export const TRANSFER_CATEGORY = 'Transfer';
+
+/**
+ * Account that existing costs are moved into when accounts are introduced, and that
+ * backups written before accounts existed are restored into
+ */
+export const DEFAULT_ACCOUNT = {
+  id: 1,
+  name: 'Main account',
+  kind: 'checking',
+  currency: 'USD',
+  openingBalance: 0,
+};
+
+/**
+ * Gets the account a cost was paid from or into
+ * Costs saved without an account belong to the first account.
+ * @param {Object} cost - Cost item
+ * @param {Object[]} accounts - All accounts
+ * @returns {number|null} The account ID, or null when there are no accounts
+ */
+export function getCostAccountId(cost, accounts) {
+  if (cost.accountId) return cost.accountId;
+  return accounts.length > 0 ? Math.min(...accounts.map(account => account.id)) : null;
+}
+
+/**
+ * Gets how a cost changes the balance of one account, in the cost's currency
+ * Income and savings withdrawals add to the account, expenses and savings deposits take from it,
+ * and a transfer takes from its source account and adds to its target account.
+ * @param {Object} cost - Cost item
+ * @param {number} accountId - The account
+ * @param {Object[]} accounts - All accounts
+ * @returns {number} The signed amount, 0 when the cost does not touch the account
+ */
+export function getAccountAmount(cost, accountId, accounts) {
+  const fromId = getCostAccountId(cost, accounts);
+  const type = cost.type || 'expense';
+
+  if (type === 'transfer') {
+    return (cost.toAccountId === accountId ? cost.sum : 0) - (fromId === accountId ? cost.sum : 0);
+  }
+  if (fromId !== accountId) return 0;
+  return type === 'income' || type === 'savings_withdrawal' ? cost.sum : -cost.sum;
+}
+
+/**
+ * Builds the ledger of every account: its transactions in date order with the balance after each
+ * Amounts are converted into each account's currency at the rates of the transaction's date.
+ * @param {Object} db - Database instance
+ * @param {Object[]} accounts - All accounts
+ * @returns {Promise<Object.<number, {balance: number, entries: Object[]}>>} Ledger by account ID; each
+ * entry has the cost, its converted signed amount and the running balance
+ */
+export async function getAccountLedgers(db, accounts) {
+  const costs = (await db.getAllCosts()).sort(function (a, b) {
+    return a.dateKey - b.dateKey || a.id - b.id;
+  });
+
+  const ledgers = {};
+  accounts.forEach(function (account) {
+    ledgers[account.id] = { balance: account.openingBalance || 0, entries: [] };
+  });
+  if (costs.length === 0) return ledgers;
+
+  let ratesForDate = null;
+  if (costs.some(cost => accounts.some(account => account.currency !== cost.currency))) {
+    ratesForDate = await getRatesLookup(db, costs[0].dateKey, costs[costs.length - 1].dateKey);
+  }
+
+  costs.forEach(function (cost) {
+    accounts.forEach(function (account) {
+      const amount = getAccountAmount(cost, account.id, accounts);
+      if (amount === 0) return;
+
+      const ledger = ledgers[account.id];
+      const converted = cost.currency === account.currency
+        ? amount
+        : convertAmount(amount, cost.currency, account.currency, ratesForDate(cost.dateKey));
+      ledger.balance += converted;
+      ledger.entries.push({ cost: cost, amount: converted, balance: ledger.balance });
+    });
+  });
+
+  return ledgers;
+}
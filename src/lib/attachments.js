@@ -0,0 +1,204 @@
+/**
+ * attachments.js - Receipts and documents attached to transactions
+ * Attachments are kept as Blobs in their own store, one record per file with the costId of its
+ * transaction, so loading transactions never loads files. Images get a small JPEG thumbnail
+ * drawn on a canvas when they are attached; PDFs are shown with an icon instead.
+ */
+
+// File types that can be attached, as accepted by the file input
+export const ATTACHMENT_ACCEPT = 'image/*,application/pdf';
+
+// Largest file that can be attached, in bytes
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+// Longest side of a thumbnail, in pixels
+const THUMBNAIL_SIZE = 160;
+
+/**
+ * Checks whether a file type can be attached
+ * @param {string} type - MIME type of the file
+ * @returns {boolean} True for images and PDFs
+ */
+export function isAttachmentType(type) {
+  return /^image\//.test(type || '') || type === 'application/pdf';
+}
+
+/**
+ * Checks whether an attachment is an image that can be shown inline
+ * @param {Object} attachment - Attachment record or file
+ * @returns {boolean} True for images
+ */
+export function isImageAttachment(attachment) {
+  return /^image\//.test(attachment.type || '');
+}
+
+/**
+ * Gets the translation key of the reason a file cannot be attached
+ * @param {File} file - File picked by the user
+ * @returns {string|null} Translation key of the problem, or null when the file can be attached
+ */
+export function validateAttachmentFile(file) {
+  if (!isAttachmentType(file.type)) {
+    return 'attachments.unsupportedType';
+  }
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    return 'attachments.tooLarge';
+  }
+  return null;
+}
+
+/**
+ * Draws a small JPEG copy of an image
+ * @param {Blob} blob - The image
+ * @returns {Promise<Blob|null>} The thumbnail, or null when the file is not an image or cannot be decoded
+ */
+export async function createThumbnail(blob) {
+  if (!isImageAttachment(blob) || typeof createImageBitmap !== 'function') {
+    return null;
+  }
+
+  try {
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    return await new Promise(function(resolve) {
+      canvas.toBlob(resolve, 'image/jpeg', 0.8);
+    });
+  } catch (error) {
+    // An image the browser cannot decode is still attached, without a thumbnail
+    console.warn('Failed to create thumbnail:', error);
+    return null;
+  }
+}
+
+/**
+ * Builds the attachment record of a file
+ * @param {File} file - File picked by the user
+ * @param {number} costId - The transaction it is attached to
+ * @returns {Promise<Object>} Attachment without an ID, ready for addAttachment
+ */
+export async function buildAttachment(file, costId) {
+  return {
+    costId: costId,
+    name: file.name,
+    type: file.type,
+    size: file.size,
+    blob: file,
+    thumbnail: await createThumbnail(file),
+  };
+}
+
+/**
+ * Encodes a Blob as a data URL, so it can be written to a JSON backup
+ * @param {Blob} blob - The Blob
+ * @returns {Promise<string>} data:<type>;base64,<contents>
+ */
+export async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  // Convert in chunks; one call per byte is slow and one call for the whole file overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binary)}`;
+}
+
+/**
+ * Decodes a data URL written by blobToDataUrl
+ * @param {string} dataUrl - The data URL
+ * @returns {Blob} The Blob, with the type from the URL
+ */
+export function dataUrlToBlob(dataUrl) {
+  const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(dataUrl);
+  if (!match) {
+    throw new Error('Invalid data URL');
+  }
+  const binary = match[2] ? atob(match[3]) : decodeURIComponent(match[3]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: match[1] });
+}
+
+/**
+ * Encodes the files of attachment records as data URLs for a backup
+ * @param {Object[]} attachments - Attachment records with Blobs
+ * @returns {Promise<Object[]>} Records with `blob` and `thumbnail` as data URLs
+ */
+export async function encodeAttachments(attachments) {
+  return Promise.all(attachments.map(async function(attachment) {
+    return {
+      ...attachment,
+      blob: await blobToDataUrl(attachment.blob),
+      thumbnail: attachment.thumbnail ? await blobToDataUrl(attachment.thumbnail) : null,
+    };
+  }));
+}
+
+/**
+ * Turns the data URLs of backed-up attachment records back into Blobs
+ * @param {Object[]} attachments - Records from encodeAttachments
+ * @returns {Object[]} Records with Blobs, ready to store
+ */
+export function decodeAttachments(attachments) {
+  return attachments.map(function(attachment) {
+    return {
+      ...attachment,
+      blob: dataUrlToBlob(attachment.blob),
+      thumbnail: attachment.thumbnail ? dataUrlToBlob(attachment.thumbnail) : null,
+    };
+  });
+}
+
+/**
+ * Formats a number of bytes in the largest unit that keeps it above 1
+ * @param {number} bytes - Number of bytes
+ * @param {string} [locale] - Locale to format in, e.g. 'en'
+ * @returns {string} e.g. "1.5 MB"
+ */
+export function formatBytes(bytes, locale) {
+  const units = ['byte', 'kilobyte', 'megabyte', 'gigabyte'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return new Intl.NumberFormat(locale, {
+    style: 'unit',
+    unit: units[unit],
+    unitDisplay: 'short',
+    maximumFractionDigits: unit === 0 ? 0 : 1,
+  }).format(value);
+}
+
+/**
+ * Gets how much space the attachments and the whole app take
+ * The browser's estimate covers every store and cache of the app and may be rounded.
+ * @param {Object} db - Database instance
+ * @returns {Promise<{attachments: {count: number, bytes: number}, usage: number|null, quota: number|null}>}
+ * Attachment count and size, and the browser's usage and quota in bytes when it reports them
+ */
+export async function getStorageUsage(db) {
+  const attachments = await db.getAttachmentsUsage();
+  let estimate = {};
+  if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+    try {
+      estimate = await navigator.storage.estimate();
+    } catch (error) {
+      console.warn('Failed to estimate storage:', error);
+    }
+  }
+
+  return {
+    attachments: attachments,
+    usage: estimate.usage !== undefined ? estimate.usage : null,
+    quota: estimate.quota !== undefined ? estimate.quota : null,
+  };
+}
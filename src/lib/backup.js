@@ -0,0 +1,343 @@
+/**
+ * backup.js - Full backup and restore of the database and local settings
+ * A backup is a JSON file with every object store, the settings kept in localStorage,
+ * the schema version it was written with and a SHA-256 checksum of its contents.
+ * Attachment files are written as data URLs and turned back into Blobs on restore.
+ */
+
+import { z } from 'zod';
+import { BACKUP_STORES, DB_VERSION } from './idb-react';
+import { withIsoCurrencyCodes } from './currencies';
+import { ACCOUNT_KINDS, DEFAULT_ACCOUNT } from './accounts';
+import { encodeAttachments, decodeAttachments } from './attachments';
+import { toDateKey } from './dateKeys';
+
+// Identifies backup files written by this app
+const BACKUP_APP = 'cost-manager';
+
+// Backups carry the IndexedDB schema version; add a migration below when stored records change
+export const BACKUP_VERSION = DB_VERSION;
+
+// localStorage keys saved with the backup
+export const BACKUP_LOCAL_STORAGE_KEYS = [
+  'themeMode',
+  'i18nextLng',
+  'exchangeRateUrl',
+  'exchangeRateProvider',
+  'manualExchangeRates',
+  'enabledCurrencies',
+  'preferredCurrency',
+  'notifications',
+  'dismissedNotifications',
+];
+
+/**
+ * Steps that bring records from an older backup up to date, applied in order
+ * Each step upgrades a backup written before `version`
+ */
+const MIGRATIONS = [
+  {
+    // Costs gained a type (v3) and the flat dateKey used by the dateKey index (v4)
+    version: 4,
+    migrate: function (data) {
+      return {
+        ...data,
+        costs: (data.costs || []).map(function (cost) {
+          return {
+            ...cost,
+            type: cost.type || 'expense',
+            dateKey: cost.date ? toDateKey(cost.date) : cost.dateKey,
+          };
+        }),
+      };
+    },
+  },
+  {
+    // The legacy EURO currency code became the ISO code EUR (v11)
+    version: 11,
+    migrate: function (data) {
+      return Object.fromEntries(
+        Object.keys(data).map(function (name) {
+          return [name, data[name].map(record => withIsoCurrencyCodes(name, record))];
+        })
+      );
+    },
+  },
+  {
+    // Costs gained the account they were paid from or into (v12)
+    version: 12,
+    migrate: function (data) {
+      const accounts = data.accounts && data.accounts.length > 0 ? data.accounts : [DEFAULT_ACCOUNT];
+      return {
+        ...data,
+        accounts: accounts,
+        costs: (data.costs || []).map(function (cost) {
+          return cost.accountId ? cost : { ...cost, accountId: accounts[0].id };
+        }),
+      };
+    },
+  },
+];
+
+const idSchema = z.number().int().positive();
+
+const dateSchema = z.object({
+  year: z.number().int(),
+  month: z.number().int().min(1).max(12),
+  day: z.number().int().min(1).max(31),
+  hour: z.number().int().min(0).max(23).optional(),
+  minute: z.number().int().min(0).max(59).optional(),
+});
+
+// Record schemas check the fields the app relies on and keep any others
+const storeSchemas = {
+  costs: z.looseObject({
+    id: idSchema,
+    sum: z.number().nonnegative(),
+    currency: z.string().min(1),
+    category: z.string(),
+    description: z.string().optional(),
+    type: z.enum(['expense', 'income', 'savings_deposit', 'savings_withdrawal', 'transfer']),
+    date: dateSchema,
+    dateKey: z.number().int(),
+    splits: z.array(z.object({ category: z.string().min(1), sum: z.number().nonnegative() })).optional(),
+    tags: z.array(z.string().min(1)).optional(),
+  }),
+  accounts: z.looseObject({
+    id: idSchema,
+    name: z.string().min(1),
+    kind: z.enum(ACCOUNT_KINDS),
+    currency: z.string().min(1),
+    openingBalance: z.number(),
+  }),
+  categories: z.looseObject({
+    id: idSchema,
+    name: z.string().min(1),
+    parentId: idSchema.nullable().optional(),
+  }),
+  budgets: z.looseObject({
+    id: idSchema,
+    amount: z.number().nonnegative(),
+    year: z.number().int(),
+  }),
+  savings_goals: z.looseObject({
+    id: idSchema,
+    name: z.string().min(1),
+    targetAmount: z.number().positive(),
+  }),
+  recurring_rules: z.looseObject({
+    id: idSchema,
+    sum: z.number().nonnegative(),
+    frequency: z.enum(['daily', 'weekly', 'monthly', 'yearly']),
+    startDate: z.string(),
+  }),
+  import_batches: z.looseObject({
+    id: z.string().min(1),
+  }),
+  filter_presets: z.looseObject({
+    id: idSchema,
+    name: z.string().min(1),
+    filters: z.looseObject({}),
+  }),
+  rates: z.looseObject({
+    dateKey: z.number().int(),
+    rates: z.record(z.string(), z.number()),
+  }),
+  settings: z.looseObject({
+    key: z.string().min(1),
+  }),
+  attachments: z.looseObject({
+    id: idSchema,
+    costId: idSchema,
+    name: z.string(),
+    type: z.string(),
+    size: z.number().int().nonnegative(),
+    blob: z.string().startsWith('data:'),
+    thumbnail: z.string().startsWith('data:').nullable().optional(),
+  }),
+};
+
+// Checked before migrating, so older backups with missing stores or fields still pass
+const envelopeSchema = z.object({
+  app: z.literal(BACKUP_APP),
+  schemaVersion: z.number().int().min(1),
+  createdAt: z.string(),
+  checksum: z.string(),
+  data: z.record(z.string(), z.array(z.looseObject({}))),
+  localStorage: z.record(z.string(), z.string()).optional(),
+});
+
+const dataSchema = z.object(
+  Object.fromEntries(
+    BACKUP_STORES.map(function (name) {
+      return [name, z.array(storeSchemas[name])];
+    })
+  )
+);
+
+/**
+ * Computes the SHA-256 checksum of the backed-up contents
+ * @param {number} schemaVersion - Schema version of the backup
+ * @param {Object} data - Records per store
+ * @param {Object} storage - Saved localStorage values
+ * @returns {Promise<string>} Hex-encoded checksum
+ */
+async function computeChecksum(schemaVersion, data, storage) {
+  const bytes = new TextEncoder().encode(JSON.stringify({ schemaVersion: schemaVersion, data: data, localStorage: storage }));
+  const hash = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(hash))
+    .map(function (byte) {
+      return byte.toString(16).padStart(2, '0');
+    })
+    .join('');
+}
+
+/**
+ * Formats zod issues as one readable line
+ * @param {z.ZodError} error - The validation error
+ * @returns {string} The issues, e.g. "data.costs.3.sum: Invalid input"
+ */
+function formatIssues(error) {
+  return error.issues
+    .slice(0, 3)
+    .map(function (issue) {
+      return `${issue.path.join('.')}: ${issue.message}`;
+    })
+    .join('; ');
+}
+
+/**
+ * Builds a backup of the whole database and the local settings
+ * @param {Object} db - Database instance
+ * @returns {Promise<Object>} The backup object
+ */
+export async function createBackup(db) {
+  const stored = await db.exportAllData();
+  const data = { ...stored, attachments: await encodeAttachments(stored.attachments) };
+  const storage = {};
+  BACKUP_LOCAL_STORAGE_KEYS.forEach(function (key) {
+    const value = localStorage.getItem(key);
+    if (value !== null) {
+      storage[key] = value;
+    }
+  });
+
+  return {
+    app: BACKUP_APP,
+    schemaVersion: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    checksum: await computeChecksum(BACKUP_VERSION, data, storage),
+    data: data,
+    localStorage: storage,
+  };
+}
+
+/**
+ * Saves a backup as a JSON file
+ * @param {Object} backup - Backup from createBackup
+ */
+export function downloadBackup(backup) {
+  const blob = new Blob([JSON.stringify(backup)], { type: 'application/json' });
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+
+  link.setAttribute('href', url);
+  link.setAttribute('download', `cost-manager-backup-${backup.createdAt.slice(0, 10)}.json`);
+  link.style.visibility = 'hidden';
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Reads a backup file: checks the format and checksum, migrates older backups
+ * to the current schema and validates every record
+ * @param {string} text - Contents of the backup file
+ * @returns {Promise<Object>} The backup at the current schema version
+ * @throws {Error} If the file is not a valid backup
+ */
+export async function parseBackup(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  const envelope = envelopeSchema.safeParse(json);
+  if (!envelope.success) {
+    throw new Error('Not a Cost Manager backup (' + formatIssues(envelope.error) + ')');
+  }
+
+  const backup = envelope.data;
+  if (backup.schemaVersion > BACKUP_VERSION) {
+    throw new Error('The backup was made by a newer version of the app');
+  }
+
+  const storage = backup.localStorage || {};
+  // Hash the contents as read, before validation rebuilds the objects
+  const checksum = await computeChecksum(json.schemaVersion, json.data, json.localStorage || {});
+  if (checksum !== backup.checksum) {
+    throw new Error('Checksum mismatch - the file is damaged or was edited');
+  }
+
+  let data = backup.data;
+  MIGRATIONS.forEach(function (step) {
+    if (backup.schemaVersion < step.version) {
+      data = step.migrate(data);
+    }
+  });
+  // Stores added after the backup was made start empty
+  BACKUP_STORES.forEach(function (name) {
+    data = { ...data, [name]: data[name] || [] };
+  });
+
+  const result = dataSchema.safeParse(data);
+  if (!result.success) {
+    throw new Error('Invalid records (' + formatIssues(result.error) + ')');
+  }
+
+  return {
+    ...backup,
+    schemaVersion: BACKUP_VERSION,
+    data: result.data,
+    localStorage: storage,
+  };
+}
+
+/**
+ * Counts the records of each store in a backup
+ * @param {Object} backup - Backup from parseBackup
+ * @returns {Object.<string, number>} Number of records per store
+ */
+export function getBackupSummary(backup) {
+  const summary = {};
+  BACKUP_STORES.forEach(function (name) {
+    summary[name] = backup.data[name].length;
+  });
+  return summary;
+}
+
+/**
+ * Restores a backup into the database and localStorage
+ * When merging, local settings that are already set are kept
+ * @param {Object} db - Database instance
+ * @param {Object} backup - Backup from parseBackup
+ * @param {('merge'|'replace')} mode - Restore mode
+ * @returns {Promise<Object>} Number of records written per store
+ */
+export async function restoreBackup(db, backup, mode) {
+  const data = { ...backup.data, attachments: decodeAttachments(backup.data.attachments) };
+  const counts = await db.restoreAllData(data, mode);
+
+  Object.keys(backup.localStorage).forEach(function (key) {
+    if (!BACKUP_LOCAL_STORAGE_KEYS.includes(key)) return;
+    if (mode === 'replace' || localStorage.getItem(key) === null) {
+      localStorage.setItem(key, backup.localStorage[key]);
+    }
+  });
+
+  return counts;
+}
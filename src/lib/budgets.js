@@ -0,0 +1,166 @@
+/**
+ * budgets.js - Spending and status calculations for budgets
+ * Shared by BudgetManager and the budget notifications so both report the same numbers
+ */
+
+import { getCategoryAmount } from './splits';
+import { getDescendantNames } from './categoryTree';
+
+// Percentage of a budget at which a warning is shown
+export const BUDGET_WARNING_PERCENTAGE = 80;
+
+// Translation keys (months.*) for month pickers, January first
+export const MONTH_KEYS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+/**
+ * Gets the months a budget covers
+ * Monthly budgets cover their month; yearly budgets cover their year;
+ * category budgets cover their month when one is set, otherwise their year
+ * @param {Object} budget - Budget object
+ * @returns {number[]} Months (1-12) of budget.year
+ */
+export function getBudgetMonths(budget) {
+  if (budget.type === 'monthly' || (budget.type === 'category' && budget.month)) {
+    return [budget.month];
+  }
+  return [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+}
+
+/**
+ * Calculates how much was spent against a budget, in the budget currency
+ * Only expenses count; category budgets count only expenses in their category or a category
+ * below it, and only the lines of a split expense that are in them.
+ * Amounts are converted at the rates of each transaction's date by getReport.
+ * @param {Object} db - Database instance
+ * @param {Object} budget - Budget object
+ * @returns {Promise<number>} Amount spent
+ */
+export async function getBudgetSpent(db, budget) {
+  let spent = 0;
+  const categoryNames = budget.type === 'category'
+    ? getDescendantNames(await db.getCategories(), budget.category)
+    : [];
+
+  for (const month of getBudgetMonths(budget)) {
+    const report = await db.getReport(budget.year, month, budget.currency);
+    if (budget.type === 'category') {
+      spent += report.expenses.reduce(function (sum, item) {
+        return sum + categoryNames.reduce((lineSum, name) => lineSum + getCategoryAmount(item, name), 0);
+      }, 0);
+    } else {
+      spent += report.totals.expenses;
+    }
+  }
+
+  return spent;
+}
+
+/**
+ * Checks whether a budget covers a single month, so it can roll over into the next one
+ * @param {Object} budget - Budget object
+ * @returns {boolean} True for monthly budgets and category budgets limited to one month
+ */
+export function isMonthlyBudget(budget) {
+  return budget.type === 'monthly' || (budget.type === 'category' && !!budget.month);
+}
+
+/**
+ * Finds the budget of the same scope (type, category and currency) for the month before
+ * @param {Object[]} budgets - All budgets
+ * @param {Object} budget - A monthly budget
+ * @returns {Object|null} The previous month's budget, or null if there is none
+ */
+export function findPreviousBudget(budgets, budget) {
+  const year = budget.month === 1 ? budget.year - 1 : budget.year;
+  const month = budget.month === 1 ? 12 : budget.month - 1;
+
+  return budgets.find(function (other) {
+    return (
+      other.type === budget.type &&
+      other.year === year &&
+      other.month === month &&
+      other.currency === budget.currency &&
+      (budget.type !== 'category' || other.category === budget.category)
+    );
+  }) || null;
+}
+
+/**
+ * Calculates spending and rollover for a set of budgets
+ * A monthly budget with rollover on starts with what was left (or overspent) in the previous
+ * month's budget of the same scope, including that budget's own carryover.
+ * @param {Object} db - Database instance
+ * @param {Object[]} budgets - All budgets, so previous months can be found
+ * @returns {Promise<Object.<number, {spent: number, carryover: number, available: number}>>} Progress by budget ID
+ */
+export async function getBudgetsProgress(db, budgets) {
+  const spent = {};
+  for (const budget of budgets) {
+    try {
+      spent[budget.id] = await getBudgetSpent(db, budget);
+    } catch (error) {
+      spent[budget.id] = 0;
+    }
+  }
+
+  const carryovers = {};
+  const getCarryover = function (budget) {
+    if (carryovers[budget.id] !== undefined) return carryovers[budget.id];
+
+    let carryover = 0;
+    if (budget.rollover && isMonthlyBudget(budget)) {
+      const previous = findPreviousBudget(budgets, budget);
+      if (previous) {
+        carryover = previous.amount + getCarryover(previous) - spent[previous.id];
+      }
+    }
+    carryovers[budget.id] = carryover;
+    return carryover;
+  };
+
+  const progress = {};
+  budgets.forEach(function (budget) {
+    const carryover = getCarryover(budget);
+    progress[budget.id] = {
+      spent: spent[budget.id],
+      carryover: carryover,
+      available: budget.amount + carryover,
+    };
+  });
+  return progress;
+}
+
+/**
+ * Describes how far a budget has been used
+ * @param {Object} budget - Budget object
+ * @param {number} spent - Amount spent, from getBudgetSpent
+ * @param {number} [carryover=0] - Amount rolled over from the previous month, negative for a deficit
+ * @returns {{available: number, percentage: number, remaining: number, status: ('ok'|'warning'|'exceeded')}} Budget status
+ */
+export function getBudgetStatus(budget, spent, carryover = 0) {
+  const available = budget.amount + carryover;
+  const remaining = available - spent;
+  let percentage;
+  if (available > 0) {
+    percentage = (spent / available) * 100;
+  } else {
+    percentage = remaining < 0 ? 100 : 0;
+  }
+
+  let status = 'ok';
+  if (remaining < 0) {
+    status = 'exceeded';
+  } else if (percentage >= BUDGET_WARNING_PERCENTAGE) {
+    status = 'warning';
+  }
+
+  return {
+    available: available,
+    percentage: percentage,
+    remaining: remaining,
+    status: status,
+  };
+}
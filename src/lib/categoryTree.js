@@ -0,0 +1,176 @@
+/**
+ * categoryTree.js - Categories arranged in a tree by their parentId
+ * Transactions name their category, so the totals of a category roll up into every category
+ * above it. Categories without a parent, and names used by transactions that are not in the
+ * categories store, are at the top level.
+ */
+
+import { getRatesLookup, convertAmount } from './exchangeRates';
+import { getCategoryLines } from './splits';
+
+/**
+ * Gets the names of a category and the categories above it
+ * A parent that is missing, or a loop of parents, ends the path.
+ * @param {Object[]} categories - All categories, with id, name and optional parentId
+ * @param {string} name - Category name
+ * @returns {string[]} Names from the top-level category down to the category itself
+ */
+export function getCategoryPath(categories, name) {
+  const byId = new Map(categories.filter(category => category.id).map(category => [category.id, category]));
+  const path = [name];
+  const seen = new Set([name]);
+  let current = categories.find(category => category.name === name);
+
+  while (current && current.parentId && byId.has(current.parentId)) {
+    current = byId.get(current.parentId);
+    if (seen.has(current.name)) break;
+    seen.add(current.name);
+    path.unshift(current.name);
+  }
+  return path;
+}
+
+/**
+ * Formats the path of a category for display
+ * @param {Object[]} categories - All categories
+ * @param {string} name - Category name
+ * @returns {string} e.g. "Food / Restaurants"
+ */
+export function formatCategoryPath(categories, name) {
+  return getCategoryPath(categories, name).join(' / ');
+}
+
+/**
+ * Gets the names of a category and every category below it
+ * @param {Object[]} categories - All categories
+ * @param {string} name - Category name
+ * @returns {string[]} The category first, then its descendants
+ */
+export function getDescendantNames(categories, name) {
+  return [name].concat(
+    categories
+      .filter(category => category.name !== name && getCategoryPath(categories, category.name).includes(name))
+      .map(category => category.name)
+  );
+}
+
+/**
+ * Checks whether a category can be moved under another one
+ * @param {Object[]} categories - All categories
+ * @param {string} name - Name of the category to move
+ * @param {string|null} parentName - Name of the new parent, null for the top level
+ * @returns {boolean} False when the parent is the category itself or one of its descendants
+ */
+export function canReparent(categories, name, parentName) {
+  return parentName === null || !getDescendantNames(categories, name).includes(parentName);
+}
+
+/**
+ * Arranges categories in a tree, each level sorted by name
+ * @param {Object[]} categories - All categories
+ * @returns {Array<Object>} Top-level categories, each with `children` and its `depth`
+ */
+export function buildCategoryTree(categories) {
+  const nodes = categories.map(category => ({ ...category, children: [] }));
+  const byName = new Map(nodes.map(node => [node.name, node]));
+  const roots = [];
+
+  nodes.forEach(function(node) {
+    const path = getCategoryPath(categories, node.name);
+    const parent = path.length > 1 ? byName.get(path[path.length - 2]) : null;
+    (parent ? parent.children : roots).push(node);
+  });
+
+  const sortLevel = function(level, depth) {
+    level.sort((a, b) => a.name.localeCompare(b.name));
+    level.forEach(function(node) {
+      node.depth = depth;
+      sortLevel(node.children, depth + 1);
+    });
+    return level;
+  };
+  return sortLevel(roots, 0);
+}
+
+/**
+ * Adds the totals of every category to the categories above it
+ * @param {Object[]} categories - All categories
+ * @param {Object.<string, number>} totals - Total by category name, e.g. from sumByCategory
+ * @returns {Object.<string, number>} Total by category name, including every category below it
+ */
+export function rollUpTotals(categories, totals) {
+  const rolled = {};
+  Object.keys(totals).forEach(function(name) {
+    getCategoryPath(categories, name).forEach(function(pathName) {
+      rolled[pathName] = (rolled[pathName] || 0) + totals[name];
+    });
+  });
+  return rolled;
+}
+
+/**
+ * Gets the totals of one level of the tree, for a chart that drills down from a parent
+ * Each category of the level includes the categories below it. Amounts in the parent itself
+ * are returned as an entry for the parent marked `own`.
+ * @param {Object[]} categories - All categories
+ * @param {Object.<string, number>} totals - Total by category name, e.g. from sumByCategory
+ * @param {string|null} [parent=null] - Category whose children are shown, null for the top level
+ * @returns {Array<{name: string, value: number, drillable: boolean, own: boolean}>} One entry per category
+ * with a total, in the order the totals were found; `drillable` entries have categories below them
+ */
+export function getLevelTotals(categories, totals, parent = null) {
+  const level = new Map();
+
+  Object.keys(totals).forEach(function(name) {
+    const path = getCategoryPath(categories, name);
+    let key;
+    if (parent === null) {
+      key = path[0];
+    } else {
+      const index = path.indexOf(parent);
+      if (index === -1) return;
+      key = path[index + 1] || parent;
+    }
+
+    if (!level.has(key)) {
+      level.set(key, {
+        name: key,
+        value: 0,
+        drillable: key !== parent && getDescendantNames(categories, key).length > 1,
+        own: key === parent,
+      });
+    }
+    level.get(key).value += totals[name];
+  });
+
+  return Array.from(level.values());
+}
+
+/**
+ * Adds up expenses by category in one currency, converting each at the rates of its date
+ * @param {Object} db - Database instance
+ * @param {Object[]} costs - Stored cost items
+ * @param {string} currency - Currency to convert into
+ * @returns {Promise<Object.<string, number>>} Expense total by category name, each split line in its own category
+ */
+export async function sumExpensesByCategory(db, costs, currency) {
+  const expenses = costs.filter(cost => (cost.type || 'expense') === 'expense');
+  if (expenses.length === 0) return {};
+
+  let ratesForDate = null;
+  if (expenses.some(cost => cost.currency !== currency)) {
+    const dateKeys = expenses.map(cost => cost.dateKey);
+    ratesForDate = await getRatesLookup(db, Math.min(...dateKeys), Math.max(...dateKeys));
+  }
+
+  const totals = {};
+  expenses.forEach(function(cost) {
+    getCategoryLines(cost).forEach(function(line) {
+      const amount = cost.currency === currency
+        ? line.sum
+        : convertAmount(line.sum, cost.currency, currency, ratesForDate(cost.dateKey));
+      totals[line.category] = (totals[line.category] || 0) + amount;
+    });
+  });
+  return totals;
+}
@@ -2,37 +2,56 @@
  * chartHelpers.js - Helper functions for generating chart data
  */
 
+import { getRatesLookup, convertAmount } from './exchangeRates';
+import { sumByCategory } from './splits';
+import { sumByTag } from './tags';
+import { getLevelTotals } from './categoryTree';
+import { toDateKey } from './dateKeys';
+
 /**
  * Gets pie chart data grouped by category for a specific month and year
+ * Each slice includes the categories below it; a parent shows the level below it, with what was
+ * spent in the parent itself as its own slice.
  * @param {number} year - The year
  * @param {number} month - The month (1-12)
  * @param {string} currency - The target currency
  * @param {Object} db - The database instance
- * @returns {Promise<Array<{name: string, value: number}>>} Promise that resolves to array of pie chart data items
+ * @param {string|null} [parent=null] - Category to drill into, null for the top-level categories
+ * @returns {Promise<Array<{name: string, value: number, drillable: boolean, own: boolean}>>} Promise that resolves to array of pie chart data items
  */
-export async function getPieChartData(year, month, currency, db) {
+export async function getPieChartData(year, month, currency, db, parent = null) {
   const report = await db.getReport(year, month, currency);
   
-  // Group costs by category and sum them
-  const categoryTotals = {};
-  
-  report.costs.forEach(function(cost) {
-    if (categoryTotals[cost.category]) {
-      categoryTotals[cost.category] += cost.sum;
-    } else {
-      categoryTotals[cost.category] = cost.sum;
-    }
-  });
+  // Group costs by category and sum them, counting split lines in their own category
+  const categoryTotals = sumByCategory(report.costs);
   
-  // Convert to array format for pie chart
-  const pieData = Object.keys(categoryTotals).map(function(category) {
-    return {
-      name: category,
-      value: categoryTotals[category]
-    };
-  });
-  
-  return pieData;
+  // Roll the totals up to the level shown
+  const categories = await db.getCategories();
+  return getLevelTotals(categories, categoryTotals, parent);
+}
+
+/**
+ * Gets bar chart data grouped by tag for a specific month and year
+ * @param {number} year - The year
+ * @param {number} month - The month (1-12)
+ * @param {string} currency - The target currency
+ * @param {Object} db - The database instance
+ * @returns {Promise<Array<{name: string, value: number}>>} Promise that resolves to the tag totals, largest first
+ */
+export async function getTagChartData(year, month, currency, db) {
+  const report = await db.getReport(year, month, currency);
+
+  // A cost counts under every tag it has
+  const tagTotals = sumByTag(report.costs);
+
+  return Object.keys(tagTotals)
+    .map(function(tag) {
+      return {
+        name: tag,
+        value: tagTotals[tag]
+      };
+    })
+    .sort((a, b) => b.value - a.value);
 }
 
 /**
@@ -50,16 +69,10 @@ export async function getBarChartData(startDate, endDate, currency, db, groupBy
     'July', 'August', 'September', 'October', 'November', 'December'
   ];
   
-  // Fetch exchange rates
-  const exchangeRateUrl =
-    localStorage.getItem("exchangeRateUrl") ||
-    process.env.REACT_APP_EXCHANGE_RATE_URL ||
-    "https://gist.githubusercontent.com/Pafestivo/e4e1c962472306b578983a6a0c40828e/raw/exchange-rates.json";
-  
-  const ratesResponse = await fetch(exchangeRateUrl);
-  const rates = await ratesResponse.json();
-  
   if (groupBy === 'days') {
+    // Load the exchange rates in effect during the range
+    const ratesForDate = await getRatesLookup(db, toDateKey(startDate), toDateKey(endDate));
+
     // Group by days
     const allCosts = await db.getCostsByDateRange(
       {
@@ -81,8 +94,7 @@ export async function getBarChartData(startDate, endDate, currency, db, groupBy
       const dateKey = `${cost.date.year}-${cost.date.month.toString().padStart(2, '0')}-${cost.date.day.toString().padStart(2, '0')}`;
       
       // Convert to target currency
-      const amountInUSD = cost.sum / rates[cost.currency];
-      const convertedAmount = amountInUSD * rates[currency];
+      const convertedAmount = convertAmount(cost.sum, cost.currency, currency, ratesForDate(cost.dateKey));
       
       // Only count expenses for the total
       const type = cost.type || 'expense';
@@ -0,0 +1,301 @@
+/**
+ * currencies.js - Currency registry, enabled currencies and amount formatting
+ * Currencies are identified by their ISO 4217 code. The registry holds the symbol, number of
+ * decimals and English name of common currencies; any other code the rate source provides is
+ * described from the browser's Intl data instead.
+ */
+
+// Codes written by earlier versions of the app, and the ISO code that replaces each
+export const LEGACY_CURRENCY_CODES = { EURO: 'EUR' };
+
+// Currencies offered before the user enables others
+export const DEFAULT_CURRENCIES = ['USD', 'ILS', 'GBP', 'EUR'];
+
+// localStorage key of the enabled currency codes
+const ENABLED_CURRENCIES_KEY = 'enabledCurrencies';
+
+/**
+ * Known currencies by ISO code
+ * @type {Object.<string, {code: string, symbol: string, decimals: number, name: string}>}
+ */
+export const CURRENCY_REGISTRY = [
+  ['USD', '$', 2, 'US Dollar'],
+  ['EUR', '€', 2, 'Euro'],
+  ['ILS', '₪', 2, 'Israeli Shekel'],
+  ['GBP', '£', 2, 'British Pound'],
+  ['JPY', '¥', 0, 'Japanese Yen'],
+  ['CHF', 'CHF', 2, 'Swiss Franc'],
+  ['CAD', 'CA$', 2, 'Canadian Dollar'],
+  ['AUD', 'A$', 2, 'Australian Dollar'],
+  ['NZD', 'NZ$', 2, 'New Zealand Dollar'],
+  ['CNY', 'CN¥', 2, 'Chinese Yuan'],
+  ['HKD', 'HK$', 2, 'Hong Kong Dollar'],
+  ['SGD', 'S$', 2, 'Singapore Dollar'],
+  ['INR', '₹', 2, 'Indian Rupee'],
+  ['KRW', '₩', 0, 'South Korean Won'],
+  ['TWD', 'NT$', 2, 'New Taiwan Dollar'],
+  ['THB', '฿', 2, 'Thai Baht'],
+  ['PHP', '₱', 2, 'Philippine Peso'],
+  ['IDR', 'Rp', 2, 'Indonesian Rupiah'],
+  ['MYR', 'RM', 2, 'Malaysian Ringgit'],
+  ['VND', '₫', 0, 'Vietnamese Dong'],
+  ['SEK', 'kr', 2, 'Swedish Krona'],
+  ['NOK', 'kr', 2, 'Norwegian Krone'],
+  ['DKK', 'kr', 2, 'Danish Krone'],
+  ['ISK', 'kr', 0, 'Icelandic Króna'],
+  ['PLN', 'zł', 2, 'Polish Złoty'],
+  ['CZK', 'Kč', 2, 'Czech Koruna'],
+  ['HUF', 'Ft', 2, 'Hungarian Forint'],
+  ['RON', 'lei', 2, 'Romanian Leu'],
+  ['BGN', 'лв', 2, 'Bulgarian Lev'],
+  ['UAH', '₴', 2, 'Ukrainian Hryvnia'],
+  ['RUB', '₽', 2, 'Russian Ruble'],
+  ['TRY', '₺', 2, 'Turkish Lira'],
+  ['AED', 'AED', 2, 'UAE Dirham'],
+  ['SAR', 'SAR', 2, 'Saudi Riyal'],
+  ['JOD', 'JOD', 3, 'Jordanian Dinar'],
+  ['KWD', 'KWD', 3, 'Kuwaiti Dinar'],
+  ['BHD', 'BHD', 3, 'Bahraini Dinar'],
+  ['EGP', 'E£', 2, 'Egyptian Pound'],
+  ['ZAR', 'R', 2, 'South African Rand'],
+  ['BRL', 'R$', 2, 'Brazilian Real'],
+  ['MXN', 'MX$', 2, 'Mexican Peso'],
+  ['ARS', '$', 2, 'Argentine Peso'],
+  ['CLP', '$', 0, 'Chilean Peso'],
+  ['COP', '$', 2, 'Colombian Peso'],
+].reduce(function(registry, [code, symbol, decimals, name]) {
+  registry[code] = { code: code, symbol: symbol, decimals: decimals, name: name };
+  return registry;
+}, {});
+
+// Intl formatters are slow to create, so each locale and currency gets one
+const formatters = {};
+
+/**
+ * Replaces a legacy currency code with its ISO code
+ * @param {string} code - Currency code, possibly written by an earlier version
+ * @returns {string} The ISO code
+ */
+export function normalizeCurrencyCode(code) {
+  const upper = String(code || '').trim().toUpperCase();
+  return LEGACY_CURRENCY_CODES[upper] || upper;
+}
+
+/**
+ * Checks whether a value looks like an ISO 4217 currency code
+ * @param {*} code - Value to check
+ * @returns {boolean} Whether it is three capital letters
+ */
+export function isCurrencyCode(code) {
+  return typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+}
+
+/**
+ * Renames the legacy codes in a rates object, so rate files that still use EURO keep working
+ * @param {Object|null} rates - Rates per 1 USD
+ * @returns {Object|null} The rates with ISO codes
+ */
+export function normalizeRates(rates) {
+  if (!rates || typeof rates !== 'object') return rates;
+
+  const normalized = {};
+  Object.keys(rates).forEach(function(code) {
+    const iso = normalizeCurrencyCode(code);
+    // An ISO entry wins over the legacy one when a file has both
+    if (iso === code || normalized[iso] === undefined) {
+      normalized[iso] = rates[code];
+    }
+  });
+  return normalized;
+}
+
+/**
+ * Replaces the legacy currency codes in a stored record
+ * Used by the database upgrade and by the migration of older backups.
+ * @param {string} storeName - Object store of the record
+ * @param {Object} record - The record
+ * @returns {Object} The record itself when it has no legacy code, otherwise an updated copy
+ */
+export function withIsoCurrencyCodes(storeName, record) {
+  const isLegacy = code => Object.prototype.hasOwnProperty.call(LEGACY_CURRENCY_CODES, code);
+  const hasLegacyRates = rates => !!rates && Object.keys(rates).some(isLegacy);
+
+  switch (storeName) {
+    case 'rates':
+      return hasLegacyRates(record.rates) ? { ...record, rates: normalizeRates(record.rates) } : record;
+    case 'settings':
+      // The cached exchange rates are kept as { rates, fetchedAt, source }
+      return record.value && hasLegacyRates(record.value.rates)
+        ? { ...record, value: { ...record.value, rates: normalizeRates(record.value.rates) } }
+        : record;
+    case 'filter_presets': {
+      const filters = record.filters || {};
+      const currencies = filters.currencies || [];
+      return isLegacy(filters.currency) || currencies.some(isLegacy)
+        ? {
+          ...record,
+          filters: {
+            ...filters,
+            currency: filters.currency && normalizeCurrencyCode(filters.currency),
+            currencies: currencies.map(normalizeCurrencyCode),
+          },
+        }
+        : record;
+    }
+    default:
+      return isLegacy(record.currency) ? { ...record, currency: normalizeCurrencyCode(record.currency) } : record;
+  }
+}
+
+/**
+ * Gets the details of a currency
+ * Codes missing from the registry are described from the browser's Intl data.
+ * @param {string} code - ISO currency code
+ * @returns {{code: string, symbol: string, decimals: number, name: string}} Currency details
+ */
+export function getCurrency(code) {
+  const iso = normalizeCurrencyCode(code);
+  if (CURRENCY_REGISTRY[iso]) {
+    return CURRENCY_REGISTRY[iso];
+  }
+
+  try {
+    const format = new Intl.NumberFormat('en', { style: 'currency', currency: iso });
+    const symbolPart = format.formatToParts(0).find(part => part.type === 'currency');
+    const names = typeof Intl.DisplayNames === 'function' ? new Intl.DisplayNames(['en'], { type: 'currency' }) : null;
+    return {
+      code: iso,
+      symbol: symbolPart ? symbolPart.value : iso,
+      decimals: format.resolvedOptions().maximumFractionDigits,
+      name: (names && names.of(iso)) || iso,
+    };
+  } catch (error) {
+    return { code: iso, symbol: iso, decimals: 2, name: iso };
+  }
+}
+
+/**
+ * Gets the name of a currency in a language
+ * @param {string} code - ISO currency code
+ * @param {string} [locale] - Language of the name, e.g. 'he'
+ * @returns {string} The localized name, or the English name when the browser has none
+ */
+export function getCurrencyName(code, locale) {
+  const currency = getCurrency(code);
+  try {
+    if (locale && typeof Intl.DisplayNames === 'function') {
+      return new Intl.DisplayNames([locale], { type: 'currency' }).of(currency.code) || currency.name;
+    }
+  } catch (error) {
+    // Fall back to the registry name
+  }
+  return currency.name;
+}
+
+/**
+ * Gets the label of a currency in menus, e.g. "USD - US Dollar"
+ * @param {string} code - ISO currency code
+ * @param {string} [locale] - Language of the name
+ * @returns {string} The label
+ */
+export function getCurrencyLabel(code, locale) {
+  return `${normalizeCurrencyCode(code)} - ${getCurrencyName(code, locale)}`;
+}
+
+/**
+ * Gets the currencies the user has enabled
+ * @returns {string[]} ISO codes, in the order they were enabled
+ */
+export function getEnabledCurrencies() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ENABLED_CURRENCIES_KEY));
+    if (Array.isArray(saved)) {
+      const codes = Array.from(new Set(saved.map(normalizeCurrencyCode).filter(isCurrencyCode)));
+      if (codes.length > 0) return codes;
+    }
+  } catch (error) {
+    // Fall back to the defaults
+  }
+  return DEFAULT_CURRENCIES.slice();
+}
+
+/**
+ * Saves the currencies the user has enabled
+ * @param {string[]} codes - ISO codes; at least one is required
+ * @returns {string[]} The saved codes
+ */
+export function setEnabledCurrencies(codes) {
+  const valid = Array.from(new Set(codes.map(normalizeCurrencyCode).filter(isCurrencyCode)));
+  if (valid.length === 0) {
+    throw new Error('At least one currency must be enabled');
+  }
+  localStorage.setItem(ENABLED_CURRENCIES_KEY, JSON.stringify(valid));
+  return valid;
+}
+
+/**
+ * Gets the currencies offered in a currency menu
+ * Values already in use that are no longer enabled are kept, so existing records still show them.
+ * @param {...(string|string[]|null|undefined)} current - Codes that must be offered
+ * @returns {string[]} ISO codes
+ */
+export function getCurrencyChoices(...current) {
+  const choices = getEnabledCurrencies();
+  [].concat(...current).forEach(function(code) {
+    const iso = code ? normalizeCurrencyCode(code) : '';
+    if (isCurrencyCode(iso) && !choices.includes(iso)) {
+      choices.push(iso);
+    }
+  });
+  return choices;
+}
+
+/**
+ * Gets a cached Intl formatter
+ * @param {string} locale - Display language
+ * @param {string} code - ISO currency code
+ * @param {boolean} withSymbol - Whether to format as currency or as a plain number
+ * @returns {Intl.NumberFormat|null} The formatter, or null for a code Intl does not know
+ */
+function getFormatter(locale, code, withSymbol) {
+  const key = `${locale || ''}|${code}|${withSymbol}`;
+  if (formatters[key] === undefined) {
+    const decimals = getCurrency(code).decimals;
+    const options = { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+    try {
+      formatters[key] = new Intl.NumberFormat(locale || undefined, withSymbol ? { ...options, style: 'currency', currency: code } : options);
+    } catch (error) {
+      formatters[key] = null;
+    }
+  }
+  return formatters[key];
+}
+
+/**
+ * Formats an amount with its currency, e.g. "$1,234.50" or "‏1,234.50 ₪"
+ * @param {number} amount - The amount
+ * @param {string} code - ISO currency code
+ * @param {string} [locale] - Display language, defaults to the browser's
+ * @returns {string} The formatted amount
+ */
+export function formatCurrency(amount, code, locale) {
+  const iso = normalizeCurrencyCode(code);
+  const formatter = getFormatter(locale, iso, true);
+  const value = Number(amount) || 0;
+  return formatter ? formatter.format(value) : `${value.toFixed(getCurrency(iso).decimals)} ${iso}`;
+}
+
+/**
+ * Formats an amount with the decimals of its currency but without the symbol, for tables
+ * that show the currency in a column of its own
+ * @param {number} amount - The amount
+ * @param {string} code - ISO currency code
+ * @param {string} [locale] - Display language, defaults to the browser's
+ * @returns {string} The formatted number
+ */
+export function formatAmount(amount, code, locale) {
+  const iso = normalizeCurrencyCode(code);
+  const formatter = getFormatter(locale, iso, false);
+  const value = Number(amount) || 0;
+  return formatter ? formatter.format(value) : value.toFixed(getCurrency(iso).decimals);
+}
@@ -0,0 +1,18 @@
+/**
+ * dateKeys.js - The YYYYMMDD date keys of the costs "dateKey" index
+ * IndexedDB can't range-query the nested date object, so costs also store their date as one
+ * sortable number. Queries, recurring schedules and rate snapshots all build their keys here,
+ * so they always match the index.
+ */
+
+/**
+ * Builds the date key of a date
+ * @param {Date|{year: number, month: number, day: number}} date - A Date, or a date structure with a 1-based month
+ * @returns {number} Date key, e.g. 20240315
+ */
+export function toDateKey(date) {
+  if (date instanceof Date) {
+    return toDateKey({ year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() });
+  }
+  return date.year * 10000 + date.month * 100 + date.day;
+}
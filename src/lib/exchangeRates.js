@@ -0,0 +1,353 @@
+/**
+ * exchangeRates.js - Exchange rate providers with an offline cache and dated history
+ * Rates are expressed per 1 USD (e.g. { USD: 1, ILS: 3.4 }). Legacy codes such as EURO
+ * are renamed to their ISO code wherever rates are read.
+ */
+
+import { normalizeRates, normalizeCurrencyCode } from "./currencies";
+import { toDateKey } from "./dateKeys";
+
+export const DEFAULT_EXCHANGE_RATE_URL =
+  "https://gist.githubusercontent.com/Pafestivo/e4e1c962472306b578983a6a0c40828e/raw/exchange-rates.json";
+
+export const BUNDLED_EXCHANGE_RATE_URL = (process.env.PUBLIC_URL || "") + "/exchange-rates.json";
+
+// Key of the last good rates in the IndexedDB settings store
+const CACHE_KEY = "exchangeRates";
+
+// Reuse fetched rates for a short while so one screen doesn't fetch once per report
+const MEMO_TTL = 5 * 60 * 1000;
+let memo = null;
+
+/**
+ * Gets the configured remote exchange rate URL
+ * @returns {string} The exchange rate URL
+ */
+export function getExchangeRateUrl() {
+  return (
+    localStorage.getItem("exchangeRateUrl") ||
+    process.env.REACT_APP_EXCHANGE_RATE_URL ||
+    DEFAULT_EXCHANGE_RATE_URL
+  );
+}
+
+/**
+ * Gets the selected rate provider id
+ * @returns {('remote'|'bundled'|'manual')} The provider id
+ */
+export function getExchangeRateProvider() {
+  const saved = localStorage.getItem("exchangeRateProvider");
+  return saved === "bundled" || saved === "manual" ? saved : "remote";
+}
+
+/**
+ * Gets the manually entered rates
+ * @returns {Object|null} Rates object or null if none were entered
+ */
+export function getManualExchangeRates() {
+  try {
+    const saved = JSON.parse(localStorage.getItem("manualExchangeRates"));
+    return isValidRates(saved) ? normalizeRates(saved) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Checks that a value looks like a rates object
+ * @param {*} rates - Value to check
+ * @returns {boolean} Whether every entry is a positive number and USD is present
+ */
+export function isValidRates(rates) {
+  if (!rates || typeof rates !== "object" || Array.isArray(rates)) {
+    return false;
+  }
+  const values = Object.values(rates);
+  return (
+    values.length > 0 &&
+    typeof rates.USD === "number" &&
+    values.every(function (value) {
+      return typeof value === "number" && isFinite(value) && value > 0;
+    })
+  );
+}
+
+/**
+ * Fetches a rates JSON file
+ * @param {string} url - URL of the rates file
+ * @returns {Promise<Object>} Promise that resolves to the rates object
+ */
+async function fetchRates(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Exchange rate request failed (${response.status})`);
+  }
+  const rates = await response.json();
+  if (!isValidRates(rates)) {
+    throw new Error("Exchange rate source returned invalid data");
+  }
+  return normalizeRates(rates);
+}
+
+/**
+ * Available rate providers, keyed by id
+ * Each provider loads a fresh rates object or throws
+ */
+export const exchangeRateProviders = {
+  remote: function () {
+    return fetchRates(getExchangeRateUrl());
+  },
+  bundled: function () {
+    return fetchRates(BUNDLED_EXCHANGE_RATE_URL);
+  },
+  manual: async function () {
+    const rates = getManualExchangeRates();
+    if (!rates) {
+      throw new Error("No manual exchange rates have been entered");
+    }
+    return rates;
+  },
+};
+
+/**
+ * Reads the last good rates from the database cache
+ * @param {Object|null} db - Database instance
+ * @returns {Promise<Object|null>} Cached entry with rates, fetchedAt and source, or null
+ */
+export async function getCachedExchangeRates(db) {
+  if (!db || !db.getSetting) return null;
+  try {
+    const cached = await db.getSetting(CACHE_KEY);
+    return cached && isValidRates(cached.rates) ? { ...cached, rates: normalizeRates(cached.rates) } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Loads rates from the selected provider and caches them
+ * Falls back to the last cached rates, then to the bundled file, when the provider fails
+ * @param {Object|null} db - Database instance used for the offline cache
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force=false] - Skip the in-memory reuse window
+ * @returns {Promise<Object>} Promise that resolves to the rates object
+ */
+export function getExchangeRates(db, options = {}) {
+  const provider = getExchangeRateProvider();
+  const signature = provider + "|" + getExchangeRateUrl();
+
+  if (
+    !options.force &&
+    memo &&
+    memo.signature === signature &&
+    Date.now() - memo.at < MEMO_TTL
+  ) {
+    return memo.promise;
+  }
+
+  const promise = loadExchangeRates(db, provider);
+  memo = { signature: signature, at: Date.now(), promise: promise };
+  promise.catch(function () {
+    // Don't keep failures around
+    if (memo && memo.promise === promise) {
+      memo = null;
+    }
+  });
+  return promise;
+}
+
+/**
+ * Loads rates without the in-memory reuse window
+ * @param {Object|null} db - Database instance
+ * @param {string} provider - Provider id
+ * @returns {Promise<Object>} Promise that resolves to the rates object
+ */
+async function loadExchangeRates(db, provider) {
+  try {
+    const rates = await exchangeRateProviders[provider]();
+    if (db && db.setSetting) {
+      try {
+        await db.setSetting(CACHE_KEY, {
+          rates: rates,
+          fetchedAt: new Date().toISOString(),
+          source: provider,
+        });
+        // Record today's snapshot so later reports keep converting at these rates
+        await db.putRateSnapshots([{ dateKey: toDateKey(new Date()), rates: rates }]);
+      } catch (error) {
+        console.warn("Failed to cache exchange rates:", error);
+      }
+    }
+    return rates;
+  } catch (error) {
+    const cached = await getCachedExchangeRates(db);
+    if (cached) {
+      console.warn("Using cached exchange rates:", error);
+      return cached.rates;
+    }
+    if (provider !== "bundled") {
+      console.warn("Using bundled exchange rates:", error);
+      return exchangeRateProviders.bundled();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Forgets rates reused in memory, e.g. after the provider settings change
+ */
+export function clearExchangeRatesMemo() {
+  memo = null;
+}
+
+/**
+ * Converts an amount between currencies
+ * @param {number} sum - The amount
+ * @param {string} fromCurrency - Currency of the amount
+ * @param {string} toCurrency - Target currency
+ * @param {Object} rates - Rates per 1 USD
+ * @returns {number} The converted amount
+ */
+export function convertAmount(sum, fromCurrency, toCurrency, rates) {
+  const from = normalizeCurrencyCode(fromCurrency);
+  const to = normalizeCurrencyCode(toCurrency);
+  if (from === to) {
+    return sum;
+  }
+  // Convert to USD first, then to target currency
+  const amountInUSD = sum / rates[from];
+  return amountInUSD * rates[to];
+}
+
+/**
+ * Builds a function that returns the rates in effect on a given date
+ * Uses the closest snapshot on or before the date, then the earliest later snapshot,
+ * then the current rates when there is no history at all
+ * @param {Array<{dateKey: number, rates: Object}>} snapshots - Dated rate snapshots
+ * @param {Object|null} currentRates - Current rates used to fill gaps
+ * @returns {function(number): Object} Lookup from a YYYYMMDD key to a rates object
+ */
+export function createRatesLookup(snapshots, currentRates) {
+  const current = normalizeRates(currentRates);
+  const sorted = snapshots
+    .map(function (snapshot) {
+      return { dateKey: snapshot.dateKey, rates: normalizeRates(snapshot.rates) };
+    })
+    .sort(function (a, b) {
+      return a.dateKey - b.dateKey;
+    });
+
+  return function (dateKey) {
+    if (sorted.length === 0) {
+      return current;
+    }
+
+    // Binary search for the last snapshot on or before the date
+    let low = 0;
+    let high = sorted.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (sorted[middle].dateKey <= dateKey) {
+        found = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    const snapshot = sorted[found === -1 ? 0 : found];
+    // Currencies missing from an imported snapshot fall back to the current rates
+    return Object.assign({}, current, snapshot.rates);
+  };
+}
+
+/**
+ * Loads the rates history for a date range and returns a per-date lookup
+ * @param {Object|null} db - Database instance
+ * @param {number} startKey - First date of the range (YYYYMMDD)
+ * @param {number} endKey - Last date of the range (YYYYMMDD)
+ * @returns {Promise<function(number): Object>} Promise that resolves to the rates lookup
+ */
+export async function getRatesLookup(db, startKey, endKey) {
+  let currentRates = null;
+  let currentError = null;
+  try {
+    currentRates = await getExchangeRates(db);
+  } catch (error) {
+    currentError = error;
+  }
+
+  const snapshots = db && db.getRatesHistory ? await db.getRatesHistory(startKey, endKey) : [];
+  if (!currentRates && snapshots.length === 0) {
+    throw currentError;
+  }
+
+  return createRatesLookup(snapshots, currentRates);
+}
+
+/**
+ * Parses a "YYYY-MM-DD" string into a YYYYMMDD key
+ * @param {string} value - The date string
+ * @returns {number|null} The date key or null when invalid
+ */
+function parseDateKey(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  if (!match) return null;
+  const year = Number(match[1]);
+  const month = Number(match[2]);
+  const day = Number(match[3]);
+  const date = new Date(year, month - 1, day);
+  if (date.getMonth() !== month - 1) return null;
+  return toDateKey({ year: year, month: month, day: day });
+}
+
+/**
+ * Parses imported rate history
+ * JSON: [{ "date": "2024-01-31", "rates": { "USD": 1, "ILS": 3.7 } }] or { "2024-01-31": { "USD": 1, ... } }
+ * CSV: a "date" column followed by one column per currency
+ * @param {string} text - File contents
+ * @returns {Array<{dateKey: number, rates: Object}>} Parsed snapshots
+ */
+export function parseRatesHistory(text) {
+  const trimmed = text.trim();
+  let entries;
+
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    const data = JSON.parse(trimmed);
+    entries = Array.isArray(data)
+      ? data.map(function (item) {
+          return [item.date, item.rates];
+        })
+      : Object.entries(data);
+  } else {
+    const lines = trimmed.split(/\r?\n/).filter(function (line) {
+      return line.trim() !== "";
+    });
+    const headers = lines[0].split(",").map(function (header) {
+      return header.trim();
+    });
+    if (headers[0].toLowerCase() !== "date" || headers.length < 2) {
+      throw new Error('CSV must start with a "date" column followed by currency columns');
+    }
+    entries = lines.slice(1).map(function (line) {
+      const cells = line.split(",");
+      const rates = {};
+      headers.slice(1).forEach(function (code, index) {
+        const cell = (cells[index + 1] || "").trim();
+        if (cell !== "") {
+          rates[code] = parseFloat(cell);
+        }
+      });
+      return [cells[0], rates];
+    });
+  }
+
+  return entries.map(function (entry, index) {
+    const dateKey = parseDateKey(entry[0]);
+    if (!dateKey || !isValidRates(entry[1])) {
+      throw new Error(`Invalid rates entry #${index + 1} (${entry[0]})`);
+    }
+    return { dateKey: dateKey, rates: normalizeRates(entry[1]) };
+  });
+}
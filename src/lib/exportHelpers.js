@@ -1,101 +1,566 @@
 /**
  * exportHelpers.js - Helper functions for exporting data
+ * The exporters build files as Blobs; downloadBlob saves one in the browser
  */
 
 import jsPDF from 'jspdf';
 import 'jspdf-autotable';
+import writeExcelFile from 'write-excel-file/universal';
+import { convertAmount } from './exchangeRates';
+import { getBudgetMonths, getBudgetsProgress, getBudgetStatus } from './budgets';
+import { getSavingsBalances } from './savings';
+import { getCategoryLines, formatCategories } from './splits';
+
+// Columns that can be exported, in the order they appear in a file
+export const EXPORT_COLUMNS = ['id', 'date', 'type', 'category', 'description', 'amount', 'currency', 'convertedAmount'];
+
+// Columns exported when none are chosen
+export const DEFAULT_EXPORT_COLUMNS = ['date', 'type', 'category', 'description', 'amount', 'currency'];
+
+// Headers used when the caller does not pass translated labels
+const DEFAULT_LABELS = {
+  id: 'ID',
+  date: 'Date',
+  type: 'Type',
+  category: 'Category',
+  description: 'Description',
+  amount: 'Amount',
+  currency: 'Currency',
+  convertedAmount: 'Converted Amount',
+  expense: 'Expenses',
+  income: 'Income',
+  savings: 'Savings',
+  categories: 'Categories',
+  budgets: 'Budgets',
+  savingsGoals: 'Savings Goals',
+  name: 'Name',
+  color: 'Color',
+  transactions: 'Transactions',
+  budgetType: 'Budget Type',
+  year: 'Year',
+  month: 'Month',
+  rollover: 'Rollover',
+  spent: 'Spent',
+  available: 'Available',
+  remaining: 'Remaining',
+  status: 'Status',
+  targetAmount: 'Target Amount',
+  targetDate: 'Target Date',
+  saved: 'Saved',
+  progress: 'Progress',
+};
+
+// Cell formats of the XLSX export
+const XLSX_AMOUNT_FORMAT = '#,##0.00';
+const XLSX_DATE_FORMAT = 'yyyy-mm-dd';
+const XLSX_PERCENT_FORMAT = '0.0%';
+
+// Groups used for the PDF subtotals; savings are deposits minus withdrawals
+const SUBTOTAL_GROUPS = ['expense', 'income', 'savings'];
 
 /**
- * Exports costs to CSV format
+ * Resolves the export options, filling in defaults
+ * @param {Object} [options] - Export options
+ * @param {string[]} [options.columns] - Columns to export, from EXPORT_COLUMNS
+ * @param {string} [options.currency] - Currency to convert amounts into; without it convertedAmount is dropped
+ * @param {function(number): Object} [options.ratesForDate] - Rates lookup by date key, needed with options.currency
+ * @param {Object.<string, string>} [options.labels] - Column and subtotal headers
+ * @param {Object.<string, string>} [options.typeLabels] - Display names of transaction types
+ * @param {Object.<string, string>} [options.budgetTypeLabels] - Display names of budget types, for the workbook
+ * @param {Object.<string, string>} [options.statusLabels] - Display names of budget statuses, for the workbook
+ * @returns {Object} Resolved options with the columns in file order
+ */
+function resolveOptions(options = {}) {
+  const wanted = options.columns && options.columns.length > 0 ? options.columns : DEFAULT_EXPORT_COLUMNS;
+  const canConvert = !!(options.currency && options.ratesForDate);
+  return {
+    ...options,
+    columns: EXPORT_COLUMNS.filter(function(column) {
+      return wanted.includes(column) && (column !== 'convertedAmount' || canConvert);
+    }),
+    canConvert: canConvert,
+    labels: { ...DEFAULT_LABELS, ...(options.labels || {}) },
+    typeLabels: options.typeLabels || {},
+    budgetTypeLabels: options.budgetTypeLabels || {},
+    statusLabels: options.statusLabels || {},
+  };
+}
+
+/**
+ * Formats a cost's date as YYYY-MM-DD
+ * @param {Object} date - Date structure
+ * @returns {string} The formatted date
+ */
+function formatDate(date) {
+  return `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+}
+
+/**
+ * Converts a cost's amount into the export currency at the rates of its date
+ * @param {Object} cost - Cost item
+ * @param {Object} options - Resolved export options
+ * @returns {number} The converted amount
+ */
+function getConvertedAmount(cost, options) {
+  return convertAmount(cost.sum, cost.currency, options.currency, options.ratesForDate(cost.dateKey));
+}
+
+/**
+ * Builds the header and rows of an export
+ * Amounts stay numbers so each format can decide how to write them
  * @param {Array} costs - Array of cost items
- * @param {string} [filename='costs-export.csv'] - Output filename
+ * @param {Object} [options] - Export options, as for exportToCSV
+ * @returns {{columns: string[], headers: string[], rows: Array<Array<string|number>>}} The table
  */
-export function exportToCSV(costs, filename = 'costs-export.csv') {
-  const headers = ['Date', 'Category', 'Description', 'Amount', 'Currency'];
+export function buildExportTable(costs, options) {
+  const resolved = resolveOptions(options);
   const rows = costs.map(function(cost) {
-    return [
-      `${cost.date.year}-${cost.date.month}-${cost.date.day}`,
-      cost.category,
-      cost.description,
-      cost.sum.toString(),
-      cost.currency
-    ];
+    const type = cost.type || 'expense';
+    const values = {
+      id: cost.id,
+      date: formatDate(cost.date),
+      type: resolved.typeLabels[type] || type,
+      category: formatCategories(cost),
+      description: cost.description,
+      amount: cost.sum,
+      currency: cost.currency,
+      convertedAmount: resolved.canConvert ? getConvertedAmount(cost, resolved) : '',
+    };
+    return resolved.columns.map(column => values[column]);
   });
 
+  return {
+    columns: resolved.columns,
+    headers: resolved.columns.map(function(column) {
+      return column === 'convertedAmount'
+        ? `${resolved.labels.convertedAmount} (${resolved.currency})`
+        : resolved.labels[column];
+    }),
+    rows: rows,
+  };
+}
+
+/**
+ * Adds up the costs of each transaction type group
+ * With a currency the totals are converted into it; otherwise each currency is totalled separately
+ * @param {Array} costs - Array of cost items
+ * @param {Object} [options] - Export options, as for exportToCSV
+ * @returns {{expense: Object.<string, number>, income: Object.<string, number>, savings: Object.<string, number>}} Totals by group and currency
+ */
+export function getTypeSubtotals(costs, options) {
+  const resolved = resolveOptions(options);
+  const subtotals = { expense: {}, income: {}, savings: {} };
+
+  costs.forEach(function(cost) {
+    const type = cost.type || 'expense';
+    const group = type.startsWith('savings') ? 'savings' : type;
+    if (!subtotals[group]) return;
+
+    const currency = resolved.canConvert ? resolved.currency : cost.currency;
+    const amount = resolved.canConvert ? getConvertedAmount(cost, resolved) : cost.sum;
+    const signed = type === 'savings_withdrawal' ? -amount : amount;
+    subtotals[group][currency] = (subtotals[group][currency] || 0) + signed;
+  });
+
+  return subtotals;
+}
+
+/**
+ * Escapes a CSV cell that contains commas, quotes or line breaks
+ * @param {*} cell - Cell value
+ * @returns {string} The escaped cell
+ */
+function escapeCSVCell(cell) {
+  const cellStr = String(cell);
+  if (cellStr.includes(',') || cellStr.includes('"') || cellStr.includes('\n')) {
+    return `"${cellStr.replace(/"/g, '""')}"`;
+  }
+  return cellStr;
+}
+
+/**
+ * Exports costs to CSV format
+ * @param {Array} costs - Array of cost items
+ * @param {Object} [options] - Export options
+ * @param {string[]} [options.columns] - Columns to export, from EXPORT_COLUMNS
+ * @param {string} [options.currency] - Currency for the convertedAmount column
+ * @param {function(number): Object} [options.ratesForDate] - Rates lookup by date key, from getRatesLookup
+ * @param {Object.<string, string>} [options.labels] - Column headers by column
+ * @param {Object.<string, string>} [options.typeLabels] - Display names of transaction types
+ * @returns {Blob} The CSV file
+ */
+export function exportToCSV(costs, options) {
+  const table = buildExportTable(costs, options);
   const csvContent = [
-    headers.join(','),
-    ...rows.map(function(row) {
-      return row.map(function(cell) {
-        // Escape commas and quotes in cell values
-        const cellStr = String(cell);
-        if (cellStr.includes(',') || cellStr.includes('"') || cellStr.includes('\n')) {
-          return `"${cellStr.replace(/"/g, '""')}"`;
+    table.headers.map(escapeCSVCell).join(','),
+    ...table.rows.map(function(row) {
+      return row.map(function(cell, index) {
+        const column = table.columns[index];
+        if (column === 'convertedAmount' && typeof cell === 'number') {
+          return cell.toFixed(2);
         }
-        return cellStr;
+        return escapeCSVCell(cell);
       }).join(',');
     })
   ].join('\n');
 
-  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-  const link = document.createElement('a');
-  const url = URL.createObjectURL(blob);
-  
-  link.setAttribute('href', url);
-  link.setAttribute('download', filename);
-  link.style.visibility = 'hidden';
-  
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
+  return new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
 }
 
 /**
- * Exports costs to PDF format
+ * Exports costs to PDF format, with a subtotal for expenses, income and savings
  * @param {Array} costs - Array of cost items
- * @param {string} [title='Costs Report'] - Report title
- * @param {string} [filename='costs-export.pdf'] - Output filename
+ * @param {Object} [options] - Export options, as for exportToCSV
+ * @param {string} [options.title='Costs Report'] - Report title
+ * @returns {Blob} The PDF file
  */
-export function exportToPDF(costs, title = 'Costs Report', filename = 'costs-export.pdf') {
+export function exportToPDF(costs, options = {}) {
+  const resolved = resolveOptions(options);
+  const table = buildExportTable(costs, options);
   const doc = new jsPDF();
-  
+
   // Add title
   doc.setFontSize(18);
-  doc.text(title, 14, 22);
-  
+  doc.text(options.title || 'Costs Report', 14, 22);
+
   // Add date
   doc.setFontSize(10);
   doc.text(`Generated: ${new Date().toLocaleDateString()}`, 14, 30);
-  
-  // Prepare table data
-  const tableData = costs.map(function(cost) {
-    return [
-      `${cost.date.year}-${cost.date.month}-${cost.date.day}`,
-      cost.category,
-      cost.description,
-      cost.sum.toFixed(2),
-      cost.currency
-    ];
+
+  // Amounts are right-aligned with two decimals
+  const amountColumns = ['amount', 'convertedAmount'];
+  const columnStyles = {};
+  table.columns.forEach(function(column, index) {
+    if (amountColumns.includes(column)) {
+      columnStyles[index] = { halign: 'right' };
+    }
   });
 
   // Add table
   doc.autoTable({
-    head: [['Date', 'Category', 'Description', 'Amount', 'Currency']],
-    body: tableData,
+    head: [table.headers],
+    body: table.rows.map(function(row) {
+      return row.map(function(cell, index) {
+        return amountColumns.includes(table.columns[index]) && typeof cell === 'number' ? cell.toFixed(2) : cell;
+      });
+    }),
     startY: 35,
     styles: { fontSize: 9 },
     headStyles: { fillColor: [99, 102, 241] },
+    columnStyles: columnStyles,
   });
 
-  // Add total
-  const total = costs.reduce((sum, cost) => sum + cost.sum, 0);
-  const finalY = doc.lastAutoTable.finalY || 35;
+  // Add a subtotal line per type, never mixing currencies
+  const subtotals = getTypeSubtotals(costs, options);
+  let y = (doc.lastAutoTable.finalY || 35) + 10;
   doc.setFontSize(12);
   doc.setFont('helvetica', 'bold');
-  doc.text(`Total: ${total.toFixed(2)}`, 14, finalY + 10);
+  SUBTOTAL_GROUPS.forEach(function(group) {
+    const amounts = Object.keys(subtotals[group]).map(function(currency) {
+      return `${subtotals[group][currency].toFixed(2)} ${currency}`;
+    });
+    if (amounts.length === 0) return;
+    if (y > doc.internal.pageSize.getHeight() - 10) {
+      doc.addPage();
+      y = 20;
+    }
+    doc.text(`${resolved.labels[group]}: ${amounts.join(', ')}`, 14, y);
+    y += 7;
+  });
+
+  return doc.output('blob');
+}
+
+/**
+ * Gathers everything exported to a workbook or a JSON file
+ * Budgets are kept when they cover a month of the range; every category and savings goal is kept.
+ * @param {Object} db - Database instance
+ * @param {Object} startDate - First day of the range, with year, month and day
+ * @param {Object} endDate - Last day of the range, with year, month and day
+ * @returns {Promise<{startDate: Object, endDate: Object, costs: Object[], categories: Object[], budgets: Object[], savingsGoals: Object[]}>} The transactions of the range, the budgets with their status and the goals with their saved balance
+ */
+export async function getWorkbookData(db, startDate, endDate) {
+  const costs = await db.getCostsByDateRange(startDate, endDate);
+  const categories = await db.getCategories();
+
+  const startMonth = startDate.year * 100 + startDate.month;
+  const endMonth = endDate.year * 100 + endDate.month;
+  const allBudgets = await db.getAllBudgets();
+  const progress = await getBudgetsProgress(db, allBudgets);
+  const budgets = allBudgets
+    .filter(function(budget) {
+      return getBudgetMonths(budget).some(function(month) {
+        const key = budget.year * 100 + month;
+        return key >= startMonth && key <= endMonth;
+      });
+    })
+    .map(function(budget) {
+      const { spent, carryover } = progress[budget.id];
+      return { ...budget, spent: spent, ...getBudgetStatus(budget, spent, carryover) };
+    });
+
+  const goals = await db.getSavingsGoals();
+  const balances = await getSavingsBalances(db, goals);
+  const savingsGoals = goals.map(function(goal) {
+    const saved = balances.goals[goal.id] || 0;
+    return { ...goal, saved: saved, progress: goal.targetAmount > 0 ? saved / goal.targetAmount : 0 };
+  });
+
+  return {
+    startDate: startDate,
+    endDate: endDate,
+    costs: costs,
+    categories: categories,
+    budgets: budgets,
+    savingsGoals: savingsGoals,
+  };
+}
+
+/**
+ * Splits costs by month, keeping the months in order
+ * @param {Array} costs - Array of cost items
+ * @returns {Array<{month: string, costs: Object[]}>} Costs of each month, labelled YYYY-MM
+ */
+function groupByMonth(costs) {
+  const months = {};
+  costs.forEach(function(cost) {
+    const month = `${cost.date.year}-${String(cost.date.month).padStart(2, '0')}`;
+    (months[month] = months[month] || []).push(cost);
+  });
+  return Object.keys(months).sort().map(month => ({ month: month, costs: months[month] }));
+}
+
+/**
+ * Creates a spreadsheet date from a date structure
+ * The library writes dates in UTC, so the date is built in UTC to keep the same day
+ * @param {Object} date - Date structure with year, month and day
+ * @returns {Date} The date
+ */
+function toSheetDate(date) {
+  return new Date(Date.UTC(date.year, date.month - 1, date.day || 1));
+}
+
+/**
+ * Creates a bold header row
+ * @param {string[]} headers - Header texts
+ * @returns {Object[]} Header cells
+ */
+function headerRow(headers) {
+  return headers.map(header => ({ value: header, fontWeight: 'bold' }));
+}
 
-  // Save PDF
-  doc.save(filename);
+/**
+ * Creates a number cell, or an empty cell for a missing value
+ * @param {number} value - The number
+ * @param {string} [format=XLSX_AMOUNT_FORMAT] - Number format
+ * @returns {Object|null} The cell
+ */
+function numberCell(value, format = XLSX_AMOUNT_FORMAT) {
+  return typeof value === 'number' ? { value: value, type: Number, format: format } : null;
 }
 
+/**
+ * Builds the sheet of one month: its transactions, then a subtotal per type and currency
+ * @param {Object[]} costs - Costs of the month
+ * @param {Object} resolved - Resolved export options
+ * @returns {Array<Array<Object|null>>} Sheet rows
+ */
+function buildMonthSheet(costs, resolved) {
+  const table = buildExportTable(costs, resolved);
+  const rows = [headerRow(table.headers)];
+
+  costs.forEach(function(cost, index) {
+    rows.push(table.columns.map(function(column, columnIndex) {
+      const value = table.rows[index][columnIndex];
+      if (column === 'date') return { value: toSheetDate(cost.date), type: Date, format: XLSX_DATE_FORMAT };
+      if (column === 'id') return numberCell(value, '0');
+      if (column === 'amount' || column === 'convertedAmount') return numberCell(value);
+      return { value: value === undefined || value === null ? '' : String(value), type: String };
+    }));
+  });
 
+  // Subtotals go under the last column, labelled in the column before it
+  const subtotals = getTypeSubtotals(costs, resolved);
+  const padding = Math.max(table.columns.length - 3, 0);
+  let first = true;
+  SUBTOTAL_GROUPS.forEach(function(group) {
+    Object.keys(subtotals[group]).forEach(function(currency) {
+      if (first) {
+        rows.push([]);
+        first = false;
+      }
+      rows.push([
+        ...new Array(padding).fill(null),
+        { value: resolved.labels[group], fontWeight: 'bold' },
+        { value: currency },
+        numberCell(subtotals[group][currency]),
+      ]);
+    });
+  });
 
+  return rows;
+}
+
+/**
+ * Exports transactions, categories, budgets and savings goals to an XLSX workbook
+ * Each month of the range gets its own sheet; dates and amounts are written as typed cells.
+ * @param {Object} data - Workbook data from getWorkbookData
+ * @param {Object} [options] - Export options, as for exportToCSV
+ * @param {Object.<string, string>} [options.budgetTypeLabels] - Display names of budget types
+ * @param {Object.<string, string>} [options.statusLabels] - Display names of budget statuses
+ * @returns {Promise<Blob>} The XLSX file
+ */
+export async function exportToXLSX(data, options) {
+  const resolved = resolveOptions(options);
+  const labels = resolved.labels;
+
+  const sheets = groupByMonth(data.costs).map(function(group) {
+    return {
+      sheet: group.month,
+      data: buildMonthSheet(group.costs, resolved),
+      columns: resolved.columns.map(column => ({ width: column === 'description' ? 32 : 14 })),
+      stickyRowsCount: 1,
+    };
+  });
+
+  const costsByCategory = {};
+  data.costs.forEach(function(cost) {
+    new Set(getCategoryLines(cost).map(line => line.category)).forEach(function(category) {
+      costsByCategory[category] = (costsByCategory[category] || 0) + 1;
+    });
+  });
+  sheets.push({
+    sheet: labels.categories,
+    data: [
+      headerRow([labels.name, labels.color, labels.transactions]),
+      ...data.categories.map(category => [
+        { value: category.name },
+        { value: category.color || '' },
+        numberCell(costsByCategory[category.name] || 0, '0'),
+      ]),
+    ],
+    columns: [{ width: 24 }, { width: 12 }, { width: 14 }],
+    stickyRowsCount: 1,
+  });
+
+  sheets.push({
+    sheet: labels.budgets,
+    data: [
+      headerRow([
+        labels.budgetType, labels.year, labels.month, labels.category, labels.amount, labels.currency,
+        labels.rollover, labels.spent, labels.available, labels.remaining, labels.progress, labels.status,
+      ]),
+      ...data.budgets.map(budget => [
+        { value: resolved.budgetTypeLabels[budget.type] || budget.type },
+        numberCell(budget.year, '0'),
+        numberCell(budget.month, '0'),
+        { value: budget.category || '' },
+        numberCell(budget.amount),
+        { value: budget.currency },
+        { value: !!budget.rollover, type: Boolean },
+        numberCell(budget.spent),
+        numberCell(budget.available),
+        numberCell(budget.remaining),
+        numberCell(budget.percentage / 100, XLSX_PERCENT_FORMAT),
+        { value: resolved.statusLabels[budget.status] || budget.status },
+      ]),
+    ],
+    columns: [{ width: 14 }, { width: 8 }, { width: 8 }, { width: 20 }, ...new Array(8).fill({ width: 12 })],
+    stickyRowsCount: 1,
+  });
+
+  sheets.push({
+    sheet: labels.savingsGoals,
+    data: [
+      headerRow([labels.name, labels.targetAmount, labels.currency, labels.targetDate, labels.saved, labels.progress]),
+      ...data.savingsGoals.map(goal => [
+        { value: goal.name },
+        numberCell(goal.targetAmount),
+        { value: goal.currency },
+        goal.targetDate ? { value: toSheetDate(goal.targetDate), type: Date, format: XLSX_DATE_FORMAT } : null,
+        numberCell(goal.saved),
+        numberCell(goal.progress, XLSX_PERCENT_FORMAT),
+      ]),
+    ],
+    columns: [{ width: 24 }, { width: 14 }, { width: 10 }, { width: 14 }, { width: 14 }, { width: 10 }],
+    stickyRowsCount: 1,
+  });
+
+  return writeExcelFile(sheets).toBlob();
+}
+
+/**
+ * Exports transactions, categories, budgets and savings goals to a JSON document
+ * Transactions are grouped by month and keep the chosen columns; values are not translated
+ * so the file can be read by other programs.
+ * @param {Object} data - Workbook data from getWorkbookData
+ * @param {Object} [options] - Export options, as for exportToCSV
+ * @returns {Blob} The JSON file
+ */
+export function exportToJSON(data, options) {
+  const resolved = resolveOptions(options);
+  // Raw transaction types and dates instead of the display values of the table
+  const raw = { ...resolved, typeLabels: {} };
+
+  const months = groupByMonth(data.costs).map(function(group) {
+    const table = buildExportTable(group.costs, raw);
+    return {
+      month: group.month,
+      transactions: table.rows.map(row => Object.fromEntries(table.columns.map((column, index) => [column, row[index]]))),
+      subtotals: getTypeSubtotals(group.costs, raw),
+    };
+  });
+
+  const exported = {
+    app: 'cost-manager',
+    exportedAt: new Date().toISOString(),
+    range: { start: formatDate(data.startDate), end: formatDate(data.endDate) },
+    currency: resolved.canConvert ? resolved.currency : null,
+    months: months,
+    categories: data.categories.map(category => ({ id: category.id, name: category.name, color: category.color || null })),
+    budgets: data.budgets.map(budget => ({
+      id: budget.id,
+      type: budget.type,
+      year: budget.year,
+      month: budget.month || null,
+      category: budget.category || null,
+      amount: budget.amount,
+      currency: budget.currency,
+      rollover: !!budget.rollover,
+      spent: budget.spent,
+      available: budget.available,
+      remaining: budget.remaining,
+      status: budget.status,
+    })),
+    savingsGoals: data.savingsGoals.map(goal => ({
+      id: goal.id,
+      name: goal.name,
+      targetAmount: goal.targetAmount,
+      currency: goal.currency,
+      targetDate: goal.targetDate ? formatDate(goal.targetDate) : null,
+      saved: goal.saved,
+      progress: goal.progress,
+    })),
+  };
+
+  return new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' });
+}
+
+/**
+ * Saves a Blob as a file download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Output filename
+ */
+export function downloadBlob(blob, filename) {
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
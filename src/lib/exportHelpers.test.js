@@ -0,0 +1,202 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * exportHelpers.test.js - Export tables, per-type subtotals and the CSV file
+ */
+
+import { Blob } from 'buffer';
+import { buildExportTable, getTypeSubtotals, exportToCSV, DEFAULT_EXPORT_COLUMNS } from './exportHelpers';
+
+// The exporters build browser Blobs; the node environment has Node's, which can be read back with text()
+global.Blob = Blob;
+
+// Rates per 1 USD; EUR is worth more on the later date, so each cost must use its own date's rates
+const RATES = {
+  20240105: { USD: 1, EUR: 0.5 },
+  20240220: { USD: 1, EUR: 0.8 },
+};
+
+/**
+ * Looks up the rates of a date key, like the lookup returned by getRatesLookup
+ * @param {number} dateKey - YYYYMMDD key
+ * @returns {Object} Rates per 1 USD
+ */
+function ratesForDate(dateKey) {
+  return RATES[dateKey];
+}
+
+const COSTS = [
+  {
+    id: 1,
+    date: { year: 2024, month: 1, day: 5 },
+    dateKey: 20240105,
+    type: 'expense',
+    category: 'Groceries',
+    description: 'Milk, bread',
+    sum: 10,
+    currency: 'USD',
+  },
+  {
+    id: 2,
+    date: { year: 2024, month: 1, day: 5 },
+    dateKey: 20240105,
+    type: 'income',
+    category: 'Salary',
+    description: 'January',
+    sum: 1000,
+    currency: 'EUR',
+  },
+  {
+    id: 3,
+    date: { year: 2024, month: 2, day: 20 },
+    dateKey: 20240220,
+    type: 'savings_deposit',
+    category: 'Savings',
+    description: 'Deposit',
+    sum: 200,
+    currency: 'USD',
+  },
+  {
+    id: 4,
+    date: { year: 2024, month: 2, day: 20 },
+    dateKey: 20240220,
+    type: 'savings_withdrawal',
+    category: 'Savings',
+    description: 'Withdrawal',
+    sum: 50,
+    currency: 'USD',
+  },
+  {
+    // Costs saved before types existed count as expenses
+    id: 5,
+    date: { year: 2024, month: 2, day: 20 },
+    dateKey: 20240220,
+    category: 'Food',
+    description: 'Receipt',
+    splits: [{ category: 'Food', sum: 30 }, { category: 'Pharmacy', sum: 10 }],
+    sum: 40,
+    currency: 'EUR',
+  },
+  {
+    // Transfers move money between accounts and are in no subtotal
+    id: 6,
+    date: { year: 2024, month: 2, day: 20 },
+    dateKey: 20240220,
+    type: 'transfer',
+    category: '',
+    description: 'To savings account',
+    sum: 500,
+    currency: 'USD',
+  },
+];
+
+describe('buildExportTable', function() {
+  test('exports the default columns when none are chosen', function() {
+    const table = buildExportTable(COSTS.slice(0, 1));
+
+    expect(table.columns).toEqual(DEFAULT_EXPORT_COLUMNS);
+    expect(table.headers).toEqual(['Date', 'Type', 'Category', 'Description', 'Amount', 'Currency']);
+    expect(table.rows).toEqual([['2024-01-05', 'expense', 'Groceries', 'Milk, bread', 10, 'USD']]);
+  });
+
+  test('exports only the chosen columns, in file order', function() {
+    const table = buildExportTable(COSTS.slice(0, 2), {
+      columns: ['amount', 'description', 'id'],
+      labels: { description: 'Beschreibung' },
+    });
+
+    expect(table.columns).toEqual(['id', 'description', 'amount']);
+    expect(table.headers).toEqual(['ID', 'Beschreibung', 'Amount']);
+    expect(table.rows).toEqual([[1, 'Milk, bread', 10], [2, 'January', 1000]]);
+  });
+
+  test('shows each type by its label, and a cost without a type as an expense', function() {
+    const table = buildExportTable(COSTS, {
+      columns: ['type'],
+      typeLabels: { expense: 'Expense', income: 'Income', savings_withdrawal: 'Withdrawal' },
+    });
+
+    expect(table.rows.map(row => row[0])).toEqual(['Expense', 'Income', 'savings_deposit', 'Withdrawal', 'Expense', 'transfer']);
+  });
+
+  test('lists every category of a split cost', function() {
+    const table = buildExportTable([COSTS[4]], { columns: ['category'] });
+
+    expect(table.rows).toEqual([['Food, Pharmacy']]);
+  });
+
+  test('drops the converted amount without a currency and rates', function() {
+    expect(buildExportTable(COSTS, { columns: ['id', 'convertedAmount'] }).columns).toEqual(['id']);
+    expect(buildExportTable(COSTS, { columns: ['id', 'convertedAmount'], currency: 'EUR' }).columns).toEqual(['id']);
+  });
+
+  test('converts each amount at the rates of its date', function() {
+    const table = buildExportTable(COSTS.slice(0, 3), {
+      columns: ['amount', 'currency', 'convertedAmount'],
+      currency: 'EUR',
+      ratesForDate: ratesForDate,
+    });
+
+    expect(table.headers).toEqual(['Amount', 'Currency', 'Converted Amount (EUR)']);
+    expect(table.rows).toEqual([
+      [10, 'USD', 5],
+      [1000, 'EUR', 1000],
+      [200, 'USD', 160],
+    ]);
+  });
+});
+
+describe('getTypeSubtotals', function() {
+  test('totals each type group by currency, with withdrawals taken off savings', function() {
+    expect(getTypeSubtotals(COSTS)).toEqual({
+      expense: { USD: 10, EUR: 40 },
+      income: { EUR: 1000 },
+      savings: { USD: 150 },
+    });
+  });
+
+  test('totals in one currency when amounts are converted', function() {
+    expect(getTypeSubtotals(COSTS, { currency: 'EUR', ratesForDate: ratesForDate })).toEqual({
+      expense: { EUR: 45 },
+      income: { EUR: 1000 },
+      savings: { EUR: 120 },
+    });
+  });
+
+  test('leaves a group empty when it has no costs', function() {
+    expect(getTypeSubtotals([COSTS[3]])).toEqual({
+      expense: {},
+      income: {},
+      savings: { USD: -50 },
+    });
+  });
+});
+
+describe('exportToCSV', function() {
+  test('writes the chosen columns, quoting cells with commas', async function() {
+    const blob = exportToCSV([COSTS[0], COSTS[4]], { columns: ['date', 'category', 'description', 'amount'] });
+
+    expect(blob.type).toBe('text/csv;charset=utf-8;');
+    expect(await blob.text()).toBe([
+      'Date,Category,Description,Amount',
+      '2024-01-05,Groceries,"Milk, bread",10',
+      '2024-02-20,"Food, Pharmacy",Receipt,40',
+    ].join('\n'));
+  });
+
+  test('writes converted amounts with two decimals', async function() {
+    const blob = exportToCSV([COSTS[0], COSTS[2]], {
+      columns: ['id', 'convertedAmount'],
+      currency: 'EUR',
+      ratesForDate: ratesForDate,
+    });
+
+    expect(await blob.text()).toBe([
+      'ID,Converted Amount (EUR)',
+      '1,5.00',
+      '3,160.00',
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * filters.js - Criteria, matching and sorting for the advanced transaction filters
+ * Amounts are compared after converting every transaction into the filter currency at the
+ * rates of its date, so a minimum of 100 USD also finds a 400 ILS expense.
+ * The same criteria are kept in the URL of the filters view and saved in filter presets.
+ */
+
+import { getRatesLookup, convertAmount } from './exchangeRates';
+import { normalizeText } from './search';
+import { getCategoryLines } from './splits';
+import { normalizeTag } from './tags';
+import { normalizeCurrencyCode, isCurrencyCode } from './currencies';
+import { toDateKey } from './dateKeys';
+import {
+  readDateParam,
+  readChoiceParam,
+  readCurrencyParam,
+  formatDateParam,
+  buildSearchParams
+} from './routes';
+
+export const TRANSACTION_TYPES = ['expense', 'income', 'savings_deposit', 'savings_withdrawal', 'transfer'];
+
+// Periods resolved against today's date each time the filters run, so a pinned preset stays current
+export const FILTER_PERIODS = ['custom', 'thisMonth', 'lastMonth', 'last30Days', 'thisYear'];
+
+export const SORT_FIELDS = ['date', 'category', 'description', 'amount'];
+
+export const SORT_DIRECTIONS = ['asc', 'desc'];
+
+/**
+ * Converts a Date into a date structure
+ * @param {Date} date - The date
+ * @returns {{year: number, month: number, day: number}} Date structure
+ */
+function toDateStructure(date) {
+  return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+}
+
+/**
+ * Gets the criteria of an empty filter: this month so far, every transaction, newest first
+ * @param {Date} [today=new Date()] - Today's date
+ * @param {string} [currency='USD'] - Currency amounts are converted into
+ * @returns {Object} Filter criteria
+ */
+export function getDefaultFilters(today = new Date(), currency = 'USD') {
+  const endDate = toDateStructure(today);
+  return {
+    period: 'custom',
+    startDate: { ...endDate, day: 1 },
+    endDate: endDate,
+    categories: [],
+    tags: [],
+    types: [],
+    currencies: [],
+    text: '',
+    minAmount: '',
+    maxAmount: '',
+    currency: currency,
+    sortBy: 'date',
+    sortDirection: 'desc',
+  };
+}
+
+/**
+ * Fills in the criteria missing from saved or partial filters
+ * @param {Object} filters - Filter criteria, possibly saved by an older version
+ * @returns {Object} Complete filter criteria
+ */
+export function normalizeFilters(filters) {
+  return { ...getDefaultFilters(), ...filters };
+}
+
+/**
+ * Checks whether the URL holds filter criteria to apply
+ * @param {URLSearchParams} params - URL search parameters
+ * @returns {boolean} Whether the URL has a period or a date range
+ */
+export function hasFilterParams(params) {
+  return params.has('period') || (params.has('start') && params.has('end'));
+}
+
+/**
+ * Reads the filter criteria in the URL
+ * Without dates in the URL the range runs from the first of this month to today.
+ * @param {URLSearchParams} params - URL search parameters
+ * @param {string} [defaultCurrency='USD'] - Currency used when the URL has none
+ * @returns {Object} Filter criteria
+ */
+export function readFilterParams(params, defaultCurrency = 'USD') {
+  const defaults = getDefaultFilters(new Date(), defaultCurrency);
+  return {
+    period: readChoiceParam(params, 'period', FILTER_PERIODS, 'custom'),
+    startDate: readDateParam(params, 'start', defaults.startDate),
+    endDate: readDateParam(params, 'end', defaults.endDate),
+    categories: params.getAll('category'),
+    tags: params.getAll('tag').map(normalizeTag).filter(Boolean),
+    types: params.getAll('type').filter(type => TRANSACTION_TYPES.includes(type)),
+    currencies: params.getAll('source').map(normalizeCurrencyCode).filter(isCurrencyCode),
+    text: params.get('q') || '',
+    minAmount: params.get('min') || '',
+    maxAmount: params.get('max') || '',
+    currency: readCurrencyParam(params, 'currency', defaults.currency),
+    sortBy: readChoiceParam(params, 'sort', SORT_FIELDS, defaults.sortBy),
+    sortDirection: readChoiceParam(params, 'dir', SORT_DIRECTIONS, defaults.sortDirection),
+  };
+}
+
+/**
+ * Builds the URL parameters of a set of filters
+ * Dates are only written for a custom period, and the sort only when it is not the default.
+ * @param {Object} filters - Filter criteria
+ * @returns {URLSearchParams} The parameters
+ */
+export function buildFilterParams(filters) {
+  const custom = filters.period === 'custom';
+  return buildSearchParams({
+    period: custom ? '' : filters.period,
+    start: custom ? formatDateParam(filters.startDate) : '',
+    end: custom ? formatDateParam(filters.endDate) : '',
+    category: filters.categories,
+    tag: filters.tags,
+    type: filters.types,
+    source: filters.currencies,
+    q: filters.text.trim(),
+    min: filters.minAmount,
+    max: filters.maxAmount,
+    currency: filters.currency,
+    sort: filters.sortBy === 'date' ? '' : filters.sortBy,
+    dir: filters.sortDirection === 'desc' ? '' : filters.sortDirection,
+  });
+}
+
+/**
+ * Resolves the date range of a set of filters
+ * @param {Object} filters - Filter criteria with period, startDate and endDate
+ * @param {Date} [today=new Date()] - Today's date
+ * @returns {{startDate: Object, endDate: Object}} First and last day included
+ */
+export function getFilterRange(filters, today = new Date()) {
+  const year = today.getFullYear();
+  const month = today.getMonth();
+  switch (filters.period) {
+    case 'thisMonth':
+      return { startDate: toDateStructure(new Date(year, month, 1)), endDate: toDateStructure(today) };
+    case 'lastMonth':
+      return {
+        startDate: toDateStructure(new Date(year, month - 1, 1)),
+        endDate: toDateStructure(new Date(year, month, 0)),
+      };
+    case 'last30Days':
+      return {
+        startDate: toDateStructure(new Date(year, month, today.getDate() - 29)),
+        endDate: toDateStructure(today),
+      };
+    case 'thisYear':
+      return { startDate: { year: year, month: 1, day: 1 }, endDate: toDateStructure(today) };
+    default:
+      return { startDate: filters.startDate, endDate: filters.endDate };
+  }
+}
+
+/**
+ * Parses an amount limit
+ * @param {string} value - Limit as entered
+ * @returns {number|null} The limit, or null when it is empty or not a number
+ */
+function parseLimit(value) {
+  const limit = parseFloat(value);
+  return isNaN(limit) ? null : limit;
+}
+
+/**
+ * Sorts filtered costs
+ * Ties keep the newest transaction first.
+ * @param {Object[]} costs - Costs with convertedSum, as from applyFilters
+ * @param {string} sortBy - One of SORT_FIELDS
+ * @param {string} sortDirection - 'asc' or 'desc'
+ * @returns {Object[]} A sorted copy
+ */
+export function sortCosts(costs, sortBy, sortDirection) {
+  const direction = sortDirection === 'asc' ? 1 : -1;
+  const compare = {
+    date: (a, b) => a.dateKey - b.dateKey,
+    category: (a, b) => String(a.category).localeCompare(String(b.category)),
+    description: (a, b) => String(a.description || '').localeCompare(String(b.description || '')),
+    amount: (a, b) => a.convertedSum - b.convertedSum,
+  }[sortBy] || ((a, b) => a.dateKey - b.dateKey);
+
+  return costs.slice().sort(function(a, b) {
+    return compare(a, b) * direction || b.dateKey - a.dateKey || b.id - a.id;
+  });
+}
+
+/**
+ * Loads the costs matching a set of filters
+ * Every cost gets a convertedSum in the filter currency, which the amount limits are checked
+ * against; rates are only loaded when some cost is in another currency.
+ * @param {Object} db - Database instance
+ * @param {Object} filters - Filter criteria
+ * @returns {Promise<Object[]>} Matching costs with convertedSum, sorted by the filters' sort
+ */
+export async function applyFilters(db, filters) {
+  const criteria = normalizeFilters(filters);
+  const range = getFilterRange(criteria);
+  const text = normalizeText(criteria.text.trim());
+  const min = parseLimit(criteria.minAmount);
+  const max = parseLimit(criteria.maxAmount);
+
+  const costs = (await db.getCostsByDateRange(range.startDate, range.endDate)).filter(function(cost) {
+    return (criteria.categories.length === 0 || getCategoryLines(cost).some(line => criteria.categories.includes(line.category))) &&
+      (criteria.tags.length === 0 || (cost.tags || []).some(tag => criteria.tags.includes(tag))) &&
+      (criteria.types.length === 0 || criteria.types.includes(cost.type || 'expense')) &&
+      (criteria.currencies.length === 0 || criteria.currencies.includes(cost.currency)) &&
+      (!text || normalizeText(cost.description).includes(text));
+  });
+
+  let ratesForDate = null;
+  if (costs.some(cost => cost.currency !== criteria.currency)) {
+    ratesForDate = await getRatesLookup(db, toDateKey(range.startDate), toDateKey(range.endDate));
+  }
+
+  const converted = costs
+    .map(function(cost) {
+      const convertedSum = cost.currency === criteria.currency
+        ? cost.sum
+        : convertAmount(cost.sum, cost.currency, criteria.currency, ratesForDate(cost.dateKey));
+      return { ...cost, convertedSum: convertedSum };
+    })
+    .filter(function(cost) {
+      return (min === null || cost.convertedSum >= min) && (max === null || cost.convertedSum <= max);
+    });
+
+  return sortCosts(converted, criteria.sortBy, criteria.sortDirection);
+}
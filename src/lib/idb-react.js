@@ -4,6 +4,258 @@
  * Compatible with React and JavaScript modules
  */
 
+import { getRatesLookup, convertAmount } from "./exchangeRates";
+import { withIsoCurrencyCodes } from "./currencies";
+import { DEFAULT_ACCOUNT } from "./accounts";
+import { withSplitFields, sumByCategory } from "./splits";
+import { withTagFields } from "./tags";
+import { getOccurrences, isSkippedOccurrence, buildOccurrenceCost } from "./recurrence";
+import { getSearchTokens, getQueryTerms, matchToken } from "./search";
+import { toDateKey } from "./dateKeys";
+
+/**
+ * Builds the date structure stored on a cost item
+ * Accepts a Date, a "YYYY-MM-DD" / "YYYY-MM-DDTHH:MM" string or a {year, month, day, hour, minute} object
+ * Falls back to the current date and time when no date is given
+ * @param {Date|string|Object} [value] - The transaction date
+ * @returns {Object} Date structure with year, month, day, hour and minute
+ */
+function toDateStructure(value) {
+  let date;
+
+  if (value === undefined || value === null || value === "") {
+    date = new Date();
+  } else if (value instanceof Date) {
+    date = new Date(value.getTime());
+  } else if (typeof value === "string") {
+    // Parse the parts manually - new Date("YYYY-MM-DD") would be read as UTC
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?$/.exec(value);
+    if (match) {
+      date = new Date(
+        Number(match[1]),
+        Number(match[2]) - 1,
+        Number(match[3]),
+        Number(match[4] || 0),
+        Number(match[5] || 0)
+      );
+      // Reject overflowing values such as 2024-02-31
+      if (date.getMonth() !== Number(match[2]) - 1) {
+        date = null;
+      }
+    }
+  } else if (typeof value === "object") {
+    date = new Date(
+      value.year,
+      value.month - 1,
+      value.day,
+      value.hour || 0,
+      value.minute || 0
+    );
+    if (date.getMonth() !== value.month - 1) {
+      date = null;
+    }
+  }
+
+  if (!date || isNaN(date.getTime())) {
+    throw new Error("Invalid transaction date");
+  }
+
+  return {
+    year: date.getFullYear(),
+    month: date.getMonth() + 1,
+    day: date.getDate(),
+    hour: date.getHours(),
+    minute: date.getMinutes(),
+  };
+}
+
+/**
+ * Adds the search index to the stores of a transaction that changes costs, when it exists
+ * @param {IDBDatabase} db - The database
+ * @param {string[]} storeNames - Stores the transaction needs
+ * @returns {string[]} The stores, with the search index
+ */
+function withSearchIndex(db, storeNames) {
+  return db.objectStoreNames.contains("search_index") ? storeNames.concat("search_index") : storeNames;
+}
+
+/**
+ * Adds the attachments store to the stores of a transaction that deletes costs, when it exists
+ * @param {IDBDatabase} db - The database
+ * @param {string[]} storeNames - Stores the transaction needs
+ * @returns {string[]} The stores, with the attachments store
+ */
+function withAttachments(db, storeNames) {
+  return db.objectStoreNames.contains("attachments") ? storeNames.concat("attachments") : storeNames;
+}
+
+/**
+ * Deletes the attachments of a deleted cost item
+ * @param {IDBTransaction} transaction - Transaction that includes the attachments store, if it exists
+ * @param {number} costId - The cost item ID
+ * @param {function(Object[]): void} [onDeleted] - Receives the deleted attachments
+ */
+function deleteAttachments(transaction, costId, onDeleted) {
+  if (!transaction.objectStoreNames.contains("attachments")) return;
+  const store = transaction.objectStore("attachments");
+  const request = store.index("costId").getAll(IDBKeyRange.only(costId));
+  request.onsuccess = function () {
+    request.result.forEach(function (attachment) {
+      store.delete(attachment.id);
+    });
+    if (onDeleted) onDeleted(request.result);
+  };
+}
+
+/**
+ * Writes the search tokens of a stored cost item
+ * @param {IDBTransaction} transaction - Transaction that includes the search index, if it exists
+ * @param {Object} cost - The cost item, with its ID
+ */
+function indexCost(transaction, cost) {
+  if (!transaction.objectStoreNames.contains("search_index")) return;
+  transaction.objectStore("search_index").put({ costId: cost.id, tokens: getSearchTokens(cost) });
+}
+
+/**
+ * Removes a deleted cost item from the search index
+ * @param {IDBTransaction} transaction - Transaction that includes the search index, if it exists
+ * @param {number} id - The cost item ID
+ */
+function unindexCost(transaction, id) {
+  if (!transaction.objectStoreNames.contains("search_index")) return;
+  transaction.objectStore("search_index").delete(id);
+}
+
+/**
+ * Adds a cost item and indexes it once its ID is known
+ * @param {IDBTransaction} transaction - Transaction that includes the costs store
+ * @param {Object} cost - The cost item, without an ID
+ * @returns {IDBRequest} The add request
+ */
+function addIndexedCost(transaction, cost) {
+  const request = transaction.objectStore("costs").add(cost);
+  request.addEventListener("success", function () {
+    indexCost(transaction, { ...cost, id: request.result });
+  });
+  return request;
+}
+
+/**
+ * Gives cost items saved without an account the first account, so every stored cost has one
+ * The first account is the one with the lowest ID, which getCostAccountId falls back to.
+ * @param {IDBTransaction} transaction - Transaction that includes the accounts store
+ * @param {Object[]} costs - The cost items
+ * @param {function(Object[]): void} callback - Called with the cost items, each with an accountId
+ * when there is an account
+ */
+function withFirstAccount(transaction, costs, callback) {
+  const request = transaction.objectStore("accounts").getAllKeys(null, 1);
+  request.onsuccess = function () {
+    const firstAccountId = request.result[0];
+    callback(costs.map(function (cost) {
+      return cost.accountId || firstAccountId === undefined ? cost : { ...cost, accountId: firstAccountId };
+    }));
+  };
+}
+
+/**
+ * Indexes every cost item again, replacing the whole search index
+ * @param {IDBTransaction} transaction - Transaction that includes the costs store and the search index
+ */
+function rebuildSearchIndex(transaction) {
+  const indexStore = transaction.objectStore("search_index");
+  indexStore.clear();
+  const request = transaction.objectStore("costs").getAll();
+  request.onsuccess = function () {
+    request.result.forEach(function (cost) {
+      indexCost(transaction, cost);
+    });
+  };
+}
+
+/**
+ * Replaces the legacy currency codes in the records of a store during an upgrade
+ * @param {IDBObjectStore} store - Store opened by the upgrade transaction
+ * @param {string} storeName - Name of the store
+ */
+function migrateRecords(store, storeName) {
+  const request = store.openCursor();
+  request.onsuccess = function () {
+    const cursor = request.result;
+    if (cursor) {
+      const updated = withIsoCurrencyCodes(storeName, cursor.value);
+      if (updated !== cursor.value) {
+        cursor.update(updated);
+      }
+      cursor.continue();
+    }
+  };
+}
+
+/**
+ * Schema version of the costs database
+ * Bump it when onupgradeneeded changes stores or indexes; backups are written with it too.
+ */
+export const DB_VERSION = 15;
+
+/**
+ * Object stores included in a full backup, in restore order
+ * Stores that other records point at come before the records that point at them
+ */
+export const BACKUP_STORES = [
+  "accounts",
+  "categories",
+  "budgets",
+  "savings_goals",
+  "recurring_rules",
+  "import_batches",
+  "filter_presets",
+  "rates",
+  "settings",
+  "costs",
+  "attachments",
+];
+
+/**
+ * Record fields that hold the ID of a record in another store, remapped when merging
+ */
+const BACKUP_REFERENCES = {
+  categories: { parentId: "categories" },
+  recurring_rules: { accountId: "accounts" },
+  costs: { recurringRuleId: "recurring_rules", goalId: "savings_goals", accountId: "accounts", toAccountId: "accounts" },
+  attachments: { costId: "costs" },
+};
+
+/**
+ * Builds the key used to match a backup record with an existing record when merging
+ * Records with the same key are treated as the same record, whatever their IDs
+ * @param {string} storeName - The object store
+ * @param {Object} item - The record
+ * @returns {string} The match key
+ */
+function mergeKey(storeName, item) {
+  switch (storeName) {
+    case "costs":
+      return [item.dateKey, item.sum, item.currency, item.category, item.description, item.type].join("|");
+    case "accounts":
+    case "categories":
+    case "savings_goals":
+    case "filter_presets":
+      return String(item.name).toLowerCase();
+    case "budgets":
+      return [item.type, item.year, item.month, item.category].join("|");
+    case "recurring_rules":
+      return [item.startDate, item.frequency, item.sum, item.currency, item.category, item.description].join("|");
+    case "rates":
+      return String(item.dateKey);
+    case "attachments":
+      return [item.costId, item.name, item.size].join("|");
+    default:
+      return String(item.key !== undefined ? item.key : item.id);
+  }
+}
+
 /**
  * Opens or creates an IndexedDB database for costs
  * @param {string} databaseName - The name of the database
@@ -24,169 +276,175 @@ export function openCostsDB(databaseName, databaseVersion) {
         /**
          * Adds a new cost item to the database
          * @param {Object} cost - Cost object with sum, currency, category, description properties
-         * @returns {Promise<Object>} Promise that resolves to the added cost object (without date as per specification)
+         * @param {Date|string|Object} [cost.date] - Optional transaction date (and time), defaults to now
+         * @param {number} [cost.goalId] - Savings goal a savings deposit or withdrawal belongs to
+         * @param {number} [cost.accountId] - Account the cost was paid from or into, defaults to the first account
+         * @param {number} [cost.toAccountId] - Account a transfer arrives in
+         * @param {Array<{category: string, sum: number}>} [cost.splits] - Category lines adding up to the sum
+         * @param {string[]} [cost.tags] - Free-form tags
+         * @returns {Promise<Object>} Promise that resolves to the added cost object with its ID (without date as per specification)
          */
         addCost: function (cost) {
           return new Promise(function (resolveAdd, rejectAdd) {
-            const transaction = db.transaction(["costs"], "readwrite");
-            const store = transaction.objectStore("costs");
+            let date;
+            try {
+              date = toDateStructure(cost.date);
+            } catch (error) {
+              rejectAdd(error);
+              return;
+            }
+
+            const transaction = db.transaction(withSearchIndex(db, ["costs", "accounts"]), "readwrite");
 
-            // Set the date to current date
-            const now = new Date();
-            const costWithDate = {
+            const costWithDate = withTagFields(withSplitFields({
               sum: cost.sum,
               currency: cost.currency,
               category: cost.category,
               description: cost.description,
               type: cost.type || 'expense', // Default to 'expense' for backward compatibility
-              date: {
-                year: now.getFullYear(),
-                month: now.getMonth() + 1,
-                day: now.getDate(),
-              },
-            };
-
-            const addRequest = store.add(costWithDate);
-
-            addRequest.onsuccess = function () {
-              // Return cost object without date as per specification
-              resolveAdd({
-                sum: cost.sum,
-                currency: cost.currency,
-                category: cost.category,
-                description: cost.description,
-              });
-            };
+              date: date,
+              dateKey: toDateKey(date),
+              // Savings transactions can count towards one savings goal
+              ...(cost.goalId && { goalId: cost.goalId }),
+              ...(cost.accountId && { accountId: cost.accountId }),
+              ...(cost.toAccountId && { toAccountId: cost.toAccountId }),
+              ...(cost.splits && { splits: cost.splits }),
+              ...(cost.tags && { tags: cost.tags }),
+            }));
+
+            withFirstAccount(transaction, [costWithDate], function (items) {
+              const addRequest = addIndexedCost(transaction, items[0]);
+
+              addRequest.onsuccess = function () {
+                // Return cost object without date as per specification
+                resolveAdd({
+                  id: addRequest.result,
+                  sum: cost.sum,
+                  currency: cost.currency,
+                  category: costWithDate.category,
+                  description: cost.description,
+                });
+              };
 
-            addRequest.onerror = function () {
-              rejectAdd(addRequest.error);
-            };
+              addRequest.onerror = function () {
+                rejectAdd(addRequest.error);
+              };
+            });
           });
         },
         /**
          * Gets a detailed report for a specific month and year in a specific currency
          * @param {number} year - The year
          * @param {number} month - The month (1-12)
-         * @param {string} currency - The target currency (USD, ILS, GBP, EURO)
+         * @param {string} currency - The target currency code, e.g. USD
          * @returns {Promise<Object>} Promise that resolves to report object
          */
         getReport: function (year, month, currency) {
           return new Promise(function (resolveReport, rejectReport) {
-            // First, fetch exchange rates
-            const exchangeRateUrl =
-              localStorage.getItem("exchangeRateUrl") ||
-              process.env.REACT_APP_EXCHANGE_RATE_URL ||
-              "https://gist.githubusercontent.com/Pafestivo/e4e1c962472306b578983a6a0c40828e/raw/exchange-rates.json";
-
-            fetch(exchangeRateUrl)
-              .then(function (response) {
-                return response.json();
-              })
-              .then(function (rates) {
+            const startKey = toDateKey({ year: year, month: month, day: 1 });
+            const endKey = toDateKey({ year: year, month: month, day: 31 });
+
+            // First, load the exchange rates in effect during the month
+            getRatesLookup(dbObject, startKey, endKey)
+              .then(function (ratesForDate) {
                 const transaction = db.transaction(["costs"], "readonly");
                 const store = transaction.objectStore("costs");
 
-                // Query all costs and filter by year and month
-                // IndexedDB doesn't support nested property paths in compound indexes,
-                // so we query all and filter in JavaScript
-                const request = store.openCursor();
-                const costs = [];
-
-                request.onsuccess = function (event) {
-                  const cursor = event.target.result;
-                  if (cursor) {
-                    const value = cursor.value;
-                    // Filter by exact year and month match
-                    if (
-                      value.date &&
-                      value.date.year === year &&
-                      value.date.month === month
-                    ) {
-                      costs.push(value);
-                    }
-                    cursor.continue();
-                  } else {
-                    // All items processed, separate by type
-                    const expenses = [];
-                    const incomes = [];
-                    const savingsDeposits = [];
-                    const savingsWithdrawals = [];
-
-                    costs.forEach(function (cost) {
-                      // Convert to USD first, then to target currency
-                      const amountInUSD = cost.sum / rates[cost.currency];
-                      const convertedSum = amountInUSD * rates[currency];
-
-                      const convertedItem = {
-                        sum: convertedSum,
-                        currency: currency,
-                        category: cost.category,
-                        description: cost.description,
-                        type: cost.type || 'expense',
-                        Date: {
-                          day: cost.date.day,
-                        },
-                      };
-
-                      const type = cost.type || 'expense';
-                      if (type === 'income') {
-                        incomes.push(convertedItem);
-                      } else if (type === 'savings_deposit') {
-                        savingsDeposits.push(convertedItem);
-                      } else if (type === 'savings_withdrawal') {
-                        savingsWithdrawals.push(convertedItem);
-                      } else {
-                        expenses.push(convertedItem);
-                      }
-                    });
-
-                    // Calculate totals
-                    const totalExpenses = expenses.reduce(function (sum, item) {
-                      return sum + item.sum;
-                    }, 0);
-
-                    const totalIncomes = incomes.reduce(function (sum, item) {
-                      return sum + item.sum;
-                    }, 0);
-
-                    const totalSavingsDeposits = savingsDeposits.reduce(function (sum, item) {
-                      return sum + item.sum;
-                    }, 0);
-
-                    const totalSavingsWithdrawals = savingsWithdrawals.reduce(function (sum, item) {
-                      return sum + item.sum;
-                    }, 0);
-
-                    const totalSavings = totalSavingsDeposits - totalSavingsWithdrawals;
-                    const balance = totalIncomes - totalExpenses;
-
-                    const report = {
-                      year: year,
-                      month: month,
-                      expenses: expenses,
-                      incomes: incomes,
-                      savings: {
-                        deposits: savingsDeposits,
-                        withdrawals: savingsWithdrawals,
-                        total: totalSavings,
-                      },
-                      totals: {
-                        expenses: totalExpenses,
-                        incomes: totalIncomes,
-                        savings: totalSavings,
-                        balance: balance,
-                        currency: currency,
-                      },
-                      // Keep backward compatibility
-                      costs: expenses,
-                      total: {
-                        currency: currency,
-                        total: totalExpenses,
+                // Query only the requested month through the dateKey index
+                const request = store.index("dateKey").getAll(IDBKeyRange.bound(startKey, endKey));
+
+                request.onsuccess = function () {
+                  const costs = request.result;
+
+                  // Separate by type
+                  const expenses = [];
+                  const incomes = [];
+                  const savingsDeposits = [];
+                  const savingsWithdrawals = [];
+
+                  // Transfers move money between accounts and are neither income nor expense
+                  costs.filter(cost => cost.type !== 'transfer').forEach(function (cost) {
+                    // Convert at the rates of the transaction's own date
+                    const rates = ratesForDate(cost.dateKey);
+                    const convertedSum = convertAmount(cost.sum, cost.currency, currency, rates);
+
+                    const convertedItem = {
+                      id: cost.id,
+                      sum: convertedSum,
+                      currency: currency,
+                      category: cost.category,
+                      description: cost.description,
+                      type: cost.type || 'expense',
+                      Date: {
+                        day: cost.date.day,
                       },
+                      // Split lines are converted too, so they can be counted per category
+                      ...(cost.splits && {
+                        splits: cost.splits.map(function (line) {
+                          return { category: line.category, sum: convertAmount(line.sum, cost.currency, currency, rates) };
+                        }),
+                      }),
+                      ...(cost.tags && { tags: cost.tags }),
                     };
 
-                    resolveReport(report);
-                  }
+                    const type = cost.type || 'expense';
+                    if (type === 'income') {
+                      incomes.push(convertedItem);
+                    } else if (type === 'savings_deposit') {
+                      savingsDeposits.push(convertedItem);
+                    } else if (type === 'savings_withdrawal') {
+                      savingsWithdrawals.push(convertedItem);
+                    } else {
+                      expenses.push(convertedItem);
+                    }
+                  });
+
+                  // Calculate totals
+                  const totalExpenses = expenses.reduce(function (sum, item) {
+                    return sum + item.sum;
+                  }, 0);
+
+                  const totalIncomes = incomes.reduce(function (sum, item) {
+                    return sum + item.sum;
+                  }, 0);
+
+                  const totalSavingsDeposits = savingsDeposits.reduce(function (sum, item) {
+                    return sum + item.sum;
+                  }, 0);
+
+                  const totalSavingsWithdrawals = savingsWithdrawals.reduce(function (sum, item) {
+                    return sum + item.sum;
+                  }, 0);
+
+                  const totalSavings = totalSavingsDeposits - totalSavingsWithdrawals;
+                  const balance = totalIncomes - totalExpenses;
+
+                  const report = {
+                    year: year,
+                    month: month,
+                    expenses: expenses,
+                    incomes: incomes,
+                    savings: {
+                      deposits: savingsDeposits,
+                      withdrawals: savingsWithdrawals,
+                      total: totalSavings,
+                    },
+                    totals: {
+                      expenses: totalExpenses,
+                      incomes: totalIncomes,
+                      savings: totalSavings,
+                      balance: balance,
+                      currency: currency,
+                    },
+                    // Keep backward compatibility
+                    costs: expenses,
+                    total: {
+                      currency: currency,
+                      total: totalExpenses,
+                    },
+                  };
+
+                  resolveReport(report);
                 };
 
                 request.onerror = function () {
@@ -220,7 +478,7 @@ export function openCostsDB(databaseName, databaseVersion) {
         },
 
         /**
-         * Gets costs by category
+         * Gets costs by category, including split costs with a line in the category
          * @param {string} category - The category name
          * @returns {Promise<Array>} Promise that resolves to array of cost items
          */
@@ -228,19 +486,67 @@ export function openCostsDB(databaseName, databaseVersion) {
           return new Promise(function (resolve, reject) {
             const transaction = db.transaction(["costs"], "readonly");
             const store = transaction.objectStore("costs");
-            const request = store.openCursor();
-            const costs = [];
+            const request = store.index("category").getAll(IDBKeyRange.only(category));
+            const splitRequest = store.index("splitCategories").getAll(IDBKeyRange.only(category));
 
-            request.onsuccess = function (event) {
-              const cursor = event.target.result;
+            transaction.oncomplete = function () {
+              const found = new Map();
+              request.result.concat(splitRequest.result).forEach(function (cost) {
+                found.set(cost.id, cost);
+              });
+              resolve(Array.from(found.values()).sort((a, b) => a.id - b.id));
+            };
+
+            transaction.onerror = function () {
+              reject(transaction.error);
+            };
+          });
+        },
+
+        /**
+         * Gets costs labelled with a tag
+         * @param {string} tag - The tag, in its stored form
+         * @returns {Promise<Array>} Promise that resolves to array of cost items
+         */
+        getCostsByTag: function (tag) {
+          return new Promise(function (resolve, reject) {
+            const transaction = db.transaction(["costs"], "readonly");
+            const store = transaction.objectStore("costs");
+            const request = store.index("tags").getAll(IDBKeyRange.only(tag));
+
+            request.onsuccess = function () {
+              resolve(request.result);
+            };
+
+            request.onerror = function () {
+              reject(request.error);
+            };
+          });
+        },
+
+        /**
+         * Gets every tag used on a cost, read from the tags index without loading the costs
+         * @returns {Promise<string[]>} Promise that resolves to the tags in alphabetical order
+         */
+        getAllTags: function () {
+          return new Promise(function (resolve, reject) {
+            const transaction = db.transaction(["costs"], "readonly");
+            const store = transaction.objectStore("costs");
+            if (!store.indexNames.contains("tags")) {
+              resolve([]);
+              return;
+            }
+
+            const tags = [];
+            const request = store.index("tags").openKeyCursor(null, "nextunique");
+
+            request.onsuccess = function () {
+              const cursor = request.result;
               if (cursor) {
-                const value = cursor.value;
-                if (value.category === category) {
-                  costs.push(value);
-                }
+                tags.push(cursor.key);
                 cursor.continue();
               } else {
-                resolve(costs);
+                resolve(tags);
               }
             };
 
@@ -258,37 +564,20 @@ export function openCostsDB(databaseName, databaseVersion) {
          */
         getCostsByDateRange: function (startDate, endDate) {
           return new Promise(function (resolve, reject) {
+            const startKey = toDateKey(startDate);
+            const endKey = toDateKey(endDate);
+
+            if (startKey > endKey) {
+              resolve([]);
+              return;
+            }
+
             const transaction = db.transaction(["costs"], "readonly");
             const store = transaction.objectStore("costs");
-            const request = store.openCursor();
-            const costs = [];
-
-            request.onsuccess = function (event) {
-              const cursor = event.target.result;
-              if (cursor) {
-                const value = cursor.value;
-                const date = value.date;
-
-                // Check if date is within range
-                const start = new Date(
-                  startDate.year,
-                  startDate.month - 1,
-                  startDate.day
-                );
-                const end = new Date(
-                  endDate.year,
-                  endDate.month - 1,
-                  endDate.day
-                );
-                const current = new Date(date.year, date.month - 1, date.day);
+            const request = store.index("dateKey").getAll(IDBKeyRange.bound(startKey, endKey));
 
-                if (current >= start && current <= end) {
-                  costs.push(value);
-                }
-                cursor.continue();
-              } else {
-                resolve(costs);
-              }
+            request.onsuccess = function () {
+              resolve(request.result);
             };
 
             request.onerror = function () {
@@ -306,69 +595,50 @@ export function openCostsDB(databaseName, databaseVersion) {
          */
         getStatistics: function (year, month, currency) {
           return new Promise(function (resolve, reject) {
-            const exchangeRateUrl =
-              localStorage.getItem("exchangeRateUrl") ||
-              process.env.REACT_APP_EXCHANGE_RATE_URL ||
-              "https://gist.githubusercontent.com/Pafestivo/e4e1c962472306b578983a6a0c40828e/raw/exchange-rates.json";
+            // Get current month costs
+            dbObject
+              .getReport(year, month, currency)
+              .then(function (currentReport) {
+                // Get last month costs
+                const lastMonth = month === 1 ? 12 : month - 1;
+                const lastYear = month === 1 ? year - 1 : year;
 
-            fetch(exchangeRateUrl)
-              .then(function (response) {
-                return response.json();
-              })
-              .then(function (rates) {
-                // Get current month costs
                 dbObject
-                  .getReport(year, month, currency)
-                  .then(function (currentReport) {
-                    // Get last month costs
-                    const lastMonth = month === 1 ? 12 : month - 1;
-                    const lastYear = month === 1 ? year - 1 : year;
-
-                    dbObject
-                      .getReport(lastYear, lastMonth, currency)
-                      .then(function (lastReport) {
-                        const totalExpensesThisMonth = currentReport.totals.expenses;
-                        const totalExpensesLastMonth = lastReport.totals.expenses;
-                        const totalIncomesThisMonth = currentReport.totals.incomes;
-                        const totalSavingsThisMonth = currentReport.totals.savings;
-                        const balanceThisMonth = currentReport.totals.balance;
-                        
-                        const daysInMonth = new Date(year, month, 0).getDate();
-                        const averageDaily = totalExpensesThisMonth / daysInMonth;
-
-                        // Calculate by category (for expenses)
-                        const totalByCategory = {};
-                        currentReport.expenses.forEach(function (cost) {
-                          if (totalByCategory[cost.category]) {
-                            totalByCategory[cost.category] += cost.sum;
-                          } else {
-                            totalByCategory[cost.category] = cost.sum;
-                          }
-                        });
-
-                        // Calculate change percentage for expenses
-                        const changePercentage =
-                          totalExpensesLastMonth > 0
-                            ? ((totalExpensesThisMonth - totalExpensesLastMonth) /
-                                totalExpensesLastMonth) *
-                              100
-                            : 0;
-
-                        const stats = {
-                          totalThisMonth: totalExpensesThisMonth,
-                          totalLastMonth: totalExpensesLastMonth,
-                          totalIncomes: totalIncomesThisMonth,
-                          totalSavings: totalSavingsThisMonth,
-                          balance: balanceThisMonth,
-                          averageDaily,
-                          totalByCategory,
-                          changePercentage,
-                          currency,
-                        };
-
-                        resolve(stats);
-                      })
-                      .catch(reject);
+                  .getReport(lastYear, lastMonth, currency)
+                  .then(function (lastReport) {
+                    const totalExpensesThisMonth = currentReport.totals.expenses;
+                    const totalExpensesLastMonth = lastReport.totals.expenses;
+                    const totalIncomesThisMonth = currentReport.totals.incomes;
+                    const totalSavingsThisMonth = currentReport.totals.savings;
+                    const balanceThisMonth = currentReport.totals.balance;
+                    
+                    const daysInMonth = new Date(year, month, 0).getDate();
+                    const averageDaily = totalExpensesThisMonth / daysInMonth;
+
+                    // Calculate by category (for expenses), counting split lines in their own category
+                    const totalByCategory = sumByCategory(currentReport.expenses);
+
+                    // Calculate change percentage for expenses
+                    const changePercentage =
+                      totalExpensesLastMonth > 0
+                        ? ((totalExpensesThisMonth - totalExpensesLastMonth) /
+                            totalExpensesLastMonth) *
+                          100
+                        : 0;
+
+                    const stats = {
+                      totalThisMonth: totalExpensesThisMonth,
+                      totalLastMonth: totalExpensesLastMonth,
+                      totalIncomes: totalIncomesThisMonth,
+                      totalSavings: totalSavingsThisMonth,
+                      balance: balanceThisMonth,
+                      averageDaily,
+                      totalByCategory,
+                      changePercentage,
+                      currency,
+                    };
+
+                    resolve(stats);
                   })
                   .catch(reject);
               })
@@ -376,15 +646,47 @@ export function openCostsDB(databaseName, databaseVersion) {
           });
         },
 
+        /**
+         * Gets a single cost item
+         * @param {number} id - The cost item ID
+         * @returns {Promise<Object|null>} Promise that resolves to the cost item or null if not found
+         */
+        getCost: function (id) {
+          return new Promise(function (resolve, reject) {
+            const transaction = db.transaction(["costs"], "readonly");
+            const store = transaction.objectStore("costs");
+            const request = store.get(id);
+
+            request.onsuccess = function () {
+              resolve(request.result || null);
+            };
+
+            request.onerror = function () {
+              reject(request.error);
+            };
+          });
+        },
+
         /**
          * Updates a cost item
          * @param {number} id - The cost item ID
          * @param {Object} cost - Partial cost object with fields to update
+         * @param {Date|string|Object} [cost.date] - New transaction date, in any form accepted by addCost
+         * @param {Array<{category: string, sum: number}>|null} [cost.splits] - New category lines, null to stop splitting
+         * @param {string[]} [cost.tags] - New tags, an empty array to remove them
          * @returns {Promise<Object>} Promise that resolves to updated cost item
          */
         updateCost: function (id, cost) {
           return new Promise(function (resolve, reject) {
-            const transaction = db.transaction(["costs"], "readwrite");
+            let date;
+            try {
+              date = cost.date !== undefined ? toDateStructure(cost.date) : undefined;
+            } catch (error) {
+              reject(error);
+              return;
+            }
+
+            const transaction = db.transaction(withSearchIndex(db, ["costs"]), "readwrite");
             const store = transaction.objectStore("costs");
             const getRequest = store.get(id);
 
@@ -395,13 +697,17 @@ export function openCostsDB(databaseName, databaseVersion) {
                 return;
               }
 
-              const updated = {
+              const updated = withTagFields(withSplitFields({
                 ...existing,
                 ...cost,
                 id: existing.id,
-              };
+                date: date || existing.date,
+              }));
+              // Keep the indexed date key in sync with the date
+              updated.dateKey = toDateKey(updated.date);
 
               const updateRequest = store.put(updated);
+              indexCost(transaction, updated);
 
               updateRequest.onsuccess = function () {
                 resolve(updated);
@@ -419,18 +725,18 @@ export function openCostsDB(databaseName, databaseVersion) {
         },
 
         /**
-         * Deletes a cost item
-         * @param {number} id - The cost item ID
-         * @returns {Promise<void>} Promise that resolves when deletion is complete
+         * Gets costs of one transaction type
+         * @param {string} type - The transaction type (expense, income, savings_deposit, savings_withdrawal, transfer)
+         * @returns {Promise<Array>} Promise that resolves to array of cost items
          */
-        deleteCost: function (id) {
+        getCostsByType: function (type) {
           return new Promise(function (resolve, reject) {
-            const transaction = db.transaction(["costs"], "readwrite");
+            const transaction = db.transaction(["costs"], "readonly");
             const store = transaction.objectStore("costs");
-            const request = store.delete(id);
+            const request = store.index("type").getAll(IDBKeyRange.only(type));
 
             request.onsuccess = function () {
-              resolve();
+              resolve(request.result);
             };
 
             request.onerror = function () {
@@ -440,99 +746,458 @@ export function openCostsDB(databaseName, databaseVersion) {
         },
 
         /**
-         * Gets all categories
-         * @returns {Promise<Array>} Promise that resolves to array of categories
+         * Searches every cost item by description, category, amount and date
+         * Each word of the query must match one of a cost's tokens, exactly, as a prefix or with a typo.
+         * @param {string} query - Text typed by the user
+         * @param {number} [limit=20] - Largest number of results
+         * @returns {Promise<Array>} Promise that resolves to the matching cost items, best matches first and newest first among equal matches
          */
-        getCategories: function () {
+        searchCosts: function (query, limit) {
+          const maxResults = limit || 20;
           return new Promise(function (resolve, reject) {
             try {
-              // Check if object store exists
-              if (!db.objectStoreNames.contains("categories")) {
-                // Object store doesn't exist yet, return empty array
+              const terms = getQueryTerms(query);
+              if (terms.length === 0 || !db.objectStoreNames.contains("search_index")) {
                 resolve([]);
                 return;
               }
 
-              const transaction = db.transaction(["categories"], "readonly");
-              const store = transaction.objectStore("categories");
-              const request = store.getAll();
+              const transaction = db.transaction(["costs", "search_index"], "readonly");
+              const tokensIndex = transaction.objectStore("search_index").index("tokens");
+              // Best score of each term, by cost ID
+              const termScores = terms.map(function () {
+                return new Map();
+              });
+              const results = [];
 
+              // Each distinct token is compared with the terms once, then the costs it belongs to are looked up
+              const request = tokensIndex.openKeyCursor(null, "nextunique");
               request.onsuccess = function () {
-                const result = request.result;
-                resolve(Array.isArray(result) ? result : []);
+                const cursor = request.result;
+                if (!cursor) {
+                  collectResults();
+                  return;
+                }
+
+                const token = cursor.key;
+                const matches = terms.map(function (term) {
+                  return matchToken(term, token);
+                });
+                if (matches.some(Boolean)) {
+                  const idsRequest = tokensIndex.getAllKeys(IDBKeyRange.only(token));
+                  idsRequest.onsuccess = function () {
+                    idsRequest.result.forEach(function (id) {
+                      matches.forEach(function (score, i) {
+                        if (score > (termScores[i].get(id) || 0)) {
+                          termScores[i].set(id, score);
+                        }
+                      });
+                    });
+                  };
+                }
+                cursor.continue();
               };
 
-              request.onerror = function () {
-                // If error occurs, return empty array instead of rejecting
-                console.warn("Error loading categories:", request.error);
-                resolve([]);
+              // Requests run in order, so every ID lookup has finished when the cursor ends
+              const collectResults = function () {
+                const costsStore = transaction.objectStore("costs");
+                termScores[0].forEach(function (firstScore, id) {
+                  let score = firstScore;
+                  for (let i = 1; i < termScores.length; i++) {
+                    if (!termScores[i].has(id)) return;
+                    score += termScores[i].get(id);
+                  }
+                  const costRequest = costsStore.get(id);
+                  costRequest.onsuccess = function () {
+                    if (costRequest.result) {
+                      results.push({ cost: costRequest.result, score: score });
+                    }
+                  };
+                });
+              };
+
+              transaction.oncomplete = function () {
+                results.sort(function (a, b) {
+                  return b.score - a.score || b.cost.dateKey - a.cost.dateKey;
+                });
+                resolve(
+                  results.slice(0, maxResults).map(function (result) {
+                    return result.cost;
+                  })
+                );
+              };
+
+              transaction.onerror = function () {
+                reject(transaction.error);
               };
             } catch (error) {
-              // If any error occurs, return empty array
-              console.warn("Error in getCategories:", error);
-              resolve([]);
+              reject(error);
             }
           });
         },
 
         /**
-         * Adds a category
-         * @param {Object} category - Category object with name and optional color/icon
-         * @returns {Promise<Object>} Promise that resolves to added category with ID
+         * Deletes a cost item and its attachments
+         * @param {number} id - The cost item ID
+         * @returns {Promise<void>} Promise that resolves when deletion is complete
          */
-        addCategory: function (category) {
+        deleteCost: function (id) {
           return new Promise(function (resolve, reject) {
-            try {
-              if (!db.objectStoreNames.contains("categories")) {
-                reject(
-                  new Error(
-                    "Categories object store does not exist. Please refresh the page to initialize the database."
-                  )
-                );
-                return;
-              }
-
-              const transaction = db.transaction(["categories"], "readwrite");
-              const store = transaction.objectStore("categories");
-              const request = store.add(category);
+            const transaction = db.transaction(withAttachments(db, withSearchIndex(db, ["costs"])), "readwrite");
+            const store = transaction.objectStore("costs");
+            store.delete(id);
+            unindexCost(transaction, id);
+            deleteAttachments(transaction, id);
 
-              request.onsuccess = function () {
-                const newCategory = {
-                  ...category,
-                  id: request.result,
-                };
-                resolve(newCategory);
-              };
+            transaction.oncomplete = function () {
+              resolve();
+            };
 
-              request.onerror = function () {
-                reject(request.error);
-              };
-            } catch (error) {
-              reject(error);
-            }
+            transaction.onerror = function () {
+              reject(transaction.error);
+            };
           });
         },
 
         /**
-         * Updates a category
-         * @param {number} id - The category ID
-         * @param {Object} category - Partial category object with fields to update
-         * @returns {Promise<Object>} Promise that resolves to updated category
+         * Applies the same changes to several cost items in one transaction
+         * @param {number[]} ids - The cost item IDs
+         * @param {Object} changes - Fields to update, e.g. { category } or { currency }
+         * @returns {Promise<number>} Promise that resolves to the number of updated items
          */
-        updateCategory: function (id, category) {
+        updateCosts: function (ids, changes) {
           return new Promise(function (resolve, reject) {
-            const transaction = db.transaction(["categories"], "readwrite");
-            const store = transaction.objectStore("categories");
-            const getRequest = store.get(id);
+            const transaction = db.transaction(withSearchIndex(db, ["costs"]), "readwrite");
+            const store = transaction.objectStore("costs");
+            let updatedCount = 0;
+
+            ids.forEach(function (id) {
+              const getRequest = store.get(id);
+              getRequest.onsuccess = function () {
+                if (getRequest.result) {
+                  // A new category applies to the whole payment, replacing any split lines
+                  const updated = withSplitFields({
+                    ...getRequest.result,
+                    ...changes,
+                    ...(changes.category !== undefined && { splits: null }),
+                    id: getRequest.result.id,
+                  });
+                  store.put(updated);
+                  indexCost(transaction, updated);
+                  updatedCount++;
+                }
+              };
+            });
 
-            getRequest.onsuccess = function () {
-              const existing = getRequest.result;
-              if (!existing) {
-                reject(new Error("Category not found"));
-                return;
-              }
+            transaction.oncomplete = function () {
+              resolve(updatedCount);
+            };
 
-              const updated = {
+            transaction.onerror = function () {
+              reject(transaction.error);
+            };
+          });
+        },
+
+        /**
+         * Deletes several cost items and their attachments in one transaction
+         * @param {number[]} ids - The cost item IDs
+         * @returns {Promise<Array>} Promise that resolves to the deleted items, which can be passed to restoreCosts;
+         * items that had attachments carry them in `attachments`
+         */
+        deleteCosts: function (ids) {
+          return new Promise(function (resolve, reject) {
+            const transaction = db.transaction(withAttachments(db, withSearchIndex(db, ["costs"])), "readwrite");
+            const store = transaction.objectStore("costs");
+            const deleted = [];
+
+            ids.forEach(function (id) {
+              const getRequest = store.get(id);
+              getRequest.onsuccess = function () {
+                if (getRequest.result) {
+                  const item = getRequest.result;
+                  deleted.push(item);
+                  store.delete(id);
+                  unindexCost(transaction, id);
+                  deleteAttachments(transaction, id, function (attachments) {
+                    if (attachments.length > 0) item.attachments = attachments;
+                  });
+                }
+              };
+            });
+
+            transaction.oncomplete = function () {
+              resolve(deleted);
+            };
+
+            transaction.onerror = function () {
+              reject(transaction.error);
+            };
+          });
+        },
+
+        /**
+         * Puts previously deleted cost items and their attachments back with their original IDs
+         * @param {Array} costs - Cost items returned by deleteCosts
+         * @returns {Promise<void>} Promise that resolves when the items are restored
+         */
+        restoreCosts: function (costs) {
+          return new Promise(function (resolve, reject) {
+            const transaction = db.transaction(withAttachments(db, withSearchIndex(db, ["costs"])), "readwrite");
+            const store = transaction.objectStore("costs");
+
+            costs.forEach(function (item) {
+              const { attachments, ...cost } = item;
+              store.put(cost);
+              indexCost(transaction, cost);
+              if (attachments && transaction.objectStoreNames.contains("attachments")) {
+                attachments.forEach(function (attachment) {
+                  transaction.objectStore("attachments").put(attachment);
+                });
+              }
+            });
+
+            transaction.oncomplete = function () {
+              resolve();
+            };
+
+            transaction.onerror = function () {
+              reject(transaction.error);
+            };
+          });
+        },
+
+        /**
+         * Adds many cost items in a single transaction, tagged with an import batch
+         * Either every item is added or none are
+         * @param {Array<Object>} costs - Cost objects as accepted by addCost
+         * @param {Object} batch - Batch info with id, fileName and format
+         * @returns {Promise<Object>} Promise that resolves to the saved batch with its count and importedAt
+         */
+        importCosts: function (costs, batch) {
+          return new Promise(function (resolve, reject) {
+            try {
+              if (!db.objectStoreNames.contains("import_batches")) {
+                reject(
+                  new Error(
+                    "Import batches object store does not exist. Please refresh the page to initialize the database."
+                  )
+                );
+                return;
+              }
+
+              const items = costs.map(function (cost) {
+                const date = toDateStructure(cost.date);
+                return {
+                  sum: cost.sum,
+                  currency: cost.currency,
+                  category: cost.category,
+                  description: cost.description,
+                  type: cost.type || 'expense',
+                  date: date,
+                  dateKey: toDateKey(date),
+                  importBatchId: batch.id,
+                  ...(cost.accountId && { accountId: cost.accountId }),
+                };
+              });
+
+              const savedBatch = {
+                ...batch,
+                count: items.length,
+                importedAt: new Date().toISOString(),
+              };
+
+              const transaction = db.transaction(withSearchIndex(db, ["costs", "accounts", "import_batches"]), "readwrite");
+              withFirstAccount(transaction, items, function (accountItems) {
+                accountItems.forEach(function (item) {
+                  addIndexedCost(transaction, item);
+                });
+              });
+              transaction.objectStore("import_batches").put(savedBatch);
+
+              transaction.oncomplete = function () {
+                resolve(savedBatch);
+              };
+
+              transaction.onerror = function () {
+                reject(transaction.error);
+              };
+            } catch (error) {
+              reject(error);
+            }
+          });
+        },
+
+        /**
+         * Gets the import batches, newest first
+         * @returns {Promise<Array>} Promise that resolves to array of import batches
+         */
+        getImportBatches: function () {
+          return new Promise(function (resolve, reject) {
+            try {
+              if (!db.objectStoreNames.contains("import_batches")) {
+                resolve([]);
+                return;
+              }
+
+              const transaction = db.transaction(["import_batches"], "readonly");
+              const request = transaction.objectStore("import_batches").getAll();
+
+              request.onsuccess = function () {
+                resolve(
+                  request.result.sort(function (a, b) {
+                    return b.importedAt.localeCompare(a.importedAt);
+                  })
+                );
+              };
+
+              request.onerror = function () {
+                reject(request.error);
+              };
+            } catch (error) {
+              reject(error);
+            }
+          });
+        },
+
+        /**
+         * Removes every cost item added by an import batch with its attachments, and the batch itself
+         * @param {string} batchId - The import batch ID
+         * @returns {Promise<number>} Promise that resolves to the number of removed cost items
+         */
+        undoImport: function (batchId) {
+          return new Promise(function (resolve, reject) {
+            try {
+              const transaction = db.transaction(
+                withAttachments(db, withSearchIndex(db, ["costs", "import_batches"])),
+                "readwrite"
+              );
+              const request = transaction
+                .objectStore("costs")
+                .index("importBatchId")
+                .openCursor(IDBKeyRange.only(batchId));
+              let removed = 0;
+
+              request.onsuccess = function () {
+                const cursor = request.result;
+                if (cursor) {
+                  unindexCost(transaction, cursor.primaryKey);
+                  deleteAttachments(transaction, cursor.primaryKey);
+                  cursor.delete();
+                  removed++;
+                  cursor.continue();
+                }
+              };
+
+              transaction.objectStore("import_batches").delete(batchId);
+
+              transaction.oncomplete = function () {
+                resolve(removed);
+              };
+
+              transaction.onerror = function () {
+                reject(transaction.error);
+              };
+            } catch (error) {
+              reject(error);
+            }
+          });
+        },
+
+        /**
+         * Gets all categories
+         * @returns {Promise<Array>} Promise that resolves to array of categories
+         */
+        getCategories: function () {
+          return new Promise(function (resolve, reject) {
+            try {
+              // Check if object store exists
+              if (!db.objectStoreNames.contains("categories")) {
+                // Object store doesn't exist yet, return empty array
+                resolve([]);
+                return;
+              }
+
+              const transaction = db.transaction(["categories"], "readonly");
+              const store = transaction.objectStore("categories");
+              const request = store.getAll();
+
+              request.onsuccess = function () {
+                const result = request.result;
+                resolve(Array.isArray(result) ? result : []);
+              };
+
+              request.onerror = function () {
+                // If error occurs, return empty array instead of rejecting
+                console.warn("Error loading categories:", request.error);
+                resolve([]);
+              };
+            } catch (error) {
+              // If any error occurs, return empty array
+              console.warn("Error in getCategories:", error);
+              resolve([]);
+            }
+          });
+        },
+
+        /**
+         * Adds a category
+         * @param {Object} category - Category object with name and optional color/icon
+         * @returns {Promise<Object>} Promise that resolves to added category with ID
+         */
+        addCategory: function (category) {
+          return new Promise(function (resolve, reject) {
+            try {
+              if (!db.objectStoreNames.contains("categories")) {
+                reject(
+                  new Error(
+                    "Categories object store does not exist. Please refresh the page to initialize the database."
+                  )
+                );
+                return;
+              }
+
+              const transaction = db.transaction(["categories"], "readwrite");
+              const store = transaction.objectStore("categories");
+              const request = store.add(category);
+
+              request.onsuccess = function () {
+                const newCategory = {
+                  ...category,
+                  id: request.result,
+                };
+                resolve(newCategory);
+              };
+
+              request.onerror = function () {
+                reject(request.error);
+              };
+            } catch (error) {
+              reject(error);
+            }
+          });
+        },
+
+        /**
+         * Updates a category
+         * @param {number} id - The category ID
+         * @param {Object} category - Partial category object with fields to update
+         * @returns {Promise<Object>} Promise that resolves to updated category
+         */
+        updateCategory: function (id, category) {
+          return new Promise(function (resolve, reject) {
+            const transaction = db.transaction(["categories"], "readwrite");
+            const store = transaction.objectStore("categories");
+            const getRequest = store.get(id);
+
+            getRequest.onsuccess = function () {
+              const existing = getRequest.result;
+              if (!existing) {
+                reject(new Error("Category not found"));
+                return;
+              }
+
+              const updated = {
                 ...existing,
                 ...category,
                 id: existing.id,
@@ -557,6 +1222,7 @@ export function openCostsDB(databaseName, databaseVersion) {
 
         /**
          * Deletes a category
+         * Its subcategories move up to the deleted category's parent
          * @param {number} id - The category ID
          * @returns {Promise<void>} Promise that resolves when deletion is complete
          */
@@ -564,20 +1230,35 @@ export function openCostsDB(databaseName, databaseVersion) {
           return new Promise(function (resolve, reject) {
             const transaction = db.transaction(["categories"], "readwrite");
             const store = transaction.objectStore("categories");
-            const request = store.delete(id);
+            const request = store.getAll();
 
             request.onsuccess = function () {
+              const deleted = request.result.find(function (category) {
+                return category.id === id;
+              });
+              const parentId = deleted && deleted.parentId ? deleted.parentId : null;
+
+              request.result.forEach(function (category) {
+                if (category.parentId === id) {
+                  store.put({ ...category, parentId: parentId });
+                }
+              });
+              store.delete(id);
+            };
+
+            transaction.oncomplete = function () {
               resolve();
             };
 
-            request.onerror = function () {
-              reject(request.error);
+            transaction.onerror = function () {
+              reject(transaction.error);
             };
           });
         },
 
         /**
          * Gets budget
+         * Category budgets are matched by month as well; pass no month for a whole-year category budget
          * @param {number} year - The year
          * @param {number} [month] - Optional month (1-12)
          * @param {string} [category] - Optional category name
@@ -597,7 +1278,8 @@ export function openCostsDB(databaseName, databaseVersion) {
                   if (
                     category &&
                     budget.category === category &&
-                    budget.type === "category"
+                    budget.type === "category" &&
+                    (budget.month || null) === (month || null)
                   ) {
                     resolve(budget);
                     return;
@@ -699,6 +1381,69 @@ export function openCostsDB(databaseName, databaseVersion) {
           });
         },
 
+        /**
+         * Updates a budget
+         * @param {number} id - The budget ID
+         * @param {Object} budget - Fields to update, e.g. amount or rollover
+         * @returns {Promise<Object>} Promise that resolves to updated budget
+         */
+        updateBudget: function (id, budget) {
+          return new Promise(function (resolve, reject) {
+            const transaction = db.transaction(["budgets"], "readwrite");
+            const store = transaction.objectStore("budgets");
+            const getRequest = store.get(id);
+
+            getRequest.onsuccess = function () {
+              const existing = getRequest.result;
+              if (!existing) {
+                reject(new Error("Budget not found"));
+                return;
+              }
+
+              const updated = {
+                ...existing,
+                ...budget,
+                id: existing.id,
+              };
+
+              const updateRequest = store.put(updated);
+
+              updateRequest.onsuccess = function () {
+                resolve(updated);
+              };
+
+              updateRequest.onerror = function () {
+                reject(updateRequest.error);
+              };
+            };
+
+            getRequest.onerror = function () {
+              reject(getRequest.error);
+            };
+          });
+        },
+
+        /**
+         * Deletes a budget
+         * @param {number} id - The budget ID
+         * @returns {Promise<void>} Promise that resolves when deletion is complete
+         */
+        deleteBudget: function (id) {
+          return new Promise(function (resolve, reject) {
+            const transaction = db.transaction(["budgets"], "readwrite");
+            const store = transaction.objectStore("budgets");
+            const request = store.delete(id);
+
+            request.onsuccess = function () {
+              resolve();
+            };
+
+            request.onerror = function () {
+              reject(request.error);
+            };
+          });
+        },
+
         /**
          * Gets all savings goals
          * @returns {Promise<Array>} Promise that resolves to array of savings goals
@@ -841,7 +1586,1081 @@ export function openCostsDB(databaseName, databaseVersion) {
             };
           });
         },
-      };
+
+        /**
+         * Moves savings from one goal to another in a single transaction
+         * Records a withdrawal from the source and a deposit to the target, so both goals
+         * keep an accurate history; a missing goal ID stands for the unassigned savings.
+         * Both transactions are in the first account.
+         * @param {Object} move - Move details
+         * @param {number|null} move.fromGoalId - Goal the money is taken from, null for unassigned savings
+         * @param {number|null} move.toGoalId - Goal the money is added to, null for unassigned savings
+         * @param {number} move.sum - Amount to move
+         * @param {string} move.currency - Currency of the amount
+         * @param {string} move.category - Category of both transactions
+         * @param {string} move.description - Description of both transactions
+         * @param {Date|string|Object} [move.date] - Date of the move, defaults to now
+         * @returns {Promise<void>} Promise that resolves when both transactions are saved
+         */
+        moveSavings: function (move) {
+          return new Promise(function (resolve, reject) {
+            try {
+              if (move.fromGoalId === move.toGoalId) {
+                reject(new Error("Savings must be moved between two different goals"));
+                return;
+              }
+
+              const date = toDateStructure(move.date);
+              const base = {
+                sum: move.sum,
+                currency: move.currency,
+                category: move.category,
+                description: move.description,
+                date: date,
+                dateKey: toDateKey(date),
+              };
+
+              const transaction = db.transaction(withSearchIndex(db, ["costs", "accounts"]), "readwrite");
+              const costs = [
+                {
+                  ...base,
+                  type: "savings_withdrawal",
+                  ...(move.fromGoalId && { goalId: move.fromGoalId }),
+                },
+                {
+                  ...base,
+                  type: "savings_deposit",
+                  ...(move.toGoalId && { goalId: move.toGoalId }),
+                },
+              ];
+              withFirstAccount(transaction, costs, function (items) {
+                items.forEach(function (item) {
+                  addIndexedCost(transaction, item);
+                });
+              });
+
+              transaction.oncomplete = function () {
+                resolve();
+              };
+
+              transaction.onerror = function () {
+                reject(transaction.error);
+              };
+            } catch (error) {
+              reject(error);
+            }
+          });
+        },
+
+        /**
+         * Gets all recurring transaction rules
+         * @returns {Promise<Array>} Promise that resolves to array of recurring rules
+         */
+        getRecurringRules: function () {
+          return new Promise(function (resolve, reject) {
+            try {
+              if (!db.objectStoreNames.contains("recurring_rules")) {
+                resolve([]);
+                return;
+              }
+
+              const transaction = db.transaction(["recurring_rules"], "readonly");
+              const store = transaction.objectStore("recurring_rules");
+              const request = store.getAll();
+
+              request.onsuccess = function () {
+                resolve(request.result);
+              };
+
+              request.onerror = function () {
+                reject(request.error);
+              };
+            } catch (error) {
+              reject(error);
+            }
+          });
+        },
+
+        /**
+         * Adds a recurring transaction rule
+         * Occurrences are created by generateRecurringCosts, starting from the rule's start date
+         * @param {Object} rule - Rule with sum, currency, category, description, type, frequency, interval, startDate and end
+         * @returns {Promise<Object>} Promise that resolves to added rule with ID
+         */
+        addRecurringRule: function (rule) {
+          return new Promise(function (resolve, reject) {
+            try {
+              if (!db.objectStoreNames.contains("recurring_rules")) {
+                reject(
+                  new Error(
+                    "Recurring rules object store does not exist. Please refresh the page to initialize the database."
+                  )
+                );
+                return;
+              }
+
+              const newRule = {
+                ...rule,
+                paused: !!rule.paused,
+                exceptions: rule.exceptions || {},
+                lastGeneratedKey: rule.lastGeneratedKey || 0,
+              };
+
+              const transaction = db.transaction(["recurring_rules"], "readwrite");
+              const store = transaction.objectStore("recurring_rules");
+              const request = store.add(newRule);
+
+              request.onsuccess = function () {
+                resolve({
+                  ...newRule,
+                  id: request.result,
+                });
+              };
+
+              request.onerror = function () {
+                reject(request.error);
+              };
+            } catch (error) {
+              reject(error);
+            }
+          });
+        },
+
+        /**
+         * Updates a recurring transaction rule
+         * @param {number} id - The rule ID
+         * @param {Object} rule - Partial rule object with fields to update
+         * @returns {Promise<Object>} Promise that resolves to updated rule
+         */
+        updateRecurringRule: function (id, rule) {
+          return new Promise(function (resolve, reject) {
+            const transaction = db.transaction(["recurring_rules"], "readwrite");
+            const store = transaction.objectStore("recurring_rules");
+            const getRequest = store.get(id);
+
+            getRequest.onsuccess = function () {
+              const existing = getRequest.result;
+              if (!existing) {
+                reject(new Error("Recurring rule not found"));
+                return;
+              }
+
+              const updated = {
+                ...existing,
+                ...rule,
+                id: existing.id,
+              };
+
+              const updateRequest = store.put(updated);
+
+              updateRequest.onsuccess = function () {
+                resolve(updated);
+              };
+
+              updateRequest.onerror = function () {
+                reject(updateRequest.error);
+              };
+            };
+
+            getRequest.onerror = function () {
+              reject(getRequest.error);
+            };
+          });
+        },
+
+        /**
+         * Deletes a recurring transaction rule
+         * Costs already created from the rule are kept
+         * @param {number} id - The rule ID
+         * @returns {Promise<void>} Promise that resolves when deletion is complete
+         */
+        deleteRecurringRule: function (id) {
+          return new Promise(function (resolve, reject) {
+            const transaction = db.transaction(["recurring_rules"], "readwrite");
+            const store = transaction.objectStore("recurring_rules");
+            const request = store.delete(id);
+
+            request.onsuccess = function () {
+              resolve();
+            };
+
+            request.onerror = function () {
+              reject(request.error);
+            };
+          });
+        },
+
+        /**
+         * Creates the costs for all recurring occurrences due up to a date
+         * Runs in a single transaction and advances each rule's lastGeneratedKey,
+         * so calling it again (or from another tab) never creates an occurrence twice
+         * @param {number} todayKey - Last date to create occurrences for (YYYYMMDD)
+         * @returns {Promise<number>} Promise that resolves to the number of created costs
+         */
+        generateRecurringCosts: function (todayKey) {
+          return new Promise(function (resolve, reject) {
+            try {
+              if (!db.objectStoreNames.contains("recurring_rules")) {
+                resolve(0);
+                return;
+              }
+
+              const transaction = db.transaction(withSearchIndex(db, ["recurring_rules", "costs", "accounts"]), "readwrite");
+              const rulesStore = transaction.objectStore("recurring_rules");
+              const request = rulesStore.getAll();
+              const occurrences = [];
+
+              request.onsuccess = function () {
+                request.result.forEach(function (rule) {
+                  if (rule.paused) return;
+
+                  const fromKey = rule.lastGeneratedKey ? rule.lastGeneratedKey + 1 : 0;
+                  const keys = getOccurrences(rule, fromKey, todayKey);
+                  if (keys.length === 0) return;
+
+                  keys.forEach(function (key) {
+                    if (isSkippedOccurrence(rule, key)) return;
+
+                    const cost = buildOccurrenceCost(rule, key);
+                    const date = toDateStructure(cost.date);
+                    occurrences.push({
+                      ...cost,
+                      date: date,
+                      dateKey: toDateKey(date),
+                    });
+                  });
+
+                  // Occurrences that were skipped or edited are done with
+                  const exceptions = {};
+                  Object.keys(rule.exceptions || {}).forEach(function (key) {
+                    if (Number(key) > todayKey) {
+                      exceptions[key] = rule.exceptions[key];
+                    }
+                  });
+
+                  rulesStore.put({
+                    ...rule,
+                    exceptions: exceptions,
+                    lastGeneratedKey: keys[keys.length - 1],
+                  });
+                });
+
+                withFirstAccount(transaction, occurrences, function (items) {
+                  items.forEach(function (item) {
+                    addIndexedCost(transaction, item);
+                  });
+                });
+              };
+
+              transaction.oncomplete = function () {
+                resolve(occurrences.length);
+              };
+
+              transaction.onerror = function () {
+                reject(transaction.error);
+              };
+            } catch (error) {
+              reject(error);
+            }
+          });
+        },
+
+        /**
+         * Gets all saved filter presets
+         * @returns {Promise<Array>} Promise that resolves to array of filter presets
+         */
+        getFilterPresets: function () {
+          return new Promise(function (resolve, reject) {
+            try {
+              if (!db.objectStoreNames.contains("filter_presets")) {
+                resolve([]);
+                return;
+              }
+
+              const transaction = db.transaction(["filter_presets"], "readonly");
+              const store = transaction.objectStore("filter_presets");
+              const request = store.getAll();
+
+              request.onsuccess = function () {
+                resolve(request.result);
+              };
+
+              request.onerror = function () {
+                reject(request.error);
+              };
+            } catch (error) {
+              reject(error);
+            }
+          });
+        },
+
+        /**
+         * Saves a named set of advanced filter criteria
+         * @param {Object} preset - Preset with name, filters and pinned
+         * @returns {Promise<Object>} Promise that resolves to added preset with ID
+         */
+        addFilterPreset: function (preset) {
+          return new Promise(function (resolve, reject) {
+            try {
+              if (!db.objectStoreNames.contains("filter_presets")) {
+                reject(
+                  new Error(
+                    "Filter presets object store does not exist. Please refresh the page to initialize the database."
+                  )
+                );
+                return;
+              }
+
+              const newPreset = {
+                ...preset,
+                pinned: !!preset.pinned,
+                createdAt: new Date().toISOString(),
+              };
+
+              const transaction = db.transaction(["filter_presets"], "readwrite");
+              const store = transaction.objectStore("filter_presets");
+              const request = store.add(newPreset);
+
+              request.onsuccess = function () {
+                resolve({
+                  ...newPreset,
+                  id: request.result,
+                });
+              };
+
+              request.onerror = function () {
+                reject(request.error);
+              };
+            } catch (error) {
+              reject(error);
+            }
+          });
+        },
+
+        /**
+         * Updates a filter preset
+         * @param {number} id - The preset ID
+         * @param {Object} preset - Partial preset object with fields to update
+         * @returns {Promise<Object>} Promise that resolves to updated preset
+         */
+        updateFilterPreset: function (id, preset) {
+          return new Promise(function (resolve, reject) {
+            const transaction = db.transaction(["filter_presets"], "readwrite");
+            const store = transaction.objectStore("filter_presets");
+            const getRequest = store.get(id);
+
+            getRequest.onsuccess = function () {
+              const existing = getRequest.result;
+              if (!existing) {
+                reject(new Error("Filter preset not found"));
+                return;
+              }
+
+              const updated = {
+                ...existing,
+                ...preset,
+                id: existing.id,
+              };
+
+              const updateRequest = store.put(updated);
+
+              updateRequest.onsuccess = function () {
+                resolve(updated);
+              };
+
+              updateRequest.onerror = function () {
+                reject(updateRequest.error);
+              };
+            };
+
+            getRequest.onerror = function () {
+              reject(getRequest.error);
+            };
+          });
+        },
+
+        /**
+         * Deletes a filter preset
+         * @param {number} id - The preset ID
+         * @returns {Promise<void>} Promise that resolves when deletion is complete
+         */
+        deleteFilterPreset: function (id) {
+          return new Promise(function (resolve, reject) {
+            const transaction = db.transaction(["filter_presets"], "readwrite");
+            const store = transaction.objectStore("filter_presets");
+            const request = store.delete(id);
+
+            request.onsuccess = function () {
+              resolve();
+            };
+
+            request.onerror = function () {
+              reject(request.error);
+            };
+          });
+        },
+
+        /**
+         * Gets all accounts
+         * @returns {Promise<Array>} Promise that resolves to array of accounts
+         */
+        getAccounts: function () {
+          return new Promise(function (resolve, reject) {
+            try {
+              if (!db.objectStoreNames.contains("accounts")) {
+                resolve([]);
+                return;
+              }
+
+              const transaction = db.transaction(["accounts"], "readonly");
+              const store = transaction.objectStore("accounts");
+              const request = store.getAll();
+
+              request.onsuccess = function () {
+                resolve(request.result);
+              };
+
+              request.onerror = function () {
+                reject(request.error);
+              };
+            } catch (error) {
+              reject(error);
+            }
+          });
+        },
+
+        /**
+         * Adds an account
+         * @param {Object} account - Account with name, kind, currency and openingBalance
+         * @returns {Promise<Object>} Promise that resolves to added account with ID
+         */
+        addAccount: function (account) {
+          return new Promise(function (resolve, reject) {
+            try {
+              if (!db.objectStoreNames.contains("accounts")) {
+                reject(
+                  new Error(
+                    "Accounts object store does not exist. Please refresh the page to initialize the database."
+                  )
+                );
+                return;
+              }
+
+              const newAccount = {
+                ...account,
+                openingBalance: account.openingBalance || 0,
+                createdAt: new Date().toISOString(),
+              };
+
+              const transaction = db.transaction(["accounts"], "readwrite");
+              const store = transaction.objectStore("accounts");
+              const request = store.add(newAccount);
+
+              request.onsuccess = function () {
+                resolve({
+                  ...newAccount,
+                  id: request.result,
+                });
+              };
+
+              request.onerror = function () {
+                reject(request.error);
+              };
+            } catch (error) {
+              reject(error);
+            }
+          });
+        },
+
+        /**
+         * Updates an account
+         * @param {number} id - The account ID
+         * @param {Object} account - Partial account object with fields to update
+         * @returns {Promise<Object>} Promise that resolves to updated account
+         */
+        updateAccount: function (id, account) {
+          return new Promise(function (resolve, reject) {
+            const transaction = db.transaction(["accounts"], "readwrite");
+            const store = transaction.objectStore("accounts");
+            const getRequest = store.get(id);
+
+            getRequest.onsuccess = function () {
+              const existing = getRequest.result;
+              if (!existing) {
+                reject(new Error("Account not found"));
+                return;
+              }
+
+              const updated = {
+                ...existing,
+                ...account,
+                id: existing.id,
+              };
+
+              const updateRequest = store.put(updated);
+
+              updateRequest.onsuccess = function () {
+                resolve(updated);
+              };
+
+              updateRequest.onerror = function () {
+                reject(updateRequest.error);
+              };
+            };
+
+            getRequest.onerror = function () {
+              reject(getRequest.error);
+            };
+          });
+        },
+
+        /**
+         * Deletes an account that no transaction or recurring rule uses
+         * @param {number} id - The account ID
+         * @returns {Promise<void>} Promise that resolves when deletion is complete
+         */
+        deleteAccount: function (id) {
+          return new Promise(function (resolve, reject) {
+            const transaction = db.transaction(["accounts", "costs", "recurring_rules"], "readwrite");
+            const costsStore = transaction.objectStore("costs");
+            const rulesRequest = transaction.objectStore("recurring_rules").getAll();
+            const firstRequest = transaction.objectStore("accounts").getAllKeys(null, 1);
+            const usedRequest = costsStore.index("accountId").count(IDBKeyRange.only(id));
+            // Costs saved without an account are not in the accountId index; they belong to the first account
+            const allRequest = costsStore.count();
+            const withAccountRequest = costsStore.index("accountId").count();
+            const transfersRequest = costsStore.index("type").getAll(IDBKeyRange.only("transfer"));
+
+            transfersRequest.onsuccess = function () {
+              const unassigned = firstRequest.result[0] === id ? allRequest.result - withAccountRequest.result : 0;
+              const inUse =
+                usedRequest.result > 0 ||
+                unassigned > 0 ||
+                transfersRequest.result.some(cost => cost.toAccountId === id) ||
+                rulesRequest.result.some(rule => rule.accountId === id);
+              if (inUse) {
+                transaction.abort();
+                reject(new Error("Account has transactions"));
+                return;
+              }
+              transaction.objectStore("accounts").delete(id);
+            };
+
+            transaction.oncomplete = function () {
+              resolve();
+            };
+
+            transaction.onerror = function () {
+              reject(transaction.error);
+            };
+          });
+        },
+
+        /**
+         * Gets dated exchange rate snapshots covering a date range
+         * Includes the closest snapshot before the range and the first one after it
+         * @param {number} [startKey] - First date of the range (YYYYMMDD), omit for the whole history
+         * @param {number} [endKey] - Last date of the range (YYYYMMDD)
+         * @returns {Promise<Array>} Promise that resolves to array of snapshots sorted by date
+         */
+        getRatesHistory: function (startKey, endKey) {
+          return new Promise(function (resolve, reject) {
+            try {
+              if (!db.objectStoreNames.contains("rates")) {
+                resolve([]);
+                return;
+              }
+
+              const transaction = db.transaction(["rates"], "readonly");
+              const store = transaction.objectStore("rates");
+
+              if (startKey === undefined) {
+                const allRequest = store.getAll();
+                allRequest.onsuccess = function () {
+                  resolve(allRequest.result);
+                };
+                allRequest.onerror = function () {
+                  reject(allRequest.error);
+                };
+                return;
+              }
+
+              let before = null;
+              let inRange = [];
+              let after = null;
+
+              const beforeRequest = store.openCursor(IDBKeyRange.upperBound(startKey, true), "prev");
+              beforeRequest.onsuccess = function () {
+                before = beforeRequest.result ? beforeRequest.result.value : null;
+              };
+
+              const rangeRequest = store.getAll(IDBKeyRange.bound(startKey, endKey));
+              rangeRequest.onsuccess = function () {
+                inRange = rangeRequest.result;
+              };
+
+              const afterRequest = store.openCursor(IDBKeyRange.lowerBound(endKey, true));
+              afterRequest.onsuccess = function () {
+                after = afterRequest.result ? afterRequest.result.value : null;
+              };
+
+              transaction.oncomplete = function () {
+                resolve(
+                  [before].concat(inRange, [after]).filter(function (snapshot) {
+                    return snapshot !== null;
+                  })
+                );
+              };
+
+              transaction.onerror = function () {
+                reject(transaction.error);
+              };
+            } catch (error) {
+              reject(error);
+            }
+          });
+        },
+
+        /**
+         * Saves dated exchange rate snapshots, replacing any existing ones for the same dates
+         * @param {Array<{dateKey: number, rates: Object}>} snapshots - Snapshots to save
+         * @returns {Promise<number>} Promise that resolves to the number of saved snapshots
+         */
+        putRateSnapshots: function (snapshots) {
+          return new Promise(function (resolve, reject) {
+            try {
+              if (!db.objectStoreNames.contains("rates")) {
+                reject(
+                  new Error(
+                    "Rates object store does not exist. Please refresh the page to initialize the database."
+                  )
+                );
+                return;
+              }
+
+              const transaction = db.transaction(["rates"], "readwrite");
+              const store = transaction.objectStore("rates");
+
+              snapshots.forEach(function (snapshot) {
+                store.put({ dateKey: snapshot.dateKey, rates: snapshot.rates });
+              });
+
+              transaction.oncomplete = function () {
+                resolve(snapshots.length);
+              };
+
+              transaction.onerror = function () {
+                reject(transaction.error);
+              };
+            } catch (error) {
+              reject(error);
+            }
+          });
+        },
+
+        /**
+         * Gets a value from the settings store
+         * @param {string} key - The setting key
+         * @returns {Promise<*>} Promise that resolves to the stored value or null
+         */
+        getSetting: function (key) {
+          return new Promise(function (resolve, reject) {
+            try {
+              if (!db.objectStoreNames.contains("settings")) {
+                resolve(null);
+                return;
+              }
+
+              const transaction = db.transaction(["settings"], "readonly");
+              const store = transaction.objectStore("settings");
+              const request = store.get(key);
+
+              request.onsuccess = function () {
+                resolve(request.result ? request.result.value : null);
+              };
+
+              request.onerror = function () {
+                reject(request.error);
+              };
+            } catch (error) {
+              reject(error);
+            }
+          });
+        },
+
+        /**
+         * Saves a value in the settings store
+         * @param {string} key - The setting key
+         * @param {*} value - Any structured-cloneable value
+         * @returns {Promise<*>} Promise that resolves to the saved value
+         */
+        setSetting: function (key, value) {
+          return new Promise(function (resolve, reject) {
+            try {
+              if (!db.objectStoreNames.contains("settings")) {
+                reject(
+                  new Error(
+                    "Settings object store does not exist. Please refresh the page to initialize the database."
+                  )
+                );
+                return;
+              }
+
+              const transaction = db.transaction(["settings"], "readwrite");
+              const store = transaction.objectStore("settings");
+              const request = store.put({ key: key, value: value });
+
+              request.onsuccess = function () {
+                resolve(value);
+              };
+
+              request.onerror = function () {
+                reject(request.error);
+              };
+            } catch (error) {
+              reject(error);
+            }
+          });
+        },
+
+        /**
+         * Gets the attachments of a cost item
+         * @param {number} costId - The cost item ID
+         * @returns {Promise<Array>} Promise that resolves to the attachments, oldest first
+         */
+        getAttachments: function (costId) {
+          return new Promise(function (resolve, reject) {
+            try {
+              if (!db.objectStoreNames.contains("attachments")) {
+                resolve([]);
+                return;
+              }
+
+              const transaction = db.transaction(["attachments"], "readonly");
+              const request = transaction.objectStore("attachments").index("costId").getAll(IDBKeyRange.only(costId));
+
+              request.onsuccess = function () {
+                resolve(request.result);
+              };
+
+              request.onerror = function () {
+                reject(request.error);
+              };
+            } catch (error) {
+              reject(error);
+            }
+          });
+        },
+
+        /**
+         * Counts the attachments of every cost item, reading only the costId index
+         * @returns {Promise<Object.<number, number>>} Promise that resolves to the number of attachments by cost ID
+         */
+        getAttachmentCounts: function () {
+          return new Promise(function (resolve, reject) {
+            try {
+              if (!db.objectStoreNames.contains("attachments")) {
+                resolve({});
+                return;
+              }
+
+              const counts = {};
+              const transaction = db.transaction(["attachments"], "readonly");
+              const request = transaction.objectStore("attachments").index("costId").openKeyCursor();
+
+              request.onsuccess = function () {
+                const cursor = request.result;
+                if (cursor) {
+                  counts[cursor.key] = (counts[cursor.key] || 0) + 1;
+                  cursor.continue();
+                } else {
+                  resolve(counts);
+                }
+              };
+
+              request.onerror = function () {
+                reject(request.error);
+              };
+            } catch (error) {
+              reject(error);
+            }
+          });
+        },
+
+        /**
+         * Adds up the number and size of all attachments
+         * @returns {Promise<{count: number, bytes: number}>} Promise that resolves to the count and the total size in bytes
+         */
+        getAttachmentsUsage: function () {
+          return new Promise(function (resolve, reject) {
+            try {
+              if (!db.objectStoreNames.contains("attachments")) {
+                resolve({ count: 0, bytes: 0 });
+                return;
+              }
+
+              const usage = { count: 0, bytes: 0 };
+              const transaction = db.transaction(["attachments"], "readonly");
+              const request = transaction.objectStore("attachments").openCursor();
+
+              request.onsuccess = function () {
+                const cursor = request.result;
+                if (cursor) {
+                  const attachment = cursor.value;
+                  usage.count++;
+                  usage.bytes += attachment.size + (attachment.thumbnail ? attachment.thumbnail.size : 0);
+                  cursor.continue();
+                } else {
+                  resolve(usage);
+                }
+              };
+
+              request.onerror = function () {
+                reject(request.error);
+              };
+            } catch (error) {
+              reject(error);
+            }
+          });
+        },
+
+        /**
+         * Attaches a file to a cost item
+         * @param {Object} attachment - Attachment with costId, name, type, size, blob and thumbnail, as built by buildAttachment
+         * @returns {Promise<Object>} Promise that resolves to the added attachment with ID
+         */
+        addAttachment: function (attachment) {
+          return new Promise(function (resolve, reject) {
+            try {
+              if (!db.objectStoreNames.contains("attachments")) {
+                reject(
+                  new Error(
+                    "Attachments object store does not exist. Please refresh the page to initialize the database."
+                  )
+                );
+                return;
+              }
+
+              const newAttachment = {
+                ...attachment,
+                createdAt: new Date().toISOString(),
+              };
+
+              const transaction = db.transaction(["attachments"], "readwrite");
+              const request = transaction.objectStore("attachments").add(newAttachment);
+
+              request.onsuccess = function () {
+                resolve({
+                  ...newAttachment,
+                  id: request.result,
+                });
+              };
+
+              request.onerror = function () {
+                reject(request.error);
+              };
+            } catch (error) {
+              reject(error);
+            }
+          });
+        },
+
+        /**
+         * Deletes an attachment
+         * @param {number} id - The attachment ID
+         * @returns {Promise<void>} Promise that resolves when deletion is complete
+         */
+        deleteAttachment: function (id) {
+          return new Promise(function (resolve, reject) {
+            const transaction = db.transaction(["attachments"], "readwrite");
+            const request = transaction.objectStore("attachments").delete(id);
+
+            request.onsuccess = function () {
+              resolve();
+            };
+
+            request.onerror = function () {
+              reject(request.error);
+            };
+          });
+        },
+
+        /**
+         * Reads every record of every backed-up store in a single transaction
+         * @returns {Promise<Object>} Promise that resolves to an object mapping store names to arrays of records
+         */
+        exportAllData: function () {
+          return new Promise(function (resolve, reject) {
+            try {
+              const storeNames = BACKUP_STORES.filter(function (name) {
+                return db.objectStoreNames.contains(name);
+              });
+              const data = {};
+              const transaction = db.transaction(storeNames, "readonly");
+
+              storeNames.forEach(function (name) {
+                const request = transaction.objectStore(name).getAll();
+                request.onsuccess = function () {
+                  data[name] = request.result;
+                };
+              });
+
+              transaction.oncomplete = function () {
+                BACKUP_STORES.forEach(function (name) {
+                  data[name] = data[name] || [];
+                });
+                resolve(data);
+              };
+
+              transaction.onerror = function () {
+                reject(transaction.error);
+              };
+            } catch (error) {
+              reject(error);
+            }
+          });
+        },
+
+        /**
+         * Writes backed-up records in a single transaction, so a failed restore changes nothing
+         * "replace" clears each store and keeps the backup IDs.
+         * "merge" keeps existing records, adds backup records that don't match one (see mergeKey)
+         * under new IDs and points references such as recurringRuleId at the new IDs.
+         * @param {Object} data - Object mapping store names to arrays of records, as returned by exportAllData
+         * @param {('merge'|'replace')} mode - Restore mode
+         * @returns {Promise<Object>} Promise that resolves to the number of records written per store
+         */
+        restoreAllData: function (data, mode) {
+          return new Promise(function (resolve, reject) {
+            try {
+              const storeNames = BACKUP_STORES.filter(function (name) {
+                return db.objectStoreNames.contains(name);
+              });
+              const transaction = db.transaction(withSearchIndex(db, storeNames), "readwrite");
+              const counts = {};
+              // Backup ID -> local ID, per store
+              const idMaps = {};
+
+              const remapReferences = function (name, item) {
+                const references = BACKUP_REFERENCES[name];
+                if (mode !== "merge" || !references) return item;
+
+                const remapped = { ...item };
+                Object.keys(references).forEach(function (field) {
+                  const map = idMaps[references[field]] || {};
+                  if (remapped[field] !== undefined && map[remapped[field]] !== undefined) {
+                    remapped[field] = map[remapped[field]];
+                  }
+                });
+                return remapped;
+              };
+
+              // References within a store, such as a category's parentId, point at records of the
+              // same backup, so they are remapped once the whole store has been added
+              const remapOwnReferences = function (name, store, added) {
+                const references = BACKUP_REFERENCES[name] || {};
+                const map = idMaps[name];
+                Object.keys(references).forEach(function (field) {
+                  if (references[field] !== name) return;
+                  added.forEach(function (item) {
+                    if (item[field] !== undefined && item[field] !== null && map[item[field]] !== undefined) {
+                      store.put({ ...item, [field]: map[item[field]] });
+                    }
+                  });
+                });
+              };
+
+              const restoreStore = function (index) {
+                if (index >= storeNames.length) {
+                  // The index is derived from the costs, so it is rebuilt rather than backed up
+                  if (transaction.objectStoreNames.contains("search_index")) {
+                    rebuildSearchIndex(transaction);
+                  }
+                  return;
+                }
+
+                const name = storeNames[index];
+                const store = transaction.objectStore(name);
+                const items = (data[name] || []).map(function (item) {
+                  return remapReferences(name, item);
+                });
+                counts[name] = 0;
+
+                if (mode === "replace") {
+                  store.clear();
+                  items.forEach(function (item) {
+                    store.put(item);
+                  });
+                  counts[name] = items.length;
+                  restoreStore(index + 1);
+                  return;
+                }
+
+                const existingRequest = store.getAll();
+                existingRequest.onsuccess = function () {
+                  // Each existing record can match one backup record, so repeated
+                  // identical transactions in the backup are still added
+                  const existing = {};
+                  existingRequest.result.forEach(function (item) {
+                    const key = mergeKey(name, item);
+                    (existing[key] = existing[key] || []).push(item[store.keyPath]);
+                  });
+
+                  const map = (idMaps[name] = {});
+                  const added = [];
+                  let pending = items.length;
+                  const done = function () {
+                    pending--;
+                    if (pending === 0) {
+                      remapOwnReferences(name, store, added);
+                      restoreStore(index + 1);
+                    }
+                  };
+                  if (pending === 0) {
+                    restoreStore(index + 1);
+                    return;
+                  }
+
+                  items.forEach(function (item) {
+                    const matches = existing[mergeKey(name, item)];
+                    if (matches && matches.length > 0) {
+                      map[item[store.keyPath]] = matches.shift();
+                      done();
+                      return;
+                    }
+
+                    counts[name]++;
+                    if (store.autoIncrement) {
+                      const { [store.keyPath]: backupId, ...record } = item;
+                      const request = store.add(record);
+                      request.onsuccess = function () {
+                        map[backupId] = request.result;
+                        added.push({ ...record, [store.keyPath]: request.result });
+                        done();
+                      };
+                    } else {
+                      store.put(item);
+                      done();
+                    }
+                  });
+                };
+              };
+
+              restoreStore(0);
+
+              transaction.oncomplete = function () {
+                resolve(counts);
+              };
+
+              transaction.onerror = function () {
+                reject(transaction.error);
+              };
+            } catch (error) {
+              reject(error);
+            }
+          });
+        },
+      };
 
       resolve(dbObject);
     };
@@ -854,24 +2673,62 @@ export function openCostsDB(databaseName, databaseVersion) {
       if (!transaction) return;
 
       // Create object stores if they don't exist
+      let costsStore;
       if (!db.objectStoreNames.contains("costs")) {
-        db.createObjectStore("costs", { keyPath: "id", autoIncrement: true });
-      } else if (oldVersion < 3) {
-        // Migrate existing costs to add type field
-        const costsStore = transaction.objectStore("costs");
-        const request = costsStore.openCursor();
-        
-        request.onsuccess = function (event) {
-          const cursor = event.target.result;
-          if (cursor) {
-            const value = cursor.value;
-            if (!value.type) {
-              value.type = 'expense';
+        costsStore = db.createObjectStore("costs", { keyPath: "id", autoIncrement: true });
+      } else {
+        costsStore = transaction.objectStore("costs");
+
+        if (oldVersion < 12) {
+          // Migrate existing costs: add the type field (v3), the flat dateKey (v4), ISO currency
+          // codes (v11) and the first account (v12)
+          const request = costsStore.openCursor();
+
+          request.onsuccess = function (event) {
+            const cursor = event.target.result;
+            if (cursor) {
+              const value = withIsoCurrencyCodes("costs", cursor.value);
+              if (!value.type) {
+                value.type = 'expense';
+              }
+              if (value.date) {
+                value.dateKey = toDateKey(value.date);
+              }
+              if (!value.accountId) {
+                value.accountId = DEFAULT_ACCOUNT.id;
+              }
               cursor.update(value);
+              cursor.continue();
             }
-            cursor.continue();
-          }
-        };
+          };
+        }
+      }
+
+      // Indexes used for range queries instead of full-store scans (v4)
+      if (!costsStore.indexNames.contains("dateKey")) {
+        costsStore.createIndex("dateKey", "dateKey", { unique: false });
+      }
+      if (!costsStore.indexNames.contains("type")) {
+        costsStore.createIndex("type", "type", { unique: false });
+      }
+      if (!costsStore.indexNames.contains("category")) {
+        costsStore.createIndex("category", "category", { unique: false });
+      }
+      // Lets an import be undone without scanning every cost (v8)
+      if (!costsStore.indexNames.contains("importBatchId")) {
+        costsStore.createIndex("importBatchId", "importBatchId", { unique: false });
+      }
+      // Transactions of one account (v12)
+      if (!costsStore.indexNames.contains("accountId")) {
+        costsStore.createIndex("accountId", "accountId", { unique: false });
+      }
+      // Every category of a split transaction (v13)
+      if (!costsStore.indexNames.contains("splitCategories")) {
+        costsStore.createIndex("splitCategories", "splitCategories", { unique: false, multiEntry: true });
+      }
+      // Free-form tags of a transaction (v14)
+      if (!costsStore.indexNames.contains("tags")) {
+        costsStore.createIndex("tags", "tags", { unique: false, multiEntry: true });
       }
 
       if (!db.objectStoreNames.contains("categories")) {
@@ -888,6 +2745,57 @@ export function openCostsDB(databaseName, databaseVersion) {
       if (!db.objectStoreNames.contains("savings_goals")) {
         db.createObjectStore("savings_goals", { keyPath: "id", autoIncrement: true });
       }
+
+      // Key-value store for app data such as the cached exchange rates (v5)
+      if (!db.objectStoreNames.contains("settings")) {
+        db.createObjectStore("settings", { keyPath: "key" });
+      }
+
+      // Dated exchange rate snapshots keyed by YYYYMMDD (v6)
+      if (!db.objectStoreNames.contains("rates")) {
+        db.createObjectStore("rates", { keyPath: "dateKey" });
+      }
+
+      // Schedules for recurring transactions such as rent or salary (v7)
+      if (!db.objectStoreNames.contains("recurring_rules")) {
+        db.createObjectStore("recurring_rules", { keyPath: "id", autoIncrement: true });
+      }
+
+      // Bank statement imports that can be undone (v8)
+      if (!db.objectStoreNames.contains("import_batches")) {
+        db.createObjectStore("import_batches", { keyPath: "id" });
+      }
+
+      // Search tokens of each cost, for the global search (v9)
+      if (!db.objectStoreNames.contains("search_index")) {
+        const searchStore = db.createObjectStore("search_index", { keyPath: "costId" });
+        searchStore.createIndex("tokens", "tokens", { unique: false, multiEntry: true });
+        rebuildSearchIndex(transaction);
+      }
+
+      // Named advanced filter criteria, optionally pinned to the dashboard (v10)
+      if (!db.objectStoreNames.contains("filter_presets")) {
+        db.createObjectStore("filter_presets", { keyPath: "id", autoIncrement: true });
+      }
+
+      // Accounts that costs are paid from or into, starting with the one existing costs belong to (v12)
+      if (!db.objectStoreNames.contains("accounts")) {
+        const accountsStore = db.createObjectStore("accounts", { keyPath: "id", autoIncrement: true });
+        accountsStore.add({ ...DEFAULT_ACCOUNT, createdAt: new Date().toISOString() });
+      }
+
+      // Receipts and documents attached to costs, stored as Blobs (v15)
+      if (!db.objectStoreNames.contains("attachments")) {
+        const attachmentsStore = db.createObjectStore("attachments", { keyPath: "id", autoIncrement: true });
+        attachmentsStore.createIndex("costId", "costId", { unique: false });
+      }
+
+      // ISO currency codes: the legacy EURO becomes EUR (v11)
+      if (oldVersion > 0 && oldVersion < 11) {
+        ["budgets", "savings_goals", "recurring_rules", "rates", "settings", "filter_presets"].forEach(function (name) {
+          migrateRecords(transaction.objectStore(name), name);
+        });
+      }
     };
   });
 }
@@ -0,0 +1,261 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * idb-react.test.js - Indexed cost queries and the schema upgrade that adds their indexes
+ * Runs on fake-indexeddb. With several years of seeded costs, each indexed query must return the
+ * same rows as reading every cost and filtering; their timings are logged for comparison.
+ */
+
+import 'fake-indexeddb/auto';
+import { performance } from 'perf_hooks';
+import { openCostsDB, DB_VERSION } from './idb-react';
+
+// The exchange rate settings are read from localStorage, which the node environment does not have
+const storage = {};
+global.localStorage = {
+  getItem: key => (key in storage ? storage[key] : null),
+  setItem: (key, value) => { storage[key] = String(value); },
+  removeItem: key => { delete storage[key]; },
+};
+// Reports convert through the rates lookup; manual rates keep it off the network
+localStorage.setItem('exchangeRateProvider', 'manual');
+localStorage.setItem('manualExchangeRates', JSON.stringify({ USD: 1, EUR: 0.9 }));
+
+const CATEGORIES = ['Groceries', 'Rent', 'Transport', 'Restaurants', 'Utilities', 'Health', 'Clothing', 'Gifts', 'Travel', 'Salary'];
+const YEARS = [2022, 2023, 2024];
+const COSTS_PER_MONTH = 60;
+// Each query is timed over several runs so one slow run does not skew the logged timings
+const RUNS = 5;
+
+/**
+ * Builds the seeded costs: every month of every year gets the same spread of days and categories
+ * @returns {Object[]} Costs as accepted by importCosts
+ */
+function buildSeedCosts() {
+  const costs = [];
+  YEARS.forEach(function(year) {
+    for (let month = 1; month <= 12; month++) {
+      for (let i = 0; i < COSTS_PER_MONTH; i++) {
+        const category = CATEGORIES[i % CATEGORIES.length];
+        costs.push({
+          sum: 5 + (i * 7) % 200,
+          currency: 'USD',
+          category: category,
+          description: `${category} ${year}-${month} #${i}`,
+          type: category === 'Salary' ? 'income' : 'expense',
+          date: new Date(year, month - 1, (i % 28) + 1),
+        });
+      }
+    }
+  });
+  return costs;
+}
+
+/**
+ * Gets the sorted IDs of cost items
+ * @param {Object[]} items - Cost items
+ * @returns {number[]} The IDs, ascending
+ */
+function getIds(items) {
+  return items.map(item => item.id).sort((a, b) => a - b);
+}
+
+/**
+ * Measures how long a query takes over several runs
+ * @param {function(): Promise<*>} query - The query
+ * @returns {Promise<number>} Total time in milliseconds
+ */
+async function timeQuery(query) {
+  const start = performance.now();
+  for (let i = 0; i < RUNS; i++) {
+    await query();
+  }
+  return performance.now() - start;
+}
+
+/**
+ * Logs the time of an indexed query next to the full scan it replaces
+ * Wall-clock times on fake-indexeddb vary with the machine, so they are reported rather than asserted.
+ * @param {string} name - Query name
+ * @param {function(): Promise<*>} indexedQuery - The indexed query
+ * @param {function(): Promise<*>} scanQuery - The equivalent full scan
+ * @returns {Promise<void>}
+ */
+async function logTimings(name, indexedQuery, scanQuery) {
+  const indexedTime = await timeQuery(indexedQuery);
+  const scanTime = await timeQuery(scanQuery);
+  console.log(`${name}: indexed ${indexedTime.toFixed(1)} ms, full scan ${scanTime.toFixed(1)} ms (${RUNS} runs)`);
+}
+
+/**
+ * Creates a database as version 3 of the app left it: nested dates, no dateKey and no indexes
+ * @param {string} databaseName - The name of the database
+ * @param {Object[]} costs - Cost rows to store
+ * @returns {Promise<void>}
+ */
+function createVersion3Database(databaseName, costs) {
+  return new Promise(function(resolve, reject) {
+    const request = indexedDB.open(databaseName, 3);
+
+    request.onupgradeneeded = function() {
+      const db = request.result;
+      const costsStore = db.createObjectStore('costs', { keyPath: 'id', autoIncrement: true });
+      db.createObjectStore('categories', { keyPath: 'id', autoIncrement: true });
+      db.createObjectStore('budgets', { keyPath: 'id', autoIncrement: true });
+      db.createObjectStore('savings_goals', { keyPath: 'id', autoIncrement: true });
+      costs.forEach(cost => costsStore.add(cost));
+    };
+    request.onsuccess = function() {
+      request.result.close();
+      resolve();
+    };
+    request.onerror = function() {
+      reject(request.error);
+    };
+  });
+}
+
+describe('indexed cost queries', function() {
+  let db;
+
+  /**
+   * Reads every cost and keeps those that match, as the queries did before the indexes
+   * @param {function(Object): boolean} predicate - Test for each cost
+   * @returns {Promise<Object[]>} The matching costs
+   */
+  const scanCosts = async function(predicate) {
+    return (await db.getAllCosts()).filter(predicate);
+  };
+
+  beforeAll(async function() {
+    db = await openCostsDB('benchmark', DB_VERSION);
+    await db.importCosts(buildSeedCosts(), { id: 'seed', fileName: 'seed.csv', format: 'csv' });
+  }, 120000);
+
+  test('seeds several years of costs', async function() {
+    expect((await db.getAllCosts()).length).toBe(YEARS.length * 12 * COSTS_PER_MONTH);
+  });
+
+  test('getReport returns the month found by a full scan', async function() {
+    const inMonth = cost => cost.dateKey >= 20230601 && cost.dateKey <= 20230631;
+    const report = await db.getReport(2023, 6, 'USD');
+    const scanned = await scanCosts(inMonth);
+
+    expect(getIds([...report.expenses, ...report.incomes])).toEqual(getIds(scanned));
+    expect(report.totals.expenses).toBe(
+      scanned.filter(cost => cost.type === 'expense').reduce((sum, cost) => sum + cost.sum, 0)
+    );
+
+    await logTimings('getReport', () => db.getReport(2023, 6, 'USD'), () => scanCosts(inMonth));
+  }, 60000);
+
+  test('getCostsByDateRange returns the range found by a full scan', async function() {
+    const startDate = { year: 2022, month: 3, day: 10 };
+    const endDate = { year: 2022, month: 5, day: 20 };
+    const inRange = cost => cost.dateKey >= 20220310 && cost.dateKey <= 20220520;
+
+    expect(getIds(await db.getCostsByDateRange(startDate, endDate))).toEqual(getIds(await scanCosts(inRange)));
+
+    await logTimings('getCostsByDateRange', () => db.getCostsByDateRange(startDate, endDate), () => scanCosts(inRange));
+  }, 60000);
+
+  test('getCostsByCategory returns the category found by a full scan', async function() {
+    const inCategory = cost => cost.category === 'Groceries';
+
+    expect(getIds(await db.getCostsByCategory('Groceries'))).toEqual(getIds(await scanCosts(inCategory)));
+
+    await logTimings('getCostsByCategory', () => db.getCostsByCategory('Groceries'), () => scanCosts(inCategory));
+  }, 60000);
+});
+
+describe('upgrade from version 3', function() {
+  let db;
+
+  beforeAll(async function() {
+    await createVersion3Database('upgrade', [
+      { sum: 40, currency: 'USD', category: 'Groceries', description: 'Market', type: 'expense', date: { year: 2023, month: 1, day: 15 } },
+      { sum: 3000, currency: 'USD', category: 'Salary', description: 'January', type: 'income', date: { year: 2023, month: 1, day: 31 } },
+      // Written before types existed
+      { sum: 25, currency: 'USD', category: 'Transport', description: 'Taxi', date: { year: 2023, month: 2, day: 3 } },
+      { sum: 60, currency: 'USD', category: 'Groceries', description: 'Supermarket', type: 'expense', date: { year: 2023, month: 2, day: 28 } },
+    ]);
+    db = await openCostsDB('upgrade', DB_VERSION);
+  });
+
+  test('adds the date key and a type to every existing cost', async function() {
+    const costs = await db.getAllCosts();
+
+    expect(costs.map(cost => [cost.description, cost.dateKey, cost.type])).toEqual([
+      ['Market', 20230115, 'expense'],
+      ['January', 20230131, 'income'],
+      ['Taxi', 20230203, 'expense'],
+      ['Supermarket', 20230228, 'expense'],
+    ]);
+  });
+
+  test('finds the migrated costs through the date, type and category indexes', async function() {
+    const february = await db.getCostsByDateRange({ year: 2023, month: 2, day: 1 }, { year: 2023, month: 2, day: 28 });
+    expect(february.map(cost => cost.description).sort()).toEqual(['Supermarket', 'Taxi']);
+
+    const january = await db.getReport(2023, 1, 'USD');
+    expect(january.expenses.map(cost => cost.description)).toEqual(['Market']);
+    expect(january.incomes.map(cost => cost.description)).toEqual(['January']);
+
+    expect((await db.getCostsByType('expense')).map(cost => cost.description).sort()).toEqual(['Market', 'Supermarket', 'Taxi']);
+    expect((await db.getCostsByCategory('Groceries')).map(cost => cost.description).sort()).toEqual(['Market', 'Supermarket']);
+  });
+});
+
+describe('accounts of stored costs', function() {
+  let db;
+
+  beforeAll(async function() {
+    db = await openCostsDB('accounts', DB_VERSION);
+  });
+
+  test('stores the first account on costs and savings moves saved without one', async function() {
+    const savings = await db.addAccount({ name: 'Savings', kind: 'savings', currency: 'USD', openingBalance: 0 });
+    await db.addCost({ sum: 12, currency: 'USD', category: 'Groceries', description: 'Bread' });
+    await db.addCost({ sum: 30, currency: 'USD', category: 'Savings', description: 'Deposit', type: 'savings_deposit', accountId: savings.id });
+    await db.moveSavings({ fromGoalId: null, toGoalId: 1, sum: 20, currency: 'USD', category: 'Savings', description: 'To goal' });
+
+    const costs = await db.getAllCosts();
+    expect(costs.map(cost => [cost.description, cost.accountId])).toEqual([
+      ['Bread', 1],
+      ['Deposit', savings.id],
+      ['To goal', 1],
+      ['To goal', 1],
+    ]);
+  });
+
+  test('keeps the first account while costs saved without an account belong to it', async function() {
+    const second = await db.addAccount({ name: 'Cash', kind: 'cash', currency: 'USD', openingBalance: 0 });
+
+    // A cost saved before every write path stored an account
+    await new Promise(function(resolve, reject) {
+      const request = indexedDB.open('accounts');
+      request.onsuccess = function() {
+        const transaction = request.result.transaction('costs', 'readwrite');
+        transaction.objectStore('costs').add({
+          sum: 5, currency: 'USD', category: 'Transport', description: 'Bus', type: 'expense',
+          date: { year: 2024, month: 1, day: 2 }, dateKey: 20240102,
+        });
+        transaction.oncomplete = function() {
+          request.result.close();
+          resolve();
+        };
+        transaction.onerror = function() {
+          reject(transaction.error);
+        };
+      };
+    });
+
+    await db.deleteCosts((await db.getAllCosts()).filter(cost => cost.accountId === 1).map(cost => cost.id));
+    await expect(db.deleteAccount(1)).rejects.toThrow('Account has transactions');
+
+    await db.deleteAccount(second.id);
+    expect((await db.getAccounts()).map(account => account.id)).not.toContain(second.id);
+  });
+});
@@ -6,6 +6,62 @@
 (function () {
   "use strict";
 
+  /**
+   * Builds the date structure stored on a cost item
+   * Accepts a Date, a "YYYY-MM-DD" / "YYYY-MM-DDTHH:MM" string or a {year, month, day, hour, minute} object
+   * Falls back to the current date and time when no date is given
+   * @param {Date|string|Object} [value] - The transaction date
+   * @returns {Object} Date structure with year, month, day, hour and minute
+   */
+  function toDateStructure(value) {
+    var date = null;
+
+    if (value === undefined || value === null || value === "") {
+      date = new Date();
+    } else if (value instanceof Date) {
+      date = new Date(value.getTime());
+    } else if (typeof value === "string") {
+      // Parse the parts manually - new Date("YYYY-MM-DD") would be read as UTC
+      var match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?$/.exec(value);
+      if (match) {
+        date = new Date(
+          Number(match[1]),
+          Number(match[2]) - 1,
+          Number(match[3]),
+          Number(match[4] || 0),
+          Number(match[5] || 0)
+        );
+        // Reject overflowing values such as 2024-02-31
+        if (date.getMonth() !== Number(match[2]) - 1) {
+          date = null;
+        }
+      }
+    } else if (typeof value === "object") {
+      date = new Date(
+        value.year,
+        value.month - 1,
+        value.day,
+        value.hour || 0,
+        value.minute || 0
+      );
+      if (date.getMonth() !== value.month - 1) {
+        date = null;
+      }
+    }
+
+    if (!date || isNaN(date.getTime())) {
+      throw new Error("Invalid transaction date");
+    }
+
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+    };
+  }
+
   /**
    * Opens or creates an IndexedDB database for costs
    * @param {string} databaseName - The name of the database
@@ -27,25 +83,29 @@
           /**
            * Adds a new cost item to the database
            * @param {Object} cost - Cost object with sum, currency, category, description properties
+           * @param {Date|string|Object} [cost.date] - Optional transaction date (and time), defaults to now
            * @returns {Promise<Object>} Promise that resolves to the added cost object
            */
           addCost: function (cost) {
             return new Promise(function (resolveAdd, rejectAdd) {
+              // Set the date to current date if not provided
+              var date;
+              try {
+                date = toDateStructure(cost.date);
+              } catch (error) {
+                rejectAdd(error);
+                return;
+              }
+
               var transaction = db.transaction(["costs"], "readwrite");
               var store = transaction.objectStore("costs");
 
-              // Set the date to current date if not provided
-              var now = new Date();
               var costWithDate = {
                 sum: cost.sum,
                 currency: cost.currency,
                 category: cost.category,
                 description: cost.description,
-                date: {
-                  year: now.getFullYear(),
-                  month: now.getMonth() + 1,
-                  day: now.getDate(),
-                },
+                date: date,
               };
 
               var addRequest = store.add(costWithDate);
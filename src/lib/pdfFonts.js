@@ -0,0 +1,57 @@
+/**
+ * pdfFonts.js - Loads the Unicode fonts embedded in PDF statements
+ * The standard PDF fonts only cover Latin text, so Hebrew needs an embedded font
+ */
+
+import dejaVuSansUrl from 'dejavu-fonts-ttf/ttf/DejaVuSans.ttf';
+import dejaVuSansBoldUrl from 'dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf';
+
+// Fonts are only fetched the first time a statement is created
+let fontsPromise = null;
+
+/**
+ * Encodes binary data as base64, as jsPDF expects for embedded fonts
+ * @param {ArrayBuffer} buffer - Font file contents
+ * @returns {string} Base64 string
+ */
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const chunks = [];
+  // Encode in chunks so large fonts do not overflow the argument list
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    chunks.push(String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000)));
+  }
+  return btoa(chunks.join(''));
+}
+
+/**
+ * Fetches a font file and encodes it
+ * @param {string} url - URL of the TTF file
+ * @returns {Promise<string>} Base64 font data
+ */
+async function fetchFont(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load font: ${response.status}`);
+  }
+  return toBase64(await response.arrayBuffer());
+}
+
+/**
+ * Loads the regular and bold statement fonts
+ * @returns {Promise<{regular: string, bold: string}>} Base64 TTF data
+ */
+export function loadPdfFonts() {
+  if (!fontsPromise) {
+    fontsPromise = Promise.all([fetchFont(dejaVuSansUrl), fetchFont(dejaVuSansBoldUrl)])
+      .then(function([regular, bold]) {
+        return { regular: regular, bold: bold };
+      })
+      .catch(function(error) {
+        // Allow a later attempt to retry
+        fontsPromise = null;
+        throw error;
+      });
+  }
+  return fontsPromise;
+}
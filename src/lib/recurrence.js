@@ -0,0 +1,164 @@
+/**
+ * recurrence.js - Schedule calculations for recurring transaction rules
+ * Dates are handled as YYYYMMDD numbers, the same keys used by the costs "dateKey" index
+ */
+
+import { toDateKey } from './dateKeys';
+
+export const RECURRING_FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Safety limit so a broken rule can't loop forever
+const MAX_OCCURRENCES = 10000;
+
+/**
+ * Converts a "YYYY-MM-DD" string to a date key
+ * @param {string} value - The date string
+ * @returns {number|null} The date key or null when invalid
+ */
+export function dateStringToKey(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  return toDateKey({ year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) });
+}
+
+/**
+ * Converts a date key to a "YYYY-MM-DD" string
+ * @param {number} key - The date key
+ * @returns {string} The date string
+ */
+export function keyToDateString(key) {
+  const year = Math.floor(key / 10000);
+  const month = Math.floor(key / 100) % 100;
+  const day = key % 100;
+  return `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Gets the number of days in a month
+ * @param {number} year - The year
+ * @param {number} month - The month (1-12)
+ * @returns {number} Days in the month
+ */
+function daysInMonth(year, month) {
+  return new Date(year, month, 0).getDate();
+}
+
+/**
+ * Calculates the nth occurrence of a rule counted from its start date
+ * Monthly and yearly rules are computed from the start so a short month
+ * (e.g. the 31st falling on the 30th) doesn't shift later occurrences
+ * @param {Object} rule - The recurring rule
+ * @param {number} index - Zero-based occurrence number
+ * @returns {number} Date key of the occurrence
+ */
+function nthOccurrence(rule, index) {
+  const startKey = dateStringToKey(rule.startDate);
+  const startYear = Math.floor(startKey / 10000);
+  const startMonth = Math.floor(startKey / 100) % 100;
+  const startDay = startKey % 100;
+  const interval = Math.max(1, rule.interval || 1);
+  const step = index * interval;
+
+  if (rule.frequency === 'daily' || rule.frequency === 'weekly') {
+    const days = rule.frequency === 'weekly' ? step * 7 : step;
+    return toDateKey(new Date(startYear, startMonth - 1, startDay + days));
+  }
+
+  let year = startYear;
+  let month = startMonth;
+  let day = startDay;
+  if (rule.frequency === 'monthly') {
+    const monthIndex = startMonth - 1 + step;
+    year = startYear + Math.floor(monthIndex / 12);
+    month = (monthIndex % 12) + 1;
+    day = rule.dayOfMonth || startDay;
+  } else {
+    year = startYear + step;
+  }
+
+  return toDateKey({ year: year, month: month, day: Math.min(day, daysInMonth(year, month)) });
+}
+
+/**
+ * Lists the occurrences of a rule within a date range
+ * Honors the end conditions (after a number of occurrences or on a date) but not pausing or skips
+ * @param {Object} rule - The recurring rule
+ * @param {number} fromKey - First date key to include
+ * @param {number} toKey - Last date key to include
+ * @param {number} [limit] - Maximum number of occurrences to return
+ * @returns {number[]} Date keys of the occurrences, in order
+ */
+export function getOccurrences(rule, fromKey, toKey, limit) {
+  const startKey = dateStringToKey(rule.startDate);
+  if (!startKey || RECURRING_FREQUENCIES.indexOf(rule.frequency) === -1) {
+    return [];
+  }
+
+  const end = rule.end || { type: 'never' };
+  const endKey = end.type === 'date' ? dateStringToKey(end.date) : null;
+  const maxCount = end.type === 'count' ? end.count : MAX_OCCURRENCES;
+  const result = [];
+  let count = 0;
+
+  for (let index = 0; index < MAX_OCCURRENCES && count < maxCount; index++) {
+    const key = nthOccurrence(rule, index);
+    // A day of month earlier than the start date begins in the following month
+    if (key < startKey) {
+      continue;
+    }
+    if (key > toKey || (endKey && key > endKey)) {
+      break;
+    }
+    count++;
+    if (key >= fromKey) {
+      result.push(key);
+      if (limit && result.length >= limit) {
+        break;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Lists the occurrences of a rule that haven't been created yet
+ * @param {Object} rule - The recurring rule
+ * @param {number} limit - Maximum number of occurrences to return
+ * @returns {number[]} Date keys of the upcoming occurrences, including skipped ones
+ */
+export function getUpcomingOccurrences(rule, limit) {
+  const fromKey = rule.lastGeneratedKey ? rule.lastGeneratedKey + 1 : 0;
+  return getOccurrences(rule, fromKey, 99991231, limit);
+}
+
+/**
+ * Checks whether a single occurrence has been skipped
+ * @param {Object} rule - The recurring rule
+ * @param {number} key - Date key of the occurrence
+ * @returns {boolean} Whether the occurrence is skipped
+ */
+export function isSkippedOccurrence(rule, key) {
+  const exception = (rule.exceptions || {})[key];
+  return !!(exception && exception.skipped);
+}
+
+/**
+ * Builds the cost item for one occurrence, applying any single-occurrence edit
+ * @param {Object} rule - The recurring rule
+ * @param {number} key - Date key of the occurrence
+ * @returns {Object} Cost fields for addCost
+ */
+export function buildOccurrenceCost(rule, key) {
+  const override = (rule.exceptions || {})[key] || {};
+  return {
+    sum: override.sum !== undefined ? override.sum : rule.sum,
+    currency: rule.currency,
+    category: override.category || rule.category,
+    description: override.description !== undefined ? override.description : rule.description,
+    type: rule.type,
+    date: keyToDateString(key),
+    recurringRuleId: rule.id,
+    ...(rule.accountId && { accountId: rule.accountId }),
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * routes.js - Paths of the app's views and helpers for keeping view parameters in the URL
+ * The app uses hash routing, so a view is addressed as /#/report?year=2024&month=3&currency=USD
+ */
+
+import { normalizeCurrencyCode, isCurrencyCode } from './currencies';
+
+// Path of each view, by the view IDs used by the sidebar
+export const VIEW_PATHS = {
+  dashboard: '/',
+  'add-cost': '/add-cost',
+  report: '/report',
+  'pie-chart': '/pie-chart',
+  'tag-chart': '/tag-chart',
+  'bar-chart': '/bar-chart',
+  categories: '/categories',
+  budget: '/budget',
+  'savings-goals': '/savings-goals',
+  accounts: '/accounts',
+  recurring: '/recurring',
+  import: '/import',
+  filters: '/filters',
+  notifications: '/notifications',
+  settings: '/settings',
+};
+
+/**
+ * Finds the view shown at a path
+ * @param {string} pathname - Router path, e.g. /report
+ * @returns {string} The view ID, or 'dashboard' for an unknown path
+ */
+export function getViewFromPath(pathname) {
+  const view = Object.keys(VIEW_PATHS).find(id => VIEW_PATHS[id] === pathname);
+  return view || 'dashboard';
+}
+
+/**
+ * Moves a path-based URL such as /report?year=2024 into the hash, where the router reads it
+ * Links written without the hash reach the app through the service worker's SPA fallback.
+ */
+export function redirectPathToHash() {
+  const { pathname, search, hash } = window.location;
+  if (pathname !== '/' && !hash && Object.values(VIEW_PATHS).includes(pathname)) {
+    window.history.replaceState(null, '', `/#${pathname}${search}`);
+  }
+}
+
+/**
+ * Reads a whole number parameter
+ * @param {URLSearchParams} params - URL search parameters
+ * @param {string} name - Parameter name
+ * @param {number} fallback - Value used when the parameter is missing or out of range
+ * @param {number} [min=-Infinity] - Smallest accepted value
+ * @param {number} [max=Infinity] - Largest accepted value
+ * @returns {number} The value
+ */
+export function readIntParam(params, name, fallback, min = -Infinity, max = Infinity) {
+  const value = parseInt(params.get(name), 10);
+  return Number.isInteger(value) && value >= min && value <= max ? value : fallback;
+}
+
+/**
+ * Reads a parameter that must be one of a fixed set of values
+ * @param {URLSearchParams} params - URL search parameters
+ * @param {string} name - Parameter name
+ * @param {string[]} choices - Accepted values
+ * @param {string} fallback - Value used when the parameter is missing or not accepted
+ * @returns {string} The value
+ */
+export function readChoiceParam(params, name, choices, fallback) {
+  const value = params.get(name);
+  return choices.includes(value) ? value : fallback;
+}
+
+/**
+ * Reads a currency code parameter
+ * Links written before the switch to ISO codes may still say EURO, which is read as EUR.
+ * @param {URLSearchParams} params - URL search parameters
+ * @param {string} name - Parameter name
+ * @param {string} fallback - Currency used when the parameter is missing or not a currency code
+ * @returns {string} The currency code
+ */
+export function readCurrencyParam(params, name, fallback) {
+  const code = normalizeCurrencyCode(params.get(name));
+  return isCurrencyCode(code) ? code : fallback;
+}
+
+/**
+ * Reads a YYYY-MM-DD date parameter
+ * @param {URLSearchParams} params - URL search parameters
+ * @param {string} name - Parameter name
+ * @param {Object} fallback - Date structure used when the parameter is missing or invalid
+ * @returns {{year: number, month: number, day: number}} Date structure
+ */
+export function readDateParam(params, name, fallback) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(params.get(name) || '');
+  if (!match) return fallback;
+
+  const date = { year: parseInt(match[1], 10), month: parseInt(match[2], 10), day: parseInt(match[3], 10) };
+  if (date.month < 1 || date.month > 12 || date.day < 1 || date.day > 31) return fallback;
+  return date;
+}
+
+/**
+ * Formats a date structure as a YYYY-MM-DD parameter
+ * @param {Object} date - Date structure with year, month and day
+ * @returns {string} The parameter value
+ */
+export function formatDateParam(date) {
+  return `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+}
+
+/**
+ * Builds URL search parameters, leaving out empty values
+ * Array values are written as a repeated parameter.
+ * @param {Object.<string, (string|number|string[]|null|undefined)>} values - Parameter values by name
+ * @returns {URLSearchParams} The parameters
+ */
+export function buildSearchParams(values) {
+  const params = new URLSearchParams();
+  Object.keys(values).forEach(function(name) {
+    const value = values[name];
+    if (Array.isArray(value)) {
+      value.forEach(item => params.append(name, item));
+    } else if (value !== undefined && value !== null && value !== '') {
+      params.set(name, String(value));
+    }
+  });
+  return params;
+}
+
+/**
+ * Copies URL search parameters with one parameter changed
+ * @param {URLSearchParams} params - URL search parameters
+ * @param {string} name - Parameter name
+ * @param {string|number} value - New value
+ * @returns {URLSearchParams} The changed copy
+ */
+export function withSearchParam(params, name, value) {
+  const changed = new URLSearchParams(params);
+  changed.set(name, String(value));
+  return changed;
+}
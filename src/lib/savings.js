@@ -0,0 +1,183 @@
+/**
+ * savings.js - Balances of savings goals and of the unassigned savings pool,
+ * and forecasts of when each goal will be reached
+ */
+
+import { getRatesLookup, convertAmount } from './exchangeRates';
+
+// Number of recent months whose contributions are averaged to project a goal
+export const FORECAST_HISTORY_MONTHS = 6;
+
+// Longest projection shown, so a goal with tiny contributions does not draw decades of months
+const MAX_FORECAST_MONTHS = 120;
+
+/**
+ * Gets the signed amount of a savings transaction
+ * @param {Object} cost - Cost item of type savings_deposit or savings_withdrawal
+ * @returns {number} The sum, negative for withdrawals
+ */
+function signedSum(cost) {
+  return cost.type === 'savings_withdrawal' ? -cost.sum : cost.sum;
+}
+
+/**
+ * Loads every savings transaction with the rates needed to convert them
+ * @param {Object} db - Database instance
+ * @returns {Promise<{costs: Object[], ratesForDate: function(number): Object}>} Deposits and withdrawals, and the rates lookup
+ */
+async function loadSavings(db) {
+  const deposits = await db.getCostsByType('savings_deposit');
+  const withdrawals = await db.getCostsByType('savings_withdrawal');
+  const ratesForDate = await getRatesLookup(db, 0, 99991231);
+  return { costs: deposits.concat(withdrawals), ratesForDate: ratesForDate };
+}
+
+/**
+ * Calculates how much is saved towards each goal and how much is not assigned to any goal
+ * Goal balances are converted into each goal's currency at the rates of each transaction's date.
+ * Savings without a goal, or whose goal was deleted, make up the unassigned pool, which is
+ * kept per currency so it is shown without any conversion.
+ * @param {Object} db - Database instance
+ * @param {Object[]} goals - Savings goals
+ * @returns {Promise<{goals: Object.<number, number>, unassigned: Object.<string, number>}>} Balances by goal ID and unassigned balances by currency
+ */
+export async function getSavingsBalances(db, goals) {
+  const { costs, ratesForDate } = await loadSavings(db);
+
+  const goalsById = {};
+  const balances = { goals: {}, unassigned: {} };
+  goals.forEach(function (goal) {
+    goalsById[goal.id] = goal;
+    balances.goals[goal.id] = 0;
+  });
+
+  costs.forEach(function (cost) {
+    const goal = cost.goalId ? goalsById[cost.goalId] : null;
+    if (goal) {
+      balances.goals[goal.id] += convertAmount(signedSum(cost), cost.currency, goal.currency, ratesForDate(cost.dateKey));
+    } else {
+      balances.unassigned[cost.currency] = (balances.unassigned[cost.currency] || 0) + signedSum(cost);
+    }
+  });
+
+  return balances;
+}
+
+/**
+ * Counts months from year 0, so months can be compared and subtracted
+ * @param {number} year - The year
+ * @param {number} month - The month (1-12)
+ * @returns {number} Month index
+ */
+function toMonthIndex(year, month) {
+  return year * 12 + month - 1;
+}
+
+/**
+ * Converts a month index back to a year and month
+ * @param {number} index - Month index from toMonthIndex
+ * @returns {{year: number, month: number}} Year and month (1-12)
+ */
+function fromMonthIndex(index) {
+  return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+}
+
+/**
+ * Projects when a goal will be reached from its past contributions
+ * The average net contribution of the last FORECAST_HISTORY_MONTHS months (or fewer, for a newer
+ * goal) is assumed to continue. A goal is on track when that pace reaches the target amount by the
+ * target month, and behind when it does not or when nothing is being saved.
+ * @param {Object} goal - Savings goal with targetAmount and targetDate
+ * @param {Object.<number, number>} contributions - Net contribution per month index, in the goal currency
+ * @param {Date} [today=new Date()] - The current date
+ * @returns {{balance: number, remaining: number, averageMonthly: number, requiredMonthly: number, projectedCompletion: ({year: number, month: number}|null), status: ('completed'|'on_track'|'behind'), chartData: Object[]}} The forecast
+ */
+export function getGoalForecast(goal, contributions, today = new Date()) {
+  const current = toMonthIndex(today.getFullYear(), today.getMonth() + 1);
+  const target = toMonthIndex(goal.targetDate.year, goal.targetDate.month);
+  const months = Object.keys(contributions).map(Number).sort((a, b) => a - b);
+  const balance = months.reduce((sum, month) => sum + contributions[month], 0);
+
+  // Average over the months since the first contribution, up to FORECAST_HISTORY_MONTHS
+  let averageMonthly = 0;
+  if (months.length > 0) {
+    const start = Math.max(months[0], current - FORECAST_HISTORY_MONTHS + 1);
+    const recent = months
+      .filter(month => month >= start && month <= current)
+      .reduce((sum, month) => sum + contributions[month], 0);
+    averageMonthly = recent / Math.max(current - start + 1, 1);
+  }
+
+  const remaining = Math.max(goal.targetAmount - balance, 0);
+  // Saving continues in the months after this one; a goal due this month or overdue needs everything in one
+  const monthsLeft = Math.max(target - current, 1);
+  const requiredMonthly = remaining / monthsLeft;
+
+  let completion = null;
+  let status;
+  if (remaining === 0) {
+    status = 'completed';
+  } else {
+    if (averageMonthly > 0) {
+      completion = current + Math.ceil(remaining / averageMonthly);
+    }
+    status = completion !== null && completion <= target ? 'on_track' : 'behind';
+  }
+
+  // Saved balance up to this month, then the projected and the required paths
+  const first = months.length > 0 ? Math.min(months[0], current) : current;
+  const last = Math.min(Math.max(target, completion || current, current + 1), current + MAX_FORECAST_MONTHS);
+  const chartData = [];
+  let saved = 0;
+  for (let month = first; month <= last; month++) {
+    const { year, month: monthOfYear } = fromMonthIndex(month);
+    const point = { month: `${monthOfYear.toString().padStart(2, '0')}/${year}` };
+    if (month <= current) {
+      saved += contributions[month] || 0;
+      point.saved = saved;
+    }
+    if (month >= current && status !== 'completed') {
+      if (averageMonthly > 0 && (completion === null || month <= completion)) {
+        point.projected = balance + averageMonthly * (month - current);
+      }
+      if (month <= Math.max(target, current + 1)) {
+        point.required = balance + requiredMonthly * (month - current);
+      }
+    }
+    chartData.push(point);
+  }
+
+  return {
+    balance: balance,
+    remaining: remaining,
+    averageMonthly: averageMonthly,
+    requiredMonthly: requiredMonthly,
+    projectedCompletion: completion !== null ? fromMonthIndex(completion) : null,
+    status: status,
+    chartData: chartData,
+  };
+}
+
+/**
+ * Builds the forecast of every goal from its assigned savings transactions
+ * @param {Object} db - Database instance
+ * @param {Object[]} goals - Savings goals
+ * @param {Date} [today=new Date()] - The current date
+ * @returns {Promise<Object.<number, Object>>} Forecasts from getGoalForecast by goal ID
+ */
+export async function getGoalsForecasts(db, goals, today = new Date()) {
+  const { costs, ratesForDate } = await loadSavings(db);
+
+  const forecasts = {};
+  goals.forEach(function (goal) {
+    const contributions = {};
+    costs.forEach(function (cost) {
+      if (cost.goalId !== goal.id) return;
+      const month = toMonthIndex(cost.date.year, cost.date.month);
+      contributions[month] = (contributions[month] || 0) +
+        convertAmount(signedSum(cost), cost.currency, goal.currency, ratesForDate(cost.dateKey));
+    });
+    forecasts[goal.id] = getGoalForecast(goal, contributions, today);
+  });
+  return forecasts;
+}
@@ -0,0 +1,163 @@
+/**
+ * search.js - Tokens and matching for the full-text transaction search
+ * Each cost is indexed under the normalized words of its description and categories,
+ * its amount and its date. A query matches a cost when every query term matches one
+ * of its tokens exactly, as a prefix, or with a small typo.
+ */
+
+// Hebrew final letters, written in their regular form so a prefix can end mid-word
+const FINAL_LETTERS = { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' };
+
+// Single-letter Hebrew prefixes (and, the, in, to, from, that, as) also stripped when indexing
+const HEBREW_PREFIXES = 'והבלמשכ';
+
+// Hebrew words shorter than this keep their first letter, which is then unlikely to be a prefix
+const MIN_PREFIXED_LENGTH = 4;
+
+// Words and numbers; numbers keep their separators so 12.50 and 2024-03-05 stay one token
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[./,-]\p{N}+)*/gu;
+
+// How well a term matches a token, from best to worst
+export const MATCH_SCORES = {
+  exact: 4,
+  prefix: 3,
+  fuzzy: 2,
+  fuzzyPrefix: 1,
+};
+
+/**
+ * Normalizes text for searching
+ * Lowercases, removes accents (Spanish á, ñ) and Hebrew vowel points, drops the geresh
+ * and gershayim used in Hebrew abbreviations and writes Hebrew final letters as regular ones.
+ * @param {*} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export function normalizeText(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[׳״'"]/g, '')
+    .toLowerCase()
+    .replace(/[ךםןףץ]/g, letter => FINAL_LETTERS[letter]);
+}
+
+/**
+ * Splits text into normalized tokens
+ * @param {*} text - Text to split
+ * @returns {string[]} Tokens, in order and possibly repeated
+ */
+export function tokenize(text) {
+  return normalizeText(text).match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * Checks whether a token is a Hebrew word long enough to start with a prefix letter
+ * @param {string} token - Normalized token
+ * @returns {boolean} Whether the word without its first letter should be indexed too
+ */
+function hasHebrewPrefix(token) {
+  return token.length >= MIN_PREFIXED_LENGTH && /^[א-ת]+$/.test(token) && HEBREW_PREFIXES.includes(token[0]);
+}
+
+/**
+ * Gets the tokens a cost is indexed under
+ * Amounts are indexed as written and with two decimals, and dates as YYYY-MM-DD and DD/MM/YYYY,
+ * so "12.5", "12.50", "2024-03" and "05/03" all find a cost of 12.50 on 5 March 2024.
+ * @param {Object} cost - Cost item with description, category (or split categories), tags, sum and date
+ * @returns {string[]} Unique tokens
+ */
+export function getSearchTokens(cost) {
+  const tokens = new Set();
+  const categories = cost.splitCategories ? cost.splitCategories.join(' ') : cost.category || '';
+  tokenize(`${cost.description || ''} ${categories} ${(cost.tags || []).join(' ')}`).forEach(function(token) {
+    tokens.add(token);
+    if (hasHebrewPrefix(token)) {
+      tokens.add(token.slice(1));
+    }
+  });
+
+  if (typeof cost.sum === 'number') {
+    tokens.add(String(cost.sum));
+    tokens.add(cost.sum.toFixed(2));
+  }
+
+  if (cost.date) {
+    const month = String(cost.date.month).padStart(2, '0');
+    const day = String(cost.date.day).padStart(2, '0');
+    tokens.add(`${cost.date.year}-${month}-${day}`);
+    tokens.add(`${day}/${month}/${cost.date.year}`);
+  }
+
+  return Array.from(tokens);
+}
+
+/**
+ * Gets the terms of a search query
+ * @param {string} query - Text typed by the user
+ * @returns {string[]} Unique normalized terms
+ */
+export function getQueryTerms(query) {
+  return Array.from(new Set(tokenize(query)));
+}
+
+/**
+ * Counts the edits (insertions, deletions, substitutions and swaps of neighbours) between two strings
+ * Stops early once the distance is known to be over the limit.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} limit - Largest distance of interest
+ * @returns {number} The distance, or limit + 1 when it is larger than limit
+ */
+export function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > limit) return limit + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length] > limit ? limit + 1 : row[b.length];
+}
+
+/**
+ * Gets the number of typos allowed in a term; short terms and numbers must be typed exactly
+ * @param {string} term - Normalized query term
+ * @returns {number} Allowed edit distance
+ */
+function getAllowedTypos(term) {
+  if (/\p{N}/u.test(term) || term.length < 4) return 0;
+  return term.length < 7 ? 1 : 2;
+}
+
+/**
+ * Scores how well a query term matches an indexed token
+ * @param {string} term - Normalized query term
+ * @param {string} token - Indexed token
+ * @returns {number} A score from MATCH_SCORES, or 0 when they do not match
+ */
+export function matchToken(term, token) {
+  if (token === term) return MATCH_SCORES.exact;
+  if (token.startsWith(term)) return MATCH_SCORES.prefix;
+
+  const typos = getAllowedTypos(term);
+  if (typos === 0) return 0;
+  if (editDistance(term, token, typos) <= typos) return MATCH_SCORES.fuzzy;
+  // The term may be the start of a longer word that has a typo in it
+  if (token.length > term.length && editDistance(term, token.slice(0, term.length), typos) <= typos) {
+    return MATCH_SCORES.fuzzyPrefix;
+  }
+  return 0;
+}
@@ -0,0 +1,127 @@
+/**
+ * splits.js - Transactions split across several categories
+ * A split cost keeps its total in `sum` and one line per category in `splits`. Its `category`
+ * is the first line's category, so lists that show a payment once still have one to show, and
+ * `splitCategories` holds every line's category for the multi-entry index of the same name.
+ * Totals by category count each line in its own category.
+ */
+
+// Largest difference between the lines and the total that still counts as adding up
+const ROUNDING_TOLERANCE = 0.005;
+
+/**
+ * Gets the category lines of a cost
+ * @param {Object} cost - Cost item, stored or converted by getReport
+ * @returns {Array<{category: string, sum: number}>} The split lines, or a single line for the whole cost
+ */
+export function getCategoryLines(cost) {
+  if (Array.isArray(cost.splits) && cost.splits.length > 0) {
+    return cost.splits;
+  }
+  return [{ category: cost.category, sum: cost.sum }];
+}
+
+/**
+ * Checks whether a cost is split across several categories
+ * @param {Object} cost - Cost item
+ * @returns {boolean} True when the cost has split lines
+ */
+export function isSplit(cost) {
+  return Array.isArray(cost.splits) && cost.splits.length > 1;
+}
+
+/**
+ * Gets the amount of a cost that belongs to one category
+ * @param {Object} cost - Cost item
+ * @param {string} category - Category name
+ * @returns {number} Sum of the cost's lines in the category
+ */
+export function getCategoryAmount(cost, category) {
+  return getCategoryLines(cost)
+    .filter(line => line.category === category)
+    .reduce((sum, line) => sum + line.sum, 0);
+}
+
+/**
+ * Adds up items by category, counting each split line in its own category
+ * @param {Object[]} items - Cost items, stored or converted by getReport
+ * @returns {Object.<string, number>} Total by category name
+ */
+export function sumByCategory(items) {
+  const totals = {};
+  items.forEach(function(item) {
+    getCategoryLines(item).forEach(function(line) {
+      totals[line.category] = (totals[line.category] || 0) + line.sum;
+    });
+  });
+  return totals;
+}
+
+/**
+ * Gets the categories of a cost for display
+ * @param {Object} cost - Cost item
+ * @returns {string} The category, or the split categories separated by commas
+ */
+export function formatCategories(cost) {
+  return Array.from(new Set(getCategoryLines(cost).map(line => line.category))).join(', ');
+}
+
+/**
+ * Checks split lines entered in a form
+ * @param {Array<{category: string, sum: (number|string)}>} lines - Lines as entered
+ * @param {number} total - The transaction total
+ * @returns {string|null} Translation key of the first problem, or null when the lines are valid
+ */
+export function validateSplits(lines, total) {
+  if (lines.length < 2) {
+    return 'splits.atLeastTwoLines';
+  }
+  if (lines.some(line => !String(line.category || '').trim())) {
+    return 'messages.pleaseEnterCategory';
+  }
+  if (lines.some(line => !(parseFloat(line.sum) > 0))) {
+    return 'messages.pleaseEnterValidAmount';
+  }
+  if (Math.abs(getSplitsRemainder(lines, total)) > ROUNDING_TOLERANCE) {
+    return 'splits.mustAddUp';
+  }
+  return null;
+}
+
+/**
+ * Gets how much of the total is not yet assigned to a line
+ * @param {Array<{sum: (number|string)}>} lines - Lines as entered
+ * @param {number} total - The transaction total
+ * @returns {number} Total minus the lines, negative when the lines are larger
+ */
+export function getSplitsRemainder(lines, total) {
+  const assigned = lines.reduce((sum, line) => sum + (parseFloat(line.sum) || 0), 0);
+  // Adding 0 turns -0 into 0, so a balanced split never shows a minus sign
+  return Math.round((total - assigned) * 100) / 100 + 0;
+}
+
+/**
+ * Brings the split fields of a cost in line with its lines before it is stored
+ * Lines are trimmed and stored as numbers; a single line is stored as a plain cost.
+ * @param {Object} cost - Cost item about to be stored
+ * @returns {Object} The cost with `category`, `splits` and `splitCategories` set or removed
+ */
+export function withSplitFields(cost) {
+  const result = { ...cost };
+  const lines = Array.isArray(cost.splits)
+    ? cost.splits.map(line => ({ category: String(line.category).trim(), sum: Number(line.sum) }))
+    : [];
+
+  if (lines.length > 1) {
+    result.splits = lines;
+    result.category = lines[0].category;
+    result.splitCategories = Array.from(new Set(lines.map(line => line.category)));
+  } else {
+    if (lines.length === 1) {
+      result.category = lines[0].category;
+    }
+    delete result.splits;
+    delete result.splitCategories;
+  }
+  return result;
+}
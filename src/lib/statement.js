@@ -0,0 +1,421 @@
+/**
+ * statement.js - Monthly PDF statement with a summary, charts, budgets and savings goals
+ * Uses the same report as ReportView, so the statement shows the same numbers
+ */
+
+import jsPDF from 'jspdf';
+import 'jspdf-autotable';
+import { getBudgetMonths, getBudgetsProgress, getBudgetStatus, MONTH_KEYS } from './budgets';
+import { getGoalsForecasts } from './savings';
+import { sumByCategory, formatCategories } from './splits';
+
+// Languages laid out right to left
+export const RTL_LANGUAGES = ['he'];
+
+// Name the embedded font is registered under
+const FONT_NAME = 'DejaVuSans';
+
+const MARGIN = 14;
+const ACCENT_COLOR = [99, 102, 241];
+// Same palette as PieChartView
+const CHART_COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8', '#82CA9D', '#FFC658', '#FF7C7C'];
+// Smaller categories are combined into one "other" slice
+const MAX_PIE_SLICES = 7;
+
+const BidiEngine = jsPDF.__bidiEngine__;
+
+/**
+ * Gathers everything shown on a statement
+ * @param {Object} db - Database instance
+ * @param {number} year - The year
+ * @param {number} month - The month (1-12)
+ * @param {string} currency - Currency of the report
+ * @returns {Promise<Object>} The report, the budgets covering the month with their status, and the savings goals with their forecasts
+ */
+export async function getStatementData(db, year, month, currency) {
+  const report = await db.getReport(year, month, currency);
+
+  const allBudgets = await db.getAllBudgets();
+  const progress = await getBudgetsProgress(db, allBudgets);
+  const budgets = allBudgets
+    .filter(budget => budget.year === year && getBudgetMonths(budget).includes(month))
+    .map(function (budget) {
+      const { spent, carryover } = progress[budget.id];
+      return { budget: budget, spent: spent, ...getBudgetStatus(budget, spent, carryover) };
+    });
+
+  const goals = await db.getSavingsGoals();
+  const forecasts = await getGoalsForecasts(db, goals);
+
+  return {
+    year: year,
+    month: month,
+    currency: currency,
+    report: report,
+    budgets: budgets,
+    goals: goals.map(goal => ({ goal: goal, forecast: forecasts[goal.id] })),
+  };
+}
+
+/**
+ * Puts text in the order jsPDF needs to draw it correctly
+ * jsPDF runs every string it draws through its bidi engine as if the string were already in
+ * visual order, so the text is reordered for display and then given the inverse of that step.
+ * @param {*} text - Text in logical order
+ * @param {boolean} rtl - Whether the paragraph direction is right to left
+ * @returns {string} Text to pass to jsPDF
+ */
+function prepareText(text, rtl) {
+  const visual = new BidiEngine({
+    isInputVisual: false,
+    isOutputVisual: true,
+    isInputRtl: rtl,
+    isOutputRtl: false,
+    // Mirror brackets inside right-to-left runs
+    isSymmetricSwapping: true,
+  }).doBidiReorder(String(text));
+  return new BidiEngine({ isInputVisual: false, isOutputVisual: true }).doBidiReorder(visual);
+}
+
+/**
+ * Creates drawing helpers that mirror the layout for right-to-left languages
+ * Positions are given as offsets from the start edge: the left edge in LTR, the right edge in RTL.
+ * @param {Object} doc - jsPDF document
+ * @param {boolean} rtl - Whether to lay out right to left
+ * @param {string} fontName - Font used for all text
+ * @returns {Object} Layout helpers
+ */
+function createLayout(doc, rtl, fontName) {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+
+  const toX = function (offset, width = 0) {
+    return rtl ? pageWidth - offset - width : offset;
+  };
+
+  const text = function (value, offset, y, options = {}) {
+    let align = rtl ? 'right' : 'left';
+    if (options.align === 'end') {
+      align = rtl ? 'left' : 'right';
+    } else if (options.align === 'center') {
+      align = 'center';
+    }
+    doc.setFont(fontName, options.bold ? 'bold' : 'normal');
+    doc.setFontSize(options.size || 10);
+    doc.text(prepareText(value, rtl), toX(offset), y, { align: align });
+  };
+
+  const rect = function (offset, y, width, height, color) {
+    doc.setFillColor(color);
+    doc.rect(toX(offset, width), y, width, height, 'F');
+  };
+
+  /**
+   * Draws a table, reversing the columns for RTL
+   * @param {number} startY - Top of the table
+   * @param {string[]} head - Column headers
+   * @param {Array<Array>} body - Rows
+   * @param {number[]} [numericColumns=[]] - Columns aligned to the end edge
+   * @returns {number} Bottom of the table
+   */
+  const table = function (startY, head, body, numericColumns = []) {
+    const order = function (row) {
+      const cells = row.map(cell => prepareText(cell, rtl));
+      return rtl ? cells.reverse() : cells;
+    };
+    const columnStyles = {};
+    numericColumns.forEach(function (index) {
+      columnStyles[rtl ? head.length - 1 - index : index] = { halign: rtl ? 'left' : 'right' };
+    });
+
+    doc.autoTable({
+      head: [order(head)],
+      body: body.map(order),
+      startY: startY,
+      margin: { left: MARGIN, right: MARGIN },
+      styles: { font: fontName, fontSize: 9, halign: rtl ? 'right' : 'left' },
+      headStyles: { fillColor: ACCENT_COLOR, fontStyle: 'bold' },
+      columnStyles: columnStyles,
+    });
+    return doc.lastAutoTable.finalY;
+  };
+
+  return {
+    pageWidth: pageWidth,
+    pageHeight: pageHeight,
+    contentWidth: pageWidth - MARGIN * 2,
+    toX: toX,
+    text: text,
+    rect: rect,
+    table: table,
+  };
+}
+
+/**
+ * Registers the embedded fonts with a document
+ * @param {Object} doc - jsPDF document
+ * @param {{regular: string, bold: string}} [fonts] - Base64 TTF data, from loadPdfFonts
+ * @returns {string} Name of the font to use
+ */
+function registerFonts(doc, fonts) {
+  if (!fonts) {
+    // The standard font has no Hebrew glyphs, but keeps the statement usable without the font files
+    return 'helvetica';
+  }
+  doc.addFileToVFS('DejaVuSans.ttf', fonts.regular);
+  doc.addFont('DejaVuSans.ttf', FONT_NAME, 'normal');
+  doc.addFileToVFS('DejaVuSans-Bold.ttf', fonts.bold);
+  doc.addFont('DejaVuSans-Bold.ttf', FONT_NAME, 'bold');
+  return FONT_NAME;
+}
+
+/**
+ * Draws a pie chart as filled polygons
+ * @param {Object} doc - jsPDF document
+ * @param {number} centerX - Center of the pie
+ * @param {number} centerY - Center of the pie
+ * @param {number} radius - Radius of the pie
+ * @param {Array<{value: number, color: string}>} slices - Slices, clockwise from the top
+ */
+function drawPie(doc, centerX, centerY, radius, slices) {
+  const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+  let angle = -Math.PI / 2;
+
+  slices.forEach(function (slice) {
+    const sweep = (slice.value / total) * Math.PI * 2;
+    // One edge per 3 degrees keeps the arc smooth
+    const steps = Math.max(2, Math.ceil(sweep / (Math.PI / 60)));
+    const points = [[centerX, centerY]];
+    for (let step = 0; step <= steps; step++) {
+      const pointAngle = angle + (sweep * step) / steps;
+      points.push([centerX + radius * Math.cos(pointAngle), centerY + radius * Math.sin(pointAngle)]);
+    }
+    const deltas = points.slice(1).map(function (point, index) {
+      return [point[0] - points[index][0], point[1] - points[index][1]];
+    });
+
+    doc.setFillColor(slice.color);
+    doc.lines(deltas, centerX, centerY, [1, 1], 'F', true);
+    angle += sweep;
+  });
+}
+
+/**
+ * Groups expenses by category for the pie chart, largest first
+ * @param {Array} expenses - Report expenses
+ * @param {string} otherLabel - Name of the combined slice for the remaining categories
+ * @returns {Array<{name: string, value: number, color: string}>} Slices
+ */
+function getCategorySlices(expenses, otherLabel) {
+  const totals = sumByCategory(expenses);
+
+  let slices = Object.keys(totals)
+    .map(name => ({ name: name, value: totals[name] }))
+    .filter(slice => slice.value > 0)
+    .sort((a, b) => b.value - a.value);
+
+  if (slices.length > MAX_PIE_SLICES) {
+    const rest = slices.slice(MAX_PIE_SLICES - 1);
+    slices = slices.slice(0, MAX_PIE_SLICES - 1);
+    slices.push({ name: otherLabel, value: rest.reduce((sum, slice) => sum + slice.value, 0) });
+  }
+
+  return slices.map(function (slice, index) {
+    return { ...slice, color: CHART_COLORS[index % CHART_COLORS.length] };
+  });
+}
+
+/**
+ * Creates the monthly statement PDF
+ * @param {Object} data - Statement data, from getStatementData
+ * @param {Object} options - Statement options
+ * @param {function(string, Object=): string} options.t - Translation function
+ * @param {string} [options.language='en'] - Language of the statement; RTL_LANGUAGES are laid out right to left
+ * @param {{regular: string, bold: string}} [options.fonts] - Embedded Unicode fonts, from loadPdfFonts
+ * @returns {Blob} The PDF file
+ */
+export function createStatementPDF(data, options) {
+  const t = options.t;
+  const language = options.language || 'en';
+  const rtl = RTL_LANGUAGES.includes(language.split('-')[0]);
+  const { report, currency } = data;
+
+  const doc = new jsPDF();
+  const fontName = registerFonts(doc, options.fonts);
+  const layout = createLayout(doc, rtl, fontName);
+
+  const numberFormat = new Intl.NumberFormat(language, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const percentFormat = new Intl.NumberFormat(language, { style: 'percent', maximumFractionDigits: 0 });
+  const formatMoney = (amount, code) => `${numberFormat.format(amount)} ${code}`;
+  const formatPercent = value => percentFormat.format(value / 100);
+  const monthName = t('months.' + MONTH_KEYS[data.month - 1]);
+
+  // Summary page
+  layout.text(t('statement.title', { month: monthName, year: data.year }), MARGIN, 22, { bold: true, size: 18 });
+  layout.text(
+    t('statement.generated', { date: new Date().toLocaleDateString(language), currency: currency }),
+    MARGIN,
+    30,
+    { size: 10 }
+  );
+
+  const transactionCount = report.expenses.length + report.incomes.length +
+    report.savings.deposits.length + report.savings.withdrawals.length;
+  const depositsTotal = report.savings.deposits.reduce((sum, item) => sum + item.sum, 0);
+  const withdrawalsTotal = report.savings.withdrawals.reduce((sum, item) => sum + item.sum, 0);
+
+  let y = layout.table(
+    36,
+    [t('statement.summary'), t('common.amount')],
+    [
+      [t('report.totalIncomes'), formatMoney(report.totals.incomes, currency)],
+      [t('report.totalExpenses'), formatMoney(report.totals.expenses, currency)],
+      [t('report.balance'), formatMoney(report.totals.balance, currency)],
+      [t('report.deposits'), formatMoney(depositsTotal, currency)],
+      [t('report.withdrawals'), formatMoney(withdrawalsTotal, currency)],
+      [t('report.totalSavings'), formatMoney(report.totals.savings, currency)],
+      [t('statement.transactions'), new Intl.NumberFormat(language).format(transactionCount)],
+    ],
+    [1]
+  );
+
+  // Budget status
+  y += 12;
+  layout.text(t('statement.budgets'), MARGIN, y, { bold: true, size: 13 });
+  if (data.budgets.length === 0) {
+    layout.text(t('statement.noBudgets'), MARGIN, y + 8);
+    y += 8;
+  } else {
+    y = layout.table(
+      y + 4,
+      [t('statement.budget'), t('budget.available'), t('statement.spent'), t('statement.remaining'), t('statement.used'), t('statement.status')],
+      data.budgets.map(function (item) {
+        const { budget } = item;
+        const scope = budget.type === 'category' ? budget.category : t('forms.' + budget.type);
+        return [
+          scope,
+          formatMoney(item.available, budget.currency),
+          formatMoney(item.spent, budget.currency),
+          formatMoney(item.remaining, budget.currency),
+          formatPercent(item.percentage),
+          t('statement.budgetStatus.' + item.status),
+        ];
+      }),
+      [1, 2, 3, 4]
+    );
+  }
+
+  // Savings goal progress
+  y += 12;
+  if (y > layout.pageHeight - 40) {
+    doc.addPage();
+    y = 22;
+  }
+  layout.text(t('statement.goals'), MARGIN, y, { bold: true, size: 13 });
+  if (data.goals.length === 0) {
+    layout.text(t('statement.noGoals'), MARGIN, y + 8);
+  } else {
+    layout.table(
+      y + 4,
+      [t('savingsGoals.goalName'), t('statement.saved'), t('savingsGoals.targetAmount'), t('statement.progress'), t('savingsGoals.forecast.requiredMonthly'), t('statement.status')],
+      data.goals.map(function (item) {
+        const { goal, forecast } = item;
+        return [
+          goal.name,
+          formatMoney(forecast.balance, goal.currency),
+          formatMoney(goal.targetAmount, goal.currency),
+          formatPercent(Math.min((forecast.balance / goal.targetAmount) * 100, 100)),
+          formatMoney(forecast.requiredMonthly, goal.currency),
+          t('savingsGoals.forecast.status.' + forecast.status),
+        ];
+      }),
+      [1, 2, 3, 4]
+    );
+  }
+
+  // Charts page
+  doc.addPage();
+  layout.text(t('statement.expensesByCategory'), MARGIN, 22, { bold: true, size: 13 });
+  const slices = getCategorySlices(report.expenses, t('statement.other'));
+  if (slices.length === 0) {
+    layout.text(t('statement.noExpenses'), MARGIN, 32);
+  } else {
+    const radius = 35;
+    drawPie(doc, layout.toX(MARGIN + radius), 32 + radius, radius, slices);
+    const legendOffset = MARGIN + radius * 2 + 12;
+    slices.forEach(function (slice, index) {
+      const legendY = 36 + index * 9;
+      layout.rect(legendOffset, legendY - 3.5, 4, 4, slice.color);
+      layout.text(slice.name, legendOffset + 7, legendY, { size: 9 });
+      layout.text(
+        `${formatMoney(slice.value, currency)} · ${formatPercent((slice.value / report.totals.expenses) * 100)}`,
+        layout.pageWidth - MARGIN,
+        legendY,
+        { align: 'end', size: 9 }
+      );
+    });
+  }
+
+  // Daily expenses bar chart
+  const chartTop = 125;
+  const chartHeight = 60;
+  layout.text(t('statement.dailyExpenses'), MARGIN, chartTop - 8, { bold: true, size: 13 });
+  const daysInMonth = new Date(data.year, data.month, 0).getDate();
+  const daily = new Array(daysInMonth).fill(0);
+  report.expenses.forEach(function (item) {
+    daily[item.Date.day - 1] += item.sum;
+  });
+  const maxDaily = Math.max(...daily);
+  const slot = layout.contentWidth / daysInMonth;
+
+  doc.setDrawColor(200, 200, 200);
+  doc.line(MARGIN, chartTop + chartHeight, layout.pageWidth - MARGIN, chartTop + chartHeight);
+  daily.forEach(function (amount, index) {
+    const offset = MARGIN + index * slot;
+    if (amount > 0) {
+      const height = (amount / maxDaily) * chartHeight;
+      layout.rect(offset + slot * 0.15, chartTop + chartHeight - height, slot * 0.7, height, '#6366f1');
+    }
+    const day = index + 1;
+    if (day === 1 || day % 5 === 0 || day === daysInMonth) {
+      layout.text(new Intl.NumberFormat(language).format(day), offset + slot / 2, chartTop + chartHeight + 5, { align: 'center', size: 7 });
+    }
+  });
+  if (maxDaily > 0) {
+    layout.text(t('statement.highestDay', { amount: formatMoney(maxDaily, currency) }), MARGIN, chartTop + chartHeight + 13, { size: 9 });
+  }
+
+  // Transactions
+  doc.addPage();
+  layout.text(t('statement.transactions'), MARGIN, 22, { bold: true, size: 13 });
+  const transactions = report.expenses
+    .concat(report.incomes, report.savings.deposits, report.savings.withdrawals)
+    .sort((a, b) => a.Date.day - b.Date.day);
+  if (transactions.length === 0) {
+    layout.text(t('statement.noTransactions'), MARGIN, 32);
+  } else {
+    layout.table(
+      28,
+      [t('common.date'), t('export.columns.type'), t('common.category'), t('common.description'), t('common.amount')],
+      transactions.map(function (item) {
+        return [
+          new Date(data.year, data.month - 1, item.Date.day).toLocaleDateString(language),
+          t('forms.types.' + item.type),
+          formatCategories(item),
+          item.description,
+          formatMoney(item.sum, currency),
+        ];
+      }),
+      [4]
+    );
+  }
+
+  // Page numbers
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    layout.text(t('statement.page', { page: page, count: pageCount }), layout.pageWidth / 2, layout.pageHeight - 8, { align: 'center', size: 8 });
+  }
+
+  return doc.output('blob');
+}
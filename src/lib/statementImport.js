@@ -0,0 +1,331 @@
+/**
+ * statementImport.js - Parsers for bank statement files (CSV, OFX, QIF) and duplicate detection
+ * Every parser returns rows of { date: 'YYYY-MM-DD', amount, description, category?, currency? }
+ * where a negative amount is money going out
+ */
+
+import { dateStringToKey } from './recurrence';
+
+export const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+
+/**
+ * Detects the statement format from the file name, then from the contents
+ * @param {string} fileName - Name of the file
+ * @param {string} text - File contents
+ * @returns {('csv'|'ofx'|'qif')} The format
+ */
+export function detectFormat(fileName, text) {
+  const extension = (fileName.split('.').pop() || '').toLowerCase();
+  if (extension === 'ofx' || extension === 'qfx') return 'ofx';
+  if (extension === 'qif') return 'qif';
+  if (extension === 'csv' || extension === 'txt') {
+    if (/^\s*!Type:/i.test(text)) return 'qif';
+    return 'csv';
+  }
+  if (/<OFX>/i.test(text)) return 'ofx';
+  if (/^\s*!Type:/i.test(text)) return 'qif';
+  return 'csv';
+}
+
+/**
+ * Parses CSV text, handling quoted fields and detecting ',', ';' or tab delimiters
+ * @param {string} text - CSV contents
+ * @returns {{headers: string[], rows: string[][]}} Header row and data rows
+ */
+export function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/)[0] || '';
+  const delimiter = [',', ';', '\t'].reduce(function (best, candidate) {
+    return firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best;
+  }, ',');
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(function (row) {
+    return row.some(function (cell) {
+      return cell.trim() !== '';
+    });
+  });
+
+  return {
+    headers: (nonEmpty[0] || []).map(function (header) {
+      return header.trim();
+    }),
+    rows: nonEmpty.slice(1),
+  };
+}
+
+/**
+ * Parses an amount such as "1,234.56", "-12,50", "(12.00)" or "12.00-"
+ * @param {string} value - The amount text
+ * @param {('.'|',')} [decimalSeparator='.'] - Decimal separator used by the file
+ * @returns {number} The amount, NaN when it can't be read
+ */
+export function parseAmount(value, decimalSeparator = '.') {
+  let text = String(value || '').trim().replace(/[^\d.,()+-]/g, '');
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (text.endsWith('-')) {
+    negative = true;
+    text = text.slice(0, -1);
+  }
+  if (decimalSeparator === ',') {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+  const amount = parseFloat(text);
+  return negative ? -Math.abs(amount) : amount;
+}
+
+/**
+ * Parses a date in one of the supported formats
+ * Two-digit years are read as 20xx
+ * @param {string} value - The date text
+ * @param {string} format - One of DATE_FORMATS
+ * @returns {string|null} The date as YYYY-MM-DD or null when invalid
+ */
+export function parseDate(value, format) {
+  const parts = String(value || '').trim().split(/[^\d]+/).filter(Boolean).map(Number);
+  if (parts.length < 3) return null;
+
+  let year;
+  let month;
+  let day;
+  if (format === 'DD/MM/YYYY') {
+    [day, month, year] = parts;
+  } else if (format === 'MM/DD/YYYY') {
+    [month, day, year] = parts;
+  } else {
+    [year, month, day] = parts;
+  }
+  if (year < 100) year += 2000;
+
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  return `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Guesses a column mapping from CSV headers
+ * @param {string[]} headers - CSV headers
+ * @returns {Object} Mapping with date, amount, debit, credit, description, category and currency column indexes (-1 if none)
+ */
+export function guessCsvMapping(headers) {
+  const find = function (pattern) {
+    return headers.findIndex(function (header) {
+      return pattern.test(header);
+    });
+  };
+  return {
+    date: find(/date|תאריך|fecha/i),
+    amount: find(/amount|sum|סכום|importe|monto/i),
+    debit: find(/debit|withdrawal|חובה|cargo/i),
+    credit: find(/credit|deposit|זכות|abono/i),
+    description: find(/description|payee|details|memo|תיאור|descripci/i),
+    category: find(/category|קטגוריה|categor/i),
+    currency: find(/currency|מטבע|moneda/i),
+    dateFormat: 'YYYY-MM-DD',
+    decimalSeparator: '.',
+  };
+}
+
+/**
+ * Turns CSV rows into statement rows using a column mapping
+ * Uses the amount column, or credit minus debit when the file splits them
+ * @param {string[][]} rows - CSV data rows
+ * @param {Object} mapping - Column mapping from guessCsvMapping or a saved profile
+ * @returns {Array<Object>} Statement rows; rows with an unreadable date or amount get an error field
+ */
+export function applyCsvMapping(rows, mapping) {
+  const cell = function (row, index) {
+    return index >= 0 && index < row.length ? row[index].trim() : '';
+  };
+
+  return rows.map(function (row) {
+    let amount;
+    if (mapping.amount >= 0) {
+      amount = parseAmount(cell(row, mapping.amount), mapping.decimalSeparator);
+    } else {
+      const debit = parseAmount(cell(row, mapping.debit), mapping.decimalSeparator) || 0;
+      const credit = parseAmount(cell(row, mapping.credit), mapping.decimalSeparator) || 0;
+      amount = credit - Math.abs(debit);
+    }
+    const date = parseDate(cell(row, mapping.date), mapping.dateFormat);
+
+    return {
+      date: date,
+      amount: amount,
+      description: cell(row, mapping.description),
+      category: cell(row, mapping.category),
+      currency: cell(row, mapping.currency).toUpperCase(),
+      error: !date ? 'date' : isNaN(amount) ? 'amount' : null,
+    };
+  });
+}
+
+/**
+ * Reads an OFX/QFX tag value, which may or may not have a closing tag (SGML style)
+ * @param {string} block - Text to search
+ * @param {string} tag - Tag name
+ * @returns {string} The value or an empty string
+ */
+function ofxValue(block, tag) {
+  const match = new RegExp('<' + tag + '>([^<\\r\\n]*)', 'i').exec(block);
+  return match ? match[1].trim() : '';
+}
+
+/**
+ * Parses an OFX/QFX statement
+ * @param {string} text - OFX contents
+ * @returns {Array<Object>} Statement rows
+ */
+export function parseOfx(text) {
+  const currency = ofxValue(text, 'CURDEF').toUpperCase();
+  const blocks = text.split(/<STMTTRN>/i).slice(1);
+
+  return blocks.map(function (block) {
+    const body = block.split(/<\/STMTTRN>/i)[0];
+    const posted = ofxValue(body, 'DTPOSTED');
+    const date = parseDate(
+      `${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`,
+      'YYYY-MM-DD'
+    );
+    const amount = parseAmount(ofxValue(body, 'TRNAMT'));
+    const name = ofxValue(body, 'NAME');
+    const memo = ofxValue(body, 'MEMO');
+
+    return {
+      date: date,
+      amount: amount,
+      description: name && memo && name !== memo ? `${name} - ${memo}` : name || memo,
+      category: '',
+      currency: currency,
+      error: !date ? 'date' : isNaN(amount) ? 'amount' : null,
+    };
+  });
+}
+
+/**
+ * Parses a QIF statement
+ * Records are separated by "^"; D is the date, T/U the amount, P the payee, M the memo and L the category
+ * @param {string} text - QIF contents
+ * @param {string} [dateFormat='MM/DD/YYYY'] - Date format used by the file
+ * @returns {Array<Object>} Statement rows
+ */
+export function parseQif(text, dateFormat = 'MM/DD/YYYY') {
+  const records = [];
+  let current = {};
+
+  text.split(/\r?\n/).forEach(function (line) {
+    const code = line.charAt(0);
+    const value = line.slice(1).trim();
+    if (code === '^') {
+      if (Object.keys(current).length > 0) records.push(current);
+      current = {};
+    } else if (code !== '!' && code !== '') {
+      // Keep the first value of a field (split lines repeat L and M)
+      if (current[code] === undefined) current[code] = value;
+    }
+  });
+  if (Object.keys(current).length > 0) records.push(current);
+
+  return records.map(function (record) {
+    // QIF writes years 2000+ as M/D'YY
+    const date = parseDate((record.D || '').replace("'", '/'), dateFormat);
+    const amount = parseAmount(record.T !== undefined ? record.T : record.U);
+    const payee = record.P || '';
+    const memo = record.M || '';
+
+    return {
+      date: date,
+      amount: amount,
+      description: payee && memo && payee !== memo ? `${payee} - ${memo}` : payee || memo,
+      category: (record.L || '').replace(/^\[|\]$/g, ''),
+      currency: '',
+      error: !date ? 'date' : isNaN(amount) ? 'amount' : null,
+    };
+  });
+}
+
+/**
+ * Normalizes a description for duplicate matching
+ * @param {string} value - The description
+ * @returns {string} Lowercase text with punctuation and extra spaces removed
+ */
+function normalizeDescription(value) {
+  return String(value || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Flags statement rows that likely duplicate an existing cost or an earlier row in the same file
+ * A duplicate has the same date, amount and currency, and a matching (or missing) description
+ * @param {Array<Object>} rows - Cost items about to be imported (sum, currency, description, date as YYYY-MM-DD)
+ * @param {Array<Object>} existingCosts - Stored cost items
+ * @returns {boolean[]} Whether each row is a likely duplicate
+ */
+export function findDuplicates(rows, existingCosts) {
+  const keyOf = function (dateKey, sum, currency) {
+    return `${dateKey}|${Math.abs(sum).toFixed(2)}|${currency}`;
+  };
+  const seen = {};
+  const remember = function (key, description) {
+    (seen[key] = seen[key] || []).push(normalizeDescription(description));
+  };
+  const matches = function (key, description) {
+    const normalized = normalizeDescription(description);
+    return (seen[key] || []).some(function (other) {
+      return !other || !normalized || other === normalized || other.includes(normalized) || normalized.includes(other);
+    });
+  };
+
+  existingCosts.forEach(function (cost) {
+    remember(keyOf(cost.dateKey, cost.sum, cost.currency), cost.description);
+  });
+
+  return rows.map(function (row) {
+    const key = keyOf(dateStringToKey(row.date), row.sum, row.currency);
+    const duplicate = matches(key, row.description);
+    remember(key, row.description);
+    return duplicate;
+  });
+}
@@ -0,0 +1,64 @@
+/**
+ * tags.js - Free-form tags that label transactions across categories
+ * Tags are stored lowercase, without a leading # and with dashes instead of spaces, so
+ * "Vacation 2026" and "#vacation-2026" are the same tag. Costs keep them in `tags`, read by
+ * the multi-entry index of the same name.
+ */
+
+/**
+ * Brings a tag as typed into its stored form
+ * @param {string} tag - Tag as entered
+ * @returns {string} The tag, empty when nothing is left
+ */
+export function normalizeTag(tag) {
+  return String(tag || '')
+    .trim()
+    .replace(/^#+/, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .toLowerCase();
+}
+
+/**
+ * Normalizes a list of tags and drops empty and repeated ones
+ * @param {string[]} tags - Tags as entered
+ * @returns {string[]} Unique stored tags in their first order
+ */
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return Array.from(new Set(tags.map(normalizeTag).filter(Boolean)));
+}
+
+/**
+ * Brings the tags of a cost into their stored form before it is stored
+ * A cost without tags has no `tags` field, so it is left out of the tags index.
+ * @param {Object} cost - Cost item about to be stored
+ * @returns {Object} The cost with `tags` set or removed
+ */
+export function withTagFields(cost) {
+  const result = { ...cost };
+  const tags = normalizeTags(cost.tags);
+  if (tags.length > 0) {
+    result.tags = tags;
+  } else {
+    delete result.tags;
+  }
+  return result;
+}
+
+/**
+ * Adds up items by tag
+ * A cost with several tags counts in full under each of them, so the totals can add up to more
+ * than the items; untagged items are left out.
+ * @param {Object[]} items - Cost items, stored or converted by getReport
+ * @returns {Object.<string, number>} Total by tag
+ */
+export function sumByTag(items) {
+  const totals = {};
+  items.forEach(function(item) {
+    (item.tags || []).forEach(function(tag) {
+      totals[tag] = (totals[tag] || 0) + item.sum;
+    });
+  });
+  return totals;
+}
@@ -6,8 +6,9 @@
  */
 
 /**
- * Supported currency types: 'USD' | 'ILS' | 'GBP' | 'EURO'
- * @typedef {('USD'|'ILS'|'GBP'|'EURO')} Currency
+ * ISO 4217 currency code, e.g. 'USD', 'ILS', 'GBP' or 'EUR'
+ * Older versions stored the euro as 'EURO'; it is migrated to 'EUR'.
+ * @typedef {string} Currency
  */
 
 /**
@@ -16,16 +17,31 @@
  * @property {number} year
  * @property {number} month
  * @property {number} day
+ * @property {number} [hour]
+ * @property {number} [minute]
  */
 
 /**
  * Cost item structure for adding to database
+ * The date is optional when adding and defaults to the current date and time
  * @typedef {Object} Cost
  * @property {number} sum
  * @property {Currency} currency
  * @property {string} category
  * @property {string} description
- * @property {DateStructure} date
+ * @property {DateStructure|Date|string} [date]
+ * @property {number} [goalId] - Savings goal of a savings deposit or withdrawal
+ * @property {number} [accountId] - Account paid from or into
+ * @property {number} [toAccountId] - Account a transfer arrives in
+ * @property {SplitLine[]} [splits] - Category lines adding up to the sum
+ * @property {string[]} [tags] - Free-form tags
+ */
+
+/**
+ * One category line of a split transaction
+ * @typedef {Object} SplitLine
+ * @property {string} category
+ * @property {number} sum
  */
 
 /**
@@ -36,16 +52,27 @@
  * @property {Currency} currency
  * @property {string} category
  * @property {string} description
+ * @property {string} type - expense, income, savings_deposit, savings_withdrawal or transfer
  * @property {DateStructure} date
+ * @property {number} dateKey - Flat sortable date (YYYYMMDD) used by the dateKey index
+ * @property {number} [goalId] - Savings goal of a savings deposit or withdrawal
+ * @property {number} accountId - Account paid from or into, the source account of a transfer
+ * @property {number} [toAccountId] - Account a transfer arrives in
+ * @property {SplitLine[]} [splits] - Category lines of a split transaction; category is the first line's
+ * @property {string[]} [splitCategories] - Categories of the lines, read by the splitCategories index
+ * @property {string[]} [tags] - Lowercase tags, read by the tags index
  */
 
 /**
  * Cost item in report output (with simplified date)
  * @typedef {Object} ReportCostItem
+ * @property {number} id - ID of the stored cost item
  * @property {number} sum
  * @property {Currency} currency
  * @property {string} category
  * @property {string} description
+ * @property {SplitLine[]} [splits] - Split lines, converted like the sum
+ * @property {string[]} [tags] - Tags of the transaction
  * @property {Object} Date
  * @property {number} Date.day
  */
@@ -62,17 +89,81 @@
  */
 
 /**
- * Exchange rates structure
- * @typedef {Object} ExchangeRates
+ * Exchange rates structure: units of each currency per 1 USD, keyed by ISO code
+ * @typedef {Object.<Currency, number>} ExchangeRates
  * @property {number} USD
- * @property {number} GBP
- * @property {number} EURO
- * @property {number} ILS
+ */
+
+/**
+ * Last good exchange rates kept for offline use
+ * @typedef {Object} CachedExchangeRates
+ * @property {ExchangeRates} rates
+ * @property {string} fetchedAt - ISO timestamp
+ * @property {('remote'|'bundled'|'manual')} source
+ */
+
+/**
+ * Dated exchange rate snapshot stored in the rates store
+ * @typedef {Object} RateSnapshot
+ * @property {number} dateKey - Date as a YYYYMMDD number
+ * @property {ExchangeRates} rates
+ */
+
+/**
+ * Recurring transaction rule stored in the recurring_rules store
+ * @typedef {Object} RecurringRule
+ * @property {number} [id]
+ * @property {number} sum
+ * @property {Currency} currency
+ * @property {string} category
+ * @property {string} description
+ * @property {string} type - Transaction type of the created costs
+ * @property {number} [accountId] - Account of the created costs
+ * @property {('daily'|'weekly'|'monthly'|'yearly')} frequency
+ * @property {number} interval - Repeat every N units
+ * @property {number|null} [dayOfMonth] - Day for monthly rules, clamped to short months
+ * @property {string} startDate - YYYY-MM-DD
+ * @property {{type: ('never'|'count'|'date'), count?: number, date?: string}} end
+ * @property {boolean} paused
+ * @property {Object.<number, {skipped?: boolean, sum?: number, category?: string, description?: string}>} exceptions - Skipped or edited occurrences keyed by YYYYMMDD
+ * @property {number} lastGeneratedKey - Last occurrence already created (YYYYMMDD), 0 if none
+ */
+
+/**
+ * Statement import stored in the import_batches store
+ * @typedef {Object} ImportBatch
+ * @property {string} id - Batch ID, also stored as importBatchId on each imported cost
+ * @property {string} fileName
+ * @property {('csv'|'ofx'|'qif')} format
+ * @property {number} count - Number of imported costs
+ * @property {string} importedAt - ISO timestamp
+ */
+
+/**
+ * Named advanced filter criteria stored in the filter_presets store
+ * @typedef {Object} FilterPreset
+ * @property {number} [id]
+ * @property {string} name
+ * @property {Object} filters - Criteria as from getDefaultFilters in lib/filters.js
+ * @property {boolean} pinned - Whether the preset is shown on the dashboard
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/**
+ * Full backup file written by createBackup
+ * @typedef {Object} Backup
+ * @property {'cost-manager'} app
+ * @property {number} schemaVersion - Database version the backup was written with
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} checksum - SHA-256 of schemaVersion, data and localStorage
+ * @property {Object.<string, Object[]>} data - Records per object store
+ * @property {Object.<string, string>} localStorage - Saved settings such as themeMode and i18nextLng
  */
 
 /**
  * Cost item returned by addCost (without date as per specification)
  * @typedef {Object} CostWithoutDate
+ * @property {number} id
  * @property {number} sum
  * @property {Currency} currency
  * @property {string} category
@@ -95,11 +186,36 @@
  * @typedef {Object} Budget
  * @property {number} [id]
  * @property {number} year
- * @property {number} [month]
+ * @property {number} [month] - Month of a monthly budget; a category budget without one covers the whole year
  * @property {number} amount
  * @property {Currency} currency
- * @property {string} [category]
+ * @property {string} [category] - Counts the category and every category below it
  * @property {('monthly'|'yearly'|'category')} type
+ * @property {boolean} [rollover] - Carry the previous month's leftover or deficit into this budget
+ */
+
+/**
+ * Account stored in the accounts store
+ * @typedef {Object} Account
+ * @property {number} [id]
+ * @property {string} name
+ * @property {('checking'|'savings'|'credit_card'|'cash')} kind
+ * @property {Currency} currency - Currency the balance is kept in
+ * @property {number} openingBalance - Balance before the first transaction
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/**
+ * File attached to a cost, stored in the attachments store
+ * @typedef {Object} Attachment
+ * @property {number} [id]
+ * @property {number} costId - The cost it is attached to
+ * @property {string} name - File name
+ * @property {string} type - MIME type, an image or application/pdf
+ * @property {number} size - File size in bytes
+ * @property {Blob} blob - File contents
+ * @property {Blob|null} thumbnail - Small JPEG of an image, null for PDFs
+ * @property {string} createdAt - ISO timestamp
  */
 
 /**
@@ -109,6 +225,7 @@
  * @property {string} name
  * @property {string} [color]
  * @property {string} [icon]
+ * @property {number|null} [parentId] - The category it is under; none for a top-level category
  */
 
 /**
@@ -118,10 +235,18 @@
  * @property {function(number, number, Currency): Promise<Report>} getReport
  * @property {function(): Promise<CostItem[]>} getAllCosts
  * @property {function(string): Promise<CostItem[]>} getCostsByCategory
+ * @property {function(string): Promise<CostItem[]>} getCostsByTag
+ * @property {function(): Promise<string[]>} getAllTags
  * @property {function(DateStructure, DateStructure): Promise<CostItem[]>} getCostsByDateRange
+ * @property {function(string): Promise<CostItem[]>} getCostsByType
+ * @property {function(string, number=): Promise<CostItem[]>} searchCosts
  * @property {function(number, number, Currency): Promise<Statistics>} getStatistics
+ * @property {function(number): Promise<CostItem|null>} getCost
  * @property {function(number, Object): Promise<CostItem>} updateCost
+ * @property {function(number[], Object): Promise<number>} updateCosts
  * @property {function(number): Promise<void>} deleteCost
+ * @property {function(number[]): Promise<CostItem[]>} deleteCosts
+ * @property {function(CostItem[]): Promise<void>} restoreCosts
  * @property {function(): Promise<Category[]>} getCategories
  * @property {function(Object): Promise<Category>} addCategory
  * @property {function(number, Object): Promise<Category>} updateCategory
@@ -129,6 +254,36 @@
  * @property {function(number, number?, string?): Promise<Budget|null>} getBudget
  * @property {function(Object): Promise<Budget>} setBudget
  * @property {function(): Promise<Budget[]>} getAllBudgets
+ * @property {function(number, Object): Promise<Budget>} updateBudget
+ * @property {function(number): Promise<void>} deleteBudget
+ * @property {function(Object): Promise<void>} moveSavings
+ * @property {function(string): Promise<*>} getSetting
+ * @property {function(string, *): Promise<*>} setSetting
+ * @property {function(number=, number=): Promise<RateSnapshot[]>} getRatesHistory
+ * @property {function(RateSnapshot[]): Promise<number>} putRateSnapshots
+ * @property {function(): Promise<RecurringRule[]>} getRecurringRules
+ * @property {function(Object): Promise<RecurringRule>} addRecurringRule
+ * @property {function(number, Object): Promise<RecurringRule>} updateRecurringRule
+ * @property {function(number): Promise<void>} deleteRecurringRule
+ * @property {function(number): Promise<number>} generateRecurringCosts
+ * @property {function(): Promise<FilterPreset[]>} getFilterPresets
+ * @property {function(Object): Promise<FilterPreset>} addFilterPreset
+ * @property {function(number, Object): Promise<FilterPreset>} updateFilterPreset
+ * @property {function(number): Promise<void>} deleteFilterPreset
+ * @property {function(): Promise<Account[]>} getAccounts
+ * @property {function(Object): Promise<Account>} addAccount
+ * @property {function(number, Object): Promise<Account>} updateAccount
+ * @property {function(number): Promise<void>} deleteAccount
+ * @property {function(number): Promise<Attachment[]>} getAttachments
+ * @property {function(): Promise<Object.<number, number>>} getAttachmentCounts
+ * @property {function(): Promise<{count: number, bytes: number}>} getAttachmentsUsage
+ * @property {function(Object): Promise<Attachment>} addAttachment
+ * @property {function(number): Promise<void>} deleteAttachment
+ * @property {function(Object[], Object): Promise<ImportBatch>} importCosts
+ * @property {function(): Promise<ImportBatch[]>} getImportBatches
+ * @property {function(string): Promise<number>} undoImport
+ * @property {function(): Promise<Object.<string, Object[]>>} exportAllData
+ * @property {function(Object.<string, Object[]>, ('merge'|'replace')): Promise<Object.<string, number>>} restoreAllData
  */
 
 